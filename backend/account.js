@@ -0,0 +1,159 @@
+/**
+ * account.js
+ * -----------
+ * Self-service account data: profile validation and edit history, the
+ * "download my data" export and anonymisation of deleted users' samples.
+ */
+
+const JSZip = require('jszip');
+
+const PROFILE_FIELDS = ['fullName', 'phone', 'city', 'state'];
+const MAX_HISTORY = 50;
+
+/**
+ * Check a submitted profile (same rules as the profile form).
+ * @returns {{ errors: object, profile: object|null }}
+ */
+const validateProfile = (input = {}) => {
+    const profile = {};
+    for (const field of PROFILE_FIELDS) {
+        profile[field] = typeof input[field] === 'string' ? input[field].trim() : '';
+    }
+
+    const errors = {};
+    if (profile.fullName.length < 2) errors.fullName = 'Name must be at least 2 characters.';
+    if (!/^[6-9]\d{9}$/.test(profile.phone)) errors.phone = 'Enter a valid 10-digit Indian mobile number.';
+    if (!profile.city) errors.city = 'City is required.';
+    if (!profile.state) errors.state = 'State is required.';
+
+    return Object.keys(errors).length ? { errors, profile: null } : { errors, profile };
+};
+
+/**
+ * Field-by-field changes between two profiles.
+ * @returns {object} { field: { from, to } } – empty when nothing changed
+ */
+const diffProfile = (before, after) => {
+    const changes = {};
+    for (const field of PROFILE_FIELDS) {
+        const from = before?.[field] ?? null;
+        const to = after?.[field] ?? null;
+        if (from !== to) changes[field] = { from, to };
+    }
+    return changes;
+};
+
+/**
+ * Append an entry to a user's profile history (newest last, capped).
+ */
+const withHistoryEntry = (history = [], entry) =>
+    [...history, { at: new Date().toISOString(), ...entry }].slice(-MAX_HISTORY);
+
+// ── Export ────────────────────────────────────────────────────────────────────
+/**
+ * Everything stored about a user, for "download my data".
+ * Password hashes and two-factor secrets are never included.
+ *
+ * @param {object} user
+ * @param {object} records - The user's { samples, alertRules, notifications }
+ */
+const buildExport = (user, { samples = [], alertRules = [], notifications = [] } = {}) => ({
+    exportedAt: new Date().toISOString(),
+    account: {
+        email: user.email,
+        role: user.role || null,
+        signupSource: user.signupSource || (user.googleAuth && !user.password ? 'google' : 'password'),
+        googleLinked: !!user.googleAuth,
+        googleEmail: user.googleAuth ? user.googleEmail || user.email : null,
+        emailVerified: user.emailVerified !== false,
+        twoFactorEnabled: !!user.twoFactor?.enabled,
+        createdAt: user.createdAt || null,
+    },
+    profile: user.profile || null,
+    profileHistory: user.profileHistory || [],
+    samples,
+    watchlist: user.watchlist || [],
+    importPresets: user.importPresets || [],
+    alertRules,
+    notifications,
+});
+
+const csvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Samples flattened to one row each, one column per parameter ("ph (pH)")
+const samplesCsv = (samples) => {
+    const units = {};
+    for (const s of samples) {
+        for (const [key, reading] of Object.entries(s.parameters || {})) {
+            units[key] = units[key] || reading?.unit || '';
+        }
+    }
+    const parameterKeys = Object.keys(units).sort();
+    const baseKeys = ['id', 'collectedAt', 'sourceType', 'stationCode', 'state', 'district', 'latitude', 'longitude', 'notes', 'createdAt', 'updatedAt'];
+    const header = [...baseKeys, ...parameterKeys.map(k => (units[k] ? `${k} (${units[k]})` : k))];
+    const rows = samples.map(s => [
+        ...baseKeys.map(k => csvCell(s[k])),
+        ...parameterKeys.map(k => csvCell(s.parameters?.[k]?.value)),
+    ].join(','));
+    return [header.map(csvCell).join(','), ...rows].join('\n');
+};
+
+/**
+ * The export as a ZIP archive (one file per section, plus samples.csv).
+ * @returns {Promise<Buffer>}
+ */
+const buildExportZip = (data) => {
+    const zip = new JSZip();
+    zip.file('README.txt', [
+        'Water Quality Monitor – personal data export',
+        `Exported: ${data.exportedAt}`,
+        '',
+        'account.json    account details and profile (with edit history)',
+        'samples.json    every sample you recorded or imported',
+        'samples.csv     the same samples as a spreadsheet',
+        'watchlist.json  stations and districts you follow',
+        'presets.json    saved import column mappings',
+        'alerts.json     your alert rules and the notifications they raised',
+    ].join('\n'));
+    zip.file('account.json', JSON.stringify({
+        exportedAt: data.exportedAt,
+        account: data.account,
+        profile: data.profile,
+        profileHistory: data.profileHistory,
+    }, null, 2));
+    zip.file('samples.json', JSON.stringify(data.samples, null, 2));
+    zip.file('samples.csv', samplesCsv(data.samples));
+    zip.file('watchlist.json', JSON.stringify(data.watchlist, null, 2));
+    zip.file('presets.json', JSON.stringify(data.importPresets, null, 2));
+    zip.file('alerts.json', JSON.stringify({ rules: data.alertRules, notifications: data.notifications }, null, 2));
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+// ── Deletion ──────────────────────────────────────────────────────────────────
+/**
+ * Detach a sample from its (deleted) owner. The measurements stay in the
+ * district statistics; free-text notes are dropped and the location is
+ * coarsened to ~1 km so it can't point at someone's home well.
+ */
+const anonymiseSample = (sample) => ({
+    ...sample,
+    userEmail: null,
+    notes: null,
+    latitude: typeof sample.latitude === 'number' ? Math.round(sample.latitude * 100) / 100 : sample.latitude,
+    longitude: typeof sample.longitude === 'number' ? Math.round(sample.longitude * 100) / 100 : sample.longitude,
+    anonymisedAt: new Date().toISOString(),
+});
+
+module.exports = {
+    PROFILE_FIELDS,
+    validateProfile,
+    diffProfile,
+    withHistoryEntry,
+    buildExport,
+    buildExportZip,
+    anonymiseSample,
+};
@@ -0,0 +1,451 @@
+/**
+ * alerts.js
+ * ----------
+ * User-defined alert rules, checked against new data, and the
+ * notifications they raise.
+ *
+ * Rule types:
+ *  - level    – a well's latest water level deeper / shallower than a
+ *               depth in metres below ground ("deeper than 10 m bgl");
+ *               readings flagged out-of-range or spike never trigger
+ *  - rainfall – a day's rainfall above a total in mm at any gauge of a
+ *               district (or state), using the normalised daily totals of
+ *               rainfall.js; days flagged as suspect never trigger
+ *  - sample   – a sample taken in a district (or state) exceeding a
+ *               parameter's permissible limit under a standards profile
+ *               ("any sample in my district exceeds the fluoride limit")
+ *  - anomaly  – readings of a station, district or state failing data
+ *               quality checks (spike, out-of-range, ...) within the last
+ *               ANOMALY_WINDOW_DAYS of the series
+ *
+ * level / rainfall / anomaly rules are matched whenever the read store
+ * imports new source files (see store.onSync) and once when a rule is
+ * saved; sample rules whenever a sample is saved. Each match carries a
+ * `key` naming what it is about (rule, station, reading time...), so
+ * matching the same data again never raises a second notification.
+ *
+ * Every notification lands in the in-app inbox. A rule can also ask for
+ * delivery through extra channels; `email` (backend/mailer.js) is built
+ * in and others can be added with registerChannel().
+ */
+
+const crypto = require('crypto');
+const mailer = require('./mailer');
+const { openStore } = require('./store');
+const { getStation } = require('./stations');
+const { getRainfall } = require('./rainfall');
+const { READING_FLAGS, flagSeries, withoutFlagged } = require('./quality');
+const { PARAMETERS } = require('./samples');
+const { DEFAULT_STANDARD, loadStandards, getStandard, evaluateSample } = require('./compliance');
+
+const RULE_TYPES = ['level', 'rainfall', 'sample', 'anomaly'];
+const LEVEL_CONDITIONS = ['deeper-than', 'shallower-than'];
+const LEVEL_CODES = ['GGZ', 'HGZ'];
+// Readings a level rule skips (e.g. the telemetry's "1" placeholder)
+const LEVEL_EXCLUDE = ['out-of-range', 'spike'];
+
+// Flags worth alerting on; duplicates are a publishing quirk, not an anomaly
+const ANOMALY_FLAGS = READING_FLAGS.filter(flag => flag !== 'duplicate');
+const DEFAULT_ANOMALY_FLAGS = ['out-of-range', 'spike'];
+const ANOMALY_WINDOW_DAYS = 7;
+
+const MAX_RULES_PER_USER = 50;
+const MAX_NOTIFICATIONS_PER_USER = 200;
+const MAX_THRESHOLD = 10000;
+
+// ── Channels ──────────────────────────────────────────────────────────────────
+// channel.send(notification, { user, rule, url }) → Promise
+const channels = {
+    email: {
+        label: 'Email',
+        send: async (notification, { user, url }) => {
+            if (user.emailVerified === false) throw new Error('email address not verified');
+            await mailer.sendMail({ to: user.email, ...mailer.alertEmail(notification, url) });
+        },
+    },
+};
+
+/**
+ * Add (or replace) a delivery channel, e.g. SMS or a webhook.
+ * @param {string} id - Value used in a rule's `channels`
+ * @param {{ label: string, send: (notification, context) => Promise }} channel
+ */
+const registerChannel = (id, channel) => {
+    channels[id] = channel;
+};
+
+const listChannels = () => Object.entries(channels).map(([id, { label }]) => ({ id, label }));
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const text = (value, max = 100) => (isBlank(value) ? null : String(value).trim().slice(0, max));
+
+const same = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+const inArea = (rule, place) =>
+    same(rule.state, place.state) && (!rule.district || same(rule.district, place.district));
+
+const areaName = (rule) => (rule.district ? `${rule.district}, ${rule.state}` : rule.state);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysBefore = (time, days) =>
+    new Date(new Date(`${time.slice(0, 19)}Z`).getTime() - days * DAY_MS).toISOString().slice(0, 19);
+
+/**
+ * One-line description of a rule, used as its default name.
+ */
+const describeRule = (rule) => {
+    switch (rule.type) {
+        case 'level':
+            return `Water level at ${rule.stationCode} ${rule.condition === 'shallower-than' ? 'shallower' : 'deeper'} than ${rule.threshold} m bgl`;
+        case 'rainfall':
+            return `Rainfall in ${areaName(rule)} above ${rule.threshold} mm/day`;
+        case 'sample':
+            return `${PARAMETERS[rule.parameter]?.label || rule.parameter} above the limit in samples from ${areaName(rule)}`;
+        case 'anomaly':
+            return `Suspicious readings (${rule.flags.join(', ')}) ${rule.stationCode ? `at ${rule.stationCode}` : `in ${areaName(rule)}`}`;
+        default:
+            return rule.type;
+    }
+};
+
+// ── Validation ────────────────────────────────────────────────────────────────
+/**
+ * Validate an alert rule submitted through the API.
+ *
+ * @param {object} input - Request body
+ * @returns {{ errors: object, rule: object|null }} `errors` maps field → message;
+ *          `rule` holds the cleaned fields when there are no errors.
+ */
+const validateRule = (input) => {
+    const errors = {};
+    const body = input || {};
+    const rule = { type: body.type };
+
+    if (!RULE_TYPES.includes(body.type)) {
+        errors.type = `Type must be one of: ${RULE_TYPES.join(', ')}.`;
+        return { errors, rule: null };
+    }
+
+    const needsThreshold = body.type === 'level' || body.type === 'rainfall';
+    if (needsThreshold) {
+        const threshold = Number(body.threshold);
+        if (isBlank(body.threshold) || !Number.isFinite(threshold) || threshold < 0 || threshold > MAX_THRESHOLD) {
+            errors.threshold = `Threshold must be a number between 0 and ${MAX_THRESHOLD}.`;
+        }
+        rule.threshold = threshold;
+    }
+
+    // Where: a station, or a state with an optional district
+    const stationCode = body.type === 'level' || body.type === 'anomaly' ? text(body.stationCode) : null;
+    const station = stationCode ? getStation(stationCode) : null;
+    if (body.type === 'level') {
+        if (!station) errors.stationCode = stationCode ? 'Unknown station code.' : 'Station is required.';
+        else if (station.dataset !== 'groundwater') errors.stationCode = 'Level alerts need a groundwater well.';
+        rule.condition = body.condition || 'deeper-than';
+        if (!LEVEL_CONDITIONS.includes(rule.condition)) {
+            errors.condition = `Condition must be one of: ${LEVEL_CONDITIONS.join(', ')}.`;
+        }
+    } else if (body.type === 'anomaly' && stationCode) {
+        if (!station) errors.stationCode = 'Unknown station code.';
+    } else if (isBlank(body.state)) {
+        errors.state = 'State is required.';
+    }
+    if (station) {
+        rule.stationCode = station.stationCode;
+        rule.state = station.state;
+        rule.district = station.district;
+    } else {
+        rule.stationCode = null;
+        rule.state = text(body.state);
+        rule.district = text(body.district);
+    }
+
+    if (body.type === 'sample') {
+        rule.parameter = body.parameter;
+        const parameter = Object.hasOwn(PARAMETERS, body.parameter) ? PARAMETERS[body.parameter] : null;
+        if (!parameter) {
+            errors.parameter = `Parameter must be one of: ${Object.keys(PARAMETERS).join(', ')}.`;
+        }
+        rule.standard = body.standard || DEFAULT_STANDARD;
+        const standard = getStandard(rule.standard);
+        if (!standard) {
+            errors.standard = `Standard must be one of: ${Object.keys(loadStandards()).join(', ')}.`;
+        } else if (parameter && !Object.hasOwn(standard.parameters, body.parameter)) {
+            errors.parameter = `${standard.name} sets no limit for ${parameter.label}.`;
+        }
+    }
+
+    if (body.type === 'anomaly') {
+        rule.flags = Array.isArray(body.flags) && body.flags.length ? [...new Set(body.flags)] : DEFAULT_ANOMALY_FLAGS;
+        const unknown = rule.flags.filter(flag => !ANOMALY_FLAGS.includes(flag));
+        if (unknown.length) errors.flags = `Flags must be among: ${ANOMALY_FLAGS.join(', ')}.`;
+    }
+
+    rule.channels = Array.isArray(body.channels) ? [...new Set(body.channels)] : [];
+    const unknownChannels = rule.channels.filter(id => !channels[id]);
+    if (unknownChannels.length) {
+        errors.channels = `Channels must be among: ${Object.keys(channels).join(', ')}.`;
+    }
+    rule.enabled = body.enabled !== false;
+
+    if (Object.keys(errors).length) {
+        return { errors, rule: null };
+    }
+    rule.name = text(body.name) || describeRule(rule);
+    return { errors, rule };
+};
+
+/**
+ * Build a new stored rule record for a user.
+ */
+const createRule = (fields, userEmail) => {
+    const now = new Date().toISOString();
+    return {
+        id: crypto.randomUUID(),
+        userEmail,
+        ...fields,
+        createdAt: now,
+        updatedAt: now,
+        lastTriggeredAt: null,
+    };
+};
+
+// ── Matching station data ─────────────────────────────────────────────────────
+// The newest level series, judged by its latest unflagged reading
+const matchLevel = (db, rule) => {
+    const series = db.prepare(`
+        SELECT datatypeCode FROM series
+        WHERE stationCode = ? AND datatypeCode IN (${LEVEL_CODES.map(() => '?').join(', ')})
+        ORDER BY lastTime DESC LIMIT 1
+    `).get(rule.stationCode, ...LEVEL_CODES);
+    if (!series) return [];
+
+    const station = getStation(rule.stationCode);
+    const { datatypeCode } = series;
+    const readings = db.prepare('SELECT time, value FROM readings WHERE stationCode = ? AND datatypeCode = ? ORDER BY time')
+        .all(rule.stationCode, datatypeCode);
+    const latest = withoutFlagged(readings, LEVEL_EXCLUDE, { datatypeCode, wellDepth: station.wellDepth }).at(-1);
+    if (!latest) return [];
+
+    // GGZ is negative below ground, HGZ a positive depth
+    const depth = Math.abs(latest.value);
+    const deeper = rule.condition !== 'shallower-than';
+    if (deeper ? depth <= rule.threshold : depth >= rule.threshold) return [];
+
+    return [{
+        rule,
+        key: `${rule.id}:${rule.stationCode}:${datatypeCode}:${latest.time}`,
+        title: `Water level ${deeper ? 'deeper' : 'shallower'} than ${rule.threshold} m at ${station.stationName}`,
+        message: `${station.stationName} (${station.district}, ${station.state}) read ${depth.toFixed(2)} m below ground ` +
+            `on ${latest.time.slice(0, 10)} – ${deeper ? 'deeper' : 'shallower'} than your ${rule.threshold} m threshold.`,
+        link: `/explore?station=${encodeURIComponent(rule.stationCode)}`,
+        observedAt: latest.time,
+    }];
+};
+
+const matchRainfall = (db, rule, stationCodes) => {
+    const gauges = db.prepare(`
+        SELECT s.stationCode, s.stationName, s.state, s.district, MAX(p.lastTime) AS lastTime
+        FROM stations s JOIN series p ON p.stationCode = s.stationCode
+        WHERE s.dataset = 'rainfall'
+        GROUP BY s.stationCode
+    `).all().filter(g => inArea(rule, g) && (!stationCodes || stationCodes.has(g.stationCode)));
+
+    // Wettest trustworthy gauge per day, over each gauge's latest day
+    const byDay = new Map();
+    for (const gauge of gauges) {
+        const day = gauge.lastTime.slice(0, 10);
+        const total = getRainfall(gauge.stationCode, { interval: 'daily', from: day })?.readings.at(-1);
+        if (!total || total.quality === 'suspect' || total.value <= rule.threshold) continue;
+        if (!byDay.has(total.time) || byDay.get(total.time).total.value < total.value) {
+            byDay.set(total.time, { gauge, total });
+        }
+    }
+
+    return [...byDay.values()].map(({ gauge, total }) => ({
+        rule,
+        key: `${rule.id}:${rule.state}:${rule.district || ''}:${total.time}`,
+        title: `${total.value} mm of rain in ${gauge.district || gauge.state}`,
+        message: `${gauge.stationName} (${gauge.district}, ${gauge.state}) recorded ${total.value} mm on ${total.time}, ` +
+            `above your ${rule.threshold} mm/day threshold.`,
+        link: `/explore?station=${encodeURIComponent(gauge.stationCode)}`,
+        observedAt: total.time,
+    }));
+};
+
+const matchAnomaly = (db, rule, stationCodes) => {
+    const candidates = rule.stationCode
+        ? [getStation(rule.stationCode)].filter(Boolean)
+        : db.prepare('SELECT stationCode, stationName, state, district, wellDepth FROM stations').all()
+            .filter(s => inArea(rule, s));
+    const series = db.prepare('SELECT datatypeCode, lastTime FROM series WHERE stationCode = ?');
+    const readings = db.prepare('SELECT time, value FROM readings WHERE stationCode = ? AND datatypeCode = ? ORDER BY time');
+
+    const matches = [];
+    for (const station of candidates) {
+        if (stationCodes && !stationCodes.has(station.stationCode)) continue;
+        for (const { datatypeCode, lastTime } of series.all(station.stationCode)) {
+            const since = daysBefore(lastTime, ANOMALY_WINDOW_DAYS);
+            const flagged = flagSeries(readings.all(station.stationCode, datatypeCode), {
+                datatypeCode,
+                wellDepth: station.wellDepth,
+            }).filter(p => p.time >= since && p.flags.some(flag => rule.flags.includes(flag)));
+            if (!flagged.length) continue;
+
+            const flags = [...new Set(flagged.flatMap(p => p.flags.filter(flag => rule.flags.includes(flag))))];
+            const newest = flagged.at(-1);
+            matches.push({
+                rule,
+                key: `${rule.id}:${station.stationCode}:${datatypeCode}:${newest.time}`,
+                title: `Suspicious ${datatypeCode} readings at ${station.stationName}`,
+                message: `${flagged.length} reading(s) at ${station.stationName} (${station.district}, ${station.state}) ` +
+                    `in the week to ${lastTime.slice(0, 10)} were flagged: ${flags.join(', ')}.`,
+                link: `/explore?station=${encodeURIComponent(station.stationCode)}`,
+                observedAt: newest.time,
+            });
+        }
+    }
+    return matches;
+};
+
+/**
+ * Match level, rainfall and anomaly rules against the read store.
+ *
+ * @param {object[]} rules - Enabled rules of any type; others are skipped
+ * @param {object} [options]
+ * @param {string[]} [options.sources] - Only stations from these source files
+ *                                       (what was just imported); all when omitted
+ * @returns {object[]} Matches: { rule, key, title, message, link, observedAt }
+ */
+const matchStationRules = (rules, { sources } = {}) => {
+    const db = openStore();
+    const stationCodes = sources
+        ? new Set(db.prepare(`SELECT stationCode FROM stations WHERE source IN (${sources.map(() => '?').join(', ') || 'NULL'})`)
+            .pluck().all(...sources))
+        : null;
+
+    const matches = [];
+    for (const rule of rules) {
+        if (!rule.enabled) continue;
+        if (rule.type === 'level' && (!stationCodes || stationCodes.has(rule.stationCode))) {
+            matches.push(...matchLevel(db, rule));
+        } else if (rule.type === 'rainfall') {
+            matches.push(...matchRainfall(db, rule, stationCodes));
+        } else if (rule.type === 'anomaly') {
+            matches.push(...matchAnomaly(db, rule, stationCodes));
+        }
+    }
+    return matches;
+};
+
+// ── Matching samples ──────────────────────────────────────────────────────────
+/**
+ * Match sample rules against a newly saved (or edited) sample. The
+ * notification names the place and the result, never who took the sample.
+ *
+ * @param {object[]} rules
+ * @param {object} sample - Stored sample (with state / district filled in)
+ * @returns {object[]} Matches, as for matchStationRules()
+ */
+const matchSampleRules = (rules, sample) => {
+    const matches = [];
+    for (const rule of rules) {
+        if (!rule.enabled || rule.type !== 'sample' || !inArea(rule, sample)) continue;
+        if (!sample.parameters?.[rule.parameter]) continue;
+
+        const { standard, parameters } = evaluateSample(sample, rule.standard);
+        const result = parameters[rule.parameter];
+        if (result.verdict !== 'exceeds') continue;
+
+        const limit = result.permissible;
+        const range = [limit.min !== undefined && `min ${limit.min}`, limit.max !== undefined && `max ${limit.max}`]
+            .filter(Boolean).join(', ');
+        matches.push({
+            rule,
+            key: `${rule.id}:${sample.id}`,
+            title: `${result.label} above the limit in ${sample.district || sample.state}`,
+            message: `A ${sample.sourceType} sample collected on ${sample.collectedAt.slice(0, 10)} in ` +
+                `${[sample.district, sample.state].filter(Boolean).join(', ')} measured ${result.value} ${result.unit} ` +
+                `(${range} ${result.unit} under ${standard.name}).`,
+            link: '/dashboard',
+            observedAt: sample.collectedAt,
+        });
+    }
+    return matches;
+};
+
+// ── Notifications ─────────────────────────────────────────────────────────────
+/**
+ * Build a stored notification record from a match.
+ */
+const createNotification = ({ rule, key, title, message, link, observedAt }) => ({
+    id: crypto.randomUUID(),
+    userEmail: rule.userEmail,
+    ruleId: rule.id,
+    ruleName: rule.name,
+    type: rule.type,
+    key,
+    title,
+    message,
+    link,
+    observedAt,
+    createdAt: new Date().toISOString(),
+    readAt: null,
+    delivery: Object.fromEntries(rule.channels.map(id => [id, 'pending'])),
+});
+
+/**
+ * Keep each user's newest MAX_NOTIFICATIONS_PER_USER notifications.
+ * @param {object[]} notifications - All users', oldest first
+ * @returns {object[]}
+ */
+const pruneNotifications = (notifications) => {
+    const counts = new Map();
+    return [...notifications].reverse().filter((n) => {
+        const count = (counts.get(n.userEmail) || 0) + 1;
+        counts.set(n.userEmail, count);
+        return count <= MAX_NOTIFICATIONS_PER_USER;
+    }).reverse();
+};
+
+/**
+ * Send a notification through the rule's extra channels.
+ *
+ * @param {object} notification
+ * @param {{ user: object, rule: object, url: string }} context - url is the absolute link
+ * @returns {Promise<object>} Channel id → 'sent' | 'failed'
+ */
+const deliver = async (notification, context) => {
+    const results = {};
+    for (const id of Object.keys(notification.delivery || {})) {
+        try {
+            if (!channels[id]) throw new Error(`Unknown channel "${id}"`);
+            await channels[id].send(notification, context);
+            results[id] = 'sent';
+        } catch (err) {
+            console.error(`Failed to deliver alert through ${id}:`, err.message);
+            results[id] = 'failed';
+        }
+    }
+    return results;
+};
+
+module.exports = {
+    RULE_TYPES,
+    LEVEL_CONDITIONS,
+    ANOMALY_FLAGS,
+    MAX_RULES_PER_USER,
+    registerChannel,
+    listChannels,
+    describeRule,
+    validateRule,
+    createRule,
+    matchStationRules,
+    matchSampleRules,
+    createNotification,
+    pruneNotifications,
+    deliver,
+};
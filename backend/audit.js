@@ -0,0 +1,42 @@
+/**
+ * audit.js
+ * ---------
+ * Security event log for administrators (account lockouts, unlocks, ...).
+ *
+ * Events are appended to the "security-events" repository
+ * (data/security-events.json, see repository.js); only the newest
+ * MAX_EVENTS are kept.
+ */
+
+const crypto = require('crypto');
+const { createRepository } = require('./repository');
+
+const MAX_EVENTS = 500;
+
+const eventsRepo = createRepository('security-events', { key: 'id' });
+
+/**
+ * Append an event.
+ * @param {{ type: string, [key: string]: any }} event
+ * @returns {Promise<object>} The stored event (with id and timestamp)
+ */
+const recordEvent = async (event) => {
+    const stored = { id: crypto.randomUUID(), at: new Date().toISOString(), ...event };
+    await eventsRepo.mutate(events => [...events, stored].slice(-MAX_EVENTS));
+    return stored;
+};
+
+/**
+ * Newest events first.
+ * @param {{ type?: string, limit?: number }} [options]
+ */
+const listEvents = ({ type, limit = 100 } = {}) =>
+    eventsRepo.all()
+        .filter(e => !type || e.type === type)
+        .reverse()
+        .slice(0, limit);
+
+module.exports = {
+    recordEvent,
+    listEvents,
+};
@@ -0,0 +1,149 @@
+/**
+ * compliance.js
+ * --------------
+ * Evaluates a sample's parameter results against a drinking-water
+ * standards profile.
+ *
+ * Profiles are plain JSON files in backend/standards/ — one per standard,
+ * each listing an acceptable and a permissible { min, max } range per
+ * parameter. Adding a new profile means adding a file; no code changes.
+ *
+ * Per-parameter verdicts:
+ *   acceptable   – within the acceptable limit
+ *   permissible  – outside the acceptable limit but within the permissible one
+ *   exceeds      – outside the permissible limit
+ *   not-covered  – the profile has no limit for this parameter
+ *
+ * Overall result:
+ *   unsafe                – any parameter exceeds its permissible limit
+ *   conditionally-potable – any parameter is only within the permissible limit
+ *   potable               – every evaluated parameter is acceptable
+ *   not-evaluated         – the profile covers none of the sample's parameters
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PARAMETERS } = require('./samples');
+
+const STANDARDS_DIR = path.join(__dirname, 'standards');
+const DEFAULT_STANDARD = 'bis-is10500-2012';
+
+// ── Profile loading ───────────────────────────────────────────────────────────
+let profiles = null;
+
+// Reject profiles whose limits are not in the units samples are stored in
+const checkProfile = (profile, file) => {
+    if (!profile.id || !profile.name || typeof profile.parameters !== 'object') {
+        throw new Error(`${file}: a standards profile needs id, name and parameters.`);
+    }
+    for (const [key, limits] of Object.entries(profile.parameters)) {
+        if (!Object.hasOwn(PARAMETERS, key)) {
+            throw new Error(`${file}: unknown parameter "${key}".`);
+        }
+        if (limits.unit !== PARAMETERS[key].unit) {
+            throw new Error(`${file}: ${key} limits must be given in ${PARAMETERS[key].unit}.`);
+        }
+    }
+};
+
+/**
+ * All standards profiles, keyed by id. Loaded once from backend/standards/.
+ * @returns {Object<string, object>}
+ */
+const loadStandards = () => {
+    if (profiles) return profiles;
+
+    profiles = {};
+    for (const file of fs.readdirSync(STANDARDS_DIR).filter(f => f.endsWith('.json'))) {
+        const profile = JSON.parse(fs.readFileSync(path.join(STANDARDS_DIR, file), 'utf-8'));
+        checkProfile(profile, file);
+        profiles[profile.id] = profile;
+    }
+    return profiles;
+};
+
+/**
+ * One profile by id, or null. Ids come from requests, so only own keys count
+ * ("toString" is not a profile).
+ * @returns {object|null}
+ */
+const getStandard = (standardId) => {
+    const standards = loadStandards();
+    return Object.hasOwn(standards, standardId) ? standards[standardId] : null;
+};
+
+/**
+ * Summary of every profile for GET /api/standards.
+ */
+const listStandards = () =>
+    Object.values(loadStandards()).map(({ id, name, description, notes }) => ({
+        id,
+        name,
+        description,
+        notes: notes || null,
+        default: id === DEFAULT_STANDARD,
+    }));
+
+// ── Evaluation ────────────────────────────────────────────────────────────────
+const within = (value, range) =>
+    (range.min === undefined || value >= range.min) &&
+    (range.max === undefined || value <= range.max);
+
+/**
+ * Classify a single value against one parameter's limits.
+ * @returns {'acceptable'|'permissible'|'exceeds'|'not-covered'}
+ */
+const classify = (value, limits) => {
+    if (!limits) return 'not-covered';
+    if (within(value, limits.acceptable)) return 'acceptable';
+    if (within(value, limits.permissible || limits.acceptable)) return 'permissible';
+    return 'exceeds';
+};
+
+/**
+ * Evaluate a sample's parameters against a standards profile.
+ *
+ * @param {{ parameters: Object<string, { value: number, unit: string }> }} sample
+ * @param {string} [standardId] - Profile id (defaults to BIS IS 10500:2012)
+ * @returns {{ standard: { id: string, name: string }, overall: string, parameters: object }}
+ */
+const evaluateSample = (sample, standardId = DEFAULT_STANDARD) => {
+    const profile = getStandard(standardId);
+    if (!profile) {
+        throw new RangeError(`standard must be one of: ${Object.keys(loadStandards()).join(', ')}.`);
+    }
+
+    const parameters = {};
+    for (const [key, result] of Object.entries(sample.parameters || {})) {
+        const limits = Object.hasOwn(profile.parameters, key) ? profile.parameters[key] : null;
+        parameters[key] = {
+            label: PARAMETERS[key]?.label || key,
+            value: result.value,
+            unit: result.unit,
+            verdict: classify(result.value, limits),
+            acceptable: limits ? limits.acceptable : null,
+            permissible: limits ? limits.permissible || limits.acceptable : null,
+        };
+    }
+
+    const verdicts = Object.values(parameters).map(p => p.verdict);
+    let overall = 'potable';
+    if (verdicts.every(v => v === 'not-covered')) overall = 'not-evaluated';
+    else if (verdicts.includes('exceeds')) overall = 'unsafe';
+    else if (verdicts.includes('permissible')) overall = 'conditionally-potable';
+
+    return {
+        standard: { id: profile.id, name: profile.name },
+        overall,
+        parameters,
+    };
+};
+
+module.exports = {
+    DEFAULT_STANDARD,
+    loadStandards,
+    getStandard,
+    listStandards,
+    classify,
+    evaluateSample,
+};
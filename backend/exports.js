@@ -0,0 +1,440 @@
+/**
+ * exports.js
+ * -----------
+ * Downloadable exports of the station catalog, the bundled readings and a
+ * user's own samples:
+ *
+ *   - GeoJSON FeatureCollections of stations (with the latest value of
+ *     each of their series) or samples
+ *   - KML of the same, for Google Earth – one folder per dataset
+ *   - CSV of readings or samples for any filter and date range
+ *
+ * Every row / feature carries its provenance: the agency that published
+ * it (`agencyName`), when it was fetched (`fetchedAt`) and what was
+ * measured (`datatypeCode`), with `fetchedAtSource` saying where the
+ * fetch date comes from:
+ *
+ *   ingest   – the time the ingest CLI fetched the district from India-WRIS
+ *   unknown  – the source file doesn't record it; fetchedAt is null
+ *   sample   – user-submitted samples: the time the sample was saved
+ *
+ * The parameter key ("ph", "tds", ...) is a sample result's datatypeCode.
+ *
+ * Readings CSVs are produced in keyset-paginated batches so a request for
+ * the whole store never holds more than one batch in memory, and never
+ * keeps a store cursor open while waiting for the client to catch up.
+ */
+
+const { filterClause, findStations, getStation } = require('./stations');
+const { openStore } = require('./store');
+const { normaliseBound } = require('./readings');
+const { PARAMETERS, filterSamples } = require('./samples');
+
+const FORMATS = {
+    stations: ['geojson', 'kml'],
+    readings: ['csv'],
+    samples: ['csv', 'geojson', 'kml'],
+};
+
+const CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    geojson: 'application/geo+json',
+    kml: 'application/vnd.google-earth.kml+xml',
+};
+
+// Rows fetched from the store per CSV chunk
+const BATCH_SIZE = 5000;
+
+const SAMPLE_AGENCY = 'User-submitted sample';
+
+// fetchedAt for a station (alias `s`): when ingest fetched its district, null when not recorded
+const FETCHED_AT = `
+    (SELECT MAX(d.fetchedAt) FROM districts d
+        WHERE d.source = s.source AND UPPER(d.district) = UPPER(s.district))
+`;
+
+const fetchedAtSource = (fetchedAt) => (fetchedAt ? 'ingest' : 'unknown');
+
+const READING_COLUMNS = [
+    'stationCode', 'stationName', 'dataset', 'state', 'district', 'latitude', 'longitude',
+    'datatypeCode', 'description', 'unit', 'time', 'value', 'agencyName', 'fetchedAt', 'fetchedAtSource', 'source',
+];
+
+const SAMPLE_COLUMNS = [
+    'sampleId', 'collectedAt', 'sourceType', 'stationCode', 'state', 'district', 'latitude', 'longitude',
+    'datatypeCode', 'description', 'unit', 'value', 'agencyName', 'fetchedAt', 'fetchedAtSource', 'notes',
+];
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+const validateFormat = (kind, format) => {
+    if (!FORMATS[kind].includes(format)) {
+        throw new RangeError(`format must be one of: ${FORMATS[kind].join(', ')}.`);
+    }
+};
+
+const csvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (values) => `${values.map(csvCell).join(',')}\n`;
+
+const xml = (value) =>
+    String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+
+const hasPosition = (item) => Number.isFinite(item.latitude) && Number.isFinite(item.longitude);
+
+const point = (item) => (hasPosition(item) ? { type: 'Point', coordinates: [item.longitude, item.latitude] } : null);
+
+// "Andhra Pradesh" → "andhra-pradesh", for file names
+const slug = (text) => String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+const filename = (kind, scope, format) =>
+    `${[kind, ...scope.filter(Boolean).map(slug)].join('-')}-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+/**
+ * A KML document: one folder per group, one placemark per item. Items
+ * without coordinates can't be placed and are left out.
+ *
+ * @param {string} name - Document name
+ * @param {{ name: string, placemarks: { name, description, data: object, latitude, longitude }[] }[]} folders
+ */
+const toKml = (name, folders) => {
+    const placemark = (p) => [
+        '      <Placemark>',
+        `        <name>${xml(p.name)}</name>`,
+        `        <description>${xml(p.description)}</description>`,
+        '        <ExtendedData>',
+        ...Object.entries(p.data).filter(([, value]) => value !== null && value !== undefined).map(([key, value]) =>
+            `          <Data name="${xml(key)}"><value>${xml(value)}</value></Data>`),
+        '        </ExtendedData>',
+        `        <Point><coordinates>${p.longitude},${p.latitude},0</coordinates></Point>`,
+        '      </Placemark>',
+    ].join('\n');
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2">',
+        '  <Document>',
+        `    <name>${xml(name)}</name>`,
+        ...folders.map(folder => [
+            '    <Folder>',
+            `      <name>${xml(folder.name)}</name>`,
+            ...folder.placemarks.filter(hasPosition).map(placemark),
+            '    </Folder>',
+        ].join('\n')),
+        '  </Document>',
+        '</kml>',
+        '',
+    ].join('\n');
+};
+
+// ── Stations ──────────────────────────────────────────────────────────────────
+
+/**
+ * Stations matching the catalog filters, with their provenance and the
+ * latest value of every series (main series – the one with the most
+ * readings – first).
+ */
+const stationsWithLatest = (query) => {
+    const stations = findStations(query);
+    const db = openStore();
+    const fetchedAt = db.prepare(`SELECT ${FETCHED_AT} FROM stations s WHERE s.stationCode = ?`).pluck();
+    const latest = db.prepare(`
+        SELECT p.datatypeCode, d.description, d.unit, p.readingCount, p.lastTime AS latestTime,
+               (SELECT r.value FROM readings r
+                    WHERE r.stationCode = p.stationCode AND r.datatypeCode = p.datatypeCode AND r.time = p.lastTime
+                    LIMIT 1) AS latestValue
+        FROM series p
+        LEFT JOIN datatypes d ON d.datatypeCode = p.datatypeCode
+        WHERE p.stationCode = ?
+        ORDER BY p.readingCount DESC, p.datatypeCode
+    `);
+
+    return stations.map(station => ({
+        ...station,
+        fetchedAt: fetchedAt.get(station.stationCode),
+        series: latest.all(station.stationCode),
+    }));
+};
+
+const stationProperties = (station) => {
+    const main = station.series[0] || {};
+    return {
+        stationCode: station.stationCode,
+        stationName: station.stationName,
+        dataset: station.dataset,
+        stationType: station.stationType,
+        state: station.state,
+        district: station.district,
+        wellType: station.wellType,
+        wellDepth: station.wellDepth,
+        wellAquiferType: station.wellAquiferType,
+        stationStatus: station.stationStatus,
+        agencyName: station.agencyName,
+        fetchedAt: station.fetchedAt,
+        fetchedAtSource: fetchedAtSource(station.fetchedAt),
+        datatypeCode: main.datatypeCode ?? null,
+        unit: main.unit ?? null,
+        latestValue: main.latestValue ?? null,
+        latestTime: main.latestTime ?? null,
+    };
+};
+
+/**
+ * Export the station catalog.
+ *
+ * @param {object} query - Catalog filters (see stations.listStations) plus `format`
+ * @returns {{ filename: string, contentType: string, body: string }}
+ * @throws {RangeError} On an unknown format or dataset
+ */
+const exportStations = (query = {}) => {
+    const format = query.format || 'geojson';
+    validateFormat('stations', format);
+    const stations = stationsWithLatest(query);
+    const name = filename('stations', [query.dataset, query.state, query.district], format);
+
+    if (format === 'kml') {
+        const datasets = [...new Set(stations.map(s => s.dataset))];
+        const body = toKml('India-WRIS monitoring stations', datasets.map(dataset => ({
+            name: dataset,
+            placemarks: stations.filter(s => s.dataset === dataset).map(s => {
+                const properties = stationProperties(s);
+                return {
+                    name: s.stationName || s.stationCode,
+                    description: properties.latestValue === null
+                        ? `${s.district}, ${s.state} – no readings`
+                        : `${s.district}, ${s.state} – ${properties.latestValue} ${properties.unit || ''} ` +
+                          `(${properties.datatypeCode}) on ${properties.latestTime}`,
+                    data: properties,
+                    latitude: s.latitude,
+                    longitude: s.longitude,
+                };
+            }),
+        })));
+        return { filename: name, contentType: CONTENT_TYPES.kml, body };
+    }
+
+    const collection = {
+        type: 'FeatureCollection',
+        metadata: { generatedAt: new Date().toISOString(), count: stations.length },
+        features: stations.map(s => ({
+            type: 'Feature',
+            id: s.stationCode,
+            geometry: point(s),
+            properties: {
+                ...stationProperties(s),
+                series: s.series.map(({ datatypeCode, description, unit, latestValue, latestTime }) =>
+                    ({ datatypeCode, description, unit, latestValue, latestTime })),
+            },
+        })),
+    };
+    return { filename: name, contentType: CONTENT_TYPES.geojson, body: JSON.stringify(collection) };
+};
+
+// ── Readings ──────────────────────────────────────────────────────────────────
+
+/**
+ * Prepare a readings CSV export. Validates the query up front, so errors
+ * can still become a 400 before anything is sent.
+ *
+ * @param {object} query - stationCode, or the catalog filters (dataset,
+ *                         state, district, agency, ...); datatypeCode,
+ *                         from, to, format ('csv')
+ * @returns {{ filename: string, contentType: string, chunks: () => Iterable<string> }|null}
+ *          null when stationCode names an unknown station
+ * @throws {RangeError} On an invalid format, dataset, datatypeCode or date bound
+ */
+const exportReadings = (query = {}) => {
+    validateFormat('readings', query.format || 'csv');
+    const from = normaliseBound(query.from, 'from', false);
+    const to = normaliseBound(query.to, 'to', true);
+    if (from && to && from > to) {
+        throw new RangeError('from must not be later than to.');
+    }
+
+    const db = openStore();
+    if (query.datatypeCode) {
+        const codes = db.prepare('SELECT datatypeCode FROM datatypes ORDER BY datatypeCode').pluck().all();
+        if (!codes.includes(query.datatypeCode)) {
+            throw new RangeError(`datatypeCode must be one of: ${codes.join(', ')}.`);
+        }
+    }
+
+    const where = [];
+    const params = [];
+    let scope;
+    if (query.stationCode) {
+        const station = getStation(query.stationCode);
+        if (!station) return null;
+        where.push('r.stationCode = ?');
+        params.push(station.stationCode);
+        scope = [station.stationCode];
+    } else {
+        const filters = filterClause(query);
+        if (filters.clause) {
+            where.push(filters.clause.replace(/^WHERE /, ''));
+            params.push(...filters.params);
+        }
+        scope = [query.dataset, query.state, query.district];
+    }
+    if (query.datatypeCode) {
+        where.push('r.datatypeCode = ?');
+        params.push(query.datatypeCode);
+    }
+    if (from) {
+        where.push('r.time >= ?');
+        params.push(from);
+    }
+    if (to) {
+        where.push('r.time <= ?');
+        params.push(to);
+    }
+
+    const batch = db.prepare(`
+        SELECT r.rowid AS rowId, r.stationCode, s.stationName, s.dataset, s.state, s.district,
+               s.latitude, s.longitude, r.datatypeCode, d.description, d.unit, r.time, r.value,
+               s.agencyName, ${FETCHED_AT} AS fetchedAt, r.source
+        FROM readings r
+        JOIN stations s ON s.stationCode = r.stationCode
+        LEFT JOIN datatypes d ON d.datatypeCode = r.datatypeCode
+        WHERE (r.stationCode, r.datatypeCode, r.time, r.rowid) > (?, ?, ?, ?)
+              ${where.map(condition => `AND (${condition})`).join(' ')}
+        ORDER BY r.stationCode, r.datatypeCode, r.time, r.rowid
+        LIMIT ${BATCH_SIZE}
+    `);
+
+    function* chunks() {
+        yield csvRow(READING_COLUMNS);
+        let after = ['', '', '', 0];
+        for (;;) {
+            const rows = batch.all(...after, ...params);
+            if (!rows.length) return;
+            yield rows.map(row => csvRow(READING_COLUMNS.map(column =>
+                (column === 'fetchedAtSource' ? fetchedAtSource(row.fetchedAt) : row[column])))).join('');
+            const last = rows.at(-1);
+            after = [last.stationCode, last.datatypeCode, last.time, last.rowId];
+        }
+    }
+
+    return { filename: filename('readings', scope, 'csv'), contentType: CONTENT_TYPES.csv, chunks };
+};
+
+// ── Samples ───────────────────────────────────────────────────────────────────
+const sampleProvenance = (sample) => ({
+    agencyName: SAMPLE_AGENCY,
+    fetchedAt: sample.createdAt || null,
+    fetchedAtSource: 'sample',
+});
+
+/**
+ * Export a user's samples. The CSV has one row per parameter result
+ * (datatypeCode = parameter key); GeoJSON / KML one feature per sample.
+ *
+ * @param {object[]} samples - The caller's own samples
+ * @param {object} query - stationCode, sourceType, from, to (see samples.filterSamples) plus `format`
+ * @returns {{ filename: string, contentType: string, body?: string, chunks?: () => Iterable<string> }}
+ * @throws {RangeError} On an invalid format or date bound
+ */
+const exportSamples = (samples, query = {}) => {
+    const format = query.format || 'csv';
+    validateFormat('samples', format);
+    const selected = filterSamples(samples, query);
+    const name = filename('samples', [query.stationCode, query.sourceType], format);
+
+    if (format === 'csv') {
+        function* chunks() {
+            yield csvRow(SAMPLE_COLUMNS);
+            for (const s of selected) {
+                const provenance = sampleProvenance(s);
+                yield Object.entries(s.parameters || {}).map(([key, result]) => csvRow([
+                    s.id, s.collectedAt, s.sourceType, s.stationCode, s.state, s.district, s.latitude, s.longitude,
+                    key, PARAMETERS[key]?.label ?? key, result?.unit, result?.value,
+                    provenance.agencyName, provenance.fetchedAt, provenance.fetchedAtSource, s.notes,
+                ])).join('');
+            }
+        }
+        return { filename: name, contentType: CONTENT_TYPES.csv, chunks };
+    }
+
+    const properties = (s) => ({
+        sampleId: s.id,
+        collectedAt: s.collectedAt,
+        sourceType: s.sourceType,
+        stationCode: s.stationCode,
+        state: s.state,
+        district: s.district,
+        ...sampleProvenance(s),
+        datatypeCodes: Object.keys(s.parameters || {}),
+        notes: s.notes,
+    });
+
+    if (format === 'kml') {
+        const sourceTypes = [...new Set(selected.map(s => s.sourceType))];
+        const body = toKml('Water-quality samples', sourceTypes.map(sourceType => ({
+            name: sourceType,
+            placemarks: selected.filter(s => s.sourceType === sourceType).map(s => {
+                const results = Object.fromEntries(Object.entries(s.parameters || {})
+                    .map(([key, result]) => [key, `${result.value} ${result.unit}`]));
+                return {
+                    name: `${sourceType} sample, ${s.collectedAt.slice(0, 10)}`,
+                    description: Object.entries(results).map(([key, value]) => `${key}: ${value}`).join(', '),
+                    data: { ...properties(s), datatypeCodes: Object.keys(results).join(','), ...results },
+                    latitude: s.latitude,
+                    longitude: s.longitude,
+                };
+            }),
+        })));
+        return { filename: name, contentType: CONTENT_TYPES.kml, body };
+    }
+
+    const collection = {
+        type: 'FeatureCollection',
+        metadata: { generatedAt: new Date().toISOString(), count: selected.length },
+        features: selected.map(s => ({
+            type: 'Feature',
+            id: s.id,
+            geometry: point(s),
+            properties: { ...properties(s), parameters: s.parameters || {} },
+        })),
+    };
+    return { filename: name, contentType: CONTENT_TYPES.geojson, body: JSON.stringify(collection) };
+};
+
+/**
+ * Write an export's chunks to a response, waiting for the socket to drain
+ * whenever its buffer is full. Stops early if the client goes away.
+ *
+ * @param {import('http').ServerResponse} res
+ * @param {() => Iterable<string>} chunks
+ */
+const streamChunks = async (res, chunks) => {
+    for (const chunk of chunks()) {
+        if (res.destroyed) return;
+        if (!res.write(chunk)) {
+            await new Promise(resolve => {
+                const done = () => {
+                    res.off('drain', done);
+                    res.off('close', done);
+                    resolve();
+                };
+                res.on('drain', done);
+                res.on('close', done);
+            });
+        }
+    }
+    res.end();
+};
+
+module.exports = {
+    FORMATS,
+    exportStations,
+    exportReadings,
+    exportSamples,
+    streamChunks,
+};
@@ -0,0 +1,110 @@
+/**
+ * gazetteer.js
+ * -------------
+ * Offline place lookup: turns the city and state on a user's profile into
+ * coordinates, without calling an external geocoder.
+ *
+ * Towns come from the bundled backend/gazetteer/india-cities.json (name,
+ * state, coordinates and alternative spellings such as "Bombay" or
+ * "Gurgaon"). A city that isn't listed falls back to the centre of the
+ * stations in the district of that name, then to the centre of the
+ * state's stations or, for states without any, the state capital (listed
+ * first for each state) – good enough for "stations near you", and
+ * flagged as approximate.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getCatalog } = require('./stations');
+
+const GAZETTEER_FILE = path.join(__dirname, 'gazetteer', 'india-cities.json');
+
+let cities = null;
+
+// "Dehra Dun", "dehradun" and "DEHRADUN." all compare equal
+const normalise = (name) => String(name || '').toLowerCase().replace(/&/g, 'and').replace(/[^a-z]/g, '');
+
+const loadCities = () => {
+    if (!cities) {
+        const json = JSON.parse(fs.readFileSync(GAZETTEER_FILE, 'utf8'));
+        cities = json.cities.map(city => ({
+            ...city,
+            keys: [city.name, ...(city.aliases || [])].map(normalise),
+        }));
+    }
+    return cities;
+};
+
+const centreOf = (stations) => ({
+    latitude: Math.round((stations.reduce((sum, s) => sum + s.latitude, 0) / stations.length) * 100) / 100,
+    longitude: Math.round((stations.reduce((sum, s) => sum + s.longitude, 0) / stations.length) * 100) / 100,
+});
+
+/**
+ * Coordinates for a city.
+ * @param {string} city
+ * @param {string} [state] - Disambiguates towns with the same name
+ * @returns {object|null} { name, state, latitude, longitude, source, approximate },
+ *                        null when nothing matches
+ */
+const resolvePlace = (city, state) => {
+    const key = normalise(city);
+    const stateKey = normalise(state);
+    if (!key && !stateKey) return null;
+
+    if (key) {
+        const matches = loadCities().filter(c => c.keys.includes(key));
+        const match = matches.find(c => normalise(c.state) === stateKey) || (stateKey ? null : matches[0]);
+        if (match) {
+            return {
+                name: match.name,
+                state: match.state,
+                latitude: match.latitude,
+                longitude: match.longitude,
+                source: 'gazetteer',
+                approximate: false,
+            };
+        }
+    }
+
+    const stations = getCatalog().filter(s =>
+        s.latitude != null && s.longitude != null && (!stateKey || normalise(s.state) === stateKey));
+
+    const inDistrict = key ? stations.filter(s => normalise(s.district) === key) : [];
+    if (inDistrict.length) {
+        return {
+            name: inDistrict[0].district,
+            state: inDistrict[0].state,
+            ...centreOf(inDistrict),
+            source: 'district-stations',
+            approximate: true,
+        };
+    }
+    if (stateKey && stations.length) {
+        return {
+            name: stations[0].state,
+            state: stations[0].state,
+            ...centreOf(stations),
+            source: 'state-stations',
+            approximate: true,
+        };
+    }
+
+    // No stations either: the state's first listed town (its capital)
+    const capital = stateKey && loadCities().find(c => normalise(c.state) === stateKey);
+    if (capital) {
+        return {
+            name: capital.name,
+            state: capital.state,
+            latitude: capital.latitude,
+            longitude: capital.longitude,
+            source: 'state-capital',
+            approximate: true,
+        };
+    }
+    return null;
+};
+
+module.exports = {
+    resolvePlace,
+};
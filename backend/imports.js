@@ -0,0 +1,267 @@
+/**
+ * imports.js
+ * -----------
+ * Bulk import of lab results from CSV / XLSX spreadsheets.
+ *
+ * Flow (driven by the /api/imports endpoints and the React import wizard):
+ *  1. parseFile()      – read the upload into column names + row objects
+ *  2. suggestMapping() – guess which column holds which sample field
+ *  3. validateRows()   – apply the user's column/unit mapping and run every
+ *                        row through validateSample(), collecting errors
+ *  4. the server saves all valid rows in a single write
+ *
+ * Parsed uploads are kept in memory for IMPORT_TTL_MS so the user can
+ * adjust the mapping and re-validate without uploading again.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { parse: parseCsv } = require('csv-parse/sync');
+const { PARAMETERS, SOURCE_TYPES, validateSample } = require('./samples');
+
+const MAX_ROWS = 5000;
+const IMPORT_TTL_MS = 60 * 60 * 1000;
+
+// Sample fields a column can be mapped to (parameters are mapped separately)
+const FIELDS = ['collectedAt', 'latitude', 'longitude', 'sourceType', 'stationCode', 'state', 'district', 'notes'];
+
+// Header spellings recognised by suggestMapping(), compared lower-case
+// with spaces, dots, dashes and underscores removed
+const FIELD_ALIASES = {
+    collectedAt: ['collectedat', 'date', 'datetime', 'sampledate', 'collectiondate', 'collectiontime', 'samplingdate', 'time'],
+    latitude: ['latitude', 'lat'],
+    longitude: ['longitude', 'lon', 'lng', 'long'],
+    sourceType: ['sourcetype', 'source', 'watersource'],
+    stationCode: ['stationcode', 'station', 'stationid'],
+    state: ['state'],
+    district: ['district'],
+    notes: ['notes', 'remarks', 'comments', 'comment'],
+};
+
+const PARAMETER_ALIASES = {
+    ph: ['ph'],
+    tds: ['tds', 'totaldissolvedsolids', 'ec', 'conductivity', 'electricalconductivity'],
+    turbidity: ['turbidity', 'turb'],
+    hardness: ['hardness', 'totalhardness', 'th'],
+    chloride: ['chloride', 'cl'],
+    nitrate: ['nitrate', 'no3'],
+    fluoride: ['fluoride', 'f'],
+    iron: ['iron', 'fe'],
+    arsenic: ['arsenic', 'as'],
+    coliform: ['coliform', 'totalcoliform', 'tc'],
+};
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+const normaliseHeader = (header) =>
+    String(header).toLowerCase().replace(/\(.*?\)/g, '').replace(/[\s._-]+/g, '');
+
+// Pull a unit out of a header such as "TDS (ppm)" or "Arsenic [µg/L]"
+const unitFromHeader = (header, key) => {
+    const match = String(header).match(/[([]\s*([^)\]]+?)\s*[)\]]/);
+    if (!match || !Object.hasOwn(PARAMETERS, key)) return null;
+    const wanted = match[1].replace(/^ug\//i, 'µg/').replace(/\s+/g, '').toLowerCase();
+    return Object.keys(PARAMETERS[key].units).find(u => u.toLowerCase() === wanted) || null;
+};
+
+const cellToValue = (cell) => {
+    if (cell === null || cell === undefined) return '';
+    if (cell instanceof Date) return cell;
+    if (typeof cell === 'object') {
+        // ExcelJS rich text, hyperlinks and formulas
+        if (cell.result !== undefined) return cellToValue(cell.result);
+        if (cell.text !== undefined) return cell.text;
+        if (Array.isArray(cell.richText)) return cell.richText.map(r => r.text).join('');
+    }
+    return cell;
+};
+
+/**
+ * Parse a date cell. Accepts Date objects (XLSX), ISO strings and
+ * day-first dates ("31/05/2024 10:30"), or month-first when dateFormat is 'MDY'.
+ * @returns {string|null} ISO timestamp
+ */
+const parseDate = (value, dateFormat = 'DMY') => {
+    if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value.toISOString();
+    const text = String(value).trim();
+    if (!text) return null;
+
+    const m = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+    if (m) {
+        const [, a, b, y, hh = '0', mm = '0', ss = '0'] = m;
+        const [day, month] = dateFormat === 'MDY' ? [b, a] : [a, b];
+        const year = y.length === 2 ? 2000 + Number(y) : Number(y);
+        const date = new Date(year, Number(month) - 1, Number(day), Number(hh), Number(mm), Number(ss));
+        return date.getMonth() === Number(month) - 1 ? date.toISOString() : null;
+    }
+
+    const date = new Date(text);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+// ── Parsing ───────────────────────────────────────────────────────────────────
+/**
+ * Read an uploaded spreadsheet.
+ *
+ * @param {Buffer} buffer
+ * @param {string} filename - Used to pick the CSV or XLSX parser
+ * @returns {Promise<{ columns: string[], rows: object[] }>}
+ */
+const parseFile = async (buffer, filename) => {
+    const ext = path.extname(filename || '').toLowerCase();
+    let table;
+
+    if (ext === '.csv' || ext === '.txt') {
+        table = parseCsv(buffer, { bom: true, skip_empty_lines: true, relax_column_count: true, trim: true });
+    } else if (ext === '.xlsx') {
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(buffer);
+        const sheet = workbook.worksheets[0];
+        if (!sheet) throw new RangeError('The workbook has no sheets.');
+        table = [];
+        sheet.eachRow({ includeEmpty: false }, (row) => {
+            // row.values is 1-based
+            table.push(row.values.slice(1).map(cellToValue));
+        });
+    } else {
+        throw new RangeError('Only .csv and .xlsx files can be imported.');
+    }
+
+    if (table.length < 2) {
+        throw new RangeError('The file needs a header row and at least one data row.');
+    }
+    if (table.length - 1 > MAX_ROWS) {
+        throw new RangeError(`A single import is limited to ${MAX_ROWS} rows.`);
+    }
+
+    const columns = table[0].map((h, i) => String(h || '').trim() || `Column ${i + 1}`);
+    const rows = table.slice(1).map(cells =>
+        Object.fromEntries(columns.map((col, i) => [col, cellToValue(cells[i])]))
+    );
+    return { columns, rows };
+};
+
+/**
+ * Guess a mapping from the header names.
+ * @returns {{ fields: object, parameters: object, defaults: object, dateFormat: string }}
+ */
+const suggestMapping = (columns) => {
+    const mapping = { fields: {}, parameters: {}, defaults: {}, dateFormat: 'DMY' };
+
+    for (const column of columns) {
+        const key = normaliseHeader(column);
+        const field = FIELDS.find(f => FIELD_ALIASES[f].includes(key));
+        if (field && !mapping.fields[field]) {
+            mapping.fields[field] = column;
+            continue;
+        }
+        const param = Object.keys(PARAMETER_ALIASES).find(p => PARAMETER_ALIASES[p].includes(key));
+        if (param && Object.hasOwn(PARAMETERS, param) && !mapping.parameters[param]) {
+            const unit = unitFromHeader(column, param) ||
+                (['ec', 'conductivity', 'electricalconductivity'].includes(key) ? 'µS/cm' : PARAMETERS[param].unit);
+            mapping.parameters[param] = { column, unit };
+        }
+    }
+    return mapping;
+};
+
+// ── Validation ────────────────────────────────────────────────────────────────
+/**
+ * Turn one spreadsheet row into a request body for validateSample().
+ */
+const rowToSample = (row, mapping) => {
+    const fields = mapping.fields || {};
+    const defaults = mapping.defaults || {};
+    // Mapped column names come from the client; only the row's own cells count
+    const cell = (column) => (column && Object.hasOwn(row, column) ? row[column] : '');
+    const get = (field) => {
+        const value = cell(fields[field]);
+        return value === '' || value === undefined ? defaults[field] ?? '' : value;
+    };
+
+    const rawDate = get('collectedAt');
+    const sourceType = String(get('sourceType')).trim().toLowerCase();
+
+    const parameters = {};
+    for (const [key, { column, unit } = {}] of Object.entries(mapping.parameters || {})) {
+        if (!column || !Object.hasOwn(PARAMETERS, key)) continue;
+        const value = cell(column);
+        if (value === '' || value === undefined || value === null) continue;
+        parameters[key] = { value: typeof value === 'string' ? value.replace(/,/g, '') : value, unit };
+    }
+
+    return {
+        collectedAt: rawDate === '' ? '' : parseDate(rawDate, mapping.dateFormat) || 'invalid',
+        latitude: get('latitude'),
+        longitude: get('longitude'),
+        sourceType: SOURCE_TYPES.find(t => sourceType.startsWith(t)) || sourceType,
+        stationCode: get('stationCode'),
+        state: get('state'),
+        district: get('district'),
+        notes: get('notes'),
+        parameters,
+    };
+};
+
+/**
+ * Validate every row against a mapping.
+ *
+ * @param {object[]} rows
+ * @param {object} mapping - See suggestMapping()
+ * @param {object} [options] - Passed through to validateSample()
+ * @returns {{ results: { row: number, errors: object, sample: object|null }[], valid: number, invalid: number }}
+ *          `row` is the 1-based spreadsheet row number (header is row 1).
+ */
+const validateRows = (rows, mapping, options = {}) => {
+    const results = rows.map((row, i) => {
+        const { errors, sample } = validateSample(rowToSample(row, mapping), options);
+        return { row: i + 2, errors, sample };
+    });
+    const valid = results.filter(r => r.sample).length;
+    return { results, valid, invalid: results.length - valid };
+};
+
+// ── Pending uploads ───────────────────────────────────────────────────────────
+const pending = new Map();
+
+const purgeExpired = () => {
+    const now = Date.now();
+    for (const [id, entry] of pending) {
+        if (entry.expiresAt < now) pending.delete(id);
+    }
+};
+
+/**
+ * Keep a parsed upload for later validate / commit calls.
+ * @returns {string} Import id
+ */
+const storeUpload = (userEmail, filename, parsed) => {
+    purgeExpired();
+    const id = crypto.randomUUID();
+    pending.set(id, { id, userEmail, filename, ...parsed, expiresAt: Date.now() + IMPORT_TTL_MS });
+    return id;
+};
+
+/**
+ * Fetch a pending upload owned by the given user.
+ * @returns {object|null}
+ */
+const getUpload = (id, userEmail) => {
+    purgeExpired();
+    const entry = pending.get(id);
+    return entry && entry.userEmail === userEmail ? entry : null;
+};
+
+const discardUpload = (id) => pending.delete(id);
+
+module.exports = {
+    FIELDS,
+    parseFile,
+    parseDate,
+    suggestMapping,
+    rowToSample,
+    validateRows,
+    storeUpload,
+    getUpload,
+    discardUpload,
+};
@@ -0,0 +1,383 @@
+/**
+ * ingest.js
+ * ----------
+ * Downloads groundwater-level and rainfall readings from the India-WRIS
+ * dataset API into backend/<dataset>_data/<State>.json — the files the
+ * station and readings APIs are built on.
+ *
+ * Compared with the original Flask job (fetch_api_data) this version:
+ *  - pages through results instead of stopping at the first 500 rows
+ *  - retries timeouts, 429s and 5xx responses with exponential backoff
+ *  - can re-fetch only the districts stored as { error } by a previous run,
+ *    or as { truncated } when paging hit maxPages before the last page
+ *  - returns (and optionally writes) a per-run summary report
+ *
+ * CLI:
+ *   node backend/ingest.js <groundwater|rainfall|all> [options]
+ *
+ *   --only-failed       re-fetch only districts whose last fetch failed or
+ *                       was truncated
+ *   --state "<name>"    limit the run to one state (repeatable)
+ *   --report <file>     also write the summary report as JSON
+ *   --base-url <url>    API root (default https://indiawris.gov.in)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// ── API configuration ─────────────────────────────────────────────────────────
+const DEFAULT_BASE_URL = process.env.WRIS_BASE_URL || 'https://indiawris.gov.in';
+
+const START_DATE = '2024-01-01';
+const END_DATE = '2025-12-31';
+const PAGE_SIZE = 500;
+
+const API_CONFIG = {
+    groundwater: { endpoint: 'Ground Water Level', agency: 'CGWB' },
+    rainfall: { endpoint: 'RainFall', agency: 'CWC' },
+};
+
+// ── States and districts to fetch (3 districts each) ──────────────────────────
+const STATES_DATA = [
+    { state: 'Andhra Pradesh', districts: ['Visakhapatnam', 'Guntur', 'Krishna'] },
+    { state: 'Telangana', districts: ['Hyderabad', 'Warangal', 'Nizamabad'] },
+    { state: 'Odisha', districts: ['Baleshwar', 'Cuttack', 'Khordha'] },
+    { state: 'Tamil Nadu', districts: ['Chennai', 'Coimbatore', 'Madurai'] },
+    { state: 'Maharashtra', districts: ['Mumbai', 'Pune', 'Nagpur'] },
+    { state: 'Karnataka', districts: ['Bengaluru Urban', 'Mysuru', 'Hubli'] },
+    { state: 'Uttar Pradesh', districts: ['Lucknow', 'Kanpur', 'Varanasi'] },
+    { state: 'West Bengal', districts: ['Kolkata', 'Howrah', 'Darjeeling'] },
+    { state: 'Rajasthan', districts: ['Jaipur', 'Jodhpur', 'Udaipur'] },
+    { state: 'Gujarat', districts: ['Ahmedabad', 'Surat', 'Vadodara'] },
+    { state: 'Punjab', districts: ['Ludhiana', 'Amritsar', 'Jalandhar'] },
+    { state: 'Haryana', districts: ['Gurgaon', 'Faridabad', 'Panipat'] },
+    { state: 'Bihar', districts: ['Patna', 'Gaya', 'Muzaffarpur'] },
+    { state: 'Kerala', districts: ['Thiruvananthapuram', 'Kochi', 'Kozhikode'] },
+    { state: 'Madhya Pradesh', districts: ['Bhopal', 'Indore', 'Jabalpur'] },
+    { state: 'Assam', districts: ['Kamrup', 'Dibrugarh', 'Cachar'] },
+    { state: 'Jharkhand', districts: ['Ranchi', 'Jamshedpur', 'Dhanbad'] },
+    { state: 'Chhattisgarh', districts: ['Raipur', 'Durg', 'Bilaspur'] },
+    { state: 'Himachal Pradesh', districts: ['Shimla', 'Kullu', 'Kangra'] },
+    { state: 'Uttarakhand', districts: ['Dehradun', 'Haridwar', 'Nainital'] },
+    { state: 'Goa', districts: ['North Goa', 'South Goa', 'Panaji'] },
+    { state: 'Manipur', districts: ['Imphal West', 'Imphal East', 'Churachandpur'] },
+    { state: 'Meghalaya', districts: ['East Khasi Hills', 'West Garo Hills', 'Ri Bhoi'] },
+    { state: 'Mizoram', districts: ['Aizawl', 'Lunglei', 'Champhai'] },
+    { state: 'Nagaland', districts: ['Kohima', 'Dimapur', 'Mokokchung'] },
+    { state: 'Sikkim', districts: ['East Sikkim', 'West Sikkim', 'South Sikkim'] },
+    { state: 'Tripura', districts: ['West Tripura', 'Sepahijala', 'Dhalai'] },
+    { state: 'Arunachal Pradesh', districts: ['Tawang', 'Papum Pare', 'West Siang'] },
+];
+
+const DEFAULT_OPTIONS = {
+    baseUrl: DEFAULT_BASE_URL,
+    outputDir: __dirname,
+    states: STATES_DATA,
+    startDate: START_DATE,
+    endDate: END_DATE,
+    pageSize: PAGE_SIZE,
+    maxPages: 50,
+    timeoutMs: 25000,
+    retries: 4,
+    backoffMs: 1000,
+    onlyFailed: false,
+    log: console.log,
+};
+
+const HEADERS = {
+    Accept: 'application/json',
+    'User-Agent': 'Mozilla/5.0',
+    Referer: 'https://indiawris.gov.in/',
+};
+
+// ── Errors ────────────────────────────────────────────────────────────────────
+// Thrown for failures worth retrying (timeouts, 429, 5xx, truncated bodies).
+class RetryableError extends Error {}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const stateFileName = (state) => `${state.replace(/ /g, '_')}.json`;
+
+const folderFor = (dataset, outputDir) => path.join(outputDir, `${dataset}_data`);
+
+const readStateFile = (file) => {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch {
+        return null;
+    }
+};
+
+// Write to a temp file first so the API never reads a half-written state file
+const writeStateFile = (file, content) => {
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(content, null, 4));
+    fs.renameSync(tmp, file);
+};
+
+// The API answers "no rows" with HTTP 200 and { statusCode: 500, message: 'No data found...' }
+const isNoData = (body) =>
+    body && body.statusCode !== 200 && /no data found/i.test(body.message || '');
+
+/**
+ * POST one page of results, retrying transient failures with exponential
+ * backoff (backoffMs, 2×, 4×, …).
+ *
+ * @returns {Promise<{ body: object, retries: number }>}
+ */
+const fetchPage = async (url, opts) => {
+    let retries = 0;
+
+    for (;;) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), opts.timeoutMs);
+
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: HEADERS,
+                signal: controller.signal,
+            });
+
+            if (response.status === 429 || response.status >= 500) {
+                throw new RetryableError(`HTTP ${response.status}`);
+            }
+            if (!response.ok) {
+                // 4xx other than 429 will not get better by retrying
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            let body;
+            try {
+                body = await response.json();
+            } catch {
+                throw new RetryableError('Invalid JSON');
+            }
+            return { body, retries };
+        } catch (err) {
+            const retryable = err instanceof RetryableError ||
+                err.name === 'AbortError' ||
+                err.name === 'TypeError'; // fetch() network failure
+            const message = err.name === 'AbortError'
+                ? `Read timed out. (timeout=${opts.timeoutMs}ms)`
+                : err.message;
+
+            if (!retryable || retries >= opts.retries) {
+                const final = new Error(message);
+                final.retries = retries;
+                throw final;
+            }
+
+            const delay = opts.backoffMs * 2 ** retries;
+            retries += 1;
+            opts.log(`  retry ${retries}/${opts.retries} in ${delay}ms (${message})`);
+            await sleep(delay);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+};
+
+/**
+ * Fetch every page of one district, up to opts.maxPages. When the last
+ * page fetched is still full the rows are kept but the block is marked
+ * `truncated`, as there may be more.
+ *
+ * @returns {Promise<{ block: object, pages: number, retries: number }>}
+ *          `block` is what gets stored under districts[<name>] in the state file.
+ */
+const fetchDistrict = async (dataset, state, district, opts) => {
+    const { endpoint, agency } = API_CONFIG[dataset];
+    const rows = [];
+    let pages = 0;
+    let retries = 0;
+    let message = null;
+    let truncated = true;
+
+    for (let page = 0; page < opts.maxPages; page++) {
+        const params = new URLSearchParams({
+            stateName: state,
+            districtName: district,
+            agencyName: agency,
+            startdate: opts.startDate,
+            enddate: opts.endDate,
+            download: 'false',
+            page: String(page),
+            size: String(opts.pageSize),
+        });
+        const url = `${opts.baseUrl}/Dataset/${encodeURIComponent(endpoint)}?${params}`;
+
+        const result = await fetchPage(url, opts);
+        retries += result.retries;
+        pages += 1;
+
+        if (isNoData(result.body)) {
+            if (page === 0) {
+                return { block: { ...result.body, fetchedAt: new Date().toISOString() }, pages, retries };
+            }
+            truncated = false;
+            break; // ran past the last page
+        }
+
+        const data = Array.isArray(result.body.data) ? result.body.data : [];
+        rows.push(...data);
+        message = result.body.message;
+        if (data.length < opts.pageSize) {
+            truncated = false;
+            break;
+        }
+    }
+
+    return {
+        block: {
+            statusCode: 200,
+            message: message || 'Data fetched successfully',
+            data: rows,
+            ...(truncated && { truncated: true }),
+            fetchedAt: new Date().toISOString(),
+        },
+        pages,
+        retries,
+    };
+};
+
+/**
+ * Run the ingestion job for one dataset.
+ *
+ * @param {'groundwater'|'rainfall'} dataset
+ * @param {object} [options] - Overrides for DEFAULT_OPTIONS
+ * @returns {Promise<object>} Summary report for the run
+ */
+const ingest = async (dataset, options = {}) => {
+    if (!API_CONFIG[dataset]) {
+        throw new Error(`Unknown dataset: ${dataset}`);
+    }
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    const folder = folderFor(dataset, opts.outputDir);
+    fs.mkdirSync(folder, { recursive: true });
+
+    const summary = {
+        dataset,
+        onlyFailed: opts.onlyFailed,
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        districts: { fetched: 0, empty: 0, failed: 0, skipped: 0 },
+        rows: 0,
+        pages: 0,
+        retries: 0,
+        failures: [],
+    };
+
+    for (const { state, districts } of opts.states) {
+        const file = path.join(folder, stateFileName(state));
+        const previous = readStateFile(file);
+        const result = { state, districts: { ...(previous?.districts || {}) } };
+
+        for (const district of districts) {
+            const before = previous?.districts?.[district];
+            if (opts.onlyFailed && before && !before.error && !before.truncated) {
+                summary.districts.skipped += 1;
+                continue;
+            }
+
+            try {
+                const { block, pages, retries } = await fetchDistrict(dataset, state, district, opts);
+                result.districts[district] = block;
+                summary.pages += pages;
+                summary.retries += retries;
+                summary.rows += block.data.length;
+                if (block.truncated) {
+                    // Counted as failed so the run exits non-zero and --only-failed retries it
+                    const error = `Truncated: stopped at maxPages (${pages}) on a full page`;
+                    summary.districts.failed += 1;
+                    summary.failures.push({ state, district, error });
+                    opts.log(`${state} / ${district}: ${block.data.length} rows, TRUNCATED at ${pages} page(s)`);
+                    continue;
+                }
+                summary.districts[block.data.length ? 'fetched' : 'empty'] += 1;
+                opts.log(`${state} / ${district}: ${block.data.length} rows in ${pages} page(s)`);
+            } catch (err) {
+                // Keep previously fetched rows rather than overwriting them with an error
+                if (!before || before.error) {
+                    result.districts[district] = { error: err.message };
+                }
+                summary.retries += err.retries || 0;
+                summary.districts.failed += 1;
+                summary.failures.push({ state, district, error: err.message });
+                opts.log(`${state} / ${district}: FAILED (${err.message})`);
+            }
+        }
+
+        writeStateFile(file, result);
+    }
+
+    summary.finishedAt = new Date().toISOString();
+    return summary;
+};
+
+// ── CLI ───────────────────────────────────────────────────────────────────────
+const parseArgs = (argv) => {
+    const args = { datasets: [], states: [], onlyFailed: false, report: null, baseUrl: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--only-failed') args.onlyFailed = true;
+        else if (arg === '--state') args.states.push(argv[++i]);
+        else if (arg === '--report') args.report = argv[++i];
+        else if (arg === '--base-url') args.baseUrl = argv[++i];
+        else if (arg === 'all') args.datasets.push(...Object.keys(API_CONFIG));
+        else args.datasets.push(arg);
+    }
+    return args;
+};
+
+const main = async () => {
+    const args = parseArgs(process.argv.slice(2));
+    const unknown = args.datasets.filter(d => !API_CONFIG[d]);
+
+    if (!args.datasets.length || unknown.length) {
+        console.error('Usage: node backend/ingest.js <groundwater|rainfall|all> [--only-failed] [--state "<name>"] [--report <file>] [--base-url <url>]');
+        process.exit(1);
+    }
+
+    const states = args.states.length
+        ? STATES_DATA.filter(s => args.states.includes(s.state))
+        : STATES_DATA;
+
+    const reports = [];
+    for (const dataset of args.datasets) {
+        const summary = await ingest(dataset, {
+            states,
+            onlyFailed: args.onlyFailed,
+            ...(args.baseUrl && { baseUrl: args.baseUrl }),
+        });
+        reports.push(summary);
+
+        const d = summary.districts;
+        console.log(`\n📊  ${dataset}: ${d.fetched} fetched, ${d.empty} empty, ${d.failed} failed, ` +
+            `${d.skipped} skipped — ${summary.rows} rows, ${summary.pages} pages, ${summary.retries} retries`);
+    }
+
+    if (args.report) {
+        fs.writeFileSync(args.report, JSON.stringify(reports, null, 2));
+        console.log(`📄  Report written to: ${args.report}`);
+    }
+
+    if (reports.some(r => r.districts.failed > 0)) process.exitCode = 2;
+};
+
+if (require.main === module) {
+    main().catch(err => {
+        console.error(err);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    API_CONFIG,
+    STATES_DATA,
+    stateFileName,
+    fetchDistrict,
+    ingest,
+};
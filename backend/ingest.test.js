@@ -0,0 +1,195 @@
+/**
+ * ingest.test.js
+ * ---------------
+ * Tests for the India-WRIS ingestion job against a local stand-in server
+ * that mimics POST /Dataset/Ground Water Level and /Dataset/RainFall.
+ *
+ * Run with: npm run test:backend
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const { ingest } = require('./ingest');
+
+// ── Stand-in India-WRIS server ────────────────────────────────────────────────
+// scenarios[district] = { rows, failTimes, status, hang }
+let server;
+let baseUrl;
+let scenarios;
+let calls;
+let outputDir;
+
+const makeRow = (district, i) => ({
+    stationCode: `${district.toUpperCase()}-${i % 3}`,
+    stationName: `Station ${i % 3}`,
+    district: district.toUpperCase(),
+    dataValue: i,
+    dataTime: `2024-01-01T${String(i % 24).padStart(2, '0')}:00:00`,
+});
+
+const handler = (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const endpoint = decodeURIComponent(url.pathname);
+    const district = url.searchParams.get('districtName');
+    const page = Number(url.searchParams.get('page'));
+    const size = Number(url.searchParams.get('size'));
+    calls.push({ method: req.method, endpoint, district, page });
+
+    if (req.method !== 'POST' || !['/Dataset/Ground Water Level', '/Dataset/RainFall'].includes(endpoint)) {
+        res.writeHead(404);
+        return res.end();
+    }
+
+    const scenario = scenarios[district] || { rows: 0 };
+    if (scenario.hang) return; // never answer → client timeout
+    if (scenario.failTimes > 0) {
+        scenario.failTimes -= 1;
+        res.writeHead(scenario.status || 503);
+        return res.end('Service Unavailable');
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    const start = page * size;
+    if (start >= scenario.rows) {
+        return res.end(JSON.stringify({ statusCode: 500, message: 'No data found for the given criteria.', data: [] }));
+    }
+    const data = [];
+    for (let i = start; i < Math.min(start + size, scenario.rows); i++) data.push(makeRow(district, i));
+    return res.end(JSON.stringify({ statusCode: 200, message: 'Data fetched successfully', data }));
+};
+
+const run = (dataset, options = {}) => ingest(dataset, {
+    baseUrl,
+    outputDir,
+    pageSize: 10,
+    timeoutMs: 200,
+    retries: 2,
+    backoffMs: 5,
+    log: () => { },
+    states: [{ state: 'Test State', districts: ['Alpha', 'Beta', 'Gamma'] }],
+    ...options,
+});
+
+const readOutput = (dataset) =>
+    JSON.parse(fs.readFileSync(path.join(outputDir, `${dataset}_data`, 'Test_State.json'), 'utf-8'));
+
+beforeEach(async () => {
+    scenarios = {};
+    calls = [];
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wris-'));
+    server = http.createServer(handler);
+    await new Promise(resolve => server.listen(0, resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+});
+
+afterEach(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(outputDir, { recursive: true, force: true });
+});
+
+// ── Tests ─────────────────────────────────────────────────────────────────────
+test('pages past the page size until a short page', async () => {
+    scenarios = { Alpha: { rows: 25 }, Beta: { rows: 10 }, Gamma: { rows: 0 } };
+
+    const summary = await run('groundwater');
+    const out = readOutput('groundwater');
+
+    assert.equal(out.state, 'Test State');
+    assert.equal(out.districts.Alpha.data.length, 25);
+    assert.equal(out.districts.Beta.data.length, 10);
+    assert.deepEqual(out.districts.Gamma.data, []);
+    assert.equal(calls.filter(c => c.district === 'Alpha').length, 3);
+    // Beta fills exactly one page, so a second request is needed to see the end
+    assert.equal(calls.filter(c => c.district === 'Beta').length, 2);
+    assert.ok(calls.every(c => c.endpoint === '/Dataset/Ground Water Level'));
+
+    assert.deepEqual(summary.districts, { fetched: 2, empty: 1, failed: 0, skipped: 0 });
+    assert.equal(summary.rows, 35);
+});
+
+test('a district still paging at maxPages is stored as truncated and re-fetched', async () => {
+    scenarios = { Alpha: { rows: 45 }, Beta: { rows: 30 }, Gamma: { rows: 29 } };
+
+    const summary = await run('groundwater', { maxPages: 3 });
+    const out = readOutput('groundwater');
+
+    assert.equal(out.districts.Alpha.data.length, 30);
+    assert.equal(out.districts.Alpha.truncated, true);
+    // A third page that fills up might not be the last one either
+    assert.equal(out.districts.Beta.truncated, true);
+    assert.equal(out.districts.Gamma.truncated, undefined);
+    assert.equal(calls.filter(c => c.district === 'Alpha').length, 3);
+    assert.deepEqual(summary.districts, { fetched: 1, empty: 0, failed: 2, skipped: 0 });
+    assert.deepEqual(summary.failures.map(f => f.district), ['Alpha', 'Beta']);
+    assert.match(summary.failures[0].error, /Truncated/);
+
+    calls = [];
+    const retry = await run('groundwater', { onlyFailed: true });
+    const after = readOutput('groundwater');
+
+    assert.deepEqual([...new Set(calls.map(c => c.district))], ['Alpha', 'Beta']);
+    assert.equal(after.districts.Alpha.data.length, 45);
+    assert.equal(after.districts.Alpha.truncated, undefined);
+    assert.equal(after.districts.Beta.data.length, 30);
+    assert.deepEqual(retry.districts, { fetched: 2, empty: 0, failed: 0, skipped: 1 });
+});
+
+test('retries transient failures with backoff', async () => {
+    scenarios = { Alpha: { rows: 3, failTimes: 2 }, Beta: { rows: 1 }, Gamma: { rows: 1 } };
+
+    const summary = await run('rainfall');
+
+    assert.equal(readOutput('rainfall').districts.Alpha.data.length, 3);
+    assert.equal(summary.retries, 2);
+    assert.equal(summary.districts.failed, 0);
+    assert.ok(calls.every(c => c.endpoint === '/Dataset/RainFall'));
+});
+
+test('records districts that keep failing and does not retry 4xx', async () => {
+    scenarios = { Alpha: { rows: 3, failTimes: 10 }, Beta: { hang: true }, Gamma: { rows: 1, failTimes: 1, status: 400 } };
+
+    const summary = await run('groundwater');
+    const out = readOutput('groundwater');
+
+    assert.equal(out.districts.Alpha.error, 'HTTP 503');
+    assert.match(out.districts.Beta.error, /timed out/);
+    assert.equal(out.districts.Gamma.error, 'HTTP 400');
+    assert.equal(calls.filter(c => c.district === 'Alpha').length, 3);
+    assert.equal(calls.filter(c => c.district === 'Gamma').length, 1);
+    assert.equal(summary.districts.failed, 3);
+    assert.deepEqual(summary.failures.map(f => f.district), ['Alpha', 'Beta', 'Gamma']);
+});
+
+test('--only-failed re-fetches just the failed districts', async () => {
+    scenarios = { Alpha: { rows: 3 }, Beta: { rows: 2, failTimes: 10 }, Gamma: { rows: 1 } };
+    await run('groundwater');
+    assert.ok(readOutput('groundwater').districts.Beta.error);
+
+    scenarios = { Alpha: { rows: 99 }, Beta: { rows: 2 }, Gamma: { rows: 99 } };
+    calls = [];
+    const summary = await run('groundwater', { onlyFailed: true });
+    const out = readOutput('groundwater');
+
+    assert.deepEqual([...new Set(calls.map(c => c.district))], ['Beta']);
+    assert.equal(out.districts.Beta.data.length, 2);
+    assert.equal(out.districts.Alpha.data.length, 3);
+    assert.equal(out.districts.Gamma.data.length, 1);
+    assert.deepEqual(summary.districts, { fetched: 1, empty: 0, failed: 0, skipped: 2 });
+});
+
+test('a failed re-fetch keeps previously stored rows', async () => {
+    scenarios = { Alpha: { rows: 4 }, Beta: { rows: 1 }, Gamma: { rows: 1 } };
+    await run('rainfall');
+
+    scenarios = { Alpha: { rows: 4, failTimes: 10 }, Beta: { rows: 1 }, Gamma: { rows: 1 } };
+    const summary = await run('rainfall');
+
+    assert.equal(readOutput('rainfall').districts.Alpha.data.length, 4);
+    assert.equal(summary.districts.failed, 1);
+});
@@ -0,0 +1,178 @@
+/**
+ * mailer.js
+ * ----------
+ * Outgoing mail behind a small transport interface:
+ *
+ *   transport.send({ from, to, subject, text, html? }) → Promise
+ *
+ * Transports:
+ *  - smtp    – real delivery through nodemailer (SMTP_HOST, SMTP_PORT,
+ *              SMTP_USER, SMTP_PASS, SMTP_SECURE)
+ *  - file    – writes each message as JSON to data/outbox/ and logs a line;
+ *              the default when SMTP_HOST is not set, so flows can be tested
+ *              without a mail server
+ *  - console – prints the whole message to stdout
+ *
+ * MAIL_TRANSPORT picks one explicitly; MAIL_FROM sets the sender.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const OUTBOX_DIR = path.join(DATA_DIR, 'outbox');
+const MAIL_FROM = process.env.MAIL_FROM || 'Water Quality Monitor <no-reply@localhost>';
+
+// ── Transports ────────────────────────────────────────────────────────────────
+const createSmtpTransport = (options = {}) => {
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined,
+        ...options,
+    });
+    return {
+        name: 'smtp',
+        send: (message) => transporter.sendMail(message),
+    };
+};
+
+const createFileTransport = (dir = OUTBOX_DIR) => ({
+    name: 'file',
+    send: async (message) => {
+        fs.mkdirSync(dir, { recursive: true });
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const slug = String(message.to).replace(/[^a-z0-9]+/gi, '_');
+        const file = path.join(dir, `${stamp}-${slug}.json`);
+        fs.writeFileSync(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+        console.log(`✉️  Mail to ${message.to}: "${message.subject}" → ${file}`);
+        return { file };
+    },
+});
+
+const createConsoleTransport = () => ({
+    name: 'console',
+    send: async (message) => {
+        console.log(`✉️  ── Mail ──\nFrom: ${message.from}\nTo: ${message.to}\nSubject: ${message.subject}\n\n${message.text}\n`);
+        return {};
+    },
+});
+
+let transport = null;
+
+/**
+ * The configured transport (created on first use).
+ */
+const getTransport = () => {
+    if (transport) return transport;
+    const kind = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'file');
+    if (kind === 'smtp') transport = createSmtpTransport();
+    else if (kind === 'console') transport = createConsoleTransport();
+    else transport = createFileTransport();
+    return transport;
+};
+
+/**
+ * Swap the transport, e.g. for a capturing stand-in in tests.
+ */
+const setTransport = (next) => {
+    transport = next;
+};
+
+/**
+ * Send a message through the configured transport.
+ * @param {{ to: string, subject: string, text: string, html?: string }} message
+ */
+const sendMail = (message) => getTransport().send({ from: MAIL_FROM, ...message });
+
+// ── Templates ─────────────────────────────────────────────────────────────────
+const verificationEmail = (link) => ({
+    subject: 'Verify your email address',
+    text: [
+        'Welcome to Water Quality Monitor!',
+        '',
+        'Please confirm your email address by opening the link below:',
+        link,
+        '',
+        'The link expires in 24 hours. If you did not create an account, you can ignore this email.',
+    ].join('\n'),
+});
+
+const passwordResetEmail = (link) => ({
+    subject: 'Reset your password',
+    text: [
+        'We received a request to reset the password for your Water Quality Monitor account.',
+        '',
+        'Choose a new password here:',
+        link,
+        '',
+        'The link expires in 1 hour and can only be used once. If you did not ask for a reset, you can ignore this email.',
+    ].join('\n'),
+});
+
+const emailChangeEmail = (link) => ({
+    subject: 'Confirm your new email address',
+    text: [
+        'You asked to use this address for your Water Quality Monitor account.',
+        '',
+        'Confirm the change by opening the link below:',
+        link,
+        '',
+        'The link expires in 24 hours. Until then you keep signing in with your current address.',
+    ].join('\n'),
+});
+
+const emailChangeNotice = (newEmail) => ({
+    subject: 'Your email address is being changed',
+    text: [
+        `Someone asked to change the email address of your Water Quality Monitor account to ${newEmail}.`,
+        '',
+        'The change only happens once the new address is confirmed. If this was not you,',
+        'reset your password and contact an administrator.',
+    ].join('\n'),
+});
+
+const accountExistsEmail = (resetLink) => ({
+    subject: 'You already have an account',
+    text: [
+        'Someone tried to sign up for Water Quality Monitor with this email address,',
+        'but you already have an account. Just log in as usual.',
+        '',
+        'Forgot your password? Choose a new one here:',
+        resetLink,
+        '',
+        'The link expires in 1 hour. If this was not you, you can ignore this email.',
+    ].join('\n'),
+});
+
+const alertEmail = (notification, link) => ({
+    subject: `Alert: ${notification.title}`,
+    text: [
+        notification.message,
+        '',
+        `Rule: ${notification.ruleName}`,
+        `Details: ${link}`,
+        '',
+        'You receive this email because the rule above has email delivery switched on.',
+        'Turn it off under Alerts in Water Quality Monitor.',
+    ].join('\n'),
+});
+
+module.exports = {
+    createSmtpTransport,
+    createFileTransport,
+    createConsoleTransport,
+    getTransport,
+    setTransport,
+    sendMail,
+    verificationEmail,
+    passwordResetEmail,
+    emailChangeEmail,
+    emailChangeNotice,
+    accountExistsEmail,
+    alertEmail,
+};
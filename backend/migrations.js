@@ -0,0 +1,51 @@
+/**
+ * migrations.js
+ * --------------
+ * Schema migrations for each repository (see backend/repository.js).
+ *
+ * Each list is in ascending version order. A migration receives every
+ * record of the collection and returns the new records; it must work on
+ * data written by any earlier version. Never edit a migration that has
+ * shipped – add a new one instead.
+ */
+
+const { DEFAULT_ROLE, ROLES } = require('./roles');
+
+const users = [
+    {
+        version: 1,
+        description: 'fill role, emailVerified and profile on accounts created before they existed',
+        up: (records) =>
+            records.map(user => ({
+                ...user,
+                role: ROLES.includes(user.role) ? user.role : DEFAULT_ROLE,
+                // Verification was introduced later; older accounts stay usable
+                emailVerified: user.emailVerified !== false,
+                profile: user.profile || null,
+            })),
+    },
+    {
+        version: 2,
+        description: 'record signupSource; Google-linked accounts get googleId (filled in on their next Google sign-in)',
+        up: (records) =>
+            records.map(user => ({
+                ...user,
+                signupSource: user.signupSource || (user.googleAuth && !user.password ? 'google' : 'password'),
+                googleAuth: !!user.googleAuth,
+                googleId: user.googleId || null,
+            })),
+    },
+];
+
+const samples = [
+    {
+        version: 1,
+        description: 'start versioning (no changes)',
+        up: (records) => records,
+    },
+];
+
+module.exports = {
+    users,
+    samples,
+};
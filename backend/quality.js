@@ -0,0 +1,329 @@
+/**
+ * quality.js
+ * -----------
+ * Data quality checks for the ingested India-WRIS readings.
+ *
+ * Every reading of a series is checked and gets a (possibly empty) list
+ * of flags:
+ *
+ *   duplicate     – same timestamp as an earlier reading of the series
+ *   out-of-range  – physically implausible for the datatype: negative or
+ *                   absurd rainfall, a water level deeper than the well,
+ *                   or above ground in a series that reports depths below
+ *                   ground (the telemetry's "1" placeholder)
+ *   spike         – a water level that jumps more than SPIKE_METRES from
+ *                   the previous reading and comes straight back
+ *   flatline      – telemetry repeating the exact same value for more
+ *                   than FLATLINE_HOURS (a dry rain gauge reading 0 is
+ *                   not a flatline)
+ *   gap           – first reading after more than `gapDays` without data
+ *                   (manual HGZ levels are read a few times a year and
+ *                   are not checked for gaps)
+ *
+ * Stations are also checked as a whole: a station still listed as
+ * "Active" whose last reading is more than `staleDays` older than the
+ * newest data of its dataset is a stale station. The reference is the
+ * dataset's newest data rather than today, so old snapshots don't make
+ * every station stale.
+ *
+ * qualityReport() summarises all of it per state, district and station,
+ * together with the districts whose fetch failed. Other modules use
+ * flagSeries() / parseExclude() to drop flagged readings on request.
+ */
+
+const { openStore } = require('./store');
+
+const READING_FLAGS = ['duplicate', 'out-of-range', 'spike', 'flatline', 'gap'];
+const STATION_FLAGS = ['stale-station'];
+
+const DEFAULTS = {
+    gapDays: 7,
+    staleDays: 30,
+};
+
+const SPIKE_METRES = 3;
+const SPIKE_WINDOW_HOURS = 48;
+const FLATLINE_HOURS = 72;
+const MAX_DEPTH_METRES = 300;
+
+const LEVEL_CODES = ['GGZ', 'HGZ'];
+const PERIODIC_CODES = ['HGZ'];
+const TELEMETRY_CODES = ['GGZ', 'MS4', 'MPM', 'GPR', 'IPC', 'GPC'];
+const RAIN_INCREMENTAL = ['MPS', 'MPM', 'GPR'];
+const RAIN_CUMULATIVE = ['IPC', 'GPC'];
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+// dataTime has no timezone; treating it as UTC keeps differences exact
+const timeMs = (time) => Date.parse(`${time}Z`);
+
+const positiveNumber = (value, name) => {
+    if (value === undefined || value === '') return undefined;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0) throw new RangeError(`${name} must be a positive number.`);
+    return number;
+};
+
+/**
+ * Parse the `excludeFlagged` option accepted by the data APIs.
+ * "1" / "true" excludes readings with any flag; a comma-separated list
+ * ("spike,flatline") only those.
+ * @returns {string[]|null} Flags to exclude, null to keep everything
+ */
+const parseExclude = (value) => {
+    if (value === undefined || value === '' || value === false || value === '0' || value === 'false') return null;
+    if (value === true || value === '1' || value === 'true') return READING_FLAGS;
+
+    const flags = String(value).split(',').map(f => f.trim()).filter(Boolean);
+    const unknown = flags.filter(f => !READING_FLAGS.includes(f));
+    if (unknown.length) {
+        throw new RangeError(`excludeFlagged must be true or a list of: ${READING_FLAGS.join(', ')}.`);
+    }
+    return flags;
+};
+
+// Implausible values for a datatype; `majoritySign` is the usual sign of a GGZ series
+const outOfRange = (value, datatypeCode, { wellDepth, majoritySign }) => {
+    if (LEVEL_CODES.includes(datatypeCode)) {
+        if (Math.abs(value) > (wellDepth || MAX_DEPTH_METRES)) return true;
+        return datatypeCode === 'GGZ' && majoritySign < 0 && value > 0;
+    }
+    if (datatypeCode === 'MS4') return value < -500 || value > 9000;
+    if (RAIN_INCREMENTAL.includes(datatypeCode)) return value < 0 || value > 500;
+    if (RAIN_CUMULATIVE.includes(datatypeCode)) return value < 0 || value > 5000;
+    return false;
+};
+
+// ── Per series ────────────────────────────────────────────────────────────────
+/**
+ * Check one series.
+ * @param {{ time: string, value: number }[]} readings - Sorted by time
+ * @param {object} options
+ * @param {string} options.datatypeCode
+ * @param {number} [options.wellDepth] - Metres, for the out-of-range check
+ * @param {number} [options.gapDays]
+ * @returns {{ time: string, value: number, flags: string[] }[]} Same order
+ */
+const flagSeries = (readings, { datatypeCode, wellDepth, gapDays = DEFAULTS.gapDays } = {}) => {
+    const points = readings.map(r => ({ time: r.time, value: r.value, ms: timeMs(r.time), flags: [] }));
+    const add = (point, flag) => {
+        if (!point.flags.includes(flag)) point.flags.push(flag);
+    };
+
+    const negatives = points.filter(p => p.value < 0).length;
+    const majoritySign = negatives > points.length / 2 ? -1 : 1;
+    const isLevel = LEVEL_CODES.includes(datatypeCode) || datatypeCode === 'MS4';
+
+    // Duplicates, ranges and gaps look at one reading and its predecessor
+    let previous = null;
+    for (const point of points) {
+        if (previous && point.time === previous.time) add(point, 'duplicate');
+        if (outOfRange(point.value, datatypeCode, { wellDepth, majoritySign })) add(point, 'out-of-range');
+        if (previous && !PERIODIC_CODES.includes(datatypeCode) && point.ms - previous.ms > gapDays * DAY_MS) {
+            add(point, 'gap');
+        }
+        previous = point;
+    }
+
+    // Readings the neighbour-based checks can rely on
+    const usable = points.filter(p => !p.flags.includes('duplicate') && !p.flags.includes('out-of-range'));
+
+    // Spikes: a jump away from the previous level that the next reading undoes
+    if (isLevel) {
+        for (let i = 1; i < usable.length; i++) {
+            const before = usable[i - 1];
+            const point = usable[i];
+            const after = usable[i + 1];
+            if (point.ms - before.ms > SPIKE_WINDOW_HOURS * HOUR_MS) continue;
+            if (Math.abs(point.value - before.value) <= SPIKE_METRES) continue;
+            const comesBack = after &&
+                after.ms - point.ms <= SPIKE_WINDOW_HOURS * HOUR_MS &&
+                Math.abs(after.value - before.value) <= SPIKE_METRES;
+            if (comesBack) add(point, 'spike');
+        }
+    }
+
+    // Flatlines: the same value for longer than FLATLINE_HOURS
+    if (TELEMETRY_CODES.includes(datatypeCode)) {
+        const dryGauge = !isLevel;
+        let start = 0;
+        for (let i = 1; i <= usable.length; i++) {
+            if (i < usable.length && usable[i].value === usable[start].value) continue;
+            const run = usable.slice(start, i);
+            const hours = (run.at(-1).ms - run[0].ms) / HOUR_MS;
+            // Dry weather: rain gauges at 0, accumulators that don't move
+            const dry = dryGauge && (run[0].value === 0 || RAIN_CUMULATIVE.includes(datatypeCode));
+            if (hours > FLATLINE_HOURS && !dry) run.slice(1).forEach(p => add(p, 'flatline'));
+            start = i;
+        }
+    }
+
+    return points.map(({ time, value, flags }) => ({ time, value, flags }));
+};
+
+/**
+ * Drop flagged readings from a series.
+ * @param {string[]|null} exclude - From parseExclude(); null keeps everything
+ */
+const withoutFlagged = (readings, exclude, options) => {
+    if (!exclude?.length) return readings;
+    return flagSeries(readings, options)
+        .filter(r => !r.flags.some(f => exclude.includes(f)))
+        .map(({ time, value }) => ({ time, value }));
+};
+
+// ── Report ────────────────────────────────────────────────────────────────────
+const FILTERS = ['state', 'district', 'dataset', 'stationCode'];
+
+const emptyCounts = () => ({
+    readings: 0,
+    flagged: 0,
+    ...Object.fromEntries([...READING_FLAGS, ...STATION_FLAGS].map(f => [f, 0])),
+});
+
+const COUNT_KEYS = Object.keys(emptyCounts());
+
+const addCounts = (target, counts) => {
+    for (const key of COUNT_KEYS) target[key] += counts[key] || 0;
+};
+
+/**
+ * Quality summary per state, district and station.
+ * @param {object} [query] - state, district, dataset, stationCode
+ *                           (case-insensitive), gapDays, staleDays
+ */
+const qualityReport = (query = {}) => {
+    const gapDays = positiveNumber(query.gapDays, 'gapDays') ?? DEFAULTS.gapDays;
+    const staleDays = positiveNumber(query.staleDays, 'staleDays') ?? DEFAULTS.staleDays;
+
+    const where = [];
+    const params = [];
+    for (const field of FILTERS) {
+        if (query[field] === undefined || query[field] === '') continue;
+        where.push(`LOWER(COALESCE(${field}, '')) = LOWER(?)`);
+        params.push(String(query[field]).trim());
+    }
+    const clause = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+    const db = openStore();
+    const stations = db.prepare(`
+        SELECT stationCode, stationName, dataset, state, district, stationStatus, wellDepth
+        FROM stations ${clause}
+        ORDER BY state, district, stationName
+    `).all(...params);
+
+    const seriesOf = db.prepare('SELECT datatypeCode, lastTime FROM series WHERE stationCode = ?');
+    const readingsOf = db.prepare('SELECT time, value FROM readings WHERE stationCode = ? AND datatypeCode = ? ORDER BY time');
+
+    // Reference date per dataset: when it was fetched, else its newest reading
+    const asOf = Object.fromEntries(
+        db.prepare(`
+            SELECT st.dataset,
+                   COALESCE(MAX(d.fetchedAt), MAX(se.lastTime)) AS asOf
+            FROM stations st
+            JOIN series se ON se.stationCode = st.stationCode
+            LEFT JOIN districts d ON d.dataset = st.dataset
+            GROUP BY st.dataset
+        `).all().map(r => [r.dataset, r.asOf])
+    );
+
+    const stationRows = stations.map(station => {
+        const counts = emptyCounts();
+        const series = seriesOf.all(station.stationCode);
+
+        for (const { datatypeCode } of series) {
+            const flagged = flagSeries(readingsOf.all(station.stationCode, datatypeCode), {
+                datatypeCode,
+                wellDepth: station.wellDepth,
+                gapDays,
+            });
+            counts.readings += flagged.length;
+            for (const reading of flagged) {
+                if (reading.flags.length) counts.flagged++;
+                reading.flags.forEach(f => { counts[f]++; });
+            }
+        }
+
+        const lastReading = series.reduce((latest, s) => (s.lastTime > latest ? s.lastTime : latest), '') || null;
+        const reference = asOf[station.dataset];
+        const stale = station.stationStatus === 'Active' && (!lastReading ||
+            (reference && timeMs(reference.slice(0, 19)) - timeMs(lastReading) > staleDays * DAY_MS));
+        if (stale) counts['stale-station'] = 1;
+
+        return {
+            stationCode: station.stationCode,
+            stationName: station.stationName,
+            dataset: station.dataset,
+            state: station.state,
+            district: station.district,
+            stationStatus: station.stationStatus,
+            datatypeCodes: series.map(s => s.datatypeCode),
+            lastReading,
+            stale,
+            ...counts,
+        };
+    });
+
+    // Districts whose fetch failed have no stations, so they come from the fetch log
+    const failedDistricts = db.prepare(`
+        SELECT dataset, state, district, statusCode, COALESCE(error, message) AS error, fetchedAt
+        FROM districts
+        WHERE (statusCode IS NULL OR statusCode <> 200)
+        ORDER BY state, district, dataset
+    `).all().filter(d =>
+        ['state', 'district', 'dataset'].every(f =>
+            !query[f] || String(d[f]).toLowerCase() === String(query[f]).trim().toLowerCase()));
+
+    // Aggregate (district spellings differ in case between files)
+    const states = new Map();
+    const districts = new Map();
+    const group = (map, key, label) => {
+        if (!map.has(key)) map.set(key, { ...label, stations: 0, staleStations: 0, ...emptyCounts(), failedFetches: 0 });
+        return map.get(key);
+    };
+    for (const row of stationRows) {
+        for (const entry of [
+            group(states, row.state, { state: row.state }),
+            group(districts, `${row.state}|${String(row.district).toUpperCase()}`, { state: row.state, district: row.district }),
+        ]) {
+            entry.stations++;
+            if (row.stale) entry.staleStations++;
+            addCounts(entry, row);
+        }
+    }
+    for (const failed of failedDistricts) {
+        group(states, failed.state, { state: failed.state }).failedFetches++;
+        group(districts, `${failed.state}|${String(failed.district).toUpperCase()}`, { state: failed.state, district: failed.district })
+            .failedFetches++;
+    }
+
+    const totals = { stations: stationRows.length, staleStations: 0, ...emptyCounts(), failedFetches: failedDistricts.length };
+    for (const row of stationRows) {
+        if (row.stale) totals.staleStations++;
+        addCounts(totals, row);
+    }
+
+    const byName = (a, b) => `${a.state}|${a.district || ''}`.localeCompare(`${b.state}|${b.district || ''}`);
+    return {
+        generatedAt: new Date().toISOString(),
+        options: { gapDays, staleDays, spikeMetres: SPIKE_METRES, flatlineHours: FLATLINE_HOURS },
+        asOf,
+        totals,
+        states: [...states.values()].sort(byName),
+        districts: [...districts.values()].sort(byName),
+        stations: stationRows,
+        failedDistricts,
+    };
+};
+
+module.exports = {
+    READING_FLAGS,
+    STATION_FLAGS,
+    DEFAULTS,
+    parseExclude,
+    flagSeries,
+    withoutFlagged,
+    qualityReport,
+};
@@ -0,0 +1,97 @@
+/**
+ * quality.test.js
+ * ----------------
+ * Tests for the per-reading data quality flags and for dropping flagged
+ * readings on request.
+ *
+ * Run with: npm run test:backend
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { READING_FLAGS, parseExclude, flagSeries, withoutFlagged } = require('./quality');
+
+// Readings at the given hours after 2024-06-01T00:00:00
+const at = (hours, value) => {
+    const date = new Date(Date.UTC(2024, 5, 1) + hours * 60 * 60 * 1000);
+    return { time: date.toISOString().slice(0, 19), value };
+};
+
+const flagsOf = (readings, options) => flagSeries(readings, options).map(r => r.flags);
+
+// ── Flags ─────────────────────────────────────────────────────────────────────
+test('the "1" placeholder in a below-ground series is out of range', () => {
+    const flags = flagsOf([at(0, -5), at(6, -5.1), at(12, 1), at(18, -5.2)], { datatypeCode: 'GGZ' });
+
+    assert.deepEqual(flags, [[], [], ['out-of-range'], []]);
+});
+
+test('a level deeper than the well is out of range', () => {
+    const readings = [at(0, -20), at(6, -45), at(12, -21)];
+
+    assert.deepEqual(flagsOf(readings, { datatypeCode: 'GGZ', wellDepth: 40 }), [[], ['out-of-range'], []]);
+    // Without a known depth it is only a spike
+    assert.deepEqual(flagsOf(readings, { datatypeCode: 'GGZ' }), [[], ['spike'], []]);
+});
+
+test('negative or absurd rainfall is out of range', () => {
+    const flags = flagsOf([at(0, 2), at(1, -1), at(2, 700)], { datatypeCode: 'MPS' });
+
+    assert.deepEqual(flags, [[], ['out-of-range'], ['out-of-range']]);
+});
+
+test('a jump that comes straight back is a spike; a lasting one is not', () => {
+    const spike = flagsOf([at(0, -5), at(1, -12), at(2, -5.1), at(3, -5.2)], { datatypeCode: 'GGZ' });
+    const shift = flagsOf([at(0, -5), at(1, -12), at(2, -12.1)], { datatypeCode: 'GGZ' });
+
+    assert.deepEqual(spike, [[], ['spike'], [], []]);
+    assert.deepEqual(shift, [[], [], []]);
+});
+
+test('repeated timestamps are duplicates and are skipped by the spike check', () => {
+    const flags = flagsOf([at(0, -5), at(0, -15), at(1, -5.1)], { datatypeCode: 'GGZ' });
+
+    assert.deepEqual(flags, [[], ['duplicate'], []]);
+});
+
+test('a long silence is a gap, except for manually read wells', () => {
+    const readings = [at(0, -5), at(24, -5.1), at(24 * 10, -5.3)];
+
+    assert.deepEqual(flagsOf(readings, { datatypeCode: 'GGZ' }), [[], [], ['gap']]);
+    assert.deepEqual(flagsOf(readings, { datatypeCode: 'GGZ', gapDays: 30 }), [[], [], []]);
+    assert.deepEqual(flagsOf(readings, { datatypeCode: 'HGZ' }), [[], [], []]);
+});
+
+test('telemetry stuck on one value is a flatline, a dry rain gauge is not', () => {
+    const stuck = [0, 24, 48, 72, 96].map(h => at(h, -5));
+    const dry = [0, 24, 48, 72, 96].map(h => at(h, 0));
+    const stuckRain = [0, 24, 48, 72, 96].map(h => at(h, 2));
+
+    assert.deepEqual(flagsOf(stuck, { datatypeCode: 'GGZ' }), [[], ['flatline'], ['flatline'], ['flatline'], ['flatline']]);
+    assert.deepEqual(flagsOf(stuck.slice(0, 4), { datatypeCode: 'GGZ' }), [[], [], [], []]);
+    assert.deepEqual(flagsOf(stuck, { datatypeCode: 'HGZ' }), [[], [], [], [], []]);
+    assert.deepEqual(flagsOf(dry, { datatypeCode: 'MPM' }), [[], [], [], [], []]);
+    assert.deepEqual(flagsOf(stuckRain, { datatypeCode: 'MPM' }).filter(f => f.includes('flatline')).length, 4);
+});
+
+// ── Excluding flagged readings ────────────────────────────────────────────────
+test('withoutFlagged drops only the requested flags', () => {
+    const readings = [at(0, -5), at(1, -12), at(2, -5.1), at(3, 1), at(24 * 10, -5.3)];
+
+    assert.deepEqual(withoutFlagged(readings, ['out-of-range', 'spike'], { datatypeCode: 'GGZ' }), [
+        at(0, -5), at(2, -5.1), at(24 * 10, -5.3),
+    ]);
+    assert.equal(withoutFlagged(readings, null, { datatypeCode: 'GGZ' }), readings);
+    assert.equal(withoutFlagged(readings, READING_FLAGS, { datatypeCode: 'GGZ' }).length, 2);
+});
+
+test('parseExclude accepts true, false or a list of known flags', () => {
+    assert.equal(parseExclude(undefined), null);
+    assert.equal(parseExclude('0'), null);
+    assert.equal(parseExclude('false'), null);
+    assert.deepEqual(parseExclude('1'), READING_FLAGS);
+    assert.deepEqual(parseExclude(true), READING_FLAGS);
+    assert.deepEqual(parseExclude(' spike, out-of-range '), ['spike', 'out-of-range']);
+    assert.throws(() => parseExclude('spike,bogus'), RangeError);
+});
@@ -0,0 +1,302 @@
+/**
+ * rainfall.js
+ * ------------
+ * True daily and monthly rainfall totals for a rain gauge, whatever kind
+ * of series it reports.
+ *
+ * The rainfall export mixes datatypeCodes of two kinds:
+ *
+ *   incremental – MPS (manual SRG, read at 08:30 and 17:30), MPM and GPR
+ *                 (telemetry): each reading is the rain since the last one
+ *   cumulative  – IPC / GPC ("Rain acumm"): a running total that is reset
+ *                 now and then; amounts are the differences between
+ *                 readings (see toIncrements() in readings.js)
+ *
+ * Per series, readings sharing a timestamp are merged first (identical
+ * values are plain duplicates; differing ones keep the largest and make
+ * the day suspect), then the amounts are summed per calendar day of the
+ * reading time, like the `daily` interval of the readings API, and the
+ * days per month.
+ *
+ * Each total carries a quality flag:
+ *   good       – straightforward sum
+ *   estimated  – involves an accumulator baseline or reset, or rain
+ *                accrued over a gap of more than a day
+ *   partial    – (months) not every day of the month has data
+ *   suspect    – conflicting duplicate readings, accumulator glitches or
+ *                impossible values (more than MAX_READING_MM at once),
+ *                which are counted as 0, and telemetry that disagrees
+ *                with the manual gauge (see below)
+ *
+ * Gauges reporting several codes get one preferred series. The manual SRG
+ * (MPS) is the reference instrument: where it has readings in the period
+ * it wins. Telemetry whose total over the days both report is off from
+ * the manual one by DISAGREEMENT_RATIO or more (e.g. 0.1 mm against
+ * 143 mm) has every day marked suspect. Otherwise the series covering the
+ * most days that aren't suspect wins, ties going to PREFERENCE order.
+ * Series that never recorded trustworthy rain lose to one that did – a
+ * few telemetry sensors are dead.
+ */
+
+const { getStation } = require('./stations');
+const { getReadings, toIncrements } = require('./readings');
+
+const SERIES_KINDS = {
+    MPS: 'incremental',
+    MPM: 'incremental',
+    GPR: 'incremental',
+    IPC: 'cumulative',
+    GPC: 'cumulative',
+};
+const PREFERENCE = ['MPS', 'MPM', 'GPR', 'IPC', 'GPC'];
+const REFERENCE_CODE = 'MPS';
+const INTERVALS = ['daily', 'monthly'];
+const QUALITY = ['good', 'estimated', 'partial', 'suspect'];
+
+const MAX_READING_MM = 500;
+// Telemetry is suspect when it differs from the manual gauge by this factor,
+// once either total over their common days reaches DISAGREEMENT_MIN_MM
+const DISAGREEMENT_RATIO = 10;
+const DISAGREEMENT_MIN_MM = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+const round = (value) => Math.round(value * 1000) / 1000;
+
+const worst = (qualities) =>
+    qualities.reduce((a, b) => (QUALITY.indexOf(b) > QUALITY.indexOf(a) ? b : a), 'good');
+
+const daysInMonth = (month) => {
+    const [y, m] = month.split('-').map(Number);
+    return new Date(Date.UTC(y, m, 0)).getUTCDate();
+};
+
+// One reading per timestamp; `flags` says what was merged
+const dedupe = (readings) => {
+    const merged = [];
+    for (const reading of readings) {
+        const last = merged.at(-1);
+        if (last && last.time === reading.time) {
+            if (reading.value !== last.value) {
+                last.value = Math.max(last.value, reading.value);
+                if (!last.flags.includes('conflicting-duplicate')) last.flags.push('conflicting-duplicate');
+            } else if (!last.flags.includes('duplicate')) {
+                last.flags.push('duplicate');
+            }
+            continue;
+        }
+        merged.push({ time: reading.time, value: reading.value, flags: [] });
+    }
+    return merged;
+};
+
+/**
+ * Per-reading rain amounts of one series, with what was done to get them.
+ * @param {{ time: string, value: number }[]} readings - Sorted by time
+ * @param {string} kind - 'incremental' | 'cumulative'
+ * @returns {{ time: string, value: number, flags: string[] }[]}
+ */
+const rainAmounts = (readings, kind) => {
+    const merged = dedupe(readings);
+
+    if (kind === 'cumulative') {
+        return toIncrements(merged).map((amount, i) => {
+            const flags = [...merged[i].flags];
+            if (amount.baseline) flags.push('baseline');
+            if (amount.reset) flags.push('reset');
+            if (amount.glitch) flags.push('glitch');
+            if (amount.value > MAX_READING_MM) return { time: amount.time, value: 0, flags: [...flags, 'out-of-range'] };
+            const since = i > 0 ? Date.parse(`${amount.time}Z`) - Date.parse(`${merged[i - 1].time}Z`) : 0;
+            if (since > DAY_MS && amount.value > 0) flags.push('spans-gap');
+            return { time: amount.time, value: amount.value, flags };
+        });
+    }
+
+    // Impossible readings count as no rain, and make the day suspect
+    return merged.map(r => {
+        if (r.value < 0 || r.value > MAX_READING_MM) {
+            return { time: r.time, value: 0, flags: [...r.flags, 'out-of-range'] };
+        }
+        return r;
+    });
+};
+
+const dayQuality = (flags) => {
+    const suspect = ['conflicting-duplicate', 'out-of-range', 'glitch', 'disagrees-with-reference'];
+    if (flags.some(f => suspect.includes(f))) return 'suspect';
+    if (flags.some(f => f === 'baseline' || f === 'reset' || f === 'spans-gap')) return 'estimated';
+    return 'good';
+};
+
+/**
+ * Sum per-reading amounts into calendar days.
+ * @returns {{ time: string, value: number, count: number, quality: string, flags: string[] }[]}
+ */
+const dailyTotals = (amounts) => {
+    const days = new Map();
+    for (const amount of amounts) {
+        const key = amount.time.slice(0, 10);
+        if (!days.has(key)) days.set(key, { time: key, value: 0, count: 0, flags: [] });
+        const day = days.get(key);
+        day.value += amount.value;
+        day.count++;
+        for (const flag of amount.flags) {
+            if (!day.flags.includes(flag)) day.flags.push(flag);
+        }
+    }
+    return [...days.values()].map(day => ({
+        ...day,
+        value: round(day.value),
+        quality: dayQuality(day.flags),
+    }));
+};
+
+/**
+ * Sum daily totals into months (time = first of the month, like the
+ * readings API's monthly buckets).
+ */
+const monthlyTotals = (daily) => {
+    const months = new Map();
+    for (const day of daily) {
+        const key = day.time.slice(0, 7);
+        if (!months.has(key)) months.set(key, []);
+        months.get(key).push(day);
+    }
+    return [...months.entries()].map(([month, days]) => {
+        const total = daysInMonth(month);
+        const dayQualities = worst(days.map(d => d.quality));
+        const quality = dayQualities === 'suspect' || days.length >= total ? dayQualities : worst([dayQualities, 'partial']);
+        return {
+            time: `${month}-01`,
+            value: round(days.reduce((sum, d) => sum + d.value, 0)),
+            count: days.reduce((sum, d) => sum + d.count, 0),
+            days: days.length,
+            daysInMonth: total,
+            quality,
+        };
+    });
+};
+
+/**
+ * Whether two daily series disagree by orders of magnitude over the days
+ * both report.
+ */
+const disagrees = (daily, reference) => {
+    const referenceDays = new Map(reference.map(d => [d.time, d.value]));
+    const common = daily.filter(d => referenceDays.has(d.time));
+    const total = common.reduce((sum, d) => sum + d.value, 0);
+    const referenceTotal = common.reduce((sum, d) => sum + referenceDays.get(d.time), 0);
+    const [low, high] = [total, referenceTotal].sort((a, b) => a - b);
+    return high >= DISAGREEMENT_MIN_MM && high >= low * DISAGREEMENT_RATIO;
+};
+
+// Every day of a series that contradicts the manual gauge is suspect
+const markDisagreeing = (daily) =>
+    daily.map(d => {
+        const flags = [...d.flags, 'disagrees-with-reference'];
+        return { ...d, flags, quality: dayQuality(flags) };
+    });
+
+// A series that never recorded trustworthy rain is a dead sensor when another
+// one did; then the manual gauge when it has data; then the most trustworthy
+// (not suspect) days, ties going to PREFERENCE order
+const preferredSeries = (candidates) => {
+    const wet = (c) => (c.daily.some(d => d.value > 0 && d.quality !== 'suspect') ? 1 : 0);
+    const reference = (c) => (c.datatypeCode === REFERENCE_CODE && c.days > 0 ? 1 : 0);
+    const usable = (c) => c.daily.filter(d => d.quality !== 'suspect').length;
+    return [...candidates].sort((a, b) =>
+        wet(b) - wet(a) ||
+        reference(b) - reference(a) ||
+        usable(b) - usable(a) ||
+        PREFERENCE.indexOf(a.datatypeCode) - PREFERENCE.indexOf(b.datatypeCode))[0];
+};
+
+// ── Queries ───────────────────────────────────────────────────────────────────
+/**
+ * Normalised rainfall totals for one gauge.
+ *
+ * @param {string} code - stationCode
+ * @param {object} [options]
+ * @param {string} [options.from] - Inclusive lower bound (date or datetime)
+ * @param {string} [options.to] - Inclusive upper bound (date or datetime)
+ * @param {string} [options.interval='daily'] - daily | monthly
+ * @param {string} [options.datatypeCode] - Force a series instead of the preferred one
+ * @param {string|boolean} [options.excludeFlagged] - See getReadings()
+ * @returns {object|null} null when the station does not exist
+ */
+const getRainfall = (code, options = {}) => {
+    const station = getStation(code);
+    if (!station) return null;
+
+    const interval = options.interval || 'daily';
+    if (!INTERVALS.includes(interval)) {
+        throw new RangeError(`interval must be one of: ${INTERVALS.join(', ')}.`);
+    }
+    const codes = PREFERENCE.filter(c => station.datatypeCodes.includes(c));
+    if (!codes.length) {
+        throw new RangeError(`${station.stationCode} does not report rainfall.`);
+    }
+    if (options.datatypeCode && !codes.includes(options.datatypeCode)) {
+        throw new RangeError(`datatypeCode must be one of: ${codes.join(', ')}.`);
+    }
+
+    const candidates = codes.map(datatypeCode => {
+        const result = getReadings(code, {
+            from: options.from,
+            to: options.to,
+            datatypeCode,
+            excludeFlagged: options.excludeFlagged,
+        });
+        const daily = dailyTotals(rainAmounts(result.readings, SERIES_KINDS[datatypeCode]));
+        return { result, datatypeCode, kind: SERIES_KINDS[datatypeCode], daily, days: daily.length };
+    });
+
+    const reference = candidates.find(c => c.datatypeCode === REFERENCE_CODE);
+    for (const candidate of candidates) {
+        if (reference && candidate !== reference && disagrees(candidate.daily, reference.daily)) {
+            candidate.daily = markDisagreeing(candidate.daily);
+        }
+    }
+
+    const chosen = options.datatypeCode
+        ? candidates.find(c => c.datatypeCode === options.datatypeCode)
+        : preferredSeries(candidates);
+    const totals = interval === 'monthly' ? monthlyTotals(chosen.daily) : chosen.daily;
+    const { result } = chosen;
+
+    return {
+        stationCode: station.stationCode,
+        stationName: station.stationName,
+        dataset: station.dataset,
+        datatypeCode: chosen.datatypeCode,
+        kind: chosen.kind,
+        description: result.description,
+        unit: result.unit || 'mm',
+        from: result.from,
+        to: result.to,
+        interval,
+        excludeFlagged: result.excludeFlagged,
+        excluded: result.excluded,
+        total: round(chosen.daily.reduce((sum, d) => sum + d.value, 0)),
+        series: candidates.map(c => ({
+            datatypeCode: c.datatypeCode,
+            kind: c.kind,
+            readings: c.result.readings.length,
+            days: c.days,
+            suspectDays: c.daily.filter(d => d.quality === 'suspect').length,
+            total: round(c.daily.reduce((sum, d) => sum + d.value, 0)),
+            preferred: c === chosen,
+        })),
+        readings: totals,
+    };
+};
+
+module.exports = {
+    SERIES_KINDS,
+    PREFERENCE,
+    QUALITY,
+    rainAmounts,
+    dailyTotals,
+    monthlyTotals,
+    getRainfall,
+};
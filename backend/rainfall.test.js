@@ -0,0 +1,130 @@
+/**
+ * rainfall.test.js
+ * -----------------
+ * Tests for turning gauge readings into rain amounts and daily / monthly
+ * totals: accumulator resets and glitches, impossible values, duplicates
+ * and the quality each total ends up with.
+ *
+ * Run with: npm run test:backend
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { toIncrements } = require('./readings');
+const { rainAmounts, dailyTotals, monthlyTotals } = require('./rainfall');
+
+// Readings at the given hours after 2024-06-01T00:00:00
+const at = (hours, value) => {
+    const date = new Date(Date.UTC(2024, 5, 1) + hours * 60 * 60 * 1000);
+    return { time: date.toISOString().slice(0, 19), value };
+};
+
+const values = (amounts) => amounts.map(a => a.value);
+
+// ── Accumulators ──────────────────────────────────────────────────────────────
+test('a running total becomes the rain since the previous reading', () => {
+    const amounts = toIncrements([at(0, 10), at(1, 12.5), at(2, 12.5), at(3, 20)]);
+
+    assert.deepEqual(values(amounts), [0, 2.5, 0, 7.5]);
+    assert.equal(amounts[0].baseline, true);
+});
+
+test('a drop after a day or more is a reset and counts as new rain', () => {
+    const amounts = toIncrements([at(0, 50), at(1, 60), at(73, 5)]);
+
+    assert.deepEqual(values(amounts), [0, 10, 5]);
+    assert.equal(amounts[2].reset, true);
+});
+
+test('a flip up and straight back is a glitch and counts as no rain', () => {
+    const amounts = toIncrements([at(0, 10), at(1, 10), at(2, 266), at(3, 10), at(4, 12)]);
+
+    assert.deepEqual(values(amounts), [0, 0, 0, 0, 2]);
+    assert.deepEqual(amounts.map(a => !!a.glitch), [false, false, true, true, false]);
+});
+
+test('falling back to the exact starting level is a glitch however late', () => {
+    const amounts = toIncrements([at(0, 50), at(1, 60), at(121, 50)]);
+
+    assert.deepEqual(values(amounts), [0, 0, 0]);
+    assert.ok(amounts.slice(1).every(a => a.glitch));
+});
+
+test('falling below the starting level within GLITCH_HOURS is a glitch', () => {
+    const amounts = toIncrements([at(0, 50), at(1, 306), at(2, 0)]);
+
+    assert.deepEqual(values(amounts), [0, 0, 0]);
+    assert.ok(amounts.slice(1).every(a => a.glitch));
+});
+
+// ── Per-reading amounts ───────────────────────────────────────────────────────
+test('cumulative amounts carry baseline, reset, glitch and gap flags', () => {
+    const amounts = rainAmounts([at(0, 50), at(1, 50), at(2, 306), at(3, 50), at(75, 5), at(123, 9)], 'cumulative');
+
+    assert.deepEqual(values(amounts), [0, 0, 0, 0, 5, 4]);
+    assert.deepEqual(amounts.map(a => a.flags), [
+        ['baseline'],
+        [],
+        ['glitch'],
+        ['glitch'],
+        ['reset', 'spans-gap'],
+        ['spans-gap'],
+    ]);
+});
+
+test('an impossible cumulative amount counts as 0 and is out of range', () => {
+    const amounts = rainAmounts([at(0, 0), at(1, 600)], 'cumulative');
+
+    assert.deepEqual(values(amounts), [0, 0]);
+    assert.deepEqual(amounts[1].flags, ['out-of-range']);
+});
+
+test('incremental readings merge duplicates and zero impossible values', () => {
+    const readings = [at(0, 5), at(0, 5), at(1, 3), at(1, 7), at(2, -1), at(3, 900), at(4, 2)];
+    const amounts = rainAmounts(readings, 'incremental');
+
+    assert.deepEqual(values(amounts), [5, 7, 0, 0, 2]);
+    assert.deepEqual(amounts.map(a => a.flags), [
+        ['duplicate'],
+        ['conflicting-duplicate'],
+        ['out-of-range'],
+        ['out-of-range'],
+        [],
+    ]);
+});
+
+// ── Totals ────────────────────────────────────────────────────────────────────
+test('daily totals sum the amounts and take the worst quality', () => {
+    const daily = dailyTotals([
+        { time: '2024-06-01T08:30:00', value: 0, flags: ['baseline'] },
+        { time: '2024-06-01T17:30:00', value: 1.2, flags: [] },
+        { time: '2024-06-02T08:30:00', value: 3.4, flags: [] },
+        { time: '2024-06-02T17:30:00', value: 0.6, flags: [] },
+        { time: '2024-06-03T08:30:00', value: 0, flags: ['glitch'] },
+    ]);
+
+    assert.deepEqual(daily.map(d => [d.time, d.value, d.count, d.quality]), [
+        ['2024-06-01', 1.2, 2, 'estimated'],
+        ['2024-06-02', 4, 2, 'good'],
+        ['2024-06-03', 0, 1, 'suspect'],
+    ]);
+});
+
+test('monthly totals are partial when days are missing, suspect beats partial', () => {
+    const june = Array.from({ length: 30 }, (_, i) => ({
+        time: `2024-06-${String(i + 1).padStart(2, '0')}`, value: 1, count: 2, quality: 'good',
+    }));
+    const monthly = monthlyTotals([
+        ...june,
+        { time: '2024-07-04', value: 2, count: 1, quality: 'good' },
+        { time: '2024-08-09', value: 0, count: 1, quality: 'suspect' },
+    ]);
+
+    assert.deepEqual(monthly.map(m => [m.time, m.value, m.days, m.daysInMonth, m.quality]), [
+        ['2024-06-01', 30, 30, 30, 'good'],
+        ['2024-07-01', 2, 1, 31, 'partial'],
+        ['2024-08-01', 0, 1, 31, 'suspect'],
+    ]);
+    assert.equal(monthly[0].count, 60);
+});
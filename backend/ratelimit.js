@@ -0,0 +1,235 @@
+/**
+ * ratelimit.js
+ * -------------
+ * Rate limiting and brute-force lockout for the sign-in endpoints.
+ *
+ *  - request limiter – a fixed-window budget of requests per client IP,
+ *                      shared by every auth endpoint
+ *  - lockouts        – failed logins counted per account and per IP. After
+ *                      `threshold` failures the key is locked for `baseMs`,
+ *                      and each further lockout doubles that (up to `maxMs`).
+ *                      Counters are forgotten `resetMs` after the last
+ *                      failure, or on a successful login.
+ *
+ * State lives in a store with a tiny interface:
+ *
+ *   store.get(key) → entry|undefined     store.entries() → [[key, entry]]
+ *   store.update(key, entry => next|null) → next   (null deletes the entry)
+ *
+ * update() may return a promise, so hit(), fail() and reset() do too.
+ * Every entry carries its own `expiresAt` (ms). Two stores are provided:
+ * memory (default, lost on restart) and file (the "rate-limits" repository,
+ * data/rate-limits.json – see repository.js – which keeps lockouts across
+ * restarts and can be shared by several server processes).
+ *
+ * Configuration (env, times in seconds):
+ *   RATE_LIMIT_STORE           memory | file               (memory)
+ *   AUTH_RATE_LIMIT            requests per IP per window  (30)
+ *   AUTH_RATE_WINDOW           window length               (900)
+ *   LOCKOUT_ACCOUNT_THRESHOLD  failures before an account locks (5)
+ *   LOCKOUT_IP_THRESHOLD       failures before an IP locks      (20)
+ *   LOCKOUT_BASE               first lockout duration      (60)
+ *   LOCKOUT_MAX                longest lockout             (3600)
+ *   LOCKOUT_RESET              forget failures after       (86400)
+ */
+
+const { createRepository } = require('./repository');
+
+const SWEEP_EVERY = 500; // memory store: drop expired entries every N writes
+
+const envSeconds = (name, fallback) => {
+    const value = Number(process.env[name]);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+const CONFIG = {
+    store: process.env.RATE_LIMIT_STORE === 'file' ? 'file' : 'memory',
+    requestLimit: envSeconds('AUTH_RATE_LIMIT', 30),
+    requestWindowMs: envSeconds('AUTH_RATE_WINDOW', 15 * 60) * 1000,
+    accountThreshold: envSeconds('LOCKOUT_ACCOUNT_THRESHOLD', 5),
+    ipThreshold: envSeconds('LOCKOUT_IP_THRESHOLD', 20),
+    lockoutBaseMs: envSeconds('LOCKOUT_BASE', 60) * 1000,
+    lockoutMaxMs: envSeconds('LOCKOUT_MAX', 60 * 60) * 1000,
+    lockoutResetMs: envSeconds('LOCKOUT_RESET', 24 * 60 * 60) * 1000,
+};
+
+// ── Stores ────────────────────────────────────────────────────────────────────
+const isLive = (entry) => !!entry && entry.expiresAt > Date.now();
+
+const createMemoryStore = () => {
+    const map = new Map();
+    let writes = 0;
+
+    const sweep = () => {
+        for (const [key, entry] of map) {
+            if (!isLive(entry)) map.delete(key);
+        }
+    };
+
+    return {
+        name: 'memory',
+        get: (key) => {
+            const entry = map.get(key);
+            if (entry && !isLive(entry)) map.delete(key);
+            return isLive(entry) ? entry : undefined;
+        },
+        update: (key, fn) => {
+            const current = map.get(key);
+            const next = fn(isLive(current) ? current : undefined);
+            if (next) map.set(key, next);
+            else map.delete(key);
+            if (++writes % SWEEP_EVERY === 0) sweep();
+            return next;
+        },
+        entries: () => {
+            sweep();
+            return [...map.entries()];
+        },
+    };
+};
+
+// Each update is one locked read-modify-write, so processes sharing the
+// repository never lose each other's counts
+const createFileStore = (repo = createRepository('rate-limits', { key: 'key' })) => {
+    const strip = ({ key, ...entry }) => entry;
+
+    return {
+        name: 'file',
+        get: (key) => {
+            const record = repo.get(key);
+            return isLive(record) ? strip(record) : undefined;
+        },
+        update: async (key, fn) => {
+            let next = null;
+            await repo.mutate((records) => {
+                const live = records.filter(isLive);
+                const current = live.find(r => r.key === key);
+                next = fn(current ? strip(current) : undefined) || null;
+                const others = live.filter(r => r !== current);
+                return next ? [...others, { key, ...next }] : others;
+            });
+            return next;
+        },
+        entries: () => repo.filter(isLive).map(record => [record.key, strip(record)]),
+    };
+};
+
+// ── Request limiter ───────────────────────────────────────────────────────────
+/**
+ * Fixed-window request counter.
+ * @returns {{ hit: (key: string) => Promise<{ allowed: boolean, retryAfter: number }> }}
+ *          retryAfter is in seconds
+ */
+const createRateLimiter = ({ store, prefix, limit, windowMs }) => ({
+    hit: async (key) => {
+        const now = Date.now();
+        const next = await store.update(`${prefix}:${key}`, (entry = { count: 0, expiresAt: now + windowMs }) => ({
+            ...entry,
+            count: entry.count + 1,
+        }));
+        return {
+            allowed: next.count <= limit,
+            retryAfter: Math.max(1, Math.ceil((next.expiresAt - now) / 1000)),
+        };
+    },
+});
+
+// ── Progressive lockout ───────────────────────────────────────────────────────
+/**
+ * Failure counter that locks a key after `threshold` failures.
+ */
+const createLockout = ({ store, prefix, threshold, baseMs, maxMs, resetMs }) => {
+    const storeKey = (key) => `${prefix}:${key}`;
+
+    /**
+     * @returns {{ locked: boolean, lockedUntil: string|null, retryAfter: number }}
+     */
+    const status = (key) => {
+        const entry = store.get(storeKey(key));
+        const until = entry?.lockedUntil || 0;
+        const locked = until > Date.now();
+        return {
+            locked,
+            lockedUntil: locked ? new Date(until).toISOString() : null,
+            retryAfter: locked ? Math.ceil((until - Date.now()) / 1000) : 0,
+        };
+    };
+
+    /**
+     * Count one failure.
+     * @returns {Promise<{ lockedNow: boolean, lockouts: number, lockedUntil: string|null }>}
+     *          lockedNow is true when this failure started a lockout
+     */
+    const fail = async (key) => {
+        const now = Date.now();
+        let lockedNow = false;
+        const { lockouts, lockedUntil } = await store.update(storeKey(key), (entry) => {
+            let { failures, lockouts, lockedUntil } = entry || { failures: 0, lockouts: 0, lockedUntil: 0 };
+            lockedNow = false;
+
+            failures += 1;
+            if (failures >= threshold) {
+                lockedUntil = now + Math.min(maxMs, baseMs * 2 ** lockouts);
+                lockouts += 1;
+                failures = 0;
+                lockedNow = true;
+            }
+            return { failures, lockouts, lockedUntil, expiresAt: Math.max(now + resetMs, lockedUntil) };
+        });
+        return {
+            lockedNow,
+            lockouts,
+            lockedUntil: lockedUntil > now ? new Date(lockedUntil).toISOString() : null,
+        };
+    };
+
+    // Forget all failures (successful login, admin unlock)
+    const reset = async (key) => {
+        if (store.get(storeKey(key))) await store.update(storeKey(key), () => null);
+    };
+
+    /**
+     * Keys that are currently locked.
+     * @returns {{ key: string, lockedUntil: string, lockouts: number }[]}
+     */
+    const list = () =>
+        store
+            .entries()
+            .filter(([k, entry]) => k.startsWith(`${prefix}:`) && entry.lockedUntil > Date.now())
+            .map(([k, entry]) => ({
+                key: k.slice(prefix.length + 1),
+                lockedUntil: new Date(entry.lockedUntil).toISOString(),
+                lockouts: entry.lockouts,
+            }));
+
+    return { status, fail, reset, list };
+};
+
+// ── Configured instances ──────────────────────────────────────────────────────
+const store = CONFIG.store === 'file' ? createFileStore() : createMemoryStore();
+
+const lockoutOptions = {
+    baseMs: CONFIG.lockoutBaseMs,
+    maxMs: CONFIG.lockoutMaxMs,
+    resetMs: CONFIG.lockoutResetMs,
+};
+
+const authRequests = createRateLimiter({
+    store,
+    prefix: 'req',
+    limit: CONFIG.requestLimit,
+    windowMs: CONFIG.requestWindowMs,
+});
+const accountLockout = createLockout({ store, prefix: 'account', threshold: CONFIG.accountThreshold, ...lockoutOptions });
+const ipLockout = createLockout({ store, prefix: 'ip', threshold: CONFIG.ipThreshold, ...lockoutOptions });
+
+module.exports = {
+    CONFIG,
+    createMemoryStore,
+    createFileStore,
+    createRateLimiter,
+    createLockout,
+    authRequests,
+    accountLockout,
+    ipLockout,
+};
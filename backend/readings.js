@@ -0,0 +1,232 @@
+/**
+ * readings.js
+ * ------------
+ * Time-series access for a single station: the dataValue / dataTime
+ * pairs from the read store (see store.js), optionally bounded by a
+ * date range and resampled into hourly, daily, weekly or monthly buckets.
+ *
+ * dataTime values in the India-WRIS exports carry no timezone
+ * ("2025-01-25T06:00:00"), so all bucketing is done on the local
+ * timestamp text rather than through Date objects.
+ *
+ * Rain accumulators (IPC / GPC, "Rain acumm") report a running total, so
+ * before they are summed into buckets they are turned into the amount
+ * that fell since the previous reading (see toIncrements()).
+ */
+
+const { openStore } = require('./store');
+const { getStation } = require('./stations');
+const { parseExclude, withoutFlagged } = require('./quality');
+
+const INTERVALS = ['raw', 'hourly', 'daily', 'weekly', 'monthly'];
+const AGGREGATES = ['min', 'max', 'mean', 'last', 'sum'];
+
+// Rain gauges report depth per interval, so totals are summed;
+// well levels are states, so they are averaged.
+const DEFAULT_AGGREGATE = {
+    groundwater: 'mean',
+    rainfall: 'sum',
+};
+
+const CUMULATIVE_CODES = ['IPC', 'GPC'];
+const GLITCH_HOURS = 48;
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2})?)?$/;
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+const pad = (n) => String(n).padStart(2, '0');
+
+// Normalise a from/to bound into the same "YYYY-MM-DDTHH:mm:ss" shape as dataTime
+const normaliseBound = (value, name, endOfDay) => {
+    if (value === undefined || value === '') return null;
+    if (!DATE_RE.test(value)) {
+        throw new RangeError(`${name} must be a date (YYYY-MM-DD) or datetime (YYYY-MM-DDTHH:mm:ss).`);
+    }
+    if (value.length === 10) return `${value}T${endOfDay ? '23:59:59' : '00:00:00'}`;
+    if (value.length === 16) return `${value}:${endOfDay ? '59' : '00'}`;
+    return value;
+};
+
+// Monday of the ISO week containing the given YYYY-MM-DD date
+const weekStart = (day) => {
+    const [y, m, d] = day.split('-').map(Number);
+    const date = new Date(Date.UTC(y, m - 1, d));
+    const offset = (date.getUTCDay() + 6) % 7;
+    date.setUTCDate(date.getUTCDate() - offset);
+    return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+};
+
+const bucketKey = (time, interval) => {
+    switch (interval) {
+        case 'hourly': return `${time.slice(0, 13)}:00:00`;
+        case 'daily': return time.slice(0, 10);
+        case 'weekly': return weekStart(time.slice(0, 10));
+        case 'monthly': return `${time.slice(0, 7)}-01`;
+        default: return time;
+    }
+};
+
+const aggregate = (values, agg) => {
+    switch (agg) {
+        case 'min': return Math.min(...values);
+        case 'max': return Math.max(...values);
+        case 'last': return values[values.length - 1];
+        case 'sum': return values.reduce((a, b) => a + b, 0);
+        default: return values.reduce((a, b) => a + b, 0) / values.length;
+    }
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Group a time-sorted series into buckets and reduce each one.
+ *
+ * @param {{ time: string, value: number }[]} series - Sorted by time
+ * @param {string} interval - One of INTERVALS (except 'raw')
+ * @param {string} agg - One of AGGREGATES
+ * @returns {{ time: string, value: number, count: number }[]}
+ */
+const resample = (series, interval, agg) => {
+    const buckets = new Map();
+    for (const point of series) {
+        const key = bucketKey(point.time, interval);
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(point.value);
+    }
+    return [...buckets.entries()].map(([time, values]) => ({
+        time,
+        value: round(aggregate(values, agg)),
+        count: values.length,
+    }));
+};
+
+/**
+ * Turn a running total into the amount added since the previous reading.
+ * A drop means the accumulator was reset (emptied, or restarted from 0),
+ * so the whole new value counts as fresh rain – unless the rise was a
+ * glitch (the telemetry flips between 0 and values like 256), which then
+ * counts as 0: it falls back to exactly the level the rise started from,
+ * however much later, or below it within GLITCH_HOURS.
+ * The first reading is only a baseline: what fell before it is unknown.
+ *
+ * @param {{ time: string, value: number }[]} series - Sorted by time
+ * @returns {{ time: string, value: number, baseline?: true, reset?: true, glitch?: true }[]}
+ */
+const toIncrements = (series) => {
+    const amounts = [];
+    let rise = null; // where the latest run of increases started
+    series.forEach((point, i) => {
+        if (i === 0) {
+            amounts.push({ time: point.time, value: 0, baseline: true });
+            return;
+        }
+        const before = series[i - 1].value;
+        const change = point.value - before;
+        const ms = Date.parse(`${point.time}Z`);
+
+        if (change >= 0) {
+            if (change > 0 && !(amounts.at(-1).value > 0)) rise = { index: amounts.length, level: before, ms };
+            amounts.push({ time: point.time, value: round(change) });
+            return;
+        }
+        const glitch = rise && (point.value === rise.level ||
+            (point.value <= rise.level && ms - rise.ms <= GLITCH_HOURS * 60 * 60 * 1000));
+        if (glitch) {
+            for (let j = rise.index; j < amounts.length; j++) {
+                amounts[j] = { time: amounts[j].time, value: 0, glitch: true };
+            }
+            amounts.push({ time: point.time, value: 0, glitch: true });
+        } else {
+            amounts.push({ time: point.time, value: point.value, reset: true });
+        }
+        rise = null;
+    });
+    return amounts;
+};
+
+/**
+ * The datatypeCode with the most readings for a station. Wells that report
+ * both depth below ground (GGZ) and level above sea (MS4) must not be
+ * mixed into one series.
+ */
+const primaryCode = (db, code) =>
+    db.prepare('SELECT datatypeCode FROM series WHERE stationCode = ? ORDER BY readingCount DESC LIMIT 1')
+        .pluck()
+        .get(code) || null;
+
+/**
+ * Fetch the reading series for one station.
+ *
+ * @param {string} code - stationCode
+ * @param {object} [options]
+ * @param {string} [options.from] - Inclusive lower bound (date or datetime)
+ * @param {string} [options.to] - Inclusive upper bound (date or datetime)
+ * @param {string} [options.interval='raw'] - raw | hourly | daily | weekly | monthly
+ * @param {string} [options.agg] - min | max | mean | last | sum (default by dataset)
+ * @param {string} [options.datatypeCode] - Series to return (default: the station's main one)
+ * @param {string|boolean} [options.excludeFlagged] - Drop readings with quality flags:
+ *                          true for any flag, or a comma-separated list (see quality.js)
+ * @returns {object|null} null when the station does not exist
+ */
+const getReadings = (code, options = {}) => {
+    const station = getStation(code);
+    if (!station) return null;
+
+    const interval = options.interval || 'raw';
+    if (!INTERVALS.includes(interval)) {
+        throw new RangeError(`interval must be one of: ${INTERVALS.join(', ')}.`);
+    }
+    const agg = options.agg || DEFAULT_AGGREGATE[station.dataset];
+    if (!AGGREGATES.includes(agg)) {
+        throw new RangeError(`agg must be one of: ${AGGREGATES.join(', ')}.`);
+    }
+    const from = normaliseBound(options.from, 'from', false);
+    const to = normaliseBound(options.to, 'to', true);
+    const exclude = parseExclude(options.excludeFlagged);
+    if (from && to && from > to) {
+        throw new RangeError('from must not be later than to.');
+    }
+
+    const db = openStore();
+    const datatypeCode = options.datatypeCode || primaryCode(db, code);
+    if (datatypeCode && !station.datatypeCodes.includes(datatypeCode)) {
+        throw new RangeError(`datatypeCode must be one of: ${station.datatypeCodes.join(', ')}.`);
+    }
+
+    const stored = db.prepare(`
+        SELECT time, value FROM readings
+        WHERE stationCode = ? AND datatypeCode = ? AND time >= ? AND time <= ?
+        ORDER BY time
+    `).all(code, datatypeCode, from || '', to || '\uffff');
+    const series = withoutFlagged(stored, exclude, { datatypeCode, wellDepth: station.wellDepth });
+    const summed = interval !== 'raw' && agg === 'sum' && CUMULATIVE_CODES.includes(datatypeCode);
+    const type = db.prepare('SELECT description, unit FROM datatypes WHERE datatypeCode = ?').get(datatypeCode);
+
+    return {
+        stationCode: station.stationCode,
+        stationName: station.stationName,
+        dataset: station.dataset,
+        datatypeCode,
+        description: type?.description || null,
+        unit: type?.unit || null,
+        from,
+        to,
+        interval,
+        agg: interval === 'raw' ? null : agg,
+        excludeFlagged: exclude,
+        excluded: stored.length - series.length,
+        readings: interval === 'raw'
+            ? series
+            : resample(summed ? toIncrements(series) : series, interval, agg),
+    };
+};
+
+module.exports = {
+    INTERVALS,
+    AGGREGATES,
+    CUMULATIVE_CODES,
+    normaliseBound,
+    toIncrements,
+    resample,
+    getReadings,
+};
@@ -0,0 +1,333 @@
+/**
+ * recharge.js
+ * ------------
+ * How groundwater responds to rain: each CGWB well is paired with nearby
+ * CWC rain gauges, the delay between rain and a rising water table is
+ * measured, and recharge is estimated with the water-table-fluctuation
+ * (WTF) method.
+ *
+ *   pairing      – gauges in the well's state that are in the same
+ *                  district or within MAX_DISTANCE_KM, nearest first; the
+ *                  one whose record overlaps the well's most is used
+ *   response lag – cross-correlation between weekly rainfall (the gauge's
+ *                  normalised totals, see rainfall.js) and the weekly rise
+ *                  of the water level, for lags of 0–MAX_LAG_WEEKS weeks.
+ *                  The lag with the strongest positive correlation wins;
+ *                  it is significant when r > 1.96 / √n
+ *   recharge     – per year, R = Sy × Δh, where Δh is the rise from the
+ *                  pre-monsoon low (March–June) to the post-monsoon peak
+ *                  (July–November) and Sy the specific yield of the
+ *                  aquifer type (GEC-2015 style defaults, SPECIFIC_YIELD)
+ *
+ * Levels are relative to ground (negative = below ground) as in trends.js,
+ * so a rise is a positive change. Depth series (HGZ, and GGZ series that
+ * are mostly positive) are negated; other GGZ series keep their sign, so
+ * an artesian head above ground stays positive. The WTF method assumes
+ * an unconfined aquifer; confined wells get Δh but no recharge figure.
+ */
+
+const { openStore } = require('./store');
+const { getCatalog } = require('./stations');
+const { resample } = require('./readings');
+const { getRainfall } = require('./rainfall');
+const { parseExclude, withoutFlagged } = require('./quality');
+const { distanceKm } = require('./spatial');
+
+const LEVEL_CODES = ['GGZ', 'HGZ'];
+const MAX_DISTANCE_KM = 50;
+const MAX_GAUGES = 3;
+const MAX_LAG_WEEKS = 12;
+const MIN_PAIRS = 8;
+const PRE_MONSOON_MONTHS = ['03', '04', '05', '06'];
+const POST_MONSOON_MONTHS = ['07', '08', '09', '10', '11'];
+
+// Fraction of aquifer volume that drains under gravity; null = WTF doesn't apply
+const SPECIFIC_YIELD = {
+    Unconfined: 0.12,
+    'Semi-Confined': 0.06,
+    Confined: null,
+};
+const DEFAULT_SPECIFIC_YIELD = 0.08; // aquifer type not recorded
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+const round = (value, digits = 3) =>
+    value == null || !Number.isFinite(value) ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+
+const mean = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+
+/**
+ * Water levels relative to ground from a well's raw readings.
+ * @param {{ time: string, value: number }[]} readings
+ * @param {string} datatypeCode - GGZ or HGZ
+ */
+const toLevels = (readings, datatypeCode) => {
+    const positives = readings.filter(r => r.value > 0).length;
+    const depths = datatypeCode === 'HGZ' || positives > readings.length / 2;
+    return readings.map(r => ({ time: r.time, value: depths ? -r.value : r.value }));
+};
+
+const sameDistrict = (a, b) =>
+    !!a.district && String(a.district).toUpperCase() === String(b.district || '').toUpperCase();
+
+const pearson = (pairs) => {
+    const n = pairs.length;
+    const mx = mean(pairs.map(p => p[0]));
+    const my = mean(pairs.map(p => p[1]));
+    let sxy = 0;
+    let sxx = 0;
+    let syy = 0;
+    for (const [x, y] of pairs) {
+        sxy += (x - mx) * (y - my);
+        sxx += (x - mx) ** 2;
+        syy += (y - my) ** 2;
+    }
+    return n && sxx && syy ? sxy / Math.sqrt(sxx * syy) : null;
+};
+
+// ── Pairing ───────────────────────────────────────────────────────────────────
+/**
+ * Rain gauges near a well: same state, and in the same district or within
+ * MAX_DISTANCE_KM. Nearest first.
+ */
+const pairGauges = (well, gauges) =>
+    gauges
+        .filter(g => g.state === well.state && g.latitude != null && g.longitude != null)
+        .map(g => ({
+            stationCode: g.stationCode,
+            stationName: g.stationName,
+            district: g.district,
+            distanceKm: round(distanceKm(well, g), 1),
+            sameDistrict: sameDistrict(well, g),
+        }))
+        .filter(g => g.sameDistrict || g.distanceKm <= MAX_DISTANCE_KM)
+        .sort((a, b) => a.distanceKm - b.distanceKm)
+        .slice(0, MAX_GAUGES);
+
+// ── Response lag ──────────────────────────────────────────────────────────────
+/**
+ * Cross-correlation of weekly rainfall with the weekly water-level rise.
+ * @param {{ time: string, value: number }[]} rainWeeks  - mm per ISO week (Monday)
+ * @param {{ time: string, value: number }[]} levelWeeks - mean level per ISO week
+ * @returns {{ correlations: object[], lag: object|null }}
+ */
+const responseLag = (rainWeeks, levelWeeks) => {
+    const weekMs = (time) => Date.parse(`${time}T00:00:00Z`);
+    const rain = new Map(rainWeeks.map(w => [weekMs(w.time), w.value]));
+
+    // Rise during a week = change from the week before (consecutive weeks only)
+    const rises = [];
+    for (let i = 1; i < levelWeeks.length; i++) {
+        const ms = weekMs(levelWeeks[i].time);
+        if (ms - weekMs(levelWeeks[i - 1].time) === WEEK_MS) {
+            rises.push({ ms, rise: levelWeeks[i].value - levelWeeks[i - 1].value });
+        }
+    }
+
+    const correlations = [];
+    for (let lag = 0; lag <= MAX_LAG_WEEKS; lag++) {
+        const pairs = rises
+            .filter(r => rain.has(r.ms - lag * WEEK_MS))
+            .map(r => [rain.get(r.ms - lag * WEEK_MS), r.rise]);
+        const r = pairs.length >= MIN_PAIRS ? pearson(pairs) : null;
+        correlations.push({ lagWeeks: lag, lagDays: lag * 7, r: round(r), n: pairs.length });
+    }
+
+    const best = correlations
+        .filter(c => c.r !== null && c.r > 0)
+        .sort((a, b) => b.r - a.r)[0];
+    const lag = best
+        ? { ...best, significant: best.r > 1.96 / Math.sqrt(best.n) }
+        : null;
+    return { correlations, lag };
+};
+
+// ── Water-table fluctuation ───────────────────────────────────────────────────
+/**
+ * Seasonal rise and recharge per year.
+ * @param {{ time: string, value: number }[]} levelDays - Daily mean levels
+ * @param {number|null} specificYield
+ * @param {{ time: string, value: number }[]} rainMonths - Monthly rain totals
+ */
+const wtfRecharge = (levelDays, specificYield, rainMonths = []) => {
+    const years = [...new Set(levelDays.map(d => d.time.slice(0, 4)))].sort();
+    return years.map(year => {
+        const inMonths = (months) => levelDays.filter(d => d.time.startsWith(year) && months.includes(d.time.slice(5, 7)));
+        const pre = inMonths(PRE_MONSOON_MONTHS);
+        const post = inMonths(POST_MONSOON_MONTHS);
+        if (!pre.length || !post.length) return null;
+
+        const low = pre.reduce((a, b) => (b.value < a.value ? b : a));
+        const peak = post.reduce((a, b) => (b.value > a.value ? b : a));
+        const rise = Math.max(peak.value - low.value, 0);
+        const rechargeMm = specificYield == null ? null : specificYield * rise * 1000;
+
+        const monsoonRain = rainMonths.filter(m =>
+            m.time.startsWith(year) && ['06', ...POST_MONSOON_MONTHS].includes(m.time.slice(5, 7)));
+        const rainfallMm = monsoonRain.length ? monsoonRain.reduce((sum, m) => sum + m.value, 0) : null;
+
+        return {
+            year: Number(year),
+            preMonsoonLow: { time: low.time, level: round(low.value) },
+            postMonsoonPeak: { time: peak.time, level: round(peak.value) },
+            rise: round(rise),
+            rechargeMm: round(rechargeMm, 1),
+            rainfallMm: round(rainfallMm, 1),
+            rainfallDays: monsoonRain.reduce((sum, m) => sum + (m.days || 0), 0),
+            rechargeFraction: rechargeMm != null && rainfallMm > 0 ? round(rechargeMm / rainfallMm) : null,
+        };
+    }).filter(Boolean);
+};
+
+// ── Queries ───────────────────────────────────────────────────────────────────
+const FILTERS = ['state', 'district', 'wellAquiferType', 'stationCode'];
+
+const specificYieldFor = (well, override) => {
+    if (override !== undefined) return { value: override, source: 'query' };
+    if (Object.prototype.hasOwnProperty.call(SPECIFIC_YIELD, well.wellAquiferType)) {
+        return { value: SPECIFIC_YIELD[well.wellAquiferType], source: 'aquifer-type' };
+    }
+    return { value: DEFAULT_SPECIFIC_YIELD, source: 'default' };
+};
+
+/**
+ * Response lag and recharge for every groundwater well matching the filters.
+ *
+ * @param {object} [query] - state, district, wellAquiferType, stationCode
+ *                           (case-insensitive); specificYield overrides the
+ *                           per-aquifer value; excludeFlagged as in trends.js
+ */
+const rechargeAnalysis = (query = {}) => {
+    let override;
+    if (query.specificYield !== undefined && query.specificYield !== '') {
+        override = Number(query.specificYield);
+        if (!Number.isFinite(override) || override <= 0 || override >= 1) {
+            throw new RangeError('specificYield must be a number between 0 and 1.');
+        }
+    }
+    const exclude = parseExclude(query.excludeFlagged);
+
+    const matches = (station) => FILTERS.every(field =>
+        query[field] === undefined || query[field] === '' ||
+        String(station[field] || '').toLowerCase() === String(query[field]).trim().toLowerCase());
+    const wells = getCatalog('groundwater').filter(matches);
+    const gauges = getCatalog('rainfall');
+
+    const db = openStore();
+    const pickCode = db.prepare(`
+        SELECT datatypeCode FROM series
+        WHERE stationCode = ? AND datatypeCode IN (${LEVEL_CODES.map(() => '?').join(', ')})
+        ORDER BY readingCount DESC LIMIT 1
+    `).pluck();
+    const readingsOf = db.prepare('SELECT time, value FROM readings WHERE stationCode = ? AND datatypeCode = ? ORDER BY time');
+
+    // Gauges are shared by many wells
+    const rainCache = new Map();
+    const rainfallOf = (code) => {
+        if (!rainCache.has(code)) {
+            const daily = getRainfall(code, { excludeFlagged: query.excludeFlagged });
+            rainCache.set(code, daily.readings.length ? {
+                datatypeCode: daily.datatypeCode,
+                weekly: resample(daily.readings, 'weekly', 'sum'),
+                monthly: getRainfall(code, { interval: 'monthly', excludeFlagged: query.excludeFlagged }).readings,
+            } : null);
+        }
+        return rainCache.get(code);
+    };
+
+    const results = wells.map(well => {
+        const datatypeCode = pickCode.get(well.stationCode, ...LEVEL_CODES) || null;
+        const raw = datatypeCode
+            ? withoutFlagged(readingsOf.all(well.stationCode, datatypeCode), exclude, { datatypeCode, wellDepth: well.wellDepth })
+            : [];
+        const levelDays = resample(toLevels(raw, datatypeCode), 'daily', 'mean');
+
+        // Of the paired gauges, the one whose record overlaps the well's most (nearest on ties)
+        const levelWeeks = resample(levelDays, 'weekly', 'mean');
+        const paired = pairGauges(well, gauges);
+        let gauge = null;
+        let rain = null;
+        let response = { correlations: [], lag: null };
+        for (const candidate of paired) {
+            const data = rainfallOf(candidate.stationCode);
+            if (!data) continue;
+            const analysed = responseLag(data.weekly, levelWeeks);
+            const overlap = (r) => Math.max(0, ...r.correlations.map(c => c.n));
+            if (!gauge || overlap(analysed) > overlap(response)) {
+                gauge = candidate;
+                rain = data;
+                response = analysed;
+            }
+        }
+        const { correlations, lag } = response;
+        const specificYield = specificYieldFor(well, override);
+        const years = wtfRecharge(levelDays, specificYield.value, rain?.monthly);
+        const recharged = years.filter(y => y.rechargeMm != null);
+
+        return {
+            stationCode: well.stationCode,
+            stationName: well.stationName,
+            state: well.state,
+            district: well.district,
+            wellAquiferType: well.wellAquiferType,
+            datatypeCode,
+            gauges: paired,
+            gauge: gauge ? { ...gauge, datatypeCode: rain.datatypeCode } : null,
+            lag,
+            correlations,
+            specificYield: specificYield.value,
+            specificYieldSource: specificYield.source,
+            recharge: years,
+            meanRechargeMm: round(mean(recharged.map(y => y.rechargeMm)), 1),
+        };
+    });
+
+    // Per district (spellings differ in case between files)
+    const districts = new Map();
+    for (const w of results) {
+        const key = `${w.state}|${String(w.district || '').toUpperCase()}`;
+        if (!districts.has(key)) districts.set(key, { state: w.state, district: w.district, wells: [] });
+        districts.get(key).wells.push(w);
+    }
+    const byDistrict = [...districts.values()].map(({ state, district, wells: group }) => {
+        const lags = group.filter(w => w.lag?.significant).map(w => w.lag.lagDays);
+        const recharge = group.map(w => w.meanRechargeMm).filter(v => v != null);
+        return {
+            state,
+            district,
+            wells: group.length,
+            pairedWells: group.filter(w => w.gauge).length,
+            wellsWithLag: lags.length,
+            meanLagDays: round(mean(lags), 1),
+            meanRechargeMm: round(mean(recharge), 1),
+        };
+    });
+
+    return {
+        method: {
+            pairing: { maxDistanceKm: MAX_DISTANCE_KM, maxGauges: MAX_GAUGES },
+            lag: { resolution: 'weekly', maxLagWeeks: MAX_LAG_WEEKS, minPairs: MIN_PAIRS },
+            recharge: {
+                formula: 'R = Sy × Δh',
+                preMonsoonMonths: PRE_MONSOON_MONTHS.map(Number),
+                postMonsoonMonths: POST_MONSOON_MONTHS.map(Number),
+                specificYield: SPECIFIC_YIELD,
+                defaultSpecificYield: DEFAULT_SPECIFIC_YIELD,
+                override: override ?? null,
+            },
+            excludeFlagged: exclude,
+        },
+        wells: results,
+        byDistrict,
+    };
+};
+
+module.exports = {
+    SPECIFIC_YIELD,
+    toLevels,
+    pairGauges,
+    responseLag,
+    wtfRecharge,
+    rechargeAnalysis,
+};
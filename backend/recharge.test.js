@@ -0,0 +1,154 @@
+/**
+ * recharge.test.js
+ * -----------------
+ * Tests for the rain → groundwater response lag (cross-correlation) and
+ * the water-table-fluctuation recharge estimate, including wells whose
+ * head stands above ground.
+ *
+ * Run with: npm run test:backend
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { toLevels, responseLag, wtfRecharge } = require('./recharge');
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Monday of the i-th week from 1 January 2024 (a Monday)
+const week = (i) => new Date(Date.UTC(2024, 0, 1) + i * WEEK_MS).toISOString().slice(0, 10);
+
+// Irregular but repeatable weekly rain, mm (a small LCG, so no lag repeats it)
+let seed = 1;
+const RAIN = Array.from({ length: 40 }, () => {
+    seed = (seed * 75 + 74) % 65537;
+    return seed % 100;
+});
+
+// Weekly levels that rise by 1 cm per mm of rain `lag` weeks earlier
+const levelsLagging = (lag) => {
+    let level = -10;
+    return RAIN.map((_, i) => {
+        if (i > 0) level += i >= lag ? RAIN[i - lag] / 100 : 0;
+        return { time: week(i), value: level };
+    });
+};
+
+const rainWeeks = RAIN.map((value, i) => ({ time: week(i), value }));
+
+// ── Levels ────────────────────────────────────────────────────────────────────
+test('depths become negative levels, artesian heads stay above ground', () => {
+    const at = (value) => ({ time: '2024-05-01T00:00:00', value });
+
+    // HGZ is always a depth below ground
+    assert.deepEqual(toLevels([at(5), at(6)], 'HGZ').map(r => r.value), [-5, -6]);
+    // A GGZ series that reports depths (mostly positive)
+    assert.deepEqual(toLevels([at(20), at(21), at(19)], 'GGZ').map(r => r.value), [-20, -21, -19]);
+    // A GGZ series of levels: the positive reading is a head above ground
+    assert.deepEqual(toLevels([at(-2.5), at(-1), at(2.3)], 'GGZ').map(r => r.value), [-2.5, -1, 2.3]);
+});
+
+// ── Response lag ──────────────────────────────────────────────────────────────
+test('finds the lag of a series that follows the rain two weeks later', () => {
+    const { lag, correlations } = responseLag(rainWeeks, levelsLagging(2));
+
+    assert.equal(lag.lagWeeks, 2);
+    assert.equal(lag.lagDays, 14);
+    assert.equal(lag.r, 1);
+    assert.equal(lag.n, 38);
+    assert.equal(lag.significant, true);
+    assert.equal(correlations.length, 13);
+    assert.ok(correlations.every(c => c.lagWeeks === 2 || c.r < 0.5), 'other lags correlate weakly');
+});
+
+test('an immediate response is lag 0', () => {
+    const { lag } = responseLag(rainWeeks, levelsLagging(0));
+
+    assert.equal(lag.lagWeeks, 0);
+    assert.equal(lag.r, 1);
+});
+
+test('only rises between consecutive weeks are paired', () => {
+    // Drop every third week: the rises either side of it span two weeks
+    const levels = levelsLagging(1).filter((_, i) => i % 3 !== 0);
+    const { lag } = responseLag(rainWeeks, levels);
+
+    assert.equal(lag.lagWeeks, 1);
+    assert.equal(lag.r, 1);
+    assert.equal(lag.n, 13);
+});
+
+test('too few pairs or a level that never moves give no lag', () => {
+    const short = responseLag(rainWeeks.slice(0, 6), levelsLagging(0).slice(0, 6));
+    assert.ok(short.correlations.every(c => c.r === null));
+    assert.equal(short.lag, null);
+
+    const flat = rainWeeks.map(w => ({ time: w.time, value: -12 }));
+    const { lag, correlations } = responseLag(rainWeeks, flat);
+    assert.equal(lag, null);
+    assert.ok(correlations.every(c => c.r === null && c.n >= 8));
+});
+
+// ── Water-table fluctuation ───────────────────────────────────────────────────
+test('recharge is Sy times the rise from the pre-monsoon low to the post-monsoon peak', () => {
+    const levels = [
+        { time: '2024-03-10', value: -8 },
+        { time: '2024-05-20', value: -9.5 },  // pre-monsoon low
+        { time: '2024-06-15', value: -9 },
+        { time: '2024-08-01', value: -6 },
+        { time: '2024-10-05', value: -5.5 },  // post-monsoon peak
+        { time: '2024-12-01', value: -4 },    // after the season: ignored
+    ];
+    const rain = [
+        { time: '2024-05-01', value: 10, days: 31 },  // before June: ignored
+        { time: '2024-06-01', value: 200, days: 30 },
+        { time: '2024-07-01', value: 300, days: 31 },
+        { time: '2024-08-01', value: 250, days: 31 },
+        { time: '2024-12-01', value: 50, days: 31 },  // ignored
+    ];
+
+    // Δh = −5.5 − (−9.5) = 4 m; R = 0.12 × 4 m = 480 mm; 480 / 750 mm of rain
+    assert.deepEqual(wtfRecharge(levels, 0.12, rain), [{
+        year: 2024,
+        preMonsoonLow: { time: '2024-05-20', level: -9.5 },
+        postMonsoonPeak: { time: '2024-10-05', level: -5.5 },
+        rise: 4,
+        rechargeMm: 480,
+        rainfallMm: 750,
+        rainfallDays: 92,
+        rechargeFraction: 0.64,
+    }]);
+});
+
+test('artesian heads above ground give the same rise', () => {
+    // Head 0.4 m above ground before the monsoon, 1.9 m after
+    const levels = [
+        { time: '2024-04-01', value: 0.6 },
+        { time: '2024-06-01', value: 0.4 },
+        { time: '2024-09-01', value: 1.9 },
+        { time: '2024-11-01', value: 1.2 },
+    ];
+    const [year] = wtfRecharge(levels, 0.08);
+
+    assert.equal(year.preMonsoonLow.level, 0.4);
+    assert.equal(year.postMonsoonPeak.level, 1.9);
+    assert.equal(year.rise, 1.5);
+    assert.equal(year.rechargeMm, 120);
+    assert.equal(year.rainfallMm, null);
+    assert.equal(year.rechargeFraction, null);
+});
+
+test('no recharge figure for confined wells, no negative rise, no partial years', () => {
+    const levels = [
+        { time: '2023-05-01', value: -6 },
+        { time: '2023-09-01', value: -7 },   // fell through the monsoon
+        { time: '2024-04-01', value: -8 },
+        { time: '2024-08-01', value: -7 },
+        { time: '2025-04-01', value: -8 },   // no post-monsoon reading
+    ];
+
+    const confined = wtfRecharge(levels, null);
+    assert.deepEqual(confined.map(y => [y.year, y.rise, y.rechargeMm]), [[2023, 0, null], [2024, 1, null]]);
+
+    assert.deepEqual(wtfRecharge(levels, 0.12).map(y => y.rechargeMm), [0, 120]);
+});
@@ -0,0 +1,482 @@
+/**
+ * repository.js
+ * --------------
+ * Persistence for application records (users, samples, ...).
+ *
+ * A repository is a keyed collection of JSON documents:
+ *
+ *   const users = createRepository('users', { key: 'email', migrations });
+ *   users.get('a@b.c')          await users.insert(record)
+ *   await users.update(key, changes)   await users.remove(key)
+ *   await users.mutate(records => records.filter(...))
+ *
+ * Every write is a read-modify-write done under a lock, so two requests
+ * (or two processes) can't overwrite each other's changes. Reads are
+ * synchronous and return copies; changing them has no effect until passed
+ * back through update(). Writes return promises: while another process
+ * holds the lock they retry every LOCK_RETRY_MS (for up to
+ * LOCK_TIMEOUT_MS) without blocking the event loop.
+ *
+ * Backends (DATA_BACKEND env var):
+ *  - json   (default) – one file per collection, data/<name>.json, shaped
+ *                       { schemaVersion, <name>: [...] }. Writes go to a
+ *                       temp file that is fsynced and renamed over the
+ *                       original, under an exclusive <file>.lock file.
+ *                       A lock older than LOCK_STALE_MS was left by a
+ *                       crashed process and is taken over. A file that
+ *                       fails to parse is an error, never treated as empty.
+ *  - sqlite           – all collections in data/app.db (APP_DB env var).
+ *                       On first use a collection is imported from its
+ *                       JSON file, if there is one.
+ *
+ * Schema versioning: each collection stores its schemaVersion. Files from
+ * before versioning count as version 0. When a repository is first used,
+ * every migration newer than the stored version runs in order (inside the
+ * lock) and the version is bumped; the JSON backend keeps a copy of the
+ * file as it was (<file>.v<old>.bak). Until then, reads see the records
+ * migrated in memory. A collection written by a newer schema than the code
+ * knows is refused.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const APP_DB = process.env.APP_DB || path.join(DATA_DIR, 'app.db');
+
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 30 * 1000;   // a lock this old was left by a crashed process
+const LOCK_RETRY_MS = 10;
+
+// Thrown by insert() when a record with the same key exists
+class ConflictError extends Error {}
+
+// Thrown by a backend transaction when another process holds the lock
+class LockBusyError extends Error {}
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+// ── JSON file backend ─────────────────────────────────────────────────────────
+const createJsonBackend = (dir = DATA_DIR) => {
+    const cache = new Map(); // name → { mtimeMs, size, version, records }
+
+    const fileOf = (name) => path.join(dir, `${name}.json`);
+
+    // Remove a lock left by a crashed process. The check and the removal run
+    // under a second <lock>.takeover lock and only remove the very file found
+    // stale, so a lock another process has just re-acquired is never deleted.
+    const removeStaleLock = (lock) => {
+        const stale = fs.statSync(lock, { throwIfNoEntry: false });
+        if (!stale) return true; // released in the meantime
+        if (Date.now() - stale.mtimeMs <= LOCK_STALE_MS) return false;
+
+        const guard = `${lock}.takeover`;
+        let fd;
+        try {
+            fd = fs.openSync(guard, 'wx');
+        } catch (err) {
+            if (err.code !== 'EEXIST') throw err;
+            // A takeover takes microseconds; a guard this old was left by a crash
+            const age = Date.now() - (fs.statSync(guard, { throwIfNoEntry: false })?.mtimeMs ?? Date.now());
+            if (age > LOCK_STALE_MS) fs.rmSync(guard, { force: true });
+            return false;
+        }
+        try {
+            const current = fs.statSync(lock, { throwIfNoEntry: false });
+            if (current && current.ino === stale.ino && current.mtimeMs === stale.mtimeMs) {
+                fs.rmSync(lock, { force: true });
+            }
+            return true;
+        } finally {
+            fs.closeSync(fd);
+            fs.rmSync(guard, { force: true });
+        }
+    };
+
+    // Never waits: throws LockBusyError while another process holds the lock
+    const withFileLock = (file, fn) => {
+        const lock = `${file}.lock`;
+        const open = () => {
+            try {
+                return fs.openSync(lock, 'wx');
+            } catch (err) {
+                if (err.code !== 'EEXIST') throw err;
+                return null;
+            }
+        };
+        let fd = open();
+        if (fd === null && removeStaleLock(lock)) fd = open();
+        if (fd === null) throw new LockBusyError(lock);
+
+        try {
+            fs.writeSync(fd, String(process.pid));
+            return fn();
+        } finally {
+            fs.closeSync(fd);
+            fs.rmSync(lock, { force: true });
+        }
+    };
+
+    // { version, records } – version null when the file doesn't exist yet
+    const load = (name) => {
+        const file = fileOf(name);
+        let stat;
+        try {
+            stat = fs.statSync(file);
+        } catch {
+            return { version: null, records: [] };
+        }
+
+        const cached = cache.get(name);
+        if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+            return cached;
+        }
+
+        let content;
+        try {
+            content = JSON.parse(fs.readFileSync(file, 'utf-8'));
+        } catch (err) {
+            throw new Error(`Could not read ${file}: ${err.message}. Fix or restore the file; it was not modified.`);
+        }
+        if (!content || !Array.isArray(content[name])) {
+            throw new Error(`${file} has no "${name}" array. Fix or restore the file; it was not modified.`);
+        }
+
+        const entry = {
+            mtimeMs: stat.mtimeMs,
+            size: stat.size,
+            version: Number.isInteger(content.schemaVersion) ? content.schemaVersion : 0,
+            records: content[name],
+        };
+        cache.set(name, entry);
+        return entry;
+    };
+
+    const save = (name, version, records) => {
+        const file = fileOf(name);
+        const tmp = `${file}.${process.pid}.tmp`;
+        fs.mkdirSync(dir, { recursive: true });
+
+        const fd = fs.openSync(tmp, 'w');
+        try {
+            fs.writeSync(fd, JSON.stringify({ schemaVersion: version, [name]: records }, null, 2));
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tmp, file);
+        cache.delete(name);
+    };
+
+    return {
+        name: 'json',
+        location: (name) => fileOf(name),
+
+        all: (name) => load(name).records,
+
+        version: (name) => load(name).version,
+
+        transaction: (name, fn) => withFileLock(fileOf(name), () => {
+            const loaded = load(name);
+            const state = { version: loaded.version, records: loaded.records.slice(), dirty: false };
+            const result = fn({
+                version: () => state.version,
+                setVersion: (version) => {
+                    if (state.version !== null && version !== state.version && fs.existsSync(fileOf(name))) {
+                        fs.copyFileSync(fileOf(name), `${fileOf(name)}.v${state.version}.bak`);
+                    }
+                    state.version = version;
+                    state.dirty = true;
+                },
+                all: () => state.records,
+                replace: (records) => {
+                    state.records = records;
+                    state.dirty = true;
+                },
+            });
+            if (state.dirty) save(name, state.version, state.records);
+            return result;
+        }),
+    };
+};
+
+// ── SQLite backend ────────────────────────────────────────────────────────────
+const createSqliteBackend = (file = APP_DB, { legacyDir = DATA_DIR } = {}) => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    // No busy wait inside SQLite: a locked database is retried by the repository
+    db.pragma('busy_timeout = 0');
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS collections (
+            name          TEXT PRIMARY KEY,
+            schemaVersion INTEGER NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS documents (
+            collection  TEXT NOT NULL,
+            key         TEXT NOT NULL,
+            doc         TEXT NOT NULL,
+            PRIMARY KEY (collection, key)
+        );
+    `);
+
+    const statements = {
+        version: db.prepare('SELECT schemaVersion FROM collections WHERE name = ?'),
+        setVersion: db.prepare(`
+            INSERT INTO collections (name, schemaVersion) VALUES (?, ?)
+            ON CONFLICT(name) DO UPDATE SET schemaVersion = excluded.schemaVersion
+        `),
+        rows: db.prepare('SELECT key, doc FROM documents WHERE collection = ? ORDER BY rowid'),
+        upsert: db.prepare(`
+            INSERT INTO documents (collection, key, doc) VALUES (?, ?, ?)
+            ON CONFLICT(collection, key) DO UPDATE SET doc = excluded.doc
+        `),
+        delete: db.prepare('DELETE FROM documents WHERE collection = ? AND key = ?'),
+    };
+
+    const all = (name) => statements.rows.all(name).map(row => JSON.parse(row.doc));
+    const version = (name) => statements.version.get(name)?.schemaVersion ?? null;
+
+    const isBusy = (err) => err.code === 'SQLITE_BUSY' || err.code === 'SQLITE_LOCKED';
+
+    // Collections kept as JSON before switching backends are imported once
+    const importLegacy = (name) => {
+        const legacy = createJsonBackend(legacyDir);
+        const records = legacy.all(name);
+        const legacyVersion = legacy.version(name);
+        return legacyVersion === null ? null : { version: legacyVersion, records };
+    };
+
+    const runTransaction = (name, fn, keyOf) => db.transaction(() => {
+        const stored = new Map(statements.rows.all(name).map(row => [row.key, row.doc]));
+        let state = { version: version(name), records: null, dirty: false };
+        if (state.version === null) {
+            const legacy = importLegacy(name);
+            if (legacy) state = { version: legacy.version, records: legacy.records, dirty: true };
+        }
+
+        const result = fn({
+            version: () => state.version,
+            setVersion: (next) => {
+                state.version = next;
+                state.dirty = true;
+            },
+            all: () => state.records || (state.records = [...stored.values()].map(doc => JSON.parse(doc))),
+            replace: (records) => {
+                state.records = records;
+                state.dirty = true;
+            },
+        });
+
+        if (state.dirty) {
+            statements.setVersion.run(name, state.version ?? 0);
+            if (state.records) {
+                const keep = new Set();
+                for (const record of state.records) {
+                    const id = String(keyOf(record));
+                    const doc = JSON.stringify(record);
+                    keep.add(id);
+                    if (stored.get(id) !== doc) statements.upsert.run(name, id, doc);
+                }
+                for (const id of stored.keys()) {
+                    if (!keep.has(id)) statements.delete.run(name, id);
+                }
+            }
+        }
+        return result;
+    }).immediate();
+
+    return {
+        name: 'sqlite',
+        location: () => file,
+
+        all,
+
+        version,
+
+        // Only documents that actually changed are written
+        transaction: (name, fn, keyOf) => {
+            try {
+                return runTransaction(name, fn, keyOf);
+            } catch (err) {
+                if (isBusy(err)) throw new LockBusyError(`${file} (${name})`);
+                throw err;
+            }
+        },
+    };
+};
+
+// ── Backend selection ─────────────────────────────────────────────────────────
+let backend = null;
+
+/**
+ * The configured backend (created on first use).
+ */
+const getBackend = () => {
+    if (!backend) {
+        backend = process.env.DATA_BACKEND === 'sqlite' ? createSqliteBackend() : createJsonBackend();
+    }
+    return backend;
+};
+
+// ── Repositories ──────────────────────────────────────────────────────────────
+/**
+ * @param {string} name - Collection name (also the JSON file name)
+ * @param {object} options
+ * @param {string} options.key - Field that uniquely identifies a record
+ * @param {{ version: number, description: string, up: (records: object[]) => object[] }[]} [options.migrations]
+ *        In ascending version order
+ * @param {object} [options.backend] - Defaults to the configured backend
+ */
+const createRepository = (name, { key, migrations = [], backend: store } = {}) => {
+    const latest = migrations.length ? migrations[migrations.length - 1].version : 0;
+    const keyOf = (record) => record[key];
+    const db = () => store || getBackend();
+    let migrated = null; // promise of the one-time migration
+
+    const checkVersion = (current) => {
+        if (current > latest) {
+            throw new Error(`${name} is at schema version ${current}, but this server only knows up to ${latest}.`);
+        }
+    };
+
+    // Run a backend transaction, retrying while another process holds the lock
+    const transaction = async (fn) => {
+        const started = Date.now();
+        for (;;) {
+            try {
+                return db().transaction(name, fn, keyOf);
+            } catch (err) {
+                if (!(err instanceof LockBusyError)) throw err;
+                if (Date.now() - started > LOCK_TIMEOUT_MS) throw new Error(`Timed out waiting for ${err.message}`);
+            }
+            await delay(LOCK_RETRY_MS);
+        }
+    };
+
+    // Bring the collection up to the latest schema version (once)
+    const migrate = () => {
+        migrated = migrated || transaction((tx) => {
+            const current = tx.version();
+            if (current === null) {
+                tx.setVersion(latest); // brand new collection
+                return;
+            }
+            checkVersion(current);
+            if (current === latest) return;
+
+            let records = tx.all();
+            for (const migration of migrations.filter(m => m.version > current)) {
+                records = migration.up(records);
+                console.log(`🔧  Migrated ${name} to schema v${migration.version}: ${migration.description}`);
+            }
+            tx.replace(records);
+            tx.setVersion(latest);
+        }).catch((err) => {
+            migrated = null;
+            throw err;
+        });
+        return migrated;
+    };
+
+    // Run fn(records) under the lock; it returns { records?, result }
+    const write = async (fn) => {
+        await migrate();
+        return transaction((tx) => {
+            const { records, result } = fn(tx.all().map(clone));
+            if (records) tx.replace(records);
+            return clone(result);
+        });
+    };
+
+    // Stored records, with migrations not yet written applied in memory
+    const all = () => {
+        const current = db().version(name);
+        checkVersion(current);
+        const records = clone(db().all(name));
+        if (current === null || current === latest) return records;
+        return migrations.filter(m => m.version > current).reduce((list, m) => m.up(list), records);
+    };
+
+    return {
+        name,
+
+        /**
+         * Migrate now instead of on first write (e.g. to fail fast at startup).
+         * @returns {Promise<void>}
+         */
+        ready: migrate,
+
+        location: () => db().location(name),
+
+        all,
+
+        get: (id) => all().find(r => keyOf(r) === id),
+
+        find: (predicate) => all().find(predicate),
+
+        filter: (predicate) => all().filter(predicate),
+
+        /**
+         * @returns {Promise<object>} The inserted record
+         * @throws {ConflictError} (rejects) when a record with the same key exists
+         */
+        insert: (record) => write((records) => {
+            if (records.some(r => keyOf(r) === keyOf(record))) {
+                throw new ConflictError(`${name}: ${keyOf(record)} already exists.`);
+            }
+            return { records: [...records, record], result: record };
+        }),
+
+        insertMany: (newRecords) => write((records) => {
+            const keys = new Set(records.map(keyOf));
+            for (const record of newRecords) {
+                if (keys.has(keyOf(record))) throw new ConflictError(`${name}: ${keyOf(record)} already exists.`);
+                keys.add(keyOf(record));
+            }
+            return { records: [...records, ...newRecords], result: newRecords };
+        }),
+
+        /**
+         * @param {string} id
+         * @param {object|function} changes - Fields to merge, or record => new record
+         * @returns {Promise<object|null>} The updated record, null when not found
+         */
+        update: (id, changes) => write((records) => {
+            const idx = records.findIndex(r => keyOf(r) === id);
+            if (idx === -1) return { result: null };
+            const next = typeof changes === 'function' ? changes(records[idx]) : { ...records[idx], ...changes };
+            records[idx] = { ...next, [key]: id };
+            return { records, result: records[idx] };
+        }),
+
+        /**
+         * @returns {Promise<boolean>} Whether a record was removed
+         */
+        remove: (id) => write((records) => {
+            const kept = records.filter(r => keyOf(r) !== id);
+            return kept.length === records.length ? { result: false } : { records: kept, result: true };
+        }),
+
+        /**
+         * Replace the collection with fn(records) in one locked write.
+         * @returns {Promise<object[]>} The new records
+         */
+        mutate: (fn) => write((records) => {
+            const next = fn(records);
+            return { records: next, result: next };
+        }),
+    };
+};
+
+module.exports = {
+    ConflictError,
+    LockBusyError,
+    createJsonBackend,
+    createSqliteBackend,
+    getBackend,
+    createRepository,
+};
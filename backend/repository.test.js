@@ -0,0 +1,159 @@
+/**
+ * repository.test.js
+ * -------------------
+ * Tests for the repository layer: locking, schema migrations and the
+ * refusal to touch a file it can't read. Each test works in its own temp
+ * directory, so data/ is never touched.
+ *
+ * Run with: npm run test:backend
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+    ConflictError,
+    createJsonBackend,
+    createSqliteBackend,
+    createRepository,
+} = require('./repository');
+
+let dir;
+let backend;
+
+const file = (name) => path.join(dir, `${name}.json`);
+const writeJson = (name, content) => fs.writeFileSync(file(name), JSON.stringify(content));
+const readJson = (name) => JSON.parse(fs.readFileSync(file(name), 'utf-8'));
+
+const migrations = [
+    { version: 1, description: 'lower-case emails', up: (records) => records.map(r => ({ ...r, email: r.email.toLowerCase() })) },
+    { version: 2, description: 'add role', up: (records) => records.map(r => ({ role: 'student', ...r })) },
+];
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-'));
+    backend = createJsonBackend(dir);
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// ── Tests ─────────────────────────────────────────────────────────────────────
+test('writes records and reads back copies', async () => {
+    const users = createRepository('users', { key: 'email', backend });
+
+    await users.insert({ email: 'a@x.io', name: 'A' });
+    await users.update('a@x.io', { name: 'Asha' });
+    await assert.rejects(users.insert({ email: 'a@x.io' }), ConflictError);
+
+    const record = users.get('a@x.io');
+    record.name = 'changed';
+    assert.equal(users.get('a@x.io').name, 'Asha');
+    assert.deepEqual(readJson('users'), { schemaVersion: 0, users: [{ email: 'a@x.io', name: 'Asha' }] });
+    assert.equal(fs.existsSync(`${file('users')}.lock`), false);
+});
+
+test('a busy lock is retried without blocking the event loop', async () => {
+    const users = createRepository('users', { key: 'email', backend });
+    await users.ready();
+    fs.writeFileSync(`${file('users')}.lock`, '12345');
+
+    let ticks = 0;
+    const timer = setInterval(() => { ticks += 1; }, 5);
+    const pending = users.insert({ email: 'a@x.io' });
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.equal(users.get('a@x.io'), undefined, 'wrote while the lock was held');
+
+    fs.rmSync(`${file('users')}.lock`);
+    await pending;
+    clearInterval(timer);
+
+    assert.ok(ticks >= 5, `timers ran ${ticks} times while waiting`);
+    assert.equal(users.get('a@x.io').email, 'a@x.io');
+});
+
+test('a lock left by a crashed process is taken over', async () => {
+    const users = createRepository('users', { key: 'email', backend });
+    await users.ready();
+    const lock = `${file('users')}.lock`;
+    fs.writeFileSync(lock, '12345');
+    const old = new Date(Date.now() - 60 * 1000);
+    fs.utimesSync(lock, old, old);
+
+    await users.insert({ email: 'a@x.io' });
+
+    assert.equal(users.get('a@x.io').email, 'a@x.io');
+    assert.equal(fs.existsSync(lock), false);
+    assert.equal(fs.existsSync(`${lock}.takeover`), false);
+});
+
+test('migrates a pre-versioning file once and keeps a backup', async () => {
+    writeJson('users', { users: [{ email: 'A@X.IO' }] });
+    const users = createRepository('users', { key: 'email', migrations, backend });
+
+    // Reads see the migrated records before anything is written
+    assert.deepEqual(users.all(), [{ role: 'student', email: 'a@x.io' }]);
+    assert.equal(readJson('users').schemaVersion, undefined);
+
+    await users.ready();
+    assert.deepEqual(readJson('users'), { schemaVersion: 2, users: [{ role: 'student', email: 'a@x.io' }] });
+    assert.deepEqual(JSON.parse(fs.readFileSync(`${file('users')}.v0.bak`, 'utf-8')), { users: [{ email: 'A@X.IO' }] });
+
+    // A second repository on the same file has nothing left to do
+    const again = createRepository('users', { key: 'email', migrations, backend });
+    await again.ready();
+    assert.equal(fs.existsSync(`${file('users')}.v2.bak`), false);
+});
+
+test('runs only the migrations newer than the stored version', async () => {
+    writeJson('users', { schemaVersion: 1, users: [{ email: 'Kept@X.IO' }] });
+    const users = createRepository('users', { key: 'email', migrations, backend });
+
+    await users.ready();
+
+    assert.deepEqual(readJson('users').users, [{ role: 'student', email: 'Kept@X.IO' }]);
+});
+
+test('refuses a collection written by a newer schema', async () => {
+    writeJson('users', { schemaVersion: 3, users: [] });
+    const users = createRepository('users', { key: 'email', migrations, backend });
+
+    assert.throws(() => users.all(), /schema version 3/);
+    await assert.rejects(users.insert({ email: 'a@x.io' }), /schema version 3/);
+    assert.deepEqual(readJson('users'), { schemaVersion: 3, users: [] });
+});
+
+test('a corrupt file is an error and is left as it was', async () => {
+    fs.writeFileSync(file('users'), '{"schemaVersion": 1, "users": [');
+    const users = createRepository('users', { key: 'email', backend });
+
+    assert.throws(() => users.all(), /Could not read .*users\.json/);
+    await assert.rejects(users.insert({ email: 'a@x.io' }), /it was not modified/);
+    assert.equal(fs.readFileSync(file('users'), 'utf-8'), '{"schemaVersion": 1, "users": [');
+    assert.equal(fs.existsSync(`${file('users')}.lock`), false);
+});
+
+test('a file without the collection array is refused', async () => {
+    writeJson('users', { schemaVersion: 1, records: [] });
+    const users = createRepository('users', { key: 'email', backend });
+
+    assert.throws(() => users.all(), /has no "users" array/);
+    await assert.rejects(users.remove('a@x.io'), /has no "users" array/);
+});
+
+test('the sqlite backend imports the JSON file once and migrates it', async () => {
+    writeJson('users', { schemaVersion: 1, users: [{ email: 'A@X.IO' }] });
+    const sqlite = createSqliteBackend(path.join(dir, 'app.db'), { legacyDir: dir });
+    const users = createRepository('users', { key: 'email', migrations, backend: sqlite });
+
+    await users.ready();
+    await users.insert({ email: 'b@x.io' });
+
+    assert.equal(sqlite.version('users'), 2);
+    assert.deepEqual(users.all(), [{ role: 'student', email: 'A@X.IO' }, { email: 'b@x.io' }]);
+    assert.deepEqual(readJson('users'), { schemaVersion: 1, users: [{ email: 'A@X.IO' }] });
+});
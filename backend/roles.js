@@ -0,0 +1,69 @@
+/**
+ * roles.js
+ * ---------
+ * Roles and the permissions they grant.
+ *
+ * Routes in server.js check permissions, never role names, so changing
+ * what a role may do only means editing ROLE_PERMISSIONS below.
+ *
+ *   student         – browse station data, record their own samples
+ *   researcher      – + bulk import, district-level WQI across all users
+ *   lab-technician  – same as researcher (imports lab results in bulk)
+ *   admin           – everything, including the user admin console
+ *
+ * New accounts, and accounts created before roles existed (no `role`
+ * field), get DEFAULT_ROLE – the least privileged one; an admin promotes
+ * users from the admin console. Emails listed in ADMIN_EMAILS
+ * (comma-separated env var) are always admins, which is how the first
+ * admin is bootstrapped.
+ */
+
+const ROLES = ['researcher', 'student', 'lab-technician', 'admin'];
+const DEFAULT_ROLE = 'student';
+
+const PERMISSIONS = {
+    'data:read': 'Browse station catalog, readings and standards',
+    'samples:write': 'Record, edit and delete own samples',
+    'samples:import': 'Bulk-import lab results from spreadsheets',
+    'wqi:districts': 'View WQI aggregated across all users',
+    'users:manage': 'List users, change roles and disable accounts',
+};
+
+const ROLE_PERMISSIONS = {
+    student: ['data:read', 'samples:write'],
+    researcher: ['data:read', 'samples:write', 'samples:import', 'wqi:districts'],
+    'lab-technician': ['data:read', 'samples:write', 'samples:import', 'wqi:districts'],
+    admin: Object.keys(PERMISSIONS),
+};
+
+const adminEmails = () =>
+    (process.env.ADMIN_EMAILS || '')
+        .split(',')
+        .map(e => e.trim().toLowerCase())
+        .filter(Boolean);
+
+/**
+ * The effective role of a user record.
+ * @returns {string}
+ */
+const roleOf = (user) => {
+    if (!user) return null;
+    if (adminEmails().includes(String(user.email).toLowerCase())) return 'admin';
+    return ROLES.includes(user.role) ? user.role : DEFAULT_ROLE;
+};
+
+/**
+ * @returns {string[]} Permissions granted to the user
+ */
+const permissionsOf = (user) => (user ? ROLE_PERMISSIONS[roleOf(user)] : []);
+
+const hasPermission = (user, permission) => permissionsOf(user).includes(permission);
+
+module.exports = {
+    ROLES,
+    DEFAULT_ROLE,
+    PERMISSIONS,
+    roleOf,
+    permissionsOf,
+    hasPermission,
+};
@@ -0,0 +1,287 @@
+/**
+ * samples.js
+ * -----------
+ * Data model and validation for water-quality samples submitted by users.
+ *
+ * A sample records where and when water was collected (optionally with
+ * its state and district), what kind of source it came from, an optional
+ * link to a monitoring station, and the lab or field-kit results for any
+ * of the parameters listed in PARAMETERS.
+ *
+ * Results are stored in each parameter's canonical unit. Equivalent units
+ * (e.g. ppm for mg/L, µg/L for arsenic) are converted on the way in.
+ */
+
+const crypto = require('crypto');
+
+// ── Source types ──────────────────────────────────────────────────────────────
+const SOURCE_TYPES = ['borewell', 'tap', 'river', 'tank'];
+
+// ── Parameters ────────────────────────────────────────────────────────────────
+// `unit` is the canonical unit results are stored in. `units` maps every
+// accepted input unit to the factor that converts it to the canonical one.
+// `min` / `max` bound physically possible values, not safe ones.
+const PARAMETERS = {
+    ph: {
+        label: 'pH',
+        unit: 'pH',
+        units: { pH: 1 },
+        min: 0,
+        max: 14,
+    },
+    tds: {
+        label: 'Total Dissolved Solids',
+        unit: 'mg/L',
+        // Conductivity readings are converted with the usual TDS ≈ 0.64 × EC
+        units: { 'mg/L': 1, ppm: 1, 'g/L': 1000, 'µS/cm': 0.64, 'mS/cm': 640 },
+        min: 0,
+        max: 100000,
+    },
+    turbidity: {
+        label: 'Turbidity',
+        unit: 'NTU',
+        units: { NTU: 1, FNU: 1 },
+        min: 0,
+        max: 10000,
+    },
+    hardness: {
+        label: 'Total Hardness (as CaCO₃)',
+        unit: 'mg/L',
+        units: { 'mg/L': 1, ppm: 1 },
+        min: 0,
+        max: 10000,
+    },
+    chloride: {
+        label: 'Chloride',
+        unit: 'mg/L',
+        units: { 'mg/L': 1, ppm: 1 },
+        min: 0,
+        max: 50000,
+    },
+    nitrate: {
+        label: 'Nitrate (as NO₃)',
+        unit: 'mg/L',
+        units: { 'mg/L': 1, ppm: 1 },
+        min: 0,
+        max: 5000,
+    },
+    fluoride: {
+        label: 'Fluoride',
+        unit: 'mg/L',
+        units: { 'mg/L': 1, ppm: 1 },
+        min: 0,
+        max: 100,
+    },
+    iron: {
+        label: 'Iron',
+        unit: 'mg/L',
+        units: { 'mg/L': 1, ppm: 1, 'µg/L': 0.001, ppb: 0.001 },
+        min: 0,
+        max: 1000,
+    },
+    arsenic: {
+        label: 'Arsenic',
+        unit: 'mg/L',
+        units: { 'mg/L': 1, ppm: 1, 'µg/L': 0.001, ppb: 0.001 },
+        min: 0,
+        max: 100,
+    },
+    coliform: {
+        label: 'Total Coliform',
+        unit: 'MPN/100mL',
+        units: { 'MPN/100mL': 1, 'CFU/100mL': 1 },
+        min: 0,
+        max: 10000000,
+    },
+};
+
+// Allow a little clock skew between the collecting device and the server
+const FUTURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const toNumber = (value) => {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'string' && value.trim() !== '') return Number(value);
+    return NaN;
+};
+
+// Accept "ug/L" / "mg/l" etc. and map them onto the spelling used in PARAMETERS
+const normaliseUnit = (unit, def) => {
+    if (isBlank(unit)) return def.unit;
+    const wanted = String(unit).trim().replace(/^ug\//i, 'µg/').replace(/\s+/g, '').toLowerCase();
+    return Object.keys(def.units).find(u => u.toLowerCase() === wanted) || null;
+};
+
+/**
+ * Validate one parameter result and convert it to the canonical unit.
+ * @returns {{ error?: string, result?: { value: number, unit: string } }}
+ */
+const validateParameter = (key, input) => {
+    if (!Object.hasOwn(PARAMETERS, key)) {
+        return { error: `Unknown parameter "${key}".` };
+    }
+    const def = PARAMETERS[key];
+    const raw = typeof input === 'object' && input !== null ? input : { value: input };
+
+    const value = toNumber(raw.value);
+    if (!Number.isFinite(value)) {
+        return { error: `${def.label} must be a number.` };
+    }
+
+    const unit = normaliseUnit(raw.unit, def);
+    if (!unit) {
+        return { error: `${def.label} unit must be one of: ${Object.keys(def.units).join(', ')}.` };
+    }
+
+    const converted = Math.round(value * def.units[unit] * 1e6) / 1e6;
+    if (converted < def.min || converted > def.max) {
+        const unitSuffix = def.unit === def.label ? '' : ` ${def.unit}`;
+        return { error: `${def.label} must be between ${def.min} and ${def.max}${unitSuffix}.` };
+    }
+
+    return { result: { value: converted, unit: def.unit } };
+};
+
+/**
+ * Validate a sample submitted through the API.
+ *
+ * @param {object} input - Request body
+ * @param {object} [options]
+ * @param {(code: string) => boolean} [options.stationExists] - Used to check stationCode
+ * @returns {{ errors: object, sample: object|null }} `errors` maps field → message;
+ *          `sample` holds the cleaned fields when there are no errors.
+ */
+const validateSample = (input, { stationExists } = {}) => {
+    const errors = {};
+    const body = input || {};
+
+    // Collection time
+    const collectedAt = new Date(body.collectedAt);
+    if (isBlank(body.collectedAt)) {
+        errors.collectedAt = 'Collection time is required.';
+    } else if (Number.isNaN(collectedAt.getTime())) {
+        errors.collectedAt = 'Collection time must be a valid date.';
+    } else if (collectedAt.getTime() > Date.now() + FUTURE_TOLERANCE_MS) {
+        errors.collectedAt = 'Collection time cannot be in the future.';
+    }
+
+    // Location
+    const latitude = toNumber(body.latitude);
+    const longitude = toNumber(body.longitude);
+    if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90) {
+        errors.latitude = 'Latitude must be a number between -90 and 90.';
+    }
+    if (!Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+        errors.longitude = 'Longitude must be a number between -180 and 180.';
+    }
+
+    // Source type
+    if (!SOURCE_TYPES.includes(body.sourceType)) {
+        errors.sourceType = `Source type must be one of: ${SOURCE_TYPES.join(', ')}.`;
+    }
+
+    // Optional administrative location
+    const state = isBlank(body.state) ? null : String(body.state).trim().slice(0, 100);
+    const district = isBlank(body.district) ? null : String(body.district).trim().slice(0, 100);
+
+    // Optional station link
+    const stationCode = isBlank(body.stationCode) ? null : String(body.stationCode).trim();
+    if (stationCode && stationExists && !stationExists(stationCode)) {
+        errors.stationCode = 'Unknown station code.';
+    }
+
+    // Parameter results
+    const parameters = {};
+    const given = body.parameters && typeof body.parameters === 'object' ? body.parameters : {};
+    for (const [key, entry] of Object.entries(given)) {
+        if (!Object.hasOwn(PARAMETERS, key)) {
+            errors[`parameters.${key}`] = `Unknown parameter "${key}".`;
+            continue;
+        }
+        if (isBlank(entry) || (typeof entry === 'object' && isBlank(entry.value))) continue;
+
+        const { error, result } = validateParameter(key, entry);
+        if (error) errors[`parameters.${key}`] = error;
+        else parameters[key] = result;
+    }
+    if (!Object.keys(parameters).length && !Object.keys(errors).some(k => k.startsWith('parameters.'))) {
+        errors.parameters = 'At least one parameter result is required.';
+    }
+
+    if (Object.keys(errors).length) {
+        return { errors, sample: null };
+    }
+
+    return {
+        errors,
+        sample: {
+            collectedAt: collectedAt.toISOString(),
+            latitude,
+            longitude,
+            sourceType: body.sourceType,
+            state,
+            district,
+            stationCode,
+            parameters,
+            notes: isBlank(body.notes) ? null : String(body.notes).trim().slice(0, 1000),
+        },
+    };
+};
+
+/**
+ * Build a new stored sample record for a user.
+ */
+const createSample = (fields, userEmail) => {
+    const now = new Date().toISOString();
+    return {
+        id: crypto.randomUUID(),
+        userEmail,
+        ...fields,
+        createdAt: now,
+        updatedAt: now,
+    };
+};
+
+// Date-only bounds cover the whole day: "to=2024-05-31" includes the 31st
+const toBound = (value, endOfDay) => {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return `${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`;
+    }
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new RangeError(`Invalid date: ${value}`);
+    }
+    return date.toISOString();
+};
+
+/**
+ * Filter a user's samples by the GET /api/samples query parameters.
+ *
+ * @param {object[]} samples
+ * @param {object} query - stationCode, sourceType, from, to
+ * @returns {object[]} Newest first
+ */
+const filterSamples = (samples, { stationCode, sourceType, from, to } = {}) => {
+    const lower = from ? toBound(from, false) : null;
+    const upper = to ? toBound(to, true) : null;
+
+    return samples
+        .filter(s =>
+            (!stationCode || s.stationCode === stationCode) &&
+            (!sourceType || s.sourceType === sourceType) &&
+            (!lower || s.collectedAt >= lower) &&
+            (!upper || s.collectedAt <= upper)
+        )
+        .sort((a, b) => b.collectedAt.localeCompare(a.collectedAt));
+};
+
+module.exports = {
+    SOURCE_TYPES,
+    PARAMETERS,
+    validateParameter,
+    validateSample,
+    createSample,
+    filterSamples,
+};
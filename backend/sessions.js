@@ -0,0 +1,195 @@
+/**
+ * sessions.js
+ * ------------
+ * Token-based sessions.
+ *
+ * Logging in creates a server-side session record and issues two signed
+ * JWTs, both sent as httpOnly cookies so page scripts never see them:
+ *
+ *  - access token  (ACCESS_TTL)  – identifies the caller on every request
+ *  - refresh token (REFRESH_TTL) – exchanged at POST /api/auth/refresh for a
+ *                                  new pair; single use (rotated each time)
+ *
+ * Every token carries the session id, and the session must still be active
+ * for the token to be accepted – so logging out (revoking the session)
+ * invalidates outstanding tokens immediately. Re-using an old refresh token
+ * is treated as theft and revokes the whole session.
+ *
+ * Sessions are kept in the "sessions" repository (data/sessions.json, see
+ * repository.js); the signing secret comes from SESSION_SECRET or is
+ * generated once into data/session-secret.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const { createRepository } = require('./repository');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const SECRET_FILE = path.join(DATA_DIR, 'session-secret');
+
+const ACCESS_TTL = 15 * 60;                 // seconds
+const REFRESH_TTL = 30 * 24 * 60 * 60;      // seconds
+
+const ACCESS_COOKIE = 'wqm_access';
+const REFRESH_COOKIE = 'wqm_refresh';
+
+const COOKIE_OPTIONS = {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    path: '/api',
+};
+
+// ── Signing secret ────────────────────────────────────────────────────────────
+let secret = null;
+
+const getSecret = () => {
+    if (secret) return secret;
+    if (process.env.SESSION_SECRET) {
+        secret = process.env.SESSION_SECRET;
+    } else if (fs.existsSync(SECRET_FILE)) {
+        secret = fs.readFileSync(SECRET_FILE, 'utf-8').trim();
+    } else {
+        secret = crypto.randomBytes(48).toString('hex');
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+        fs.writeFileSync(SECRET_FILE, secret, { mode: 0o600 });
+    }
+    return secret;
+};
+
+// ── Session records ───────────────────────────────────────────────────────────
+const sessionsRepo = createRepository('sessions', { key: 'id' });
+
+// Drop expired and revoked sessions so the collection doesn't grow forever
+const prune = (sessions) => {
+    const now = Date.now();
+    return sessions.filter(s => !s.revokedAt && new Date(s.expiresAt).getTime() > now);
+};
+
+const isActive = (session) =>
+    !!session && !session.revokedAt && new Date(session.expiresAt).getTime() > Date.now();
+
+// ── Tokens ────────────────────────────────────────────────────────────────────
+const signTokens = (session) => ({
+    accessToken: jwt.sign({ sub: session.email, sid: session.id, type: 'access' }, getSecret(), {
+        expiresIn: ACCESS_TTL,
+    }),
+    refreshToken: jwt.sign(
+        { sub: session.email, sid: session.id, type: 'refresh' },
+        getSecret(),
+        { expiresIn: REFRESH_TTL, jwtid: session.refreshId }
+    ),
+});
+
+const verify = (token, type) => {
+    try {
+        const payload = jwt.verify(token, getSecret());
+        return payload.type === type ? payload : null;
+    } catch {
+        return null;
+    }
+};
+
+// ── Public API ────────────────────────────────────────────────────────────────
+/**
+ * Start a session for a user.
+ * @param {string} email
+ * @param {object} [meta] - e.g. { userAgent, ip } for display in account settings
+ * @returns {Promise<{ session: object, accessToken: string, refreshToken: string }>}
+ */
+const createSession = async (email, meta = {}) => {
+    const now = new Date();
+    const session = {
+        id: crypto.randomUUID(),
+        email,
+        refreshId: crypto.randomUUID(),
+        createdAt: now.toISOString(),
+        lastUsedAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + REFRESH_TTL * 1000).toISOString(),
+        userAgent: meta.userAgent || null,
+        ip: meta.ip || null,
+        revokedAt: null,
+    };
+    await sessionsRepo.mutate(sessions => [...prune(sessions), session]);
+    return { session, ...signTokens(session) };
+};
+
+/**
+ * Resolve an access token to its active session.
+ * @returns {object|null} The session record
+ */
+const verifyAccessToken = (token) => {
+    const payload = token && verify(token, 'access');
+    if (!payload) return null;
+    const session = sessionsRepo.get(payload.sid);
+    return isActive(session) && session.email === payload.sub ? session : null;
+};
+
+/**
+ * Exchange a refresh token for a new token pair (rotation).
+ * A refresh token that was already used revokes the whole session. The
+ * check and the rotation happen in one locked write, so two requests can
+ * never both rotate the same token.
+ * @returns {Promise<{ session: object, accessToken: string, refreshToken: string }|null>}
+ */
+const refreshSession = async (token) => {
+    const payload = token && verify(token, 'refresh');
+    if (!payload || !isActive(sessionsRepo.get(payload.sid))) return null;
+
+    let rotated = false;
+    const session = await sessionsRepo.update(payload.sid, (s) => {
+        rotated = isActive(s) && s.refreshId === payload.jti;
+        if (!isActive(s)) return s;
+        if (!rotated) return { ...s, revokedAt: new Date().toISOString() };
+        return { ...s, refreshId: crypto.randomUUID(), lastUsedAt: new Date().toISOString() };
+    });
+    return rotated ? { session, ...signTokens(session) } : null;
+};
+
+/**
+ * Revoke one session by id.
+ */
+const revokeSession = async (id) => {
+    if (!sessionsRepo.get(id)) return;
+    const now = new Date().toISOString();
+    await sessionsRepo.mutate(sessions =>
+        prune(sessions.map(s => (s.id === id && !s.revokedAt ? { ...s, revokedAt: now } : s)))
+    );
+};
+
+/**
+ * Revoke every session of a user (password change, account disabled, ...).
+ * @param {string} email
+ * @param {string} [exceptId] - Keep this session alive (the caller's own)
+ */
+const revokeUserSessions = async (email, exceptId) => {
+    const now = new Date().toISOString();
+    await sessionsRepo.mutate(sessions =>
+        prune(sessions.map(s => (s.email === email && s.id !== exceptId && !s.revokedAt ? { ...s, revokedAt: now } : s)))
+    );
+};
+
+// ── Cookies ───────────────────────────────────────────────────────────────────
+const setSessionCookies = (res, { accessToken, refreshToken }) => {
+    res.cookie(ACCESS_COOKIE, accessToken, { ...COOKIE_OPTIONS, maxAge: ACCESS_TTL * 1000 });
+    res.cookie(REFRESH_COOKIE, refreshToken, { ...COOKIE_OPTIONS, maxAge: REFRESH_TTL * 1000 });
+};
+
+const clearSessionCookies = (res) => {
+    res.clearCookie(ACCESS_COOKIE, COOKIE_OPTIONS);
+    res.clearCookie(REFRESH_COOKIE, COOKIE_OPTIONS);
+};
+
+module.exports = {
+    ACCESS_COOKIE,
+    REFRESH_COOKIE,
+    createSession,
+    verifyAccessToken,
+    refreshSession,
+    revokeSession,
+    revokeUserSessions,
+    setSessionCookies,
+    clearSessionCookies,
+};
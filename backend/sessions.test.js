@@ -0,0 +1,93 @@
+/**
+ * sessions.test.js
+ * -----------------
+ * Tests for session tokens: refresh rotation, reuse detection and
+ * revocation. Sessions and the signing secret go to a temp DATA_DIR.
+ *
+ * Run with: npm run test:backend
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+process.env.DATA_DIR = dataDir;
+delete process.env.DATA_BACKEND;
+delete process.env.SESSION_SECRET;
+
+const {
+    createSession,
+    verifyAccessToken,
+    refreshSession,
+    revokeSession,
+    revokeUserSessions,
+} = require('./sessions');
+
+after(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// ── Tests ─────────────────────────────────────────────────────────────────────
+test('an access token resolves to its session; a refresh token does not', async () => {
+    const { session, accessToken, refreshToken } = await createSession('a@x.io', { userAgent: 'test' });
+
+    assert.equal(verifyAccessToken(accessToken).id, session.id);
+    assert.equal(verifyAccessToken(refreshToken), null);
+    assert.equal(verifyAccessToken(`${accessToken}x`), null);
+    assert.equal(await refreshSession(accessToken), null);
+    assert.ok(fs.existsSync(path.join(dataDir, 'session-secret')));
+});
+
+test('refreshing rotates the refresh token', async () => {
+    const first = await createSession('a@x.io');
+
+    const second = await refreshSession(first.refreshToken);
+    assert.equal(second.session.id, first.session.id);
+    assert.notEqual(second.refreshToken, first.refreshToken);
+
+    const third = await refreshSession(second.refreshToken);
+    assert.equal(third.session.id, first.session.id);
+    assert.ok(verifyAccessToken(third.accessToken));
+});
+
+test('re-using a rotated refresh token revokes the session', async () => {
+    const first = await createSession('a@x.io');
+    const second = await refreshSession(first.refreshToken);
+
+    assert.equal(await refreshSession(first.refreshToken), null);
+
+    assert.equal(await refreshSession(second.refreshToken), null);
+    assert.equal(verifyAccessToken(second.accessToken), null);
+});
+
+test('two refreshes with the same token never both succeed', async () => {
+    const { refreshToken, session } = await createSession('a@x.io');
+
+    const results = await Promise.all([refreshSession(refreshToken), refreshSession(refreshToken)]);
+
+    assert.equal(results.filter(Boolean).length, 1);
+    // The loser looks like a stolen token, so the session is gone
+    const winner = results.find(Boolean);
+    assert.equal(winner.session.id, session.id);
+    assert.equal(verifyAccessToken(winner.accessToken), null);
+});
+
+test('revoking ends one session or all of a user\'s sessions', async () => {
+    const one = await createSession('b@x.io');
+    const two = await createSession('b@x.io');
+    const three = await createSession('b@x.io');
+    const other = await createSession('c@x.io');
+
+    await revokeSession(one.session.id);
+    assert.equal(verifyAccessToken(one.accessToken), null);
+    assert.equal(await refreshSession(one.refreshToken), null);
+    assert.ok(verifyAccessToken(two.accessToken));
+
+    await revokeUserSessions('b@x.io', three.session.id);
+    assert.equal(verifyAccessToken(two.accessToken), null);
+    assert.ok(verifyAccessToken(three.accessToken));
+    assert.ok(verifyAccessToken(other.accessToken));
+});
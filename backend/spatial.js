@@ -0,0 +1,308 @@
+/**
+ * spatial.js
+ * -----------
+ * Spatial queries over the station coordinates: the k nearest stations
+ * to a point, every station within a radius, and every station inside a
+ * polygon.
+ *
+ * Stations are kept in a grid index of CELL_DEGREES × CELL_DEGREES cells,
+ * so a query only looks at the cells that can hold an answer. Nearest-
+ * neighbour search walks rings of cells outwards from the query point and
+ * stops once no unvisited cell can be closer than the k-th station found.
+ * Distances are great-circle (haversine) kilometres.
+ *
+ * The index is built from the read store on first use and rebuilt when
+ * the store re-imports its source files.
+ */
+
+const { openStore } = require('./store');
+const { getCatalog, DATASETS } = require('./stations');
+
+const CELL_DEGREES = 1;
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE = (Math.PI / 180) * EARTH_RADIUS_KM;
+const DEFAULT_K = 5;
+const MAX_K = 100;
+const MAX_RADIUS_KM = 1000;
+const MAX_POLYGON_POINTS = 5000;
+
+// ── Geometry ──────────────────────────────────────────────────────────────────
+/**
+ * Great-circle distance between two points.
+ * @param {{ latitude: number, longitude: number }} a
+ * @param {{ latitude: number, longitude: number }} b
+ * @returns {number} Kilometres
+ */
+const distanceKm = (a, b) => {
+    const rad = Math.PI / 180;
+    const dLat = (b.latitude - a.latitude) * rad;
+    const dLon = (b.longitude - a.longitude) * rad;
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(a.latitude * rad) * Math.cos(b.latitude * rad) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(Math.min(1, h)));
+};
+
+// Ray casting on one ring of [lon, lat] positions
+const insideRing = (point, ring) => {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > point.latitude) !== (yj > point.latitude) &&
+            point.longitude < ((xj - xi) * (point.latitude - yi)) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+};
+
+// Inside the outer ring and outside every hole
+const insidePolygon = (point, rings) =>
+    insideRing(point, rings[0]) && !rings.slice(1).some(hole => insideRing(point, hole));
+
+const isPosition = (p) =>
+    Array.isArray(p) && p.length >= 2 &&
+    Number.isFinite(p[0]) && Number.isFinite(p[1]) &&
+    Math.abs(p[0]) <= 180 && Math.abs(p[1]) <= 90;
+
+/**
+ * Accept a GeoJSON Polygon / MultiPolygon (geometry or Feature) or a bare
+ * ring of [lon, lat] positions.
+ * @returns {number[][][][]} A list of polygons, each a list of rings
+ */
+const toPolygons = (input) => {
+    const geometry = input?.type === 'Feature' ? input.geometry : input;
+    let polygons;
+    if (Array.isArray(geometry)) polygons = [[geometry]];
+    else if (geometry?.type === 'Polygon') polygons = [geometry.coordinates];
+    else if (geometry?.type === 'MultiPolygon') polygons = geometry.coordinates;
+    else throw new RangeError('polygon must be a GeoJSON Polygon or MultiPolygon, or a list of [longitude, latitude] points.');
+
+    const rings = (Array.isArray(polygons) ? polygons : []).flat();
+    const points = rings.reduce((n, ring) => n + (Array.isArray(ring) ? ring.length : 0), 0);
+    if (!rings.length || rings.some(ring => !Array.isArray(ring) || ring.length < 3 || !ring.every(isPosition))) {
+        throw new RangeError('Each polygon ring needs at least 3 [longitude, latitude] points.');
+    }
+    if (points > MAX_POLYGON_POINTS) {
+        throw new RangeError(`polygon may have at most ${MAX_POLYGON_POINTS} points.`);
+    }
+    return polygons;
+};
+
+// ── Index ─────────────────────────────────────────────────────────────────────
+const cellOf = (latitude, longitude) => [
+    Math.floor(latitude / CELL_DEGREES),
+    Math.floor(longitude / CELL_DEGREES),
+];
+
+/**
+ * Grid index over points with latitude / longitude.
+ * @param {object[]} points
+ * @returns {{ cells: Map<string, object[]>, bounds: object, size: number }}
+ */
+const buildIndex = (points) => {
+    const cells = new Map();
+    const bounds = { minRow: Infinity, maxRow: -Infinity, minCol: Infinity, maxCol: -Infinity };
+    let size = 0;
+    for (const point of points) {
+        if (!Number.isFinite(point.latitude) || !Number.isFinite(point.longitude)) continue;
+        const [row, col] = cellOf(point.latitude, point.longitude);
+        const key = `${row}:${col}`;
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(point);
+        bounds.minRow = Math.min(bounds.minRow, row);
+        bounds.maxRow = Math.max(bounds.maxRow, row);
+        bounds.minCol = Math.min(bounds.minCol, col);
+        bounds.maxCol = Math.max(bounds.maxCol, col);
+        size++;
+    }
+    return { cells, bounds, size };
+};
+
+// Points of the cells in the square ring `r` cells away from (row, col)
+const ringPoints = (index, row, col, r) => {
+    const found = [];
+    for (let dr = -r; dr <= r; dr++) {
+        for (let dc = -r; dc <= r; dc++) {
+            if (Math.max(Math.abs(dr), Math.abs(dc)) !== r) continue;
+            const cell = index.cells.get(`${row + dr}:${col + dc}`);
+            if (cell) found.push(...cell);
+        }
+    }
+    return found;
+};
+
+// Points of every cell overlapping a lat/lon box
+const boxPoints = (index, { minLat, maxLat, minLon, maxLon }) => {
+    const [r0, c0] = cellOf(minLat, minLon);
+    const [r1, c1] = cellOf(maxLat, maxLon);
+    const found = [];
+    for (let r = Math.max(r0, index.bounds.minRow); r <= Math.min(r1, index.bounds.maxRow); r++) {
+        for (let c = Math.max(c0, index.bounds.minCol); c <= Math.min(c1, index.bounds.maxCol); c++) {
+            const cell = index.cells.get(`${r}:${c}`);
+            if (cell) found.push(...cell);
+        }
+    }
+    return found;
+};
+
+/**
+ * The k points nearest to an origin.
+ * @param {object} index - From buildIndex()
+ * @param {{ latitude: number, longitude: number }} origin
+ * @param {object} [options]
+ * @param {number} [options.k]
+ * @param {number} [options.maxKm] - Ignore points further away
+ * @param {Function} [options.filter] - Only consider points it accepts
+ * @returns {object[]} Points with `distanceKm`, nearest first
+ */
+const nearest = (index, origin, { k = DEFAULT_K, maxKm = Infinity, filter = () => true } = {}) => {
+    if (!index.size) return [];
+    const [row, col] = cellOf(origin.latitude, origin.longitude);
+    const maxRing = Math.max(
+        Math.abs(row - index.bounds.minRow), Math.abs(row - index.bounds.maxRow),
+        Math.abs(col - index.bounds.minCol), Math.abs(col - index.bounds.maxCol)
+    );
+
+    // A cell r rings away is at least (r - 1) cells of latitude, or of
+    // longitude at the widest-apart latitude reached, from the origin
+    const ringDistance = (r) => {
+        const lat = Math.min(89, Math.abs(origin.latitude) + r * CELL_DEGREES);
+        return Math.max(0, r - 1) * CELL_DEGREES * KM_PER_DEGREE * Math.cos((lat * Math.PI) / 180);
+    };
+
+    const found = [];
+    for (let r = 0; r <= maxRing; r++) {
+        if (ringDistance(r) > maxKm) break;
+        if (found.length >= k && ringDistance(r) > found[k - 1].distanceKm) break;
+        for (const point of ringPoints(index, row, col, r)) {
+            if (!filter(point)) continue;
+            const d = distanceKm(origin, point);
+            if (d <= maxKm) found.push({ ...point, distanceKm: d });
+        }
+        found.sort((a, b) => a.distanceKm - b.distanceKm);
+    }
+    return found.slice(0, k);
+};
+
+/**
+ * Every point within `radiusKm` of an origin, nearest first.
+ */
+const withinRadius = (index, origin, radiusKm, { filter = () => true } = {}) => {
+    const dLat = radiusKm / KM_PER_DEGREE;
+    const cos = Math.cos((Math.min(89, Math.abs(origin.latitude) + dLat) * Math.PI) / 180);
+    const dLon = Math.min(180, radiusKm / (KM_PER_DEGREE * cos));
+    return boxPoints(index, {
+        minLat: origin.latitude - dLat,
+        maxLat: origin.latitude + dLat,
+        minLon: origin.longitude - dLon,
+        maxLon: origin.longitude + dLon,
+    })
+        .filter(filter)
+        .map(point => ({ ...point, distanceKm: distanceKm(origin, point) }))
+        .filter(point => point.distanceKm <= radiusKm)
+        .sort((a, b) => a.distanceKm - b.distanceKm);
+};
+
+/**
+ * Every point inside a polygon (see toPolygons() for accepted shapes).
+ */
+const withinPolygon = (index, polygon, { filter = () => true } = {}) => {
+    const polygons = toPolygons(polygon);
+    const found = new Set();
+    for (const rings of polygons) {
+        const lons = rings[0].map(p => p[0]);
+        const lats = rings[0].map(p => p[1]);
+        const box = { minLat: Math.min(...lats), maxLat: Math.max(...lats), minLon: Math.min(...lons), maxLon: Math.max(...lons) };
+        for (const point of boxPoints(index, box)) {
+            if (filter(point) && insidePolygon(point, rings)) found.add(point);
+        }
+    }
+    return [...found];
+};
+
+// ── Station queries ───────────────────────────────────────────────────────────
+let cached = null;
+
+// The station index, rebuilt when the store has re-imported its sources
+const stationIndex = () => {
+    const version = openStore()
+        .prepare("SELECT COUNT(*) || '|' || COALESCE(MAX(builtAt), '') FROM sources")
+        .pluck()
+        .get();
+    if (!cached || cached.version !== version) {
+        cached = { version, index: buildIndex(getCatalog()) };
+    }
+    return cached.index;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const number = (value, name, { min, max }) => {
+    const n = Number(value);
+    if (value === undefined || value === '' || !Number.isFinite(n) || n < min || n > max) {
+        throw new RangeError(`${name} must be a number between ${min} and ${max}.`);
+    }
+    return n;
+};
+
+/**
+ * Validate a query origin.
+ * @returns {{ latitude: number, longitude: number }}
+ */
+const parseOrigin = (lat, lon) => ({
+    latitude: number(lat, 'lat', { min: -90, max: 90 }),
+    longitude: number(lon, 'lon', { min: -180, max: 180 }),
+});
+
+const datasetFilter = (dataset) => {
+    if (!dataset) return () => true;
+    if (!DATASETS[dataset]) {
+        throw new RangeError(`dataset must be one of: ${Object.keys(DATASETS).join(', ')}.`);
+    }
+    return (station) => station.dataset === dataset;
+};
+
+/**
+ * Stations near a point: the `k` nearest, or with `radiusKm` alone every
+ * station within the radius (with both, the k nearest within it).
+ *
+ * @param {{ latitude: number, longitude: number }} origin
+ * @param {object} [query] - k, radiusKm, dataset
+ * @returns {object[]} Stations with distanceKm, nearest first
+ */
+const stationsNear = (origin, query = {}) => {
+    const filter = datasetFilter(query.dataset);
+    const hasK = query.k !== undefined && query.k !== '';
+    const hasRadius = query.radiusKm !== undefined && query.radiusKm !== '';
+    const k = hasK ? Math.round(number(query.k, 'k', { min: 1, max: MAX_K })) : DEFAULT_K;
+    const radiusKm = hasRadius ? number(query.radiusKm, 'radiusKm', { min: 0, max: MAX_RADIUS_KM }) : null;
+
+    const index = stationIndex();
+    const found = hasRadius && !hasK
+        ? withinRadius(index, origin, radiusKm, { filter })
+        : nearest(index, origin, { k, maxKm: radiusKm ?? Infinity, filter });
+    return found.map(s => ({ ...s, distanceKm: round(s.distanceKm) }));
+};
+
+/**
+ * Stations inside a polygon, in catalog order.
+ * @param {object|number[][]} polygon - See toPolygons()
+ * @param {object} [query] - dataset
+ */
+const stationsInPolygon = (polygon, query = {}) => {
+    const filter = datasetFilter(query.dataset);
+    const inside = new Set(withinPolygon(stationIndex(), polygon, { filter }).map(s => s.stationCode));
+    return getCatalog().filter(s => inside.has(s.stationCode));
+};
+
+module.exports = {
+    distanceKm,
+    buildIndex,
+    nearest,
+    withinRadius,
+    withinPolygon,
+    parseOrigin,
+    stationsNear,
+    stationsInPolygon,
+};
@@ -0,0 +1,128 @@
+/**
+ * spatial.test.js
+ * ----------------
+ * Tests for the great-circle distance, the grid index's nearest-station
+ * ranking and radius search, and the offline gazetteer lookup that gives
+ * a profile's town its coordinates.
+ *
+ * Run with: npm run test:backend
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { distanceKm, buildIndex, nearest, withinRadius, parseOrigin } = require('./spatial');
+const { resolvePlace } = require('./gazetteer');
+
+const close = (actual, expected, tolerance = 0.5) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+// One degree of longitude along the equator, km (2π · 6371 / 360)
+const KM_PER_DEGREE = 111.19;
+
+const onEquator = (stationCode, longitude, extra = {}) => ({ stationCode, latitude: 0, longitude, ...extra });
+
+const codes = (points) => points.map(p => p.stationCode);
+
+// ── Distance ──────────────────────────────────────────────────────────────────
+test('distances between district headquarters', () => {
+    const hyderabad = resolvePlace('Hyderabad', 'Telangana');
+    const bengaluru = resolvePlace('Bengaluru', 'Karnataka');
+    const mumbai = resolvePlace('Mumbai', 'Maharashtra');
+    const pune = resolvePlace('Pune', 'Maharashtra');
+
+    close(distanceKm(hyderabad, bengaluru), 500.9);
+    close(distanceKm(mumbai, pune), 120.5);
+    assert.equal(distanceKm(pune, mumbai), distanceKm(mumbai, pune));
+    assert.equal(distanceKm(pune, pune), 0);
+});
+
+test('a degree of longitude shrinks with the cosine of the latitude', () => {
+    close(distanceKm({ latitude: 0, longitude: 0 }, { latitude: 0, longitude: 1 }), KM_PER_DEGREE, 0.01);
+    close(distanceKm({ latitude: 0, longitude: 0 }, { latitude: 1, longitude: 0 }), KM_PER_DEGREE, 0.01);
+    close(distanceKm({ latitude: 60, longitude: 0 }, { latitude: 60, longitude: 1 }), KM_PER_DEGREE / 2, 0.01);
+});
+
+// ── Index ─────────────────────────────────────────────────────────────────────
+test('the index skips points without coordinates', () => {
+    const index = buildIndex([onEquator('A', 0), { stationCode: 'B', latitude: null, longitude: 78 }, onEquator('C', 2.5)]);
+
+    assert.equal(index.size, 2);
+    assert.deepEqual(index.bounds, { minRow: 0, maxRow: 0, minCol: 0, maxCol: 2 });
+    assert.deepEqual(nearest(buildIndex([]), { latitude: 0, longitude: 0 }), []);
+});
+
+// ── Nearest ───────────────────────────────────────────────────────────────────
+test('nearest ranks stations by distance across cell boundaries', () => {
+    // From longitude 0.95 the closest station, E, is in the next cell
+    // east; G is one cell west and F six cells away
+    const index = buildIndex([
+        onEquator('A', 0.1), onEquator('D', 0.8), onEquator('E', 1.02),
+        onEquator('F', 6), onEquator('G', -0.5),
+    ]);
+    const origin = { latitude: 0, longitude: 0.95 };
+    const found = nearest(index, origin, { k: 4 });
+
+    assert.deepEqual(codes(found), ['E', 'D', 'A', 'G']);
+    close(found[0].distanceKm, 0.07 * KM_PER_DEGREE, 0.01);
+    close(found[3].distanceKm, 1.45 * KM_PER_DEGREE, 0.01);
+    assert.deepEqual(codes(nearest(index, origin, { k: 1 })), ['E']);
+    assert.deepEqual(codes(nearest(index, origin, { k: 10 })), ['E', 'D', 'A', 'G', 'F']);
+});
+
+test('nearest honours maxKm and the filter', () => {
+    const index = buildIndex([
+        onEquator('A', 0.1, { dataset: 'groundwater' }),
+        onEquator('B', 0.3, { dataset: 'rainfall' }),
+        onEquator('C', 2, { dataset: 'groundwater' }),
+    ]);
+    const origin = { latitude: 0, longitude: 0 };
+
+    assert.deepEqual(codes(nearest(index, origin, { maxKm: 50 })), ['A', 'B']);
+    assert.deepEqual(codes(nearest(index, origin, { filter: s => s.dataset === 'groundwater' })), ['A', 'C']);
+});
+
+// ── Radius ────────────────────────────────────────────────────────────────────
+test('the radius search cuts off at exactly radiusKm', () => {
+    // B lies one degree (111.19 km) east of the origin, C two degrees
+    const index = buildIndex([onEquator('A', 0.5), onEquator('B', 1), onEquator('C', 2), onEquator('D', -0.2)]);
+    const origin = { latitude: 0, longitude: 0 };
+    const oneDegree = distanceKm(origin, { latitude: 0, longitude: 1 });
+
+    assert.deepEqual(codes(withinRadius(index, origin, oneDegree)), ['D', 'A', 'B']);
+    assert.deepEqual(codes(withinRadius(index, origin, oneDegree - 0.01)), ['D', 'A']);
+    assert.deepEqual(codes(withinRadius(index, origin, 0)), []);
+    assert.deepEqual(codes(withinRadius(index, origin, 250)), ['D', 'A', 'B', 'C']);
+    assert.deepEqual(codes(withinRadius(index, origin, 250, { filter: s => s.stationCode !== 'A' })), ['D', 'B', 'C']);
+});
+
+test('the radius search reaches across cells to the north and south', () => {
+    const index = buildIndex([
+        { stationCode: 'N', latitude: 18.9, longitude: 78 },
+        { stationCode: 'S', latitude: 16.4, longitude: 78 },
+        { stationCode: 'FAR', latitude: 15.5, longitude: 78 },
+    ]);
+    const found = withinRadius(index, { latitude: 17.5, longitude: 78 }, 160);
+
+    assert.deepEqual(codes(found), ['S', 'N']);
+    close(found[0].distanceKm, 1.1 * KM_PER_DEGREE, 0.01);
+});
+
+test('origins must be real coordinates', () => {
+    assert.deepEqual(parseOrigin('17.39', '78.49'), { latitude: 17.39, longitude: 78.49 });
+    assert.throws(() => parseOrigin('91', '78'), RangeError);
+    assert.throws(() => parseOrigin('17', undefined), RangeError);
+    assert.throws(() => parseOrigin('north', '78'), RangeError);
+});
+
+// ── Gazetteer ─────────────────────────────────────────────────────────────────
+test('the gazetteer matches spellings, old names and the state', () => {
+    assert.deepEqual(resolvePlace('Bangalore'), {
+        name: 'Bengaluru', state: 'Karnataka', latitude: 12.97, longitude: 77.59, source: 'gazetteer', approximate: false,
+    });
+    assert.equal(resolvePlace('Dehra Dun.').name, 'Dehradun');
+    assert.equal(resolvePlace('MADRAS').name, 'Chennai');
+    assert.equal(resolvePlace('Udaipur', 'Tripura').state, 'Tripura');
+    assert.equal(resolvePlace('Udaipur', 'Rajasthan').state, 'Rajasthan');
+    assert.equal(resolvePlace('', ''), null);
+});
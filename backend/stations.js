@@ -0,0 +1,177 @@
+/**
+ * stations.js
+ * ------------
+ * Station catalog built from the bundled India-WRIS datasets in
+ * backend/groundwater_data/*.json and backend/rainfall_data/*.json.
+ *
+ * Every reading in those files repeats the full station metadata; the
+ * read store (see store.js) keeps it once per stationCode, and this
+ * module queries it.
+ */
+
+const { DATASETS, openStore } = require('./store');
+
+// Filters accepted by listStations(), matched case-insensitively
+const FILTER_FIELDS = [
+    'state',
+    'district',
+    'agencyName',
+    'stationType',
+    'stationStatus',
+    'wellAquiferType',
+    'dataAcquisitionMode',
+];
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+const STATION_COLUMNS = `
+    s.stationCode, s.stationName, s.stationType, s.dataset, s.agencyName,
+    s.latitude, s.longitude, s.state, s.district, s.tehsil, s.block, s.village,
+    s.majorBasin, s.tributary, s.wellType, s.wellDepth, s.wellAquiferType,
+    s.dataAcquisitionMode, s.stationStatus,
+    (SELECT GROUP_CONCAT(datatypeCode) FROM series WHERE stationCode = s.stationCode) AS datatypeCodes,
+    (SELECT SUM(readingCount) FROM series WHERE stationCode = s.stationCode) AS readingCount,
+    (SELECT MAX(lastTime) FROM series WHERE stationCode = s.stationCode) AS lastReading,
+    (SELECT r.value FROM series p
+        JOIN readings r ON r.stationCode = p.stationCode AND r.datatypeCode = p.datatypeCode AND r.time = p.lastTime
+        WHERE p.stationCode = s.stationCode ORDER BY p.readingCount DESC LIMIT 1) AS latestValue
+`;
+
+const ORDER_BY = 'ORDER BY s.state, s.district, s.stationName';
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+const toStation = (row) => ({
+    ...row,
+    datatypeCodes: row.datatypeCodes ? row.datatypeCodes.split(',') : [],
+    readingCount: row.readingCount || 0,
+});
+
+/**
+ * The full deduplicated station catalog for one or both datasets.
+ *
+ * @param {string} [dataset] - 'groundwater', 'rainfall' or omitted for both
+ * @returns {object[]} One record per stationCode, sorted by state/district/name
+ */
+const getCatalog = (dataset) => {
+    const db = openStore();
+    const rows = dataset
+        ? db.prepare(`SELECT ${STATION_COLUMNS} FROM stations s WHERE s.dataset = ? ${ORDER_BY}`).all(dataset)
+        : db.prepare(`SELECT ${STATION_COLUMNS} FROM stations s ${ORDER_BY}`).all();
+    return rows.map(toStation);
+};
+
+/**
+ * Look up a single station by its code.
+ * @returns {object|null}
+ */
+const getStation = (code) => {
+    const row = openStore()
+        .prepare(`SELECT ${STATION_COLUMNS} FROM stations s WHERE s.stationCode = ?`)
+        .get(code);
+    return row ? toStation(row) : null;
+};
+
+/**
+ * States and their districts that have at least one station, for pickers.
+ * District spellings vary in case between files ("GUNTUR" / "Ahmedabad"),
+ * so they are grouped case-insensitively.
+ *
+ * @returns {{ state: string, districts: string[] }[]}
+ */
+const listRegions = () => {
+    const rows = openStore()
+        .prepare(`
+            SELECT state, MIN(district) AS district FROM stations
+            WHERE state IS NOT NULL AND district IS NOT NULL
+            GROUP BY state, UPPER(district)
+            ORDER BY state, UPPER(district)
+        `)
+        .all();
+
+    const regions = [];
+    for (const { state, district } of rows) {
+        if (regions.at(-1)?.state !== state) regions.push({ state, districts: [] });
+        regions.at(-1).districts.push(district);
+    }
+    return regions;
+};
+
+// WHERE clause for the listStations() / findStations() filters
+const filterClause = (query) => {
+    if (query.dataset && !DATASETS[query.dataset]) {
+        throw new RangeError(`dataset must be one of: ${Object.keys(DATASETS).join(', ')}.`);
+    }
+
+    // `agency` is accepted as a shorthand for `agencyName`
+    const filters = { ...query };
+    if (filters.agency && !filters.agencyName) filters.agencyName = filters.agency;
+
+    const where = [];
+    const params = [];
+    if (query.dataset) {
+        where.push('s.dataset = ?');
+        params.push(query.dataset);
+    }
+    for (const field of FILTER_FIELDS) {
+        if (filters[field] === undefined || filters[field] === '') continue;
+        where.push(`LOWER(COALESCE(s.${field}, '')) = LOWER(?)`);
+        params.push(String(filters[field]).trim());
+    }
+    return { clause: where.length ? `WHERE ${where.join(' AND ')}` : '', params };
+};
+
+/**
+ * Filter and paginate the station catalog.
+ *
+ * @param {object} query - Filter values (see FILTER_FIELDS) plus `dataset`,
+ *                         `page` (1-based) and `pageSize`.
+ * @returns {{ stations: object[], total: number, page: number, pageSize: number }}
+ */
+const listStations = (query = {}) => {
+    const { clause, params } = filterClause(query);
+
+    const page = Math.max(1, parseInt(query.page, 10) || 1);
+    const pageSize = Math.min(
+        MAX_PAGE_SIZE,
+        Math.max(1, parseInt(query.pageSize, 10) || DEFAULT_PAGE_SIZE)
+    );
+
+    const db = openStore();
+    const total = db.prepare(`SELECT COUNT(*) FROM stations s ${clause}`).pluck().get(...params);
+    const rows = db
+        .prepare(`SELECT ${STATION_COLUMNS} FROM stations s ${clause} ${ORDER_BY} LIMIT ? OFFSET ?`)
+        .all(...params, pageSize, (page - 1) * pageSize);
+
+    return {
+        stations: rows.map(toStation),
+        total,
+        page,
+        pageSize,
+    };
+};
+
+/**
+ * Every station matching the listStations() filters, unpaginated
+ * (for exports).
+ *
+ * @param {object} query - Filter values (see FILTER_FIELDS) plus `dataset`
+ * @returns {object[]}
+ */
+const findStations = (query = {}) => {
+    const { clause, params } = filterClause(query);
+    return openStore()
+        .prepare(`SELECT ${STATION_COLUMNS} FROM stations s ${clause} ${ORDER_BY}`)
+        .all(...params)
+        .map(toStation);
+};
+
+module.exports = {
+    DATASETS,
+    filterClause,
+    findStations,
+    getCatalog,
+    getStation,
+    listRegions,
+    listStations,
+};
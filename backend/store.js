@@ -0,0 +1,337 @@
+/**
+ * store.js
+ * ---------
+ * Compiles the raw India-WRIS exports (backend/groundwater_data/*.json and
+ * backend/rainfall_data/*.json) into an indexed SQLite store so the station
+ * and readings APIs never have to parse whole state files per request.
+ *
+ *  - station metadata is stored once per stationCode
+ *  - readings are indexed by (stationCode, datatypeCode, time)
+ *  - each source file is fingerprinted by mtime + size, and only files
+ *    that changed since the last build are re-imported
+ *
+ * The store lives in data/readings.db (override with READINGS_DB) and is
+ * refreshed automatically by openStore(); onSync() listeners hear about
+ * every refresh that changed something. It can also be built ahead of time:
+ *
+ *   node backend/store.js [--force]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// ── Paths ─────────────────────────────────────────────────────────────────────
+// Keys match API_CONFIG in backend/ingest.js ("groundwater" / "rainfall").
+const DATASETS = {
+    groundwater: path.join(__dirname, 'groundwater_data'),
+    rainfall: path.join(__dirname, 'rainfall_data'),
+};
+
+const STORE_FILE = process.env.READINGS_DB || path.join(__dirname, '..', 'data', 'readings.db');
+
+// Bump whenever the schema below changes; the store is then rebuilt from scratch.
+const SCHEMA_VERSION = 1;
+
+// Minimum time between two source-file checks in openStore()
+const REFRESH_INTERVAL_MS = 2000;
+
+const SCHEMA = `
+    CREATE TABLE sources (
+        source      TEXT PRIMARY KEY,      -- "<dataset>/<State>.json"
+        dataset     TEXT NOT NULL,
+        state       TEXT,
+        mtimeMs     REAL NOT NULL,
+        size        INTEGER NOT NULL,
+        builtAt     TEXT NOT NULL
+    );
+
+    CREATE TABLE districts (
+        source      TEXT NOT NULL,
+        dataset     TEXT NOT NULL,
+        state       TEXT NOT NULL,
+        district    TEXT NOT NULL,
+        statusCode  INTEGER,
+        message     TEXT,
+        error       TEXT,
+        rowCount    INTEGER NOT NULL,
+        fetchedAt   TEXT,
+        PRIMARY KEY (dataset, state, district)
+    );
+
+    CREATE TABLE stations (
+        stationCode         TEXT PRIMARY KEY,
+        source              TEXT NOT NULL,
+        dataset             TEXT NOT NULL,
+        stationName         TEXT,
+        stationType         TEXT,
+        agencyName          TEXT,
+        latitude            REAL,
+        longitude           REAL,
+        state               TEXT,
+        district            TEXT,
+        tehsil              TEXT,
+        block               TEXT,
+        village             TEXT,
+        majorBasin          TEXT,
+        tributary           TEXT,
+        wellType            TEXT,
+        wellDepth           REAL,
+        wellAquiferType     TEXT,
+        dataAcquisitionMode TEXT,
+        stationStatus       TEXT
+    );
+
+    CREATE TABLE datatypes (
+        datatypeCode TEXT PRIMARY KEY,
+        description  TEXT,
+        unit         TEXT
+    );
+
+    CREATE TABLE readings (
+        stationCode  TEXT NOT NULL,
+        datatypeCode TEXT NOT NULL,
+        time         TEXT NOT NULL,
+        value        REAL NOT NULL,
+        source       TEXT NOT NULL
+    );
+    CREATE INDEX readings_by_station ON readings (stationCode, datatypeCode, time);
+    CREATE INDEX readings_by_source ON readings (source);
+
+    -- Per-station series summary, recomputed after every build
+    CREATE TABLE series (
+        stationCode  TEXT NOT NULL,
+        datatypeCode TEXT NOT NULL,
+        readingCount INTEGER NOT NULL,
+        firstTime    TEXT,
+        lastTime     TEXT,
+        PRIMARY KEY (stationCode, datatypeCode)
+    );
+`;
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+const clean = (value) => {
+    if (typeof value !== 'string') return value ?? null;
+    const trimmed = value.trim();
+    return trimmed === '' || trimmed === '-' ? null : trimmed;
+};
+
+const numberOrNull = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+
+// Every *.json file of every dataset, with its fingerprint
+const listSources = () => {
+    const sources = [];
+    for (const [dataset, dir] of Object.entries(DATASETS)) {
+        if (!fs.existsSync(dir)) continue;
+        for (const name of fs.readdirSync(dir)) {
+            if (!name.endsWith('.json')) continue;
+            const file = path.join(dir, name);
+            const stat = fs.statSync(file);
+            sources.push({ source: `${dataset}/${name}`, dataset, file, mtimeMs: stat.mtimeMs, size: stat.size });
+        }
+    }
+    return sources;
+};
+
+// ── Schema ────────────────────────────────────────────────────────────────────
+const migrate = (db) => {
+    const version = db.pragma('user_version', { simple: true });
+    if (version === SCHEMA_VERSION) return;
+
+    // Derived data only — rebuilding is always safe
+    db.transaction(() => {
+        const tables = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").pluck().all();
+        for (const table of tables) db.exec(`DROP TABLE IF EXISTS "${table}"`);
+        db.exec(SCHEMA);
+        db.pragma(`user_version = ${SCHEMA_VERSION}`);
+    })();
+};
+
+// ── Import ────────────────────────────────────────────────────────────────────
+const removeSource = (db, source) => {
+    for (const table of ['readings', 'stations', 'districts', 'sources']) {
+        db.prepare(`DELETE FROM ${table} WHERE source = ?`).run(source);
+    }
+};
+
+const importSource = (db, { source, dataset, file, mtimeMs, size }) => {
+    const json = JSON.parse(fs.readFileSync(file, 'utf-8'));
+
+    const insertDistrict = db.prepare(`
+        INSERT OR REPLACE INTO districts
+            (source, dataset, state, district, statusCode, message, error, rowCount, fetchedAt)
+        VALUES (@source, @dataset, @state, @district, @statusCode, @message, @error, @rowCount, @fetchedAt)
+    `);
+    const insertStation = db.prepare(`
+        INSERT OR IGNORE INTO stations VALUES (
+            @stationCode, @source, @dataset, @stationName, @stationType, @agencyName,
+            @latitude, @longitude, @state, @district, @tehsil, @block, @village,
+            @majorBasin, @tributary, @wellType, @wellDepth, @wellAquiferType,
+            @dataAcquisitionMode, @stationStatus
+        )
+    `);
+    const insertDatatype = db.prepare('INSERT OR IGNORE INTO datatypes VALUES (?, ?, ?)');
+    const insertReading = db.prepare('INSERT INTO readings VALUES (?, ?, ?, ?, ?)');
+
+    removeSource(db, source);
+
+    for (const [district, block] of Object.entries(json.districts || {})) {
+        const rows = Array.isArray(block?.data) ? block.data : [];
+        insertDistrict.run({
+            source,
+            dataset,
+            state: json.state,
+            district,
+            statusCode: numberOrNull(block?.statusCode),
+            message: block?.message || null,
+            error: block?.error || null,
+            rowCount: rows.length,
+            fetchedAt: block?.fetchedAt || null,
+        });
+
+        for (const row of rows) {
+            if (!row.stationCode) continue;
+
+            insertStation.run({
+                stationCode: row.stationCode,
+                source,
+                dataset,
+                stationName: clean(row.stationName),
+                stationType: clean(row.stationType),
+                agencyName: clean(row.agencyName),
+                latitude: numberOrNull(row.latitude),
+                longitude: numberOrNull(row.longitude),
+                state: clean(row.state) || json.state,
+                district: clean(row.district),
+                tehsil: clean(row.tehsil),
+                block: clean(row.block),
+                village: clean(row.village),
+                majorBasin: clean(row.majorBasin),
+                tributary: clean(row.tributary),
+                wellType: clean(row.wellType),
+                wellDepth: numberOrNull(row.wellDepth),
+                wellAquiferType: clean(row.wellAquiferType),
+                dataAcquisitionMode: clean(row.dataAcquisitionMode),
+                stationStatus: clean(row.stationStatus),
+            });
+
+            if (!row.datatypeCode || typeof row.dataTime !== 'string' || numberOrNull(row.dataValue) === null) {
+                continue;
+            }
+            insertDatatype.run(row.datatypeCode, clean(row.description), clean(row.unit));
+            insertReading.run(row.stationCode, row.datatypeCode, row.dataTime, row.dataValue, source);
+        }
+    }
+
+    db.prepare('INSERT INTO sources VALUES (?, ?, ?, ?, ?, ?)')
+        .run(source, dataset, json.state || null, mtimeMs, size, new Date().toISOString());
+};
+
+/**
+ * Bring the store in line with the source JSON files. Only new or changed
+ * files are re-imported; files that disappeared are dropped.
+ *
+ * @param {Database} db
+ * @param {object} [options]
+ * @param {boolean} [options.force=false] - Re-import every file
+ * @returns {{ imported: string[], removed: string[] }}
+ */
+const syncStore = (db, { force = false } = {}) => {
+    const known = new Map(db.prepare('SELECT source, mtimeMs, size FROM sources').all().map(s => [s.source, s]));
+    const current = listSources();
+
+    const changed = current.filter(s => {
+        const prev = known.get(s.source);
+        return force || !prev || prev.mtimeMs !== s.mtimeMs || prev.size !== s.size;
+    });
+    const removed = [...known.keys()].filter(source => !current.some(s => s.source === source));
+
+    if (changed.length || removed.length) {
+        db.transaction(() => {
+            removed.forEach(source => removeSource(db, source));
+            changed.forEach(source => importSource(db, source));
+
+            db.exec('DELETE FROM series');
+            db.exec(`
+                INSERT INTO series
+                SELECT stationCode, datatypeCode, COUNT(*), MIN(time), MAX(time)
+                FROM readings GROUP BY stationCode, datatypeCode
+            `);
+        })();
+    }
+
+    return { imported: changed.map(s => s.source), removed };
+};
+
+// ── Shared connection ─────────────────────────────────────────────────────────
+let db = null;
+let lastSync = 0;
+const syncListeners = [];
+
+/**
+ * Call listener({ imported, removed }) after openStore() has re-imported or
+ * dropped source files (e.g. after an ingest run). Listeners run on the
+ * next tick, outside the request that happened to trigger the refresh;
+ * their errors are logged.
+ *
+ * @param {(result: { imported: string[], removed: string[] }) => void} listener
+ */
+const onSync = (listener) => {
+    syncListeners.push(listener);
+};
+
+/**
+ * Open (creating or rebuilding as needed) the shared read store.
+ * Source files are re-checked at most every REFRESH_INTERVAL_MS.
+ *
+ * @returns {Database}
+ */
+const openStore = () => {
+    if (!db) {
+        fs.mkdirSync(path.dirname(STORE_FILE), { recursive: true });
+        db = new Database(STORE_FILE);
+        db.pragma('journal_mode = WAL');
+        migrate(db);
+    }
+    if (Date.now() - lastSync >= REFRESH_INTERVAL_MS) {
+        const result = syncStore(db);
+        lastSync = Date.now();
+        if (result.imported.length || result.removed.length) {
+            setImmediate(() => {
+                for (const listener of syncListeners) {
+                    try {
+                        listener(result);
+                    } catch (err) {
+                        console.error('Store sync listener failed:', err.message);
+                    }
+                }
+            });
+        }
+    }
+    return db;
+};
+
+// ── CLI ───────────────────────────────────────────────────────────────────────
+if (require.main === module) {
+    const started = Date.now();
+    fs.mkdirSync(path.dirname(STORE_FILE), { recursive: true });
+    const store = new Database(STORE_FILE);
+    migrate(store);
+
+    const { imported, removed } = syncStore(store, { force: process.argv.includes('--force') });
+    const counts = store.prepare(`
+        SELECT (SELECT COUNT(*) FROM stations) AS stations, (SELECT COUNT(*) FROM readings) AS readings
+    `).get();
+    store.close();
+
+    console.log(`✅  ${imported.length} file(s) imported, ${removed.length} removed in ${Date.now() - started}ms`);
+    console.log(`📦  ${counts.stations} stations, ${counts.readings} readings in ${STORE_FILE}`);
+}
+
+module.exports = {
+    DATASETS,
+    STORE_FILE,
+    onSync,
+    openStore,
+    syncStore,
+};
@@ -0,0 +1,103 @@
+/**
+ * tokens.js
+ * ----------
+ * Single-use, expiring tokens for links sent by email (email verification,
+ * password reset, email change), and for the second step of a two-factor
+ * sign-in.
+ *
+ * Only a SHA-256 hash of each token is stored (the "tokens" repository,
+ * data/tokens.json – see repository.js), so a leaked file can't be used
+ * to take over accounts. Issuing a new token for the same email and
+ * purpose invalidates the previous ones, and a token is deleted as soon
+ * as it is used.
+ */
+
+const crypto = require('crypto');
+const { createRepository } = require('./repository');
+
+const tokensRepo = createRepository('tokens', { key: 'hash' });
+
+// How long each kind of token stays valid
+const PURPOSES = {
+    'verify-email': 24 * 60 * 60 * 1000,
+    'reset-password': 60 * 60 * 1000,
+    'change-email': 24 * 60 * 60 * 1000,
+    'login-2fa': 5 * 60 * 1000,
+};
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+const hash = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const live = (tokens) => tokens.filter(t => new Date(t.expiresAt).getTime() > Date.now());
+
+// ── Public API ────────────────────────────────────────────────────────────────
+/**
+ * Issue a token.
+ * @param {string} email
+ * @param {string} purpose - One of PURPOSES
+ * @param {object} [data]  - Extra payload returned by consumeToken()
+ * @returns {Promise<string>} The raw token (only ever sent to the user)
+ */
+const issueToken = async (email, purpose, data = {}) => {
+    if (!PURPOSES[purpose]) throw new RangeError(`Unknown token purpose: ${purpose}`);
+
+    const token = crypto.randomBytes(32).toString('hex');
+    await tokensRepo.mutate(tokens => [
+        ...live(tokens).filter(t => !(t.email === email && t.purpose === purpose)),
+        {
+            hash: hash(token),
+            email,
+            purpose,
+            data,
+            createdAt: new Date().toISOString(),
+            expiresAt: new Date(Date.now() + PURPOSES[purpose]).toISOString(),
+        },
+    ]);
+    return token;
+};
+
+/**
+ * Use up a token.
+ * @returns {Promise<{ email: string, data: object }|null>} null when unknown, expired or already used
+ */
+const consumeToken = async (token, purpose) => {
+    if (!token || typeof token !== 'string') return null;
+
+    const digest = hash(token);
+    let match = null;
+    await tokensRepo.mutate((tokens) => {
+        const kept = live(tokens);
+        match = kept.find(t => t.hash === digest && t.purpose === purpose) || null;
+        return kept.filter(t => t !== match);
+    });
+    return match ? { email: match.email, data: match.data || {} } : null;
+};
+
+/**
+ * Look up a token without using it up (e.g. while the user retries a code).
+ * @returns {{ email: string, data: object }|null}
+ */
+const findToken = (token, purpose) => {
+    if (!token || typeof token !== 'string') return null;
+
+    const digest = hash(token);
+    const match = live(tokensRepo.filter(t => t.hash === digest)).find(t => t.purpose === purpose);
+    return match ? { email: match.email, data: match.data || {} } : null;
+};
+
+/**
+ * Drop all outstanding tokens of a user (e.g. after the account is deleted).
+ */
+const revokeTokens = async (email, purpose) => {
+    await tokensRepo.mutate(tokens =>
+        live(tokens).filter(t => !(t.email === email && (!purpose || t.purpose === purpose)))
+    );
+};
+
+module.exports = {
+    PURPOSES,
+    issueToken,
+    consumeToken,
+    findToken,
+    revokeTokens,
+};
@@ -0,0 +1,161 @@
+/**
+ * totp.js
+ * --------
+ * Time-based one-time passwords (RFC 6238) for two-factor sign-in, and
+ * the one-time recovery codes that stand in for a lost authenticator.
+ *
+ * Codes are 6-digit HMAC-SHA1 over 30-second steps – what Google
+ * Authenticator, Authy, Microsoft Authenticator etc. expect by default.
+ * One step of clock drift either way is accepted, and verifyCode()
+ * reports which step matched so the caller can refuse a code that was
+ * already used (RFC 6238 §5.2).
+ *
+ * Secrets have to be kept in the clear (the server recomputes the HMAC);
+ * recovery codes are stored as SHA-256 hashes, like the emailed tokens.
+ */
+
+const crypto = require('crypto');
+
+const ISSUER = 'Water Quality Monitor';
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+const WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+// ── Base32 (RFC 4648, no padding) ─────────────────────────────────────────────
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) output += ALPHABET[(value << (5 - bits)) & 31];
+    return output;
+};
+
+const base32Decode = (text) => {
+    const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = ALPHABET.indexOf(char);
+        if (index === -1) throw new RangeError('Invalid base32 secret.');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+// ── TOTP ──────────────────────────────────────────────────────────────────────
+/**
+ * A new random secret (160 bits, the RFC 4226 recommendation), base32.
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const stepAt = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+/**
+ * The code for one time step (HOTP, RFC 4226 §5.3).
+ * @param {string} secret - base32
+ * @param {number} step
+ * @returns {string} DIGITS digits, zero-padded
+ */
+const codeForStep = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeUInt32BE(Math.floor(step / 2 ** 32), 0);
+    counter.writeUInt32BE(step >>> 0, 4);
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Check a code typed by the user.
+ * @param {string} secret - base32
+ * @param {string} code
+ * @param {object} [options]
+ * @param {number} [options.afterStep] - Last step already used; it and older steps are refused
+ * @param {number} [options.time]      - Defaults to now
+ * @returns {number|null} The matching time step, or null
+ */
+const verifyCode = (secret, code, { afterStep = -1, time } = {}) => {
+    const digits = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(digits)) return null;
+
+    const current = stepAt(time);
+    for (let step = current - WINDOW; step <= current + WINDOW; step++) {
+        if (step <= afterStep) continue;
+        const expected = codeForStep(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(digits))) return step;
+    }
+    return null;
+};
+
+/**
+ * The otpauth:// URI encoded in the enrolment QR code.
+ * @see https://github.com/google/google-authenticator/wiki/Key-Uri-Format
+ */
+const otpauthUri = (secret, account) => {
+    const label = encodeURIComponent(`${ISSUER}:${account}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer: ISSUER,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS),
+    });
+    return `otpauth://totp/${label}?${params}`;
+};
+
+// ── Recovery codes ────────────────────────────────────────────────────────────
+const normaliseRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+
+const hashRecoveryCode = (code) =>
+    crypto.createHash('sha256').update(normaliseRecoveryCode(code)).digest('hex');
+
+/**
+ * A fresh set of recovery codes.
+ * @returns {{ codes: string[], hashes: string[] }} Show `codes` once; store `hashes`
+ */
+const generateRecoveryCodes = (count = RECOVERY_CODE_COUNT) => {
+    const codes = Array.from({ length: count }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Find a recovery code among the stored hashes.
+ * @returns {string[]|null} The hashes left once it is used up, or null when it doesn't match
+ */
+const useRecoveryCode = (hashes = [], code) => {
+    if (normaliseRecoveryCode(code).length !== 10) return null;
+    const digest = hashRecoveryCode(code);
+    return hashes.includes(digest) ? hashes.filter(h => h !== digest) : null;
+};
+
+module.exports = {
+    ISSUER,
+    generateSecret,
+    codeForStep,
+    stepAt,
+    verifyCode,
+    otpauthUri,
+    generateRecoveryCodes,
+    useRecoveryCode,
+};
@@ -0,0 +1,106 @@
+/**
+ * totp.test.js
+ * -------------
+ * Tests for one-time passwords against the RFC 4226 / RFC 6238 test
+ * vectors, replay refusal and recovery codes.
+ *
+ * Run with: npm run test:backend
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    generateSecret,
+    codeForStep,
+    stepAt,
+    verifyCode,
+    otpauthUri,
+    generateRecoveryCodes,
+    useRecoveryCode,
+} = require('./totp');
+
+// "12345678901234567890" – the RFC test secret – in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+// ── Tests ─────────────────────────────────────────────────────────────────────
+test('matches the RFC 4226 HOTP vectors', () => {
+    const expected = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+    assert.deepEqual(expected.map((_, counter) => codeForStep(RFC_SECRET, counter)), expected);
+});
+
+test('matches the RFC 6238 SHA-1 vectors (last six digits)', () => {
+    const vectors = [
+        [59, '287082'],
+        [1111111109, '081804'],
+        [1111111111, '050471'],
+        [1234567890, '005924'],
+        [2000000000, '279037'],
+        [20000000000, '353130'],
+    ];
+    for (const [seconds, code] of vectors) {
+        assert.equal(codeForStep(RFC_SECRET, stepAt(seconds * 1000)), code, `T = ${seconds}`);
+        assert.equal(verifyCode(RFC_SECRET, code, { time: seconds * 1000 }), stepAt(seconds * 1000));
+    }
+});
+
+test('accepts one step of drift either way and nothing further', () => {
+    const time = 1234567890 * 1000;
+    const step = stepAt(time);
+
+    assert.equal(verifyCode(RFC_SECRET, codeForStep(RFC_SECRET, step - 1), { time }), step - 1);
+    assert.equal(verifyCode(RFC_SECRET, codeForStep(RFC_SECRET, step + 1), { time }), step + 1);
+    assert.equal(verifyCode(RFC_SECRET, codeForStep(RFC_SECRET, step - 2), { time }), null);
+    assert.equal(verifyCode(RFC_SECRET, codeForStep(RFC_SECRET, step + 2), { time }), null);
+});
+
+test('refuses a code from a step that was already used', () => {
+    const time = 1234567890 * 1000;
+    const code = codeForStep(RFC_SECRET, stepAt(time));
+    const used = verifyCode(RFC_SECRET, code, { time });
+
+    assert.equal(verifyCode(RFC_SECRET, code, { time, afterStep: used }), null);
+    assert.equal(verifyCode(RFC_SECRET, codeForStep(RFC_SECRET, used - 1), { time, afterStep: used }), null);
+    assert.equal(verifyCode(RFC_SECRET, codeForStep(RFC_SECRET, used + 1), { time, afterStep: used }), used + 1);
+});
+
+test('ignores spaces and refuses malformed codes', () => {
+    const time = 59 * 1000;
+    assert.equal(verifyCode(RFC_SECRET, '287 082', { time }), stepAt(time));
+    for (const code of ['', '28708', '2870820', 'abcdef', null]) {
+        assert.equal(verifyCode(RFC_SECRET, code, { time }), null, `code ${code}`);
+    }
+});
+
+test('generates base32 secrets and an otpauth URI for them', () => {
+    const secret = generateSecret();
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+    assert.notEqual(generateSecret(), secret);
+
+    const uri = new URL(otpauthUri(secret, 'a@x.io'));
+    assert.equal(uri.protocol, 'otpauth:');
+    assert.equal(uri.searchParams.get('secret'), secret);
+    assert.equal(uri.searchParams.get('digits'), '6');
+    assert.equal(uri.searchParams.get('period'), '30');
+});
+
+test('recovery codes work once each', () => {
+    const { codes, hashes } = generateRecoveryCodes();
+    assert.equal(codes.length, 10);
+    assert.equal(new Set(codes).size, 10);
+    assert.ok(codes.every(code => /^[0-9a-f]{5}-[0-9a-f]{5}$/.test(code)));
+    assert.ok(hashes.every((hash, i) => hash !== codes[i]));
+
+    // Case and separators don't matter
+    const left = useRecoveryCode(hashes, codes[3].toUpperCase().replace('-', ' '));
+    assert.equal(left.length, 9);
+    assert.equal(useRecoveryCode(left, codes[3]), null);
+    assert.equal(useRecoveryCode(left, codes[4]).length, 8);
+});
+
+test('refuses unknown and malformed recovery codes', () => {
+    const { hashes } = generateRecoveryCodes(2);
+    assert.equal(useRecoveryCode(hashes, '00000-00000'), null);
+    assert.equal(useRecoveryCode(hashes, 'short'), null);
+    assert.equal(useRecoveryCode(undefined, '00000-00000'), null);
+});
@@ -0,0 +1,332 @@
+/**
+ * trends.js
+ * ----------
+ * Groundwater level trends per well, and the same aggregated per district
+ * and per aquifer type.
+ *
+ * Each well's main water-level series (GGZ telemetry or HGZ manual
+ * readings) is reduced to monthly means first – the telemetry is 6-hourly
+ * and strongly autocorrelated, which would make almost any wiggle look
+ * significant. Levels are expressed relative to ground (negative = below
+ * ground, the GGZ convention; HGZ depths are negated), so throughout this
+ * module a positive change means the water table went UP.
+ *
+ * Per well:
+ *   trend         – Mann-Kendall test on the monthly means (normal
+ *                   approximation with tie correction). Significant at
+ *                   SIGNIFICANCE; the direction decides "declining"
+ *                   (water table falling) or "rising".
+ *   senSlope      – Sen's slope estimator, metres per year
+ *   fluctuation   – pre-monsoon (May) to post-monsoon (November) change for
+ *                   each year that has both months
+ *   yearOverYear  – change of the mean level against the previous year,
+ *                   over the calendar months both years have data for, so
+ *                   an uneven reading schedule doesn't masquerade as change
+ */
+
+const { openStore } = require('./store');
+const { parseExclude, withoutFlagged } = require('./quality');
+
+const LEVEL_CODES = ['GGZ', 'HGZ'];
+const SIGNIFICANCE = 0.05;
+const MIN_POINTS = 4; // fewer monthly means than this can't give a trend
+const PRE_MONSOON_MONTH = '05';
+const POST_MONSOON_MONTH = '11';
+
+const TRENDS = ['declining', 'rising', 'no-trend', 'insufficient-data'];
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+const round = (value, digits = 3) =>
+    value == null || !Number.isFinite(value) ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+
+const mean = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+
+const median = (values) => {
+    if (!values.length) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26, error < 1.5e-7)
+const normalCdf = (z) => {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    const erf = 1 - poly * Math.exp(-x * x);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+// "2024-05" → 2024.375 (mid-month, in years)
+const decimalYear = (month) => {
+    const [y, m] = month.split('-').map(Number);
+    return y + (m - 0.5) / 12;
+};
+
+// Water level relative to ground: GGZ is already negative below ground,
+// HGZ is a positive depth
+const toLevel = (value) => -Math.abs(value);
+
+// ── Statistics ────────────────────────────────────────────────────────────────
+/**
+ * Mann-Kendall trend test.
+ * @param {number[]} values - In time order
+ * @returns {{ s: number, z: number, pValue: number, tau: number }|null} null below MIN_POINTS
+ */
+const mannKendall = (values) => {
+    const n = values.length;
+    if (n < MIN_POINTS) return null;
+
+    let s = 0;
+    for (let i = 0; i < n - 1; i++) {
+        for (let j = i + 1; j < n; j++) s += Math.sign(values[j] - values[i]);
+    }
+
+    // Variance, corrected for groups of tied values
+    const ties = new Map();
+    for (const v of values) ties.set(v, (ties.get(v) || 0) + 1);
+    let tieTerm = 0;
+    for (const t of ties.values()) tieTerm += t * (t - 1) * (2 * t + 5);
+    const variance = (n * (n - 1) * (2 * n + 5) - tieTerm) / 18;
+
+    let z = 0;
+    if (variance > 0 && s > 0) z = (s - 1) / Math.sqrt(variance);
+    if (variance > 0 && s < 0) z = (s + 1) / Math.sqrt(variance);
+
+    return {
+        s,
+        z,
+        pValue: 2 * (1 - normalCdf(Math.abs(z))),
+        tau: s / ((n * (n - 1)) / 2),
+    };
+};
+
+/**
+ * Sen's slope: the median of the slopes between every pair of points.
+ * @param {{ t: number, value: number }[]} points - t in years
+ * @returns {number|null} Units per year
+ */
+const sensSlope = (points) => {
+    const slopes = [];
+    for (let i = 0; i < points.length - 1; i++) {
+        for (let j = i + 1; j < points.length; j++) {
+            const dt = points[j].t - points[i].t;
+            if (dt !== 0) slopes.push((points[j].value - points[i].value) / dt);
+        }
+    }
+    return median(slopes);
+};
+
+// ── Per well ──────────────────────────────────────────────────────────────────
+/**
+ * Mean level per calendar month.
+ * @param {{ time: string, value: number }[]} readings - Raw GGZ / HGZ readings
+ * @returns {{ month: string, level: number, count: number }[]} Sorted by month
+ */
+const monthlyLevels = (readings) => {
+    const months = new Map();
+    for (const { time, value } of readings) {
+        const month = time.slice(0, 7);
+        if (!months.has(month)) months.set(month, []);
+        months.get(month).push(toLevel(value));
+    }
+    return [...months.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([month, levels]) => ({ month, level: mean(levels), count: levels.length }));
+};
+
+// May → November change for every year that has both
+const monsoonFluctuation = (monthly) => {
+    const byMonth = new Map(monthly.map(m => [m.month, m.level]));
+    const years = [...new Set(monthly.map(m => m.month.slice(0, 4)))];
+    return years
+        .filter(y => byMonth.has(`${y}-${PRE_MONSOON_MONTH}`) && byMonth.has(`${y}-${POST_MONSOON_MONTH}`))
+        .map(y => {
+            const pre = byMonth.get(`${y}-${PRE_MONSOON_MONTH}`);
+            const post = byMonth.get(`${y}-${POST_MONSOON_MONTH}`);
+            return {
+                year: Number(y),
+                preMonsoon: round(pre),
+                postMonsoon: round(post),
+                fluctuation: round(post - pre),
+            };
+        });
+};
+
+// Mean level change against the previous year, over the months both have
+const yearOverYear = (monthly) => {
+    const byYear = new Map();
+    for (const { month, level } of monthly) {
+        const year = month.slice(0, 4);
+        if (!byYear.has(year)) byYear.set(year, new Map());
+        byYear.get(year).set(month.slice(5), level);
+    }
+
+    const years = [...byYear.keys()].sort();
+    const changes = [];
+    for (let i = 1; i < years.length; i++) {
+        const previous = byYear.get(years[i - 1]);
+        const current = byYear.get(years[i]);
+        const common = [...current.keys()].filter(m => previous.has(m));
+        if (!common.length) continue;
+        const before = mean(common.map(m => previous.get(m)));
+        const after = mean(common.map(m => current.get(m)));
+        changes.push({
+            year: Number(years[i]),
+            previousYear: Number(years[i - 1]),
+            months: common.length,
+            meanLevel: round(after),
+            previousMeanLevel: round(before),
+            change: round(after - before),
+        });
+    }
+    return changes;
+};
+
+/**
+ * Trend statistics for one well's readings.
+ * @param {{ time: string, value: number }[]} readings - Sorted by time
+ */
+const analyseSeries = (readings) => {
+    const monthly = monthlyLevels(readings);
+    const mk = mannKendall(monthly.map(m => m.level));
+    const slope = mk ? sensSlope(monthly.map(m => ({ t: decimalYear(m.month), value: m.level }))) : null;
+
+    let trend = 'insufficient-data';
+    if (mk) trend = mk.pValue < SIGNIFICANCE && mk.s !== 0 ? (mk.s < 0 ? 'declining' : 'rising') : 'no-trend';
+
+    return {
+        trend,
+        senSlope: round(slope),
+        mannKendall: mk && { s: mk.s, z: round(mk.z), pValue: round(mk.pValue, 4), tau: round(mk.tau) },
+        months: monthly.length,
+        firstMonth: monthly[0]?.month || null,
+        lastMonth: monthly.at(-1)?.month || null,
+        latestLevel: round(monthly.at(-1)?.level),
+        fluctuation: monsoonFluctuation(monthly),
+        yearOverYear: yearOverYear(monthly),
+        monthly: monthly.map(m => ({ ...m, level: round(m.level) })),
+    };
+};
+
+// ── Queries ───────────────────────────────────────────────────────────────────
+const FILTERS = ['state', 'district', 'wellAquiferType', 'stationCode'];
+
+/**
+ * Trend analysis for every groundwater well matching the filters.
+ * @param {object} [query] - state, district, wellAquiferType, stationCode (case-insensitive);
+ *                           excludeFlagged drops flagged readings first (see quality.js)
+ * @returns {object[]} Sorted by state, district, station name
+ */
+const listWellTrends = (query = {}) => {
+    const exclude = parseExclude(query.excludeFlagged);
+    const where = ["s.dataset = 'groundwater'"];
+    const params = [];
+    for (const field of FILTERS) {
+        if (query[field] === undefined || query[field] === '') continue;
+        where.push(`LOWER(COALESCE(s.${field}, '')) = LOWER(?)`);
+        params.push(String(query[field]).trim());
+    }
+
+    const db = openStore();
+    const wells = db.prepare(`
+        SELECT s.stationCode, s.stationName, s.state, s.district, s.wellAquiferType, s.wellType, s.wellDepth
+        FROM stations s WHERE ${where.join(' AND ')}
+        ORDER BY s.state, s.district, s.stationName
+    `).all(...params);
+
+    // The level series with the most readings (a few wells have both)
+    const pickCode = db.prepare(`
+        SELECT datatypeCode FROM series
+        WHERE stationCode = ? AND datatypeCode IN (${LEVEL_CODES.map(() => '?').join(', ')})
+        ORDER BY readingCount DESC LIMIT 1
+    `).pluck();
+    const readings = db.prepare('SELECT time, value FROM readings WHERE stationCode = ? AND datatypeCode = ? ORDER BY time');
+
+    return wells.map(well => {
+        const datatypeCode = pickCode.get(well.stationCode, ...LEVEL_CODES) || null;
+        const series = datatypeCode
+            ? withoutFlagged(readings.all(well.stationCode, datatypeCode), exclude, { datatypeCode, wellDepth: well.wellDepth })
+            : [];
+        return { ...well, datatypeCode, ...analyseSeries(series) };
+    });
+};
+
+/**
+ * Summary of a group of analysed wells.
+ */
+const summarise = (wells) => {
+    const counts = Object.fromEntries(TRENDS.map(t => [t, 0]));
+    for (const w of wells) counts[w.trend]++;
+
+    const latest = (list) => list.at(-1);
+    return {
+        wells: wells.length,
+        declining: counts.declining,
+        rising: counts.rising,
+        noTrend: counts['no-trend'],
+        insufficientData: counts['insufficient-data'],
+        medianSenSlope: round(median(wells.map(w => w.senSlope).filter(v => v != null))),
+        meanFluctuation: round(mean(wells.map(w => latest(w.fluctuation)?.fluctuation).filter(v => v != null))),
+        meanYearOverYear: round(mean(wells.map(w => latest(w.yearOverYear)?.change).filter(v => v != null))),
+    };
+};
+
+// Group wells by a key, keeping the first spelling as the label
+const groupBy = (wells, keyOf, labelOf) => {
+    const groups = new Map();
+    for (const w of wells) {
+        const key = keyOf(w);
+        if (!groups.has(key)) groups.set(key, { label: labelOf(w), wells: [] });
+        groups.get(key).wells.push(w);
+    }
+    return [...groups.values()];
+};
+
+/**
+ * Per-well trends plus the district and aquifer-type aggregates.
+ * @param {object} [query] - See listWellTrends(). `monthly` series are
+ *                           dropped unless query.monthly is truthy.
+ */
+const groundwaterTrends = (query = {}) => {
+    const wells = listWellTrends(query);
+
+    // District spellings vary in case between files ("GUNTUR" / "Guntur")
+    const byDistrict = groupBy(
+        wells,
+        w => `${w.state}|${String(w.district || '').toUpperCase()}`,
+        w => ({ state: w.state, district: w.district })
+    ).map(g => ({ ...g.label, ...summarise(g.wells) }));
+
+    const byAquiferType = groupBy(
+        wells,
+        w => w.wellAquiferType || 'Not Available',
+        w => w.wellAquiferType || 'Not Available'
+    ).map(g => ({ wellAquiferType: g.label, ...summarise(g.wells) }))
+        .sort((a, b) => a.wellAquiferType.localeCompare(b.wellAquiferType));
+
+    return {
+        method: {
+            resolution: 'monthly mean',
+            significance: SIGNIFICANCE,
+            minMonths: MIN_POINTS,
+            units: 'm relative to ground level; positive changes mean the water table rose',
+            preMonsoonMonth: Number(PRE_MONSOON_MONTH),
+            postMonsoonMonth: Number(POST_MONSOON_MONTH),
+            excludeFlagged: parseExclude(query.excludeFlagged),
+        },
+        summary: summarise(wells),
+        wells: query.monthly ? wells : wells.map(({ monthly, ...rest }) => rest),
+        byDistrict,
+        byAquiferType,
+    };
+};
+
+module.exports = {
+    TRENDS,
+    mannKendall,
+    sensSlope,
+    analyseSeries,
+    listWellTrends,
+    groundwaterTrends,
+};
@@ -0,0 +1,135 @@
+/**
+ * trends.test.js
+ * ---------------
+ * Tests for the groundwater trend statistics: the Mann-Kendall test (with
+ * its tie correction), Sen's slope and the per-well analysis built on them.
+ *
+ * Run with: npm run test:backend
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { mannKendall, sensSlope, analyseSeries } = require('./trends');
+
+const close = (actual, expected, tolerance = 1e-4) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+// One reading on the 15th of each month from January 2024
+const monthly = (values) => values.map((value, i) => ({
+    time: `${2024 + Math.floor(i / 12)}-${String((i % 12) + 1).padStart(2, '0')}-15T08:00:00`,
+    value,
+}));
+
+// ── Mann-Kendall ──────────────────────────────────────────────────────────────
+test('Mann-Kendall on a strictly increasing series', () => {
+    // n = 5: S = 10, Var(S) = 5·4·15 / 18 = 16.667, Z = (10 − 1) / √16.667
+    const mk = mannKendall([1, 2, 3, 4, 5]);
+
+    assert.equal(mk.s, 10);
+    assert.equal(mk.tau, 1);
+    close(mk.z, 9 / Math.sqrt(300 / 18));
+    close(mk.z, 2.2045);
+    close(mk.pValue, 0.0275);
+});
+
+test('Mann-Kendall is symmetric for a decreasing series', () => {
+    const mk = mannKendall([5, 4, 3, 2, 1]);
+
+    assert.equal(mk.s, -10);
+    assert.equal(mk.tau, -1);
+    close(mk.z, -2.2045);
+    close(mk.pValue, 0.0275);
+});
+
+test('Mann-Kendall corrects the variance for ties', () => {
+    // Two pairs of ties: Var(S) = (5·4·15 − 2·(2·1·9)) / 18 = 264 / 18
+    const mk = mannKendall([1, 1, 2, 2, 3]);
+
+    assert.equal(mk.s, 8);
+    close(mk.z, 7 / Math.sqrt(264 / 18));
+    close(mk.z, 1.8278);
+    assert.ok(mk.z > 7 / Math.sqrt(300 / 18), 'ties must shrink the variance');
+});
+
+test('Mann-Kendall finds no trend in a flat series and needs MIN_POINTS values', () => {
+    const flat = mannKendall([3, 3, 3, 3]);
+    assert.equal(flat.s, 0);
+    assert.equal(flat.z, 0);
+    close(flat.pValue, 1);
+
+    assert.equal(mannKendall([1, 2, 3]), null);
+});
+
+// ── Sen's slope ───────────────────────────────────────────────────────────────
+test('Sen\'s slope is the median pairwise slope', () => {
+    // Slopes 1, 1.5, 1, 2, 1, 0 → median 1
+    const points = [{ t: 0, value: 0 }, { t: 1, value: 1 }, { t: 2, value: 3 }, { t: 3, value: 3 }];
+    assert.equal(sensSlope(points), 1);
+});
+
+test('Sen\'s slope shrugs off an outlier and skips pairs at the same time', () => {
+    const points = [0, 1, 2, 3, 100].map((value, t) => ({ t, value }));
+    assert.equal(sensSlope(points), 1);
+
+    // Only the slopes 2 and −3 count, not the one between the two t = 1 points
+    assert.equal(sensSlope([{ t: 1, value: 0 }, { t: 1, value: 5 }, { t: 2, value: 2 }]), -0.5);
+    assert.equal(sensSlope([{ t: 1, value: 0 }]), null);
+});
+
+// ── Per well ──────────────────────────────────────────────────────────────────
+test('a deepening manual series is a significant decline', () => {
+    // HGZ depths below ground, 0.5 m deeper every month
+    const result = analyseSeries(monthly([5, 5.5, 6, 6.5, 7, 7.5]));
+
+    assert.equal(result.trend, 'declining');
+    assert.equal(result.months, 6);
+    assert.equal(result.latestLevel, -7.5);
+    assert.equal(result.senSlope, -6);
+    assert.equal(result.mannKendall.s, -15);
+    close(result.mannKendall.z, -2.63, 1e-3);
+    assert.ok(result.mannKendall.pValue < 0.05);
+});
+
+test('readings in one month are averaged before testing', () => {
+    const readings = [
+        { time: '2024-01-01T00:00:00', value: -4 },
+        { time: '2024-01-20T00:00:00', value: -6 },
+        ...monthly([-5, -4, -3, -2]).slice(1),
+    ];
+    const result = analyseSeries(readings);
+
+    assert.deepEqual(result.monthly.map(m => [m.month, m.level, m.count]), [
+        ['2024-01', -5, 2],
+        ['2024-02', -4, 1],
+        ['2024-03', -3, 1],
+        ['2024-04', -2, 1],
+    ]);
+});
+
+test('too few months give insufficient data', () => {
+    const result = analyseSeries(monthly([-5, -6, -7]));
+
+    assert.equal(result.trend, 'insufficient-data');
+    assert.equal(result.mannKendall, null);
+    assert.equal(result.senSlope, null);
+    assert.equal(result.months, 3);
+
+    assert.equal(analyseSeries([]).trend, 'insufficient-data');
+});
+
+test('monsoon fluctuation and year-over-year change use matching months', () => {
+    // 2024: May −8, Nov −4; 2025: May −9 (and nothing else in common but May)
+    const readings = [
+        { time: '2024-05-15T00:00:00', value: -8 },
+        { time: '2024-11-15T00:00:00', value: -4 },
+        { time: '2025-03-15T00:00:00', value: -7 },
+        { time: '2025-05-15T00:00:00', value: -9 },
+    ];
+    const result = analyseSeries(readings);
+
+    assert.deepEqual(result.fluctuation, [{ year: 2024, preMonsoon: -8, postMonsoon: -4, fluctuation: 4 }]);
+    assert.deepEqual(result.yearOverYear, [{
+        year: 2025, previousYear: 2024, months: 1, meanLevel: -9, previousMeanLevel: -8, change: -1,
+    }]);
+});
@@ -0,0 +1,308 @@
+/**
+ * watchlist.js
+ * -------------
+ * Stations and districts a user follows, and the summary the dashboard
+ * shows for each of them.
+ *
+ * The watchlist is stored on the user record (`user.watchlist`) as
+ *   { id, type: 'station', stationCode, addedAt }
+ *   { id, type: 'district', state, district, addedAt }
+ * where the id is "station:<code>" or "district:<state>:<district>".
+ *
+ * Each item is summarised as
+ *   latest    – wells: the water level relative to ground (negative =
+ *               below ground, as in trends.js) on the newest day;
+ *               gauges: the rainfall of the newest day (rainfall.js totals)
+ *   change    – wells: how far the level rose (+) or fell (−) since the
+ *               day nearest to CHANGE_DAYS before; gauges: the last
+ *               CHANGE_DAYS of rain minus the CHANGE_DAYS before that
+ *   sparkline – daily values over the last SPARKLINE_DAYS of the record
+ *   freshness – how far the last reading lags the newest data of its
+ *               dataset: fresh (≤ FRESH_DAYS), lagging, or stale (more
+ *               than quality.DEFAULTS.staleDays, as in the data-quality
+ *               report). ageDays is the age against today.
+ *
+ * Readings flagged out-of-range or spike (quality.js) are left out of
+ * latest, change and sparkline, so the telemetry's "1" placeholder never
+ * shows as the latest level.
+ *
+ * A district is summarised from its wells: the mean of their latest levels
+ * and of their changes, and the daily mean level for the sparkline.
+ * Districts without wells fall back to the mean rainfall of their gauges.
+ */
+
+const { openStore } = require('./store');
+const { getCatalog, getStation, listRegions } = require('./stations');
+const { getReadings } = require('./readings');
+const { getRainfall } = require('./rainfall');
+const { DEFAULTS } = require('./quality');
+
+const WATCH_TYPES = ['station', 'district'];
+const MAX_ITEMS = 50;
+
+const LEVEL_CODES = ['GGZ', 'HGZ'];
+const CHANGE_DAYS = 30;
+const SPARKLINE_DAYS = 90;
+const FRESH_DAYS = 2;
+const EXCLUDE_FLAGS = ['out-of-range', 'spike'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+const round = (value, digits = 2) =>
+    value == null || !Number.isFinite(value) ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+
+const mean = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+
+const sum = (points) => points.reduce((total, p) => total + p.value, 0);
+
+const text = (value) => (value == null ? '' : String(value).trim());
+
+// "2025-04-28" or "2025-04-28T08:30:00" → ms at the start of that day (UTC)
+const dayMs = (time) => Date.parse(time.slice(0, 10));
+
+const itemId = (item) =>
+    item.type === 'station' ? `station:${item.stationCode}` : `district:${item.state}:${item.district}`;
+
+const sameDistrict = (station, item) =>
+    station.state === item.state && String(station.district || '').toUpperCase() === item.district.toUpperCase();
+
+// ── Validation ────────────────────────────────────────────────────────────────
+/**
+ * Validate a watchlist item from a request body. Stations and districts
+ * must exist in the catalog; the stored spelling is the catalog's.
+ *
+ * @param {object} input - { type, stationCode } or { type, state, district }
+ * @returns {{ errors: object, item: object|null }}
+ */
+const validateItem = (input) => {
+    const errors = {};
+    const body = input || {};
+
+    if (!WATCH_TYPES.includes(body.type)) {
+        errors.type = `Type must be one of: ${WATCH_TYPES.join(', ')}.`;
+        return { errors, item: null };
+    }
+
+    let item = null;
+    if (body.type === 'station') {
+        const code = text(body.stationCode);
+        const station = code ? getStation(code) : null;
+        if (!station) errors.stationCode = code ? 'Unknown station code.' : 'Station is required.';
+        else item = { type: 'station', stationCode: station.stationCode };
+    } else {
+        const region = listRegions().find(r => r.state.toUpperCase() === text(body.state).toUpperCase());
+        const district = region?.districts.find(d => d.toUpperCase() === text(body.district).toUpperCase());
+        if (!region) errors.state = text(body.state) ? 'No stations in this state.' : 'State is required.';
+        else if (!district) errors.district = text(body.district) ? 'No stations in this district.' : 'District is required.';
+        else item = { type: 'district', state: region.state, district };
+    }
+
+    if (Object.keys(errors).length) return { errors, item: null };
+    return { errors, item: { id: itemId(item), ...item } };
+};
+
+/**
+ * A new watchlist entry from a validated item.
+ */
+const createItem = (item) => ({ ...item, addedAt: new Date().toISOString() });
+
+// ── Series ────────────────────────────────────────────────────────────────────
+/**
+ * Daily series of a station: mean level for wells, rainfall total for gauges.
+ * Depths below ground (GGZ / HGZ) become levels relative to ground.
+ * Flagged readings (EXCLUDE_FLAGS) are dropped before the daily values.
+ */
+const dailySeries = (station) => {
+    const excludeFlagged = EXCLUDE_FLAGS.join(',');
+    if (station.dataset === 'rainfall') {
+        const rain = getRainfall(station.stationCode, { excludeFlagged });
+        return { metric: 'rainfall', unit: rain.unit, readings: rain.readings.map(d => ({ time: d.time, value: d.value })) };
+    }
+
+    const result = getReadings(station.stationCode, { interval: 'daily', agg: 'mean', excludeFlagged });
+    const toLevel = LEVEL_CODES.includes(result.datatypeCode) ? (v) => -Math.abs(v) : (v) => v;
+    return {
+        metric: 'level',
+        datatypeCode: result.datatypeCode,
+        unit: result.unit || 'm',
+        readings: result.readings.map(d => ({ time: d.time, value: toLevel(d.value) })),
+    };
+};
+
+// Readings within `days` days up to and including the day `endMs`
+const within = (readings, endMs, days) =>
+    readings.filter(p => dayMs(p.time) <= endMs && dayMs(p.time) > endMs - days * DAY_MS);
+
+// Level change since the day nearest to CHANGE_DAYS before the latest (within half that)
+const levelChange = (readings) => {
+    const latest = readings.at(-1);
+    if (!latest) return null;
+    const target = dayMs(latest.time) - CHANGE_DAYS * DAY_MS;
+    let reference = null;
+    for (const p of readings) {
+        const distance = Math.abs(dayMs(p.time) - target);
+        if (distance <= (CHANGE_DAYS / 2) * DAY_MS && (!reference || distance < reference.distance)) {
+            reference = { point: p, distance };
+        }
+    }
+    return reference ? { value: round(latest.value - reference.point.value), since: reference.point.time } : null;
+};
+
+// Rain of the last CHANGE_DAYS against the CHANGE_DAYS before
+const rainfallChange = (readings) => {
+    const latest = readings.at(-1);
+    if (!latest) return null;
+    const end = dayMs(latest.time);
+    const recent = sum(within(readings, end, CHANGE_DAYS));
+    const before = within(readings, end - CHANGE_DAYS * DAY_MS, CHANGE_DAYS);
+    return {
+        value: before.length ? round(recent - sum(before), 1) : null,
+        total: round(recent, 1),
+        since: new Date(end - (CHANGE_DAYS - 1) * DAY_MS).toISOString().slice(0, 10),
+    };
+};
+
+const sparkline = (readings) => {
+    const latest = readings.at(-1);
+    return latest ? within(readings, dayMs(latest.time), SPARKLINE_DAYS) : [];
+};
+
+// Mean value per day across several daily series
+const dailyMean = (seriesList) => {
+    const days = new Map();
+    for (const readings of seriesList) {
+        for (const p of readings) {
+            if (!days.has(p.time)) days.set(p.time, []);
+            days.get(p.time).push(p.value);
+        }
+    }
+    return [...days.keys()].sort().map(time => ({ time, value: round(mean(days.get(time)), 3) }));
+};
+
+// ── Freshness ─────────────────────────────────────────────────────────────────
+// Newest reading per dataset, the reference for "lagging" / "stale"
+const newestByDataset = () =>
+    Object.fromEntries(openStore()
+        .prepare(`
+            SELECT st.dataset, MAX(se.lastTime) AS newest
+            FROM stations st JOIN series se ON se.stationCode = st.stationCode
+            GROUP BY st.dataset
+        `)
+        .all()
+        .map(r => [r.dataset, r.newest]));
+
+const freshness = (lastReading, newest, now) => {
+    if (!lastReading) return { status: 'none', lastReading: null, lagDays: null, ageDays: null };
+    const lagDays = newest ? Math.max(0, Math.floor((dayMs(newest) - dayMs(lastReading)) / DAY_MS)) : 0;
+    let status = 'lagging';
+    if (lagDays <= FRESH_DAYS) status = 'fresh';
+    else if (lagDays > DEFAULTS.staleDays) status = 'stale';
+    return {
+        status,
+        lastReading,
+        lagDays,
+        ageDays: Math.max(0, Math.floor((now.getTime() - dayMs(lastReading)) / DAY_MS)),
+    };
+};
+
+// ── Summaries ─────────────────────────────────────────────────────────────────
+const summariseStation = (item, station, newest, now) => {
+    const series = dailySeries(station);
+    const latest = series.readings.at(-1) || null;
+    return {
+        ...item,
+        label: station.stationName,
+        place: [station.district, station.state].filter(Boolean).join(', '),
+        dataset: station.dataset,
+        metric: series.metric,
+        unit: series.unit,
+        latest,
+        change: series.metric === 'level' ? levelChange(series.readings) : rainfallChange(series.readings),
+        sparkline: sparkline(series.readings),
+        freshness: freshness(station.lastReading, newest[station.dataset], now),
+    };
+};
+
+const summariseDistrict = (item, newest, now) => {
+    const stations = getCatalog().filter(s => sameDistrict(s, item));
+    const wells = stations.filter(s => s.dataset === 'groundwater' && s.readingCount);
+    const gauges = stations.filter(s => s.dataset === 'rainfall' && s.readingCount);
+    const used = wells.length ? wells : gauges;
+    const lastReading = used.reduce((last, s) => (s.lastReading > last ? s.lastReading : last), '') || null;
+    const base = {
+        ...item,
+        label: item.district,
+        place: item.state,
+        stations: { groundwater: wells.length, rainfall: gauges.length },
+        freshness: freshness(lastReading, newest[used[0]?.dataset], now),
+    };
+
+    if (!used.length) {
+        return { ...base, dataset: null, metric: null, unit: null, latest: null, change: null, sparkline: [] };
+    }
+
+    if (wells.length) {
+        // Only wells measured against ground, so the levels can be averaged
+        const series = wells.map(dailySeries).filter(s => LEVEL_CODES.includes(s.datatypeCode) && s.readings.length);
+        const latests = series.map(s => s.readings.at(-1));
+        const changes = series.map(s => levelChange(s.readings)).filter(Boolean);
+        const combined = dailyMean(series.map(s => s.readings));
+        return {
+            ...base,
+            dataset: 'groundwater',
+            metric: 'level',
+            unit: 'm',
+            latest: latests.length
+                ? {
+                    time: latests.reduce((last, p) => (p.time > last ? p.time : last), ''),
+                    value: round(mean(latests.map(p => p.value)), 3),
+                }
+                : null,
+            change: changes.length ? { value: round(mean(changes.map(c => c.value))), wells: changes.length } : null,
+            sparkline: sparkline(combined),
+        };
+    }
+
+    const combined = dailyMean(gauges.map(s => dailySeries(s).readings));
+    return {
+        ...base,
+        dataset: 'rainfall',
+        metric: 'rainfall',
+        unit: 'mm',
+        latest: combined.at(-1) || null,
+        change: rainfallChange(combined),
+        sparkline: sparkline(combined),
+    };
+};
+
+/**
+ * Dashboard summaries for a user's watchlist, in the order it was built.
+ * Items whose station or district has gone from the catalog come back
+ * with `missing: true`.
+ *
+ * @param {object[]} items - user.watchlist
+ * @param {Date} [now]
+ * @returns {object[]}
+ */
+const summarise = (items, now = new Date()) => {
+    const newest = newestByDataset();
+    return items.map((item) => {
+        if (item.type === 'station') {
+            const station = getStation(item.stationCode);
+            return station ? summariseStation(item, station, newest, now) : { ...item, missing: true };
+        }
+        const known = listRegions().some(r => r.state === item.state && r.districts.includes(item.district));
+        return known ? summariseDistrict(item, newest, now) : { ...item, missing: true };
+    });
+};
+
+module.exports = {
+    WATCH_TYPES,
+    MAX_ITEMS,
+    CHANGE_DAYS,
+    SPARKLINE_DAYS,
+    validateItem,
+    createItem,
+    summarise,
+};
@@ -0,0 +1,372 @@
+/**
+ * wqi.js
+ * -------
+ * Water Quality Index (WQI) computation for samples.
+ *
+ * Methods:
+ *   weighted-arithmetic – Brown et al. weighted arithmetic index. Quality
+ *                         ratings and unit weights come from the limits of a
+ *                         standards profile (BIS IS 10500:2012 by default).
+ *                         Lower is better (0 = ideal).
+ *   ccme                – Canadian Council of Ministers of the Environment
+ *                         index built from scope (F1), frequency (F2) and
+ *                         amplitude (F3) of failed tests against the same
+ *                         profile's acceptable limits. Higher is better.
+ *   nsf                 – NSF-style index: sub-indices read off the NSF
+ *                         rating curves, combined with the NSF weights of the
+ *                         parameters present. Higher is better.
+ *
+ * Every result carries a common category band (Excellent / Good / Poor /
+ * Very Poor / Unfit) plus the method's own label, and a per-parameter
+ * breakdown of the sub-index values.
+ */
+
+const { loadStandards, getStandard, DEFAULT_STANDARD } = require('./compliance');
+
+const METHODS = ['weighted-arithmetic', 'ccme', 'nsf'];
+
+// ── Category bands ────────────────────────────────────────────────────────────
+// [threshold, common band, method's own label]; checked top to bottom.
+const BANDS = {
+    'weighted-arithmetic': {
+        higherIsBetter: false,
+        bands: [
+            [25, 'Excellent', 'Excellent'],
+            [50, 'Good', 'Good'],
+            [75, 'Poor', 'Poor'],
+            [100, 'Very Poor', 'Very Poor'],
+            [Infinity, 'Unfit', 'Unfit for consumption'],
+        ],
+    },
+    ccme: {
+        higherIsBetter: true,
+        bands: [
+            [95, 'Excellent', 'Excellent'],
+            [80, 'Good', 'Good'],
+            [65, 'Poor', 'Fair'],
+            [45, 'Very Poor', 'Marginal'],
+            [-Infinity, 'Unfit', 'Poor'],
+        ],
+    },
+    nsf: {
+        higherIsBetter: true,
+        bands: [
+            [90, 'Excellent', 'Excellent'],
+            [70, 'Good', 'Good'],
+            [50, 'Poor', 'Medium'],
+            [25, 'Very Poor', 'Bad'],
+            [-Infinity, 'Unfit', 'Very Bad'],
+        ],
+    },
+};
+
+// ── NSF rating curves ─────────────────────────────────────────────────────────
+// Piecewise-linear approximations of the published NSF Q-value charts,
+// as [x, Q] points. Coliform is read on a log10 scale.
+const NSF_CURVES = {
+    ph: {
+        weight: 0.11,
+        points: [[2, 2], [3, 3], [4, 8], [5, 24], [6, 55], [7, 88], [7.5, 92], [8, 84], [9, 52], [10, 20], [11, 8], [12, 3], [14, 0]],
+    },
+    coliform: {
+        weight: 0.16,
+        log10: true,
+        points: [[0, 100], [1, 71], [2, 44], [3, 22], [4, 8], [5, 3], [7, 2]],
+    },
+    nitrate: {
+        weight: 0.10,
+        points: [[0, 98], [1, 97], [2, 92], [5, 66], [10, 51], [20, 35], [50, 12], [100, 2]],
+    },
+    turbidity: {
+        weight: 0.08,
+        points: [[0, 98], [5, 85], [10, 76], [20, 62], [50, 39], [100, 17], [101, 5]],
+    },
+    tds: {
+        weight: 0.07,
+        points: [[0, 80], [50, 86], [100, 84], [200, 75], [300, 62], [400, 48], [500, 20]],
+    },
+};
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+const round = (value, digits = 2) => {
+    const f = 10 ** digits;
+    return Math.round(value * f) / f;
+};
+
+// Common band and the method's own label for an index value
+const categorise = (method, value) => {
+    const { higherIsBetter, bands } = BANDS[method];
+    const band = bands.find(([threshold]) => (higherIsBetter ? value >= threshold : value <= threshold));
+    return { category: band[1], methodCategory: band[2] };
+};
+
+const interpolate = (points, x) => {
+    if (x <= points[0][0]) return points[0][1];
+    for (let i = 1; i < points.length; i++) {
+        const [x1, y1] = points[i];
+        if (x <= x1) {
+            const [x0, y0] = points[i - 1];
+            return y0 + ((y1 - y0) * (x - x0)) / (x1 - x0);
+        }
+    }
+    return points[points.length - 1][1];
+};
+
+const profileFor = (standardId) => {
+    const profile = getStandard(standardId || DEFAULT_STANDARD);
+    if (!profile) {
+        throw new RangeError(`standard must be one of: ${Object.keys(loadStandards()).join(', ')}.`);
+    }
+    return profile;
+};
+
+const result = (method, value, parameters, extra = {}) => ({
+    method,
+    value: round(value),
+    ...categorise(method, value),
+    parameters,
+    ...extra,
+});
+
+// ── Weighted arithmetic ───────────────────────────────────────────────────────
+/**
+ * Weighted arithmetic WQI:
+ *   Qn = 100 × (Vn − Vi) / (Sn − Vi)    Vi = 7 for pH, 0 otherwise
+ *   Wn = K / Sn,  K = 1 / Σ(1/Sn)
+ *   WQI = Σ(Qn·Wn) / ΣWn
+ * Parameters whose standard is 0 (coliform) cannot be weighted and are skipped.
+ */
+const weightedArithmetic = (sample, profile) => {
+    const usable = Object.entries(sample.parameters || {})
+        .map(([key, { value }]) => {
+            const limit = profile.parameters[key]?.acceptable;
+            const standard = limit?.max;
+            return { key, value, standard, ideal: key === 'ph' ? 7 : 0 };
+        })
+        .filter(p => p.standard > 0);
+
+    if (!usable.length) return null;
+
+    const k = 1 / usable.reduce((sum, p) => sum + 1 / p.standard, 0);
+    const parameters = {};
+    let weighted = 0;
+    let totalWeight = 0;
+
+    for (const p of usable) {
+        // pH deviates on both sides of neutral, so use the distance from 7
+        const deviation = p.key === 'ph' ? Math.abs(p.value - p.ideal) : p.value - p.ideal;
+        const quality = (100 * deviation) / (p.standard - p.ideal);
+        const weight = k / p.standard;
+        weighted += quality * weight;
+        totalWeight += weight;
+        parameters[p.key] = {
+            value: p.value,
+            standard: p.standard,
+            ideal: p.ideal,
+            qualityRating: round(quality),
+            weight: round(weight, 4),
+        };
+    }
+
+    const wqi = weighted / totalWeight;
+    for (const key of Object.keys(parameters)) {
+        parameters[key].contribution = round((parameters[key].qualityRating * parameters[key].weight) / totalWeight);
+    }
+    return result('weighted-arithmetic', wqi, parameters);
+};
+
+// ── CCME ──────────────────────────────────────────────────────────────────────
+/**
+ * CCME WQI over one or more samples:
+ *   F1 = % of variables with at least one failed test
+ *   F2 = % of individual tests that failed
+ *   F3 = nse / (0.01·nse + 0.01), nse = Σ excursions / number of tests
+ *   CCME = 100 − √(F1² + F2² + F3²) / 1.732
+ * For zero objectives (coliform) the excursion is the measured value itself.
+ */
+const ccme = (samples, profile) => {
+    const tests = {};
+    for (const sample of samples) {
+        for (const [key, { value }] of Object.entries(sample.parameters || {})) {
+            const objective = profile.parameters[key]?.acceptable;
+            if (!objective) continue;
+            if (!tests[key]) tests[key] = { tests: 0, failed: 0, excursion: 0 };
+
+            const t = tests[key];
+            t.tests += 1;
+            if (objective.max !== undefined && value > objective.max) {
+                t.failed += 1;
+                t.excursion += objective.max > 0 ? value / objective.max - 1 : value;
+            } else if (objective.min !== undefined && value < objective.min) {
+                t.failed += 1;
+                t.excursion += value > 0 ? objective.min / value - 1 : objective.min;
+            }
+        }
+    }
+
+    const variables = Object.values(tests);
+    if (!variables.length) return null;
+
+    const totalTests = variables.reduce((sum, t) => sum + t.tests, 0);
+    const failedTests = variables.reduce((sum, t) => sum + t.failed, 0);
+    const nse = variables.reduce((sum, t) => sum + t.excursion, 0) / totalTests;
+
+    const f1 = (100 * variables.filter(t => t.failed > 0).length) / variables.length;
+    const f2 = (100 * failedTests) / totalTests;
+    const f3 = nse / (0.01 * nse + 0.01);
+    const index = Math.max(0, 100 - Math.sqrt(f1 ** 2 + f2 ** 2 + f3 ** 2) / 1.732);
+
+    const parameters = {};
+    for (const [key, t] of Object.entries(tests)) {
+        parameters[key] = { tests: t.tests, failed: t.failed, excursion: round(t.excursion, 4) };
+    }
+    return result('ccme', index, parameters, {
+        factors: { f1: round(f1), f2: round(f2), f3: round(f3) },
+        sampleCount: samples.length,
+    });
+};
+
+// ── NSF ───────────────────────────────────────────────────────────────────────
+/**
+ * NSF-style WQI: Σ(Qi·Wi) / ΣWi over the NSF parameters present in the
+ * sample. Parameters outside the NSF set (hardness, chloride, ...) are ignored.
+ */
+const nsf = (sample) => {
+    const parameters = {};
+    let weighted = 0;
+    let totalWeight = 0;
+
+    for (const [key, { value }] of Object.entries(sample.parameters || {})) {
+        const curve = NSF_CURVES[key];
+        if (!curve) continue;
+
+        const x = curve.log10 ? Math.log10(Math.max(value, 1)) : value;
+        const q = interpolate(curve.points, x);
+        weighted += q * curve.weight;
+        totalWeight += curve.weight;
+        parameters[key] = { value, subIndex: round(q), weight: curve.weight };
+    }
+
+    if (!totalWeight) return null;
+    return result('nsf', weighted / totalWeight, parameters);
+};
+
+// ── Public API ────────────────────────────────────────────────────────────────
+/**
+ * Compute one or all WQI methods for a single sample.
+ *
+ * @param {object} sample - Stored sample (canonical-unit parameters)
+ * @param {object} [options]
+ * @param {string} [options.method] - One of METHODS; all when omitted
+ * @param {string} [options.standard] - Standards profile id for limits
+ * @returns {Object<string, object|null>} Keyed by method; null when the
+ *          sample has none of the parameters a method needs
+ */
+const computeWqi = (sample, { method, standard } = {}) => {
+    if (method && !METHODS.includes(method)) {
+        throw new RangeError(`method must be one of: ${METHODS.join(', ')}.`);
+    }
+    const profile = profileFor(standard);
+    const methods = method ? [method] : METHODS;
+
+    const out = {};
+    for (const m of methods) {
+        if (m === 'weighted-arithmetic') out[m] = weightedArithmetic(sample, profile);
+        else if (m === 'ccme') out[m] = ccme([sample], profile);
+        else out[m] = nsf(sample);
+    }
+    return out;
+};
+
+// Per-sample sub-index field of the methods averaged per district
+const SUB_INDEX_FIELDS = { 'weighted-arithmetic': 'qualityRating', nsf: 'subIndex' };
+
+// Mean / min / max of each parameter's sub-index over a district's results
+const aggregateParameters = (method, results) => {
+    const field = SUB_INDEX_FIELDS[method];
+    const byKey = {};
+    for (const r of results) {
+        for (const [key, p] of Object.entries(r.parameters)) {
+            (byKey[key] = byKey[key] || []).push(p[field]);
+        }
+    }
+    const parameters = {};
+    for (const [key, values] of Object.entries(byKey)) {
+        parameters[key] = {
+            [field]: round(values.reduce((a, b) => a + b, 0) / values.length),
+            min: round(Math.min(...values)),
+            max: round(Math.max(...values)),
+            sampleCount: values.length,
+        };
+    }
+    return parameters;
+};
+
+/**
+ * Aggregate WQI per district over a set of samples.
+ * Weighted-arithmetic and NSF are averaged over the samples' individual
+ * indices, and so are their per-parameter sub-indices (quality ratings /
+ * NSF Q-values); CCME is computed over all tests in the district at once,
+ * which is how the method is designed to be used.
+ *
+ * @param {object[]} samples - Samples with `state` / `district` set
+ * @param {object} [options] - Same as computeWqi()
+ * @returns {object[]} One entry per state/district
+ */
+const aggregateByDistrict = (samples, { method, standard } = {}) => {
+    if (method && !METHODS.includes(method)) {
+        throw new RangeError(`method must be one of: ${METHODS.join(', ')}.`);
+    }
+    const profile = profileFor(standard);
+    const methods = method ? [method] : METHODS;
+
+    const groups = new Map();
+    for (const sample of samples) {
+        if (!sample.district) continue;
+        // District names differ in case between sources ("DIMAPUR" vs "Dimapur")
+        const key = `${sample.state || ''}|${sample.district}`.toLowerCase();
+        if (!groups.has(key)) groups.set(key, { state: sample.state || null, district: sample.district, samples: [] });
+        groups.get(key).samples.push(sample);
+    }
+
+    return [...groups.values()].map(group => {
+        const indices = {};
+        for (const m of methods) {
+            if (m === 'ccme') {
+                indices[m] = ccme(group.samples, profile);
+                continue;
+            }
+            const results = group.samples
+                .map(s => (m === 'nsf' ? nsf(s) : weightedArithmetic(s, profile)))
+                .filter(Boolean);
+            const values = results.map(r => r.value);
+            if (!values.length) {
+                indices[m] = null;
+                continue;
+            }
+            const mean = values.reduce((a, b) => a + b, 0) / values.length;
+            indices[m] = {
+                method: m,
+                value: round(mean),
+                ...categorise(m, mean),
+                min: round(Math.min(...values)),
+                max: round(Math.max(...values)),
+                sampleCount: values.length,
+                parameters: aggregateParameters(m, results),
+            };
+        }
+        return {
+            state: group.state,
+            district: group.district,
+            sampleCount: group.samples.length,
+            wqi: indices,
+        };
+    }).sort((a, b) => (a.state || '').localeCompare(b.state || '') || a.district.localeCompare(b.district));
+};
+
+module.exports = {
+    METHODS,
+    categorise,
+    computeWqi,
+    aggregateByDistrict,
+};
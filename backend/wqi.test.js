@@ -0,0 +1,189 @@
+/**
+ * wqi.test.js
+ * ------------
+ * Tests for the three WQI methods against hand-computed values (BIS
+ * IS 10500:2012 limits), the category band edges, and the per-district
+ * aggregation with its per-parameter sub-indices.
+ *
+ * Run with: npm run test:backend
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { categorise, computeWqi, aggregateByDistrict } = require('./wqi');
+
+const close = (actual, expected, tolerance = 0.01) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+// A stored sample from { key: value } pairs
+const sample = (values, extra = {}) => ({
+    ...extra,
+    parameters: Object.fromEntries(Object.entries(values).map(([key, value]) => [key, { value }])),
+});
+
+const wqi = (values, method) => computeWqi(sample(values), { method })[method];
+
+// ── Weighted arithmetic ───────────────────────────────────────────────────────
+test('weighted arithmetic matches a hand computation', () => {
+    // Qn: pH 100·|8 − 7| / (8.5 − 7), TDS 100·250/500, chloride 100·125/250
+    // Wn ∝ 1/Sn, so WQI = Σ(Qn/Sn) / Σ(1/Sn); coliform (Sn = 0) is skipped
+    const expected = (200 / 3 / 8.5 + 50 / 500 + 50 / 250) / (1 / 8.5 + 1 / 500 + 1 / 250);
+    const result = wqi({ ph: 8, tds: 250, chloride: 125, coliform: 5 }, 'weighted-arithmetic');
+
+    close(result.value, expected);
+    assert.equal(result.value, 65.86);
+    assert.equal(result.category, 'Poor');
+    assert.deepEqual(Object.keys(result.parameters), ['ph', 'tds', 'chloride']);
+    assert.equal(result.parameters.ph.qualityRating, 66.67);
+    assert.equal(result.parameters.tds.qualityRating, 50);
+    close(Object.values(result.parameters).reduce((sum, p) => sum + p.contribution, 0), result.value, 0.02);
+});
+
+test('pH counts its distance from neutral on either side', () => {
+    assert.equal(wqi({ ph: 6 }, 'weighted-arithmetic').parameters.ph.qualityRating, 66.67);
+    assert.equal(wqi({ ph: 8 }, 'weighted-arithmetic').parameters.ph.qualityRating, 66.67);
+});
+
+test('weighted arithmetic band edges', () => {
+    // TDS alone: WQI = 100·TDS/500
+    const bands = [[125, 'Excellent'], [125.5, 'Good'], [250, 'Good'], [375, 'Poor'], [500, 'Very Poor'], [505, 'Unfit']];
+    for (const [tds, category] of bands) {
+        assert.equal(wqi({ tds }, 'weighted-arithmetic').category, category, `TDS ${tds}`);
+    }
+    assert.deepEqual(categorise('weighted-arithmetic', 25), { category: 'Excellent', methodCategory: 'Excellent' });
+    assert.deepEqual(categorise('weighted-arithmetic', 25.01), { category: 'Good', methodCategory: 'Good' });
+    assert.deepEqual(categorise('weighted-arithmetic', 50.01), { category: 'Poor', methodCategory: 'Poor' });
+    assert.deepEqual(categorise('weighted-arithmetic', 75.01), { category: 'Very Poor', methodCategory: 'Very Poor' });
+    assert.deepEqual(categorise('weighted-arithmetic', 100.01), { category: 'Unfit', methodCategory: 'Unfit for consumption' });
+});
+
+test('weighted arithmetic needs a parameter with a non-zero standard', () => {
+    assert.equal(wqi({ coliform: 3 }, 'weighted-arithmetic'), null);
+    assert.equal(wqi({}, 'weighted-arithmetic'), null);
+});
+
+// ── CCME ──────────────────────────────────────────────────────────────────────
+test('CCME matches a hand computation for one sample', () => {
+    // 4 variables, TDS fails once: F1 = F2 = 25; excursion 1000/500 − 1 = 1,
+    // nse = 1/4, F3 = 0.25 / 0.0125 = 20
+    const result = wqi({ ph: 7, tds: 1000, nitrate: 20, coliform: 0 }, 'ccme');
+
+    assert.deepEqual(result.factors, { f1: 25, f2: 25, f3: 20 });
+    close(result.value, 100 - Math.sqrt(25 ** 2 + 25 ** 2 + 20 ** 2) / 1.732);
+    assert.equal(result.value, 76.55);
+    assert.equal(result.category, 'Poor');
+    assert.equal(result.methodCategory, 'Fair');
+});
+
+test('CCME counts failures below a minimum and against a zero objective', () => {
+    // pH 6 < 6.5: excursion 6.5/6 − 1; coliform 4 > 0: excursion 4
+    const result = wqi({ ph: 6, coliform: 4 }, 'ccme');
+
+    assert.equal(result.parameters.ph.excursion, 0.0833);
+    assert.equal(result.parameters.coliform.excursion, 4);
+    // Both variables fail their only test: F1 = F2 = 100
+    const nse = (6.5 / 6 - 1 + 4) / 2;
+    close(result.value, 100 - Math.sqrt(100 ** 2 + 100 ** 2 + (nse / (0.01 * nse + 0.01)) ** 2) / 1.732);
+    assert.equal(result.category, 'Unfit');
+});
+
+test('CCME with every test passed is 100', () => {
+    const result = wqi({ ph: 7.2, tds: 300, nitrate: 10 }, 'ccme');
+
+    assert.equal(result.value, 100);
+    assert.equal(result.category, 'Excellent');
+});
+
+test('CCME band edges', () => {
+    const edges = [
+        [95, 'Excellent', 'Excellent'], [94.99, 'Good', 'Good'],
+        [80, 'Good', 'Good'], [79.99, 'Poor', 'Fair'],
+        [65, 'Poor', 'Fair'], [64.99, 'Very Poor', 'Marginal'],
+        [45, 'Very Poor', 'Marginal'], [44.99, 'Unfit', 'Poor'],
+        [0, 'Unfit', 'Poor'],
+    ];
+    for (const [value, category, methodCategory] of edges) {
+        assert.deepEqual(categorise('ccme', value), { category, methodCategory }, `CCME ${value}`);
+    }
+});
+
+// ── NSF ───────────────────────────────────────────────────────────────────────
+test('NSF weighs the sub-indices of the parameters present', () => {
+    // pH 7.5 → Q 92 (W 0.11); nitrate 10 → Q 51 (W 0.10); hardness has no curve
+    const result = wqi({ ph: 7.5, nitrate: 10, hardness: 300 }, 'nsf');
+
+    close(result.value, (92 * 0.11 + 51 * 0.10) / 0.21);
+    assert.equal(result.category, 'Good');
+    assert.deepEqual(Object.keys(result.parameters), ['ph', 'nitrate']);
+    assert.equal(result.parameters.nitrate.subIndex, 51);
+});
+
+test('NSF reads coliform on a log scale and clamps outside the curves', () => {
+    assert.equal(wqi({ coliform: 100 }, 'nsf').value, 44);
+    assert.equal(wqi({ coliform: 0 }, 'nsf').value, 100);
+    assert.equal(wqi({ ph: 1 }, 'nsf').value, 2);
+    assert.equal(wqi({ turbidity: 500 }, 'nsf').value, 5);
+    assert.equal(wqi({ chloride: 100 }, 'nsf'), null);
+});
+
+test('NSF band edges', () => {
+    // pH on the 7–7.5 and 8–10 stretches of the curve hits each threshold exactly
+    const edges = [
+        [7.25, 90, 'Excellent', 'Excellent'],
+        [8.4375, 70, 'Good', 'Good'],
+        [8.5, 68, 'Poor', 'Medium'],
+        [9.0625, 50, 'Poor', 'Medium'],
+        [9.84375, 25, 'Very Poor', 'Bad'],
+        [10, 20, 'Unfit', 'Very Bad'],
+    ];
+    for (const [ph, value, category, methodCategory] of edges) {
+        const result = wqi({ ph }, 'nsf');
+        assert.equal(result.value, value, `pH ${ph}`);
+        assert.deepEqual([result.category, result.methodCategory], [category, methodCategory], `pH ${ph}`);
+    }
+    assert.equal(categorise('nsf', 89.99).category, 'Good');
+});
+
+// ── Options and districts ─────────────────────────────────────────────────────
+test('rejects unknown methods and standards', () => {
+    assert.throws(() => computeWqi(sample({ tds: 100 }), { method: 'bogus' }), RangeError);
+    assert.throws(() => computeWqi(sample({ tds: 100 }), { standard: 'bogus' }), RangeError);
+    assert.deepEqual(Object.keys(computeWqi(sample({ tds: 100 }))), ['weighted-arithmetic', 'ccme', 'nsf']);
+});
+
+test('districts average the indices and each parameter\'s sub-index', () => {
+    const samples = [
+        sample({ tds: 250, ph: 7 }, { state: 'Assam', district: 'KAMRUP' }),
+        sample({ tds: 125 }, { state: 'Assam', district: 'Kamrup' }),
+        sample({ tds: 1000 }, { state: 'Assam', district: 'Dhubri' }),
+        sample({ tds: 1000 }, { state: 'Assam' }),
+    ];
+    const districts = aggregateByDistrict(samples, { method: 'weighted-arithmetic' });
+
+    assert.deepEqual(districts.map(d => [d.district, d.sampleCount]), [['Dhubri', 1], ['KAMRUP', 2]]);
+    const kamrup = districts[1].wqi['weighted-arithmetic'];
+    // Per sample: (50·1/500 + 0·1/8.5) / (1/500 + 1/8.5) and 25
+    const first = (50 / 500) / (1 / 500 + 1 / 8.5);
+    close(kamrup.value, (first + 25) / 2);
+    assert.equal(kamrup.min, Math.round(first * 100) / 100);
+    assert.equal(kamrup.max, 25);
+    assert.deepEqual(kamrup.parameters.tds, { qualityRating: 37.5, min: 25, max: 50, sampleCount: 2 });
+    assert.deepEqual(kamrup.parameters.ph, { qualityRating: 0, min: 0, max: 0, sampleCount: 1 });
+});
+
+test('districts compute CCME over all their tests at once', () => {
+    // Two tests of TDS and pH each, one failure of each:
+    // F1 = 100, F2 = 50, nse = (1 + (6.5/6 − 1)) / 4
+    const samples = [
+        sample({ tds: 1000, ph: 7 }, { state: 'Assam', district: 'Dhubri' }),
+        sample({ tds: 250, ph: 6 }, { state: 'Assam', district: 'Dhubri' }),
+    ];
+    const [district] = aggregateByDistrict(samples, { method: 'ccme' });
+    const nse = (1 + (6.5 / 6 - 1)) / 4;
+    const f3 = nse / (0.01 * nse + 0.01);
+
+    close(district.wqi.ccme.value, 100 - Math.sqrt(100 ** 2 + 50 ** 2 + f3 ** 2) / 1.732);
+    assert.equal(district.wqi.ccme.sampleCount, 2);
+    assert.equal(district.wqi.ccme.category, 'Unfit');
+});
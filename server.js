@@ -1,193 +1,1907 @@
 /**
  * server.js
  * ----------
- * A minimal Express backend that stores user sign-up / sign-in
- * data in a local JSON file (data/users.json).
+ * A minimal Express backend that stores user sign-up / sign-in data and
+ * water-quality samples through backend/repository.js (JSON files in
+ * data/ by default, or SQLite with DATA_BACKEND=sqlite).
  *
  * Endpoints:
- *   POST /api/signup   – register a new user
+ *   POST /api/signup   – register a new user (same answer for known emails)
  *   POST /api/login    – authenticate an existing user
- *   GET  /api/users    – list all users (for debugging; remove in production)
+ *   POST /api/login/2fa – second sign-in step for accounts with two-factor authentication
+ *   POST /api/google-auth – sign in / sign up with a Google credential
+ *   POST /api/verify-email (+ /resend) – confirm an address from the emailed link
+ *   POST /api/password/forgot – email a password reset link
+ *   POST /api/password/reset  – set a new password with a reset token
+ *   GET  /api/me       – the logged-in user (restores the session on reload)
+ *   POST /api/auth/refresh – rotate the session tokens
+ *   POST /api/logout   – revoke the current session
+ *   POST /api/profile  – save the logged-in user's profile
+ *   GET  /api/profile/history – the caller's profile edit history
+ *   POST /api/account/email (+ /confirm) – change the email address (re-verified)
+ *   POST/DELETE /api/account/google – link / unlink a Google account
+ *   POST /api/account/password – change the password, or set one on a Google-only account
+ *   POST /api/account/2fa/setup (+ /enable, /recovery-codes), DELETE /api/account/2fa
+ *                      – enrol in / manage two-factor authentication (TOTP)
+ *   GET  /api/account/export – "download my data" (JSON or ZIP)
+ *   DELETE /api/account – delete the caller's account, anonymising their samples
+ *   GET  /api/admin/users – all accounts (admin only)
+ *   PATCH /api/admin/users/:email – change a user's role / disable them (admin only)
+ *   POST /api/admin/users/:email/unlock – lift a login lockout (admin only)
+ *   DELETE /api/admin/users/:email/2fa – reset a user's two-factor authentication (admin only)
+ *   GET/PUT /api/admin/2fa-policy – roles that must use two-factor authentication (admin only)
+ *   GET  /api/admin/security-events – lockouts and other security events (admin only)
+ *   GET  /api/stations – station catalog from the bundled India-WRIS datasets
+ *   GET  /api/stations/nearby – k nearest stations / stations within a radius of a point or city
+ *   POST /api/stations/within – stations inside a polygon
+ *   GET  /api/places   – coordinates of a city from the offline gazetteer
+ *   GET  /api/stations/:code/readings – time series for one station
+ *   GET  /api/stations/:code/rainfall – daily / monthly rainfall totals for one gauge
+ *   GET  /api/regions  – states and districts that have stations
+ *   GET  /api/groundwater/trends – water-level trends per well, district and aquifer type
+ *   GET  /api/groundwater/recharge – rainfall response lag and recharge estimate per well
+ *   GET  /api/data-quality – flagged readings, stale stations and failed fetches
+ *   GET  /api/exports/stations – station catalog with latest values (GeoJSON / KML)
+ *   GET  /api/exports/readings – readings for any filter and date range (streamed CSV)
+ *   GET  /api/exports/samples  – the caller's samples (CSV / GeoJSON / KML)
+ *   GET/POST/PUT/DELETE /api/alerts/rules – the caller's alert rules
+ *   GET  /api/notifications (+ PATCH/DELETE /:id, POST /read-all) – the caller's notification inbox
+ *   GET/POST/DELETE /api/watchlist – the caller's watched stations and districts, with dashboard summaries
+ *   POST/GET/PUT/DELETE /api/samples – the caller's water-quality samples
+ *   GET  /api/standards – drinking-water standards profiles for evaluation
+ *   GET  /api/samples/:id/wqi – water quality index for one sample
+ *   GET  /api/wqi/districts  – water quality index aggregated per district
+ *   GET  /api/parameters – sample parameters, units and source types
+ *   POST /api/imports (+ /:id/validate, /:id/commit) – bulk CSV/XLSX import
+ *   GET/POST/DELETE /api/import-presets – saved column mappings
+ *
+ * Sessions are signed access / refresh tokens in httpOnly cookies (see
+ * backend/sessions.js). Everything except the sign-in endpoints requires
+ * a valid access token, and most routes a permission from the caller's
+ * role (see backend/roles.js). The sign-in endpoints are rate limited per
+ * IP, and repeated failed logins lock the account / IP out for a while
+ * (see backend/ratelimit.js). Accounts with two-factor authentication
+ * (see backend/totp.js) get a session only after the second step; roles
+ * that an admin requires it for can't use the data routes until enrolled.
  */
 
 const express = require('express');
 const cors = require('cors');
-const fs = require('fs');
-const path = require('path');
+const cookieParser = require('cookie-parser');
 const bcrypt = require('bcryptjs');
+const multer = require('multer');
 const { OAuth2Client } = require('google-auth-library');
+const { listStations, listRegions, getStation } = require('./backend/stations');
+const { getReadings } = require('./backend/readings');
+const { getRainfall } = require('./backend/rainfall');
+const { groundwaterTrends } = require('./backend/trends');
+const { rechargeAnalysis } = require('./backend/recharge');
+const { qualityReport } = require('./backend/quality');
+const { parseOrigin, stationsNear, stationsInPolygon } = require('./backend/spatial');
+const { resolvePlace } = require('./backend/gazetteer');
+const { PARAMETERS, SOURCE_TYPES, validateSample, createSample, filterSamples } = require('./backend/samples');
+const { listStandards, evaluateSample } = require('./backend/compliance');
+const { computeWqi, aggregateByDistrict } = require('./backend/wqi');
+const imports = require('./backend/imports');
+const sessions = require('./backend/sessions');
+const { ROLES, DEFAULT_ROLE, roleOf, permissionsOf, hasPermission } = require('./backend/roles');
+const tokens = require('./backend/tokens');
+const mailer = require('./backend/mailer');
+const ratelimit = require('./backend/ratelimit');
+const audit = require('./backend/audit');
+const { createRepository, ConflictError } = require('./backend/repository');
+const migrations = require('./backend/migrations');
+const account = require('./backend/account');
+const totp = require('./backend/totp');
+const dataExports = require('./backend/exports');
+const watchlist = require('./backend/watchlist');
+const alerts = require('./backend/alerts');
+const { onSync, openStore } = require('./backend/store');
 
 const SALT_ROUNDS = 10;
+const MIN_PASSWORD_LENGTH = 6;
+const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
 const GOOGLE_CLIENT = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
 
+// Compared against when the account doesn't exist, so unknown emails take
+// as long to reject as wrong passwords
+const DUMMY_HASH = bcrypt.hashSync('no-such-account', SALT_ROUNDS);
+
 const app = express();
 const PORT = 5000;
 
+// Behind a reverse proxy req.ip must come from X-Forwarded-For, or every
+// client would share the proxy's rate limit (e.g. TRUST_PROXY=1)
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
+// Origin of the React app; cookies are only accepted from here
+const CLIENT_ORIGIN = process.env.CLIENT_ORIGIN || 'http://localhost:3000';
+
 // ── Middleware ────────────────────────────────────────────────────────────────
-app.use(cors());
+app.use(cors({ origin: CLIENT_ORIGIN, credentials: true }));
 app.use(express.json());
+app.use(cookieParser());
 
-// ── JSON file path ────────────────────────────────────────────────────────────
-const DATA_DIR = path.join(__dirname, 'data');
-const USERS_FILE = path.join(DATA_DIR, 'users.json');
+// Spreadsheet uploads are parsed from memory and never written to disk
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_UPLOAD_BYTES } });
+const uploadFile = (req, res, next) =>
+    upload.single('file')(req, res, (err) => {
+        if (err) return res.status(400).json({ error: err.message });
+        return next();
+    });
 
-// Ensure the data directory and file exist on startup
-if (!fs.existsSync(DATA_DIR)) {
-    fs.mkdirSync(DATA_DIR);
-}
-if (!fs.existsSync(USERS_FILE)) {
-    fs.writeFileSync(USERS_FILE, JSON.stringify({ users: [] }, null, 2));
-}
+// ── Repositories ──────────────────────────────────────────────────────────────
+const usersRepo = createRepository('users', { key: 'email', migrations: migrations.users });
+const samplesRepo = createRepository('samples', { key: 'id', migrations: migrations.samples });
+// Admin-editable settings, one record per setting
+const settingsRepo = createRepository('settings', { key: 'name' });
+// Alert rules and the notifications they raise (see backend/alerts.js)
+const alertsRepo = createRepository('alerts', { key: 'id' });
+const notificationsRepo = createRepository('notifications', { key: 'id' });
+
+// Migrate (and validate) the stored data on startup rather than on the
+// first request, so a damaged file stops the server instead of a request
+// (see Start below)
+const repositories = [usersRepo, samplesRepo, settingsRepo, alertsRepo, notificationsRepo];
+
+// ── Identify the caller ───────────────────────────────────────────────────────
+// Resolves the access token (cookie, or "Authorization: Bearer" for scripts)
+// to req.session / req.user. Never rejects – requireUser does that.
+const authenticate = (req, res, next) => {
+    const header = req.get('Authorization') || '';
+    const token = req.cookies[sessions.ACCESS_COOKIE] ||
+        (header.startsWith('Bearer ') ? header.slice(7) : null);
+
+    const session = sessions.verifyAccessToken(token);
+    const user = session && usersRepo.get(session.email);
+    if (user && !user.disabled) {
+        req.session = session;
+        req.user = user;
+    }
+    return next();
+};
+
+app.use(authenticate);
+
+// Rejects requests without a valid session
+const requireUser = (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({ error: 'You must be logged in.' });
+    }
+    return next();
+};
+
+// ── Two-factor authentication ─────────────────────────────────────────────────
+const TWO_FACTOR_POLICY = 'twoFactorPolicy';
+
+// Roles that an admin requires two-factor authentication for
+const twoFactorRoles = () => settingsRepo.get(TWO_FACTOR_POLICY)?.roles || [];
+
+const twoFactorEnabled = (user) => !!user?.twoFactor?.enabled;
+
+// Signed in, but their role requires 2FA and they haven't enrolled yet
+const twoFactorSetupRequired = (user) => !twoFactorEnabled(user) && twoFactorRoles().includes(roleOf(user));
+
+/**
+ * Check a second-factor code – from the authenticator app, or one of the
+ * recovery codes – and use it up, so it can't be replayed.
+ * @returns {'totp'|'recovery'|null} What matched
+ */
+const useSecondFactor = async (email, code) => {
+    let method = null;
+    await usersRepo.update(email, (user) => {
+        const twoFactor = user.twoFactor;
+        if (!twoFactor?.enabled) return user;
+
+        const step = totp.verifyCode(twoFactor.secret, code, { afterStep: twoFactor.lastStep ?? -1 });
+        if (step !== null) {
+            method = 'totp';
+            return { ...user, twoFactor: { ...twoFactor, lastStep: step } };
+        }
+        const remaining = totp.useRecoveryCode(twoFactor.recoveryCodes, code);
+        if (remaining) {
+            method = 'recovery';
+            return { ...user, twoFactor: { ...twoFactor, recoveryCodes: remaining } };
+        }
+        return user;
+    });
+    return method;
+};
+
+// Like requireUser, but also rejects users whose role requires 2FA until
+// they enrol. Only the account routes enrolment needs go without it.
+const requireEnrolled = (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({ error: 'You must be logged in.' });
+    }
+    if (twoFactorSetupRequired(req.user)) {
+        return res.status(403).json({
+            error: 'Your role requires two-factor authentication. Set it up in your account settings first.',
+            code: 'TWO_FACTOR_SETUP_REQUIRED',
+        });
+    }
+    return next();
+};
+
+// Rejects requests unless the caller's role grants `permission`
+const requirePermission = (permission) => (req, res, next) => requireEnrolled(req, res, () => {
+    if (!hasPermission(req.user, permission)) {
+        return res.status(403).json({ error: 'You do not have permission to do that.' });
+    }
+    return next();
+});
+
+// ── Brute-force protection ────────────────────────────────────────────────────
+const retryMessage = (seconds) => {
+    const minutes = Math.ceil(seconds / 60);
+    return `Too many attempts. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`;
+};
+
+const tooManyAttempts = (res, retryAfter) => {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ error: retryMessage(retryAfter), retryAfter });
+};
+
+// Per-IP request budget shared by all sign-in endpoints
+const authRateLimit = async (req, res, next) => {
+    const { allowed, retryAfter } = await ratelimit.authRequests.hit(req.ip);
+    return allowed ? next() : tooManyAttempts(res, retryAfter);
+};
+
+// Login lockouts are keyed on the normalised email, whether or not the
+// account exists, so they reveal nothing about registered addresses
+const accountKey = (email) => String(email).trim().toLowerCase();
+
+// The lockout (account or IP) in force for a login attempt, if any
+const activeLockout = (req, email) =>
+    [ratelimit.accountLockout.status(accountKey(email)), ratelimit.ipLockout.status(req.ip)].find(s => s.locked);
+
+// Count a failed login against the account and the IP; log new lockouts
+const recordLoginFailure = async (req, email) => {
+    const targets = [
+        ['account', ratelimit.accountLockout, accountKey(email)],
+        ['ip', ratelimit.ipLockout, req.ip],
+    ];
+    for (const [scope, lockout, key] of targets) {
+        const result = await lockout.fail(key);
+        if (result.lockedNow) {
+            console.warn(`🔒  Login lockout (${scope}) for ${key} until ${result.lockedUntil}`);
+            await audit.recordEvent({
+                type: 'lockout',
+                scope,
+                key,
+                ip: req.ip,
+                lockouts: result.lockouts,
+                lockedUntil: result.lockedUntil,
+            });
+        }
+    }
+};
+
+// Verify a Google ID token; resolves to its payload, or null when invalid
+const verifyGoogleCredential = async (credential) => {
+    try {
+        const ticket = await GOOGLE_CLIENT.verifyIdToken({
+            idToken: credential,
+            audience: process.env.GOOGLE_CLIENT_ID,
+        });
+        return ticket.getPayload();
+    } catch (err) {
+        console.error('Google token verification failed:', err.message);
+        return null;
+    }
+};
+
+// Issue session cookies for a user who just signed in
+const startSession = async (req, res, email) => {
+    const tokens = await sessions.createSession(email, { userAgent: req.get('User-Agent'), ip: req.ip });
+    sessions.setSessionCookies(res, tokens);
+};
+
+/**
+ * Finish a sign-in whose first factor checked out. Accounts with two-factor
+ * authentication get a short-lived challenge for POST /api/login/2fa
+ * instead of a session.
+ * @param {object} body - Extra response fields for a completed sign-in
+ */
+const completeSignIn = async (req, res, user, body = {}) => {
+    if (twoFactorEnabled(user)) {
+        return res.json({
+            twoFactorRequired: true,
+            challenge: await tokens.issueToken(user.email, 'login-2fa'),
+            message: 'Enter the code from your authenticator app.',
+        });
+    }
+
+    await ratelimit.accountLockout.reset(accountKey(user.email));
+    await startSession(req, res, user.email);
+    return res.json({
+        ...body,
+        email: user.email,
+        profile: user.profile || null,
+        user: publicUser(user),
+    });
+};
+
+// The user fields the client is allowed to see
+const publicUser = (user) => ({
+    email: user.email,
+    role: roleOf(user),
+    permissions: permissionsOf(user),
+    googleAuth: !!user.googleAuth,
+    signupSource: user.signupSource || (user.googleAuth && !user.password ? 'google' : 'password'),
+    hasPassword: !!user.password,
+    googleLinked: !!user.googleAuth,
+    googleEmail: user.googleAuth ? user.googleEmail || user.email : null,
+    emailVerified: user.emailVerified !== false,
+    pendingEmail: user.pendingEmail || null,
+    twoFactorEnabled: twoFactorEnabled(user),
+    twoFactorRequired: twoFactorRoles().includes(roleOf(user)),
+    twoFactorSetupRequired: twoFactorSetupRequired(user),
+    recoveryCodesLeft: twoFactorEnabled(user) ? user.twoFactor.recoveryCodes.length : null,
+    disabled: !!user.disabled,
+    createdAt: user.createdAt,
+    profile: user.profile || null,
+});
+
+const DISABLED_MESSAGE = 'This account has been disabled. Please contact an administrator.';
+
+// Link into the React app, e.g. /reset-password?token=...
+const clientLink = (pathname, token) => `${CLIENT_ORIGIN}${pathname}?token=${encodeURIComponent(token)}`;
+
+// Mail failures are logged, never surfaced: responses must not depend on them
+const sendVerificationEmail = async (email) => {
+    const token = await tokens.issueToken(email, 'verify-email');
+    try {
+        await mailer.sendMail({ to: email, ...mailer.verificationEmail(clientLink('/verify-email', token)) });
+    } catch (err) {
+        console.error('Failed to send verification email:', err.message);
+    }
+};
 
-// ── Helpers ───────────────────────────────────────────────────────────────────
-const readUsers = () => {
+// Someone signed up with a registered email: a still unverified account
+// gets its verification link again, anyone else a notice with a reset link
+const notifyExistingAccount = async (user) => {
+    if (!user || user.disabled) return;
+    if (user.emailVerified === false) {
+        await sendVerificationEmail(user.email);
+        return;
+    }
+    try {
+        const token = await tokens.issueToken(user.email, 'reset-password');
+        await mailer.sendMail({ to: user.email, ...mailer.accountExistsEmail(clientLink('/reset-password', token)) });
+    } catch (err) {
+        console.error('Failed to send account exists notice:', err.message);
+    }
+};
+
+// Attach the compliance evaluation (computed, never stored) to a sample
+const withCompliance = (sample, standard) => ({
+    ...sample,
+    compliance: evaluateSample(sample, standard || undefined),
+});
+
+const stationExists = (code) => {
     try {
-        const raw = fs.readFileSync(USERS_FILE, 'utf-8');
-        return JSON.parse(raw).users || [];
+        return !!getStation(code);
     } catch {
+        return false;
+    }
+};
+
+// Samples linked to a station inherit its state / district when not given
+const fillLocation = (sample) => {
+    if (!sample.stationCode || (sample.state && sample.district)) return sample;
+    const station = getStation(sample.stationCode);
+    return {
+        ...sample,
+        state: sample.state || station?.state || null,
+        district: sample.district || station?.district || null,
+    };
+};
+
+// ── Alerts ────────────────────────────────────────────────────────────────────
+// How often the read store is checked for new source files (e.g. written by
+// `npm run ingest`) when no request happens to open it
+const STORE_CHECK_MS = 60 * 1000;
+
+// Send a new notification through its rule's extra channels and record
+// how that went. Channel failures are logged by alerts.deliver(); anything
+// else (e.g. saving the outcome) rejects, and raiseAlerts() logs it.
+const deliverNotification = async (notification) => {
+    const user = usersRepo.get(notification.userEmail);
+    const rule = alertsRepo.get(notification.ruleId);
+    if (!user || user.disabled || !rule) return;
+
+    const delivery = await alerts.deliver(notification, { user, rule, url: `${CLIENT_ORIGIN}${notification.link}` });
+    await notificationsRepo.update(notification.id, n => ({ ...n, delivery: { ...n.delivery, ...delivery } }));
+};
+
+// Store matches as notifications, skipping any raised before (same key)
+const raiseAlerts = async (matches) => {
+    const known = new Set(notificationsRepo.all().map(n => n.key));
+    if (!matches.some(m => !known.has(m.key))) return [];
+
+    let added = [];
+    await notificationsRepo.mutate((notifications) => {
+        const keys = new Set(notifications.map(n => n.key));
+        added = [];
+        for (const match of matches) {
+            if (keys.has(match.key)) continue;
+            keys.add(match.key);
+            added.push(alerts.createNotification(match));
+        }
+        return alerts.pruneNotifications([...notifications, ...added]);
+    });
+
+    const now = new Date().toISOString();
+    const triggered = new Set(added.map(n => n.ruleId));
+    await alertsRepo.mutate(rules => rules.map(r => (triggered.has(r.id) ? { ...r, lastTriggeredAt: now } : r)));
+    added.filter(n => Object.keys(n.delivery).length).forEach((notification) => {
+        deliverNotification(notification)
+            .catch(err => console.error(`Failed to deliver notification ${notification.id}:`, err.message));
+    });
+    return added;
+};
+
+// Alert failures are logged: saving data must never depend on them
+const checkStationAlerts = async (rules, options) => {
+    try {
+        return await raiseAlerts(alerts.matchStationRules(rules, options));
+    } catch (err) {
+        console.error('Failed to check station alerts:', err.message);
         return [];
     }
 };
 
-const writeUsers = (users) => {
-    fs.writeFileSync(USERS_FILE, JSON.stringify({ users }, null, 2));
+const checkSampleAlerts = async (samples) => {
+    try {
+        const rules = alertsRepo.filter(r => r.enabled && r.type === 'sample');
+        if (rules.length) await raiseAlerts(samples.flatMap(s => alerts.matchSampleRules(rules, s)));
+    } catch (err) {
+        console.error('Failed to check sample alerts:', err.message);
+    }
 };
 
+// Newly ingested readings are matched against every station rule
+onSync(async ({ imported }) => {
+    if (!imported.length) return;
+    await checkStationAlerts(alertsRepo.filter(r => r.enabled && r.type !== 'sample'), { sources: imported });
+});
+
 // ── POST /api/signup ──────────────────────────────────────────────────────────
-app.post('/api/signup', async (req, res) => {
+// Same answer whether or not the email is registered, so the form can't be
+// used to find accounts: the owner of an existing account is emailed instead.
+app.post('/api/signup', authRateLimit, async (req, res) => {
     const { email, password } = req.body;
 
     if (!email || !password) {
         return res.status(400).json({ error: 'Email and password are required.' });
     }
-
-    const users = readUsers();
-
-    // Check duplicate
-    if (users.find(u => u.email === email)) {
-        return res.status(409).json({ error: 'An account with this email already exists.' });
+    if (password.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.` });
     }
 
-    // Hash the password before saving — plain text is never stored
+    const accepted = {
+        message: 'Check your inbox for a link to verify your email address.',
+        email,
+        verificationRequired: true,
+    };
+
+    // Hash the password before saving — plain text is never stored. Hashed
+    // for existing accounts too, so both answers take as long.
     const hashedPassword = await bcrypt.hash(password, SALT_ROUNDS);
 
     const newUser = {
         email,
         password: hashedPassword,  // ✅ bcrypt hash stored, not plain text
+        signupSource: 'password',
+        role: DEFAULT_ROLE,
+        emailVerified: false,      // set by POST /api/verify-email
         createdAt: new Date().toISOString(),
         profile: null,
     };
-    users.push(newUser);
-    writeUsers(users);
+    try {
+        // insert() checks under the lock, in case of a concurrent signup
+        await usersRepo.insert(newUser);
+    } catch (err) {
+        if (!(err instanceof ConflictError)) throw err;
+        await notifyExistingAccount(usersRepo.get(email));
+        return res.json(accepted);
+    }
 
-    return res.status(201).json({ message: 'Account created successfully.', email });
+    await sendVerificationEmail(email);
+    return res.json(accepted);
 });
 
 // ── POST /api/login ───────────────────────────────────────────────────────────
-app.post('/api/login', async (req, res) => {
+// Unknown emails and wrong passwords get the same answer, so the endpoint
+// can't be used to find out who has an account.
+app.post('/api/login', authRateLimit, async (req, res) => {
     const { email, password } = req.body;
 
     if (!email || !password) {
         return res.status(400).json({ error: 'Email and password are required.' });
     }
 
-    const users = readUsers();
-    const user = users.find(u => u.email === email);
-
-    if (!user) {
-        return res.status(404).json({ error: 'No account found with this email.' });
+    // Locked out: reject before spending any time on bcrypt
+    const lock = activeLockout(req, email);
+    if (lock) {
+        return tooManyAttempts(res, lock.retryAfter);
     }
 
-    // Compare entered password against the stored bcrypt hash
-    const passwordMatch = await bcrypt.compare(password, user.password);
+    const user = usersRepo.get(email);
+
+    // Compare entered password against the stored bcrypt hash. Google-only
+    // accounts have no hash and can't match – compare against the dummy so
+    // they take as long and answer the same as any other failure.
+    const hash = user?.password || DUMMY_HASH;
+    const passwordMatch = (await bcrypt.compare(password, hash)) && hash !== DUMMY_HASH;
     if (!passwordMatch) {
-        return res.status(401).json({ error: 'Incorrect password. Please try again.' });
+        await recordLoginFailure(req, email);
+        return res.status(401).json({
+            error: 'Incorrect email or password. If you signed up with Google, use the Google button or set a password in your account settings.',
+        });
+    }
+
+    if (user.disabled) {
+        return res.status(403).json({ error: DISABLED_MESSAGE });
+    }
+
+    // Accounts created before verification existed have no flag and stay usable
+    if (user.emailVerified === false) {
+        return res.status(403).json({
+            error: 'Please verify your email address first. Check your inbox for the link.',
+            code: 'EMAIL_NOT_VERIFIED',
+        });
+    }
+
+    // The failed-login counter is only reset once the sign-in is complete,
+    // so the password can't be used to reset it between guesses at the code
+    return completeSignIn(req, res, user, { message: 'Login successful.' });
+});
+
+// ── POST /api/login/2fa ───────────────────────────────────────────────────────
+// Body: { challenge, code }. The challenge comes from /api/login (or
+// /api/google-auth); the code is from the authenticator app, or one of the
+// recovery codes. Wrong codes count as failed logins.
+app.post('/api/login/2fa', authRateLimit, async (req, res) => {
+    const { challenge, code } = req.body || {};
+
+    const pending = tokens.findToken(challenge, 'login-2fa');
+    const user = pending && usersRepo.get(pending.email);
+    if (!user || !twoFactorEnabled(user)) {
+        return res.status(401).json({ error: 'Your sign-in has expired. Please log in again.', code: 'CHALLENGE_EXPIRED' });
+    }
+
+    const lock = activeLockout(req, user.email);
+    if (lock) {
+        return tooManyAttempts(res, lock.retryAfter);
+    }
+    if (user.disabled) {
+        return res.status(403).json({ error: DISABLED_MESSAGE });
+    }
+
+    const method = await useSecondFactor(user.email, code);
+    if (!method) {
+        await recordLoginFailure(req, user.email);
+        return res.status(401).json({ error: 'That code is not valid. Check the time on your phone, or use a recovery code.' });
+    }
+
+    await tokens.consumeToken(challenge, 'login-2fa');
+    await ratelimit.accountLockout.reset(accountKey(user.email));
+    const updated = usersRepo.get(user.email);
+    if (method === 'recovery') {
+        await audit.recordEvent({
+            type: 'recovery-code-used',
+            email: user.email,
+            ip: req.ip,
+            remaining: updated.twoFactor.recoveryCodes.length,
+        });
     }
 
-    return res.status(200).json({
+    await startSession(req, res, user.email);
+    return res.json({
         message: 'Login successful.',
-        email: user.email,
-        profile: user.profile || null,
+        email: updated.email,
+        profile: updated.profile || null,
+        user: publicUser(updated),
     });
 });
 
 // ── POST /api/profile ─────────────────────────────────────────────────────────
-app.post('/api/profile', (req, res) => {
-    const { email, profile } = req.body;
-
-    if (!email) {
-        return res.status(400).json({ error: 'Email is required.' });
+// Always saves the caller's own profile (first setup and later edits); any
+// email in the body is ignored. Changed fields are added to profileHistory.
+app.post('/api/profile', requireUser, async (req, res) => {
+    const { errors, profile } = account.validateProfile(req.body.profile);
+    if (!profile) {
+        return res.status(400).json({ error: 'Invalid profile.', details: errors });
     }
 
-    const users = readUsers();
-    const idx = users.findIndex(u => u.email === email);
+    const user = await usersRepo.update(req.user.email, (u) => {
+        const now = new Date().toISOString();
+        const changes = account.diffProfile(u.profile, profile);
+        return {
+            ...u,
+            profile: { ...profile, completedAt: u.profile?.completedAt || now, updatedAt: now },
+            profileHistory: Object.keys(changes).length
+                ? account.withHistoryEntry(u.profileHistory, { changes })
+                : u.profileHistory,
+        };
+    });
 
-    if (idx === -1) {
+    if (!user) {
         return res.status(404).json({ error: 'User not found.' });
     }
 
-    users[idx].profile = { ...profile, completedAt: new Date().toISOString() };
-    writeUsers(users);
+    return res.status(200).json({ message: 'Profile saved.', profile: user.profile });
+});
+
+// ── GET /api/profile/history ──────────────────────────────────────────────────
+// Newest first: [{ at, changes: { field: { from, to } } }]
+app.get('/api/profile/history', requireUser, (req, res) => {
+    return res.json({ history: [...(req.user.profileHistory || [])].reverse() });
+});
+
+// Move an account to a new email (the users key), taking its samples,
+// alert rules and notifications along
+const renameUser = async (oldEmail, newEmail) => {
+    let renamed = null;
+    await usersRepo.mutate((users) => {
+        if (users.some(u => u.email === newEmail)) {
+            throw new ConflictError(`users: ${newEmail} already exists.`);
+        }
+        return users.map((u) => {
+            if (u.email !== oldEmail) return u;
+            renamed = {
+                ...u,
+                email: newEmail,
+                pendingEmail: null,
+                emailVerified: true,
+                emailChangedAt: new Date().toISOString(),
+                profileHistory: account.withHistoryEntry(u.profileHistory, {
+                    changes: { email: { from: oldEmail, to: newEmail } },
+                }),
+            };
+            return renamed;
+        });
+    });
+    await samplesRepo.mutate(samples =>
+        samples.map(s => (s.userEmail === oldEmail ? { ...s, userEmail: newEmail } : s))
+    );
+    for (const repo of [alertsRepo, notificationsRepo]) {
+        await repo.mutate(records => records.map(r => (r.userEmail === oldEmail ? { ...r, userEmail: newEmail } : r)));
+    }
+    return renamed;
+};
+
+// ── POST /api/account/email ───────────────────────────────────────────────────
+// Body: { email, password }. Emails a confirmation link to the new address;
+// the account keeps its current email until the link is opened. A wrong
+// password is a 403, not a 401: the session itself is fine.
+app.post('/api/account/email', requireUser, authRateLimit, async (req, res) => {
+    const newEmail = String(req.body?.email || '').trim();
+
+    if (!/\S+@\S+\.\S+/.test(newEmail)) {
+        return res.status(400).json({ error: 'Please enter a valid email address.' });
+    }
+    if (newEmail === req.user.email) {
+        return res.status(400).json({ error: 'That is already your email address.' });
+    }
+    if (!req.user.password) {
+        return res.status(400).json({ error: 'Set a password in the sign-in methods section before changing your email address.' });
+    }
+    if (!(await bcrypt.compare(String(req.body.password || ''), req.user.password))) {
+        return res.status(403).json({ error: 'Incorrect password.' });
+    }
+    if (usersRepo.get(newEmail)) {
+        return res.status(409).json({ error: 'An account with this email already exists.' });
+    }
+
+    const token = await tokens.issueToken(req.user.email, 'change-email', { newEmail });
+    await usersRepo.update(req.user.email, { pendingEmail: newEmail });
+    try {
+        await mailer.sendMail({ to: newEmail, ...mailer.emailChangeEmail(clientLink('/confirm-email', token)) });
+        await mailer.sendMail({ to: req.user.email, ...mailer.emailChangeNotice(newEmail) });
+    } catch (err) {
+        console.error('Failed to send email change confirmation:', err.message);
+    }
+
+    return res.json({ message: `We sent a confirmation link to ${newEmail}.`, pendingEmail: newEmail });
+});
+
+// ── POST /api/account/email/confirm ───────────────────────────────────────────
+// Body: { token }. Switches the account to the new address; every session
+// of the old address ends and a new one is started.
+app.post('/api/account/email/confirm', authRateLimit, async (req, res) => {
+    const result = await tokens.consumeToken(req.body?.token, 'change-email');
+    const newEmail = result?.data?.newEmail;
+    const user = result && usersRepo.get(result.email);
+    if (!user || !newEmail || user.pendingEmail !== newEmail) {
+        return res.status(400).json({ error: 'This confirmation link is invalid or has expired.' });
+    }
+    if (user.disabled) {
+        return res.status(403).json({ error: DISABLED_MESSAGE });
+    }
+
+    let renamed;
+    try {
+        renamed = await renameUser(user.email, newEmail);
+    } catch (err) {
+        if (err instanceof ConflictError) {
+            return res.status(409).json({ error: 'An account with this email already exists.' });
+        }
+        throw err;
+    }
+
+    await sessions.revokeUserSessions(user.email);
+    await tokens.revokeTokens(user.email);
+    // The link may be opened anywhere – with 2FA on, sign in again properly
+    if (twoFactorEnabled(renamed)) {
+        return res.json({ message: 'Your email address has been changed. Please sign in again.', user: null });
+    }
+    await startSession(req, res, newEmail);
+    return res.json({ message: 'Your email address has been changed.', user: publicUser(renamed) });
+});
+
+// ── GET /api/account/export ───────────────────────────────────────────────────
+// Query: format (json|zip, default json). Sent as a file download.
+app.get('/api/account/export', requireEnrolled, async (req, res) => {
+    const format = req.query.format || 'json';
+    if (!['json', 'zip'].includes(format)) {
+        return res.status(400).json({ error: 'format must be one of: json, zip.' });
+    }
+
+    const mine = (record) => record.userEmail === req.user.email;
+    const data = account.buildExport(req.user, {
+        samples: samplesRepo.filter(mine),
+        alertRules: alertsRepo.filter(mine),
+        notifications: notificationsRepo.filter(mine),
+    });
+    const filename = `water-quality-data-${data.exportedAt.slice(0, 10)}.${format}`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'zip') {
+        res.type('application/zip');
+        return res.send(await account.buildExportZip(data));
+    }
+    res.type('application/json');
+    return res.send(JSON.stringify(data, null, 2));
+});
+
+// ── DELETE /api/account ───────────────────────────────────────────────────────
+// Body: { confirm: <own email>, password } (no password for Google-only
+// accounts). Removes the account; its samples stay in the district
+// statistics but are anonymised (see backend/account.js).
+app.delete('/api/account', requireUser, async (req, res) => {
+    const { confirm, password } = req.body || {};
+    const email = req.user.email;
+
+    if (confirm !== email) {
+        return res.status(400).json({ error: 'Type your email address to confirm.' });
+    }
+    if (req.user.password && !(await bcrypt.compare(String(password || ''), req.user.password))) {
+        return res.status(403).json({ error: 'Incorrect password.' });
+    }
+
+    let anonymised = 0;
+    await samplesRepo.mutate(samples =>
+        samples.map((s) => {
+            if (s.userEmail !== email) return s;
+            anonymised += 1;
+            return account.anonymiseSample(s);
+        })
+    );
+    await alertsRepo.mutate(rules => rules.filter(r => r.userEmail !== email));
+    await notificationsRepo.mutate(notifications => notifications.filter(n => n.userEmail !== email));
+    await usersRepo.remove(email);
+    await sessions.revokeUserSessions(email);
+    await tokens.revokeTokens(email);
+    sessions.clearSessionCookies(res);
 
-    return res.status(200).json({ message: 'Profile saved.', profile: users[idx].profile });
+    return res.json({ message: 'Your account has been deleted.', samplesAnonymised: anonymised });
 });
 
 // ── POST /api/google-auth ─────────────────────────────────────────────────────
-app.post('/api/google-auth', async (req, res) => {
+// Sign-in goes through the linked Google account (matched by its Google
+// id). A Google login whose email belongs to an account that has not
+// linked Google is refused – linking needs the password owner's consent,
+// from account settings.
+app.post('/api/google-auth', authRateLimit, async (req, res) => {
     const { credential } = req.body;
     if (!credential) {
         return res.status(400).json({ error: 'Google credential is required.' });
     }
 
-    try {
-        // Verify the Google JWT with Google's public keys
-        const ticket = await GOOGLE_CLIENT.verifyIdToken({
-            idToken: credential,
-            audience: process.env.GOOGLE_CLIENT_ID,
-        });
-        const payload = ticket.getPayload();
-        const email = payload.email;
-        const name = payload.name || '';
-
-        const users = readUsers();
-        let user = users.find(u => u.email === email);
-
-        if (!user) {
-            // New Google user — auto-create account (no password needed)
-            user = {
-                email,
-                password: null,
-                googleAuth: true,
-                createdAt: new Date().toISOString(),
-                profile: null,
-            };
-            users.push(user);
-            writeUsers(users);
+    const payload = await verifyGoogleCredential(credential);
+    if (!payload) {
+        return res.status(401).json({ error: 'Invalid Google token. Please try again.' });
+    }
+    const { email, sub: googleId } = payload;
+    const name = payload.name || '';
+
+    let user = usersRepo.find(u => u.googleId === googleId) || usersRepo.get(email);
+
+    if (!user) {
+        // New Google user — auto-create account (no password needed)
+        const newUser = {
+            email,
+            password: null,
+            signupSource: 'google',
+            googleAuth: true,
+            googleId,
+            googleEmail: email,
+            googleLinkedAt: new Date().toISOString(),
+            role: DEFAULT_ROLE,
+            emailVerified: payload.email_verified !== false,
+            createdAt: new Date().toISOString(),
+            profile: null,
+        };
+        try {
+            user = await usersRepo.insert(newUser);
+        } catch (err) {
+            if (!(err instanceof ConflictError)) throw err;
+            user = usersRepo.get(email); // created by a concurrent request
         }
+    }
 
-        return res.status(200).json({
-            message: 'Google auth successful.',
-            email: user.email,
-            name,
-            profile: user.profile || null,
-        });
-    } catch (err) {
-        console.error('Google token verification failed:', err.message);
+    if (user.googleId !== googleId) {
+        // Accounts linked before Google ids were stored only have googleAuth
+        if (!user.googleAuth || user.googleId) {
+            return res.status(409).json({
+                error: 'An account with this email already exists. Sign in with your password, then link Google in your account settings.',
+                code: 'GOOGLE_NOT_LINKED',
+            });
+        }
+        user = await usersRepo.update(user.email, { googleId, googleEmail: email });
+    }
+
+    if (user.emailVerified === false && payload.email_verified && user.email === email) {
+        // Google has confirmed the address for us
+        user = await usersRepo.update(user.email, { emailVerified: true });
+    }
+
+    if (user.disabled) {
+        return res.status(403).json({ error: DISABLED_MESSAGE });
+    }
+
+    return completeSignIn(req, res, user, { message: 'Google auth successful.', name });
+});
+
+// ── POST /api/account/google ──────────────────────────────────────────────────
+// Body: { credential }. Links a Google account to the caller's account, so
+// either method can be used to sign in.
+app.post('/api/account/google', requireUser, async (req, res) => {
+    const payload = req.body?.credential && await verifyGoogleCredential(req.body.credential);
+    if (!payload) {
         return res.status(401).json({ error: 'Invalid Google token. Please try again.' });
     }
+
+    const other = usersRepo.find(u => u.googleId === payload.sub && u.email !== req.user.email);
+    if (other) {
+        return res.status(409).json({ error: 'This Google account is already linked to another user.' });
+    }
+
+    const user = await usersRepo.update(req.user.email, {
+        googleAuth: true,
+        googleId: payload.sub,
+        googleEmail: payload.email,
+        googleLinkedAt: new Date().toISOString(),
+    });
+    return res.json({ message: 'Google account linked.', user: publicUser(user) });
 });
 
-// ── GET /api/users (debug only) ───────────────────────────────────────────────
-app.get('/api/users', (req, res) => {
-    const users = readUsers();
-    // Mask passwords before returning
-    const safe = users.map(({ password, ...rest }) => rest);
-    return res.json({ users: safe });
+// ── DELETE /api/account/google ────────────────────────────────────────────────
+// Unlinks Google. Only allowed once the account has a password, so the
+// user can't lock themselves out.
+app.delete('/api/account/google', requireUser, async (req, res) => {
+    if (!req.user.googleAuth) {
+        return res.status(400).json({ error: 'No Google account is linked.' });
+    }
+    if (!req.user.password) {
+        return res.status(400).json({ error: 'Set a password before unlinking Google, or you will not be able to sign in.' });
+    }
+
+    const user = await usersRepo.update(req.user.email, {
+        googleAuth: false,
+        googleId: null,
+        googleEmail: null,
+        googleLinkedAt: null,
+    });
+    return res.json({ message: 'Google account unlinked.', user: publicUser(user) });
 });
 
+// ── POST /api/account/password ────────────────────────────────────────────────
+// Body: { currentPassword, password }. Changes the password, or sets a first
+// one on a Google-only account (no currentPassword then). Other sessions of
+// the account are signed out.
+app.post('/api/account/password', requireUser, authRateLimit, async (req, res) => {
+    const { currentPassword, password } = req.body || {};
 
-// ── Start ─────────────────────────────────────────────────────────────────────
-app.listen(PORT, () => {
-    console.log(`✅  Auth server running at http://localhost:${PORT}`);
-    console.log(`📄  User data stored in: ${USERS_FILE}`);
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.` });
+    }
+    if (req.user.password && !(await bcrypt.compare(String(currentPassword || ''), req.user.password))) {
+        return res.status(403).json({ error: 'Your current password is incorrect.' });
+    }
+
+    const user = await usersRepo.update(req.user.email, {
+        password: await bcrypt.hash(password, SALT_ROUNDS),
+        passwordChangedAt: new Date().toISOString(),
+    });
+    await sessions.revokeUserSessions(user.email, req.session.id);
+
+    return res.json({
+        message: req.user.password ? 'Password changed.' : 'Password set. You can now also sign in with your email and password.',
+        user: publicUser(user),
+    });
+});
+
+// ── POST /api/account/2fa/setup ───────────────────────────────────────────────
+// Starts enrolment: a new secret, shown as a QR code by the client. It only
+// takes effect once a code from it is confirmed via /enable.
+app.post('/api/account/2fa/setup', requireUser, async (req, res) => {
+    if (twoFactorEnabled(req.user)) {
+        return res.status(400).json({ error: 'Two-factor authentication is already on.' });
+    }
+
+    const secret = totp.generateSecret();
+    await usersRepo.update(req.user.email, { twoFactor: { enabled: false, pendingSecret: secret } });
+    return res.json({ secret, uri: totp.otpauthUri(secret, req.user.email) });
+});
+
+// ── POST /api/account/2fa/enable ──────────────────────────────────────────────
+// Body: { code }. Turns 2FA on and returns the recovery codes – the only
+// time they are shown. Other sessions of the account are signed out.
+app.post('/api/account/2fa/enable', requireUser, authRateLimit, async (req, res) => {
+    const secret = req.user.twoFactor?.pendingSecret;
+    if (twoFactorEnabled(req.user) || !secret) {
+        return res.status(400).json({ error: 'Start the setup again to get a new QR code.' });
+    }
+
+    const step = totp.verifyCode(secret, req.body?.code);
+    if (step === null) {
+        return res.status(400).json({ error: 'That code is not valid. Check the time on your phone and try again.' });
+    }
+
+    const { codes, hashes } = totp.generateRecoveryCodes();
+    const user = await usersRepo.update(req.user.email, {
+        twoFactor: {
+            enabled: true,
+            secret,
+            lastStep: step,
+            recoveryCodes: hashes,
+            enabledAt: new Date().toISOString(),
+        },
+    });
+    await sessions.revokeUserSessions(user.email, req.session.id);
+    await audit.recordEvent({ type: 'two-factor-enabled', email: user.email, ip: req.ip });
+
+    return res.json({ message: 'Two-factor authentication is on.', recoveryCodes: codes, user: publicUser(user) });
+});
+
+// ── POST /api/account/2fa/recovery-codes ──────────────────────────────────────
+// Body: { code }. Replaces the recovery codes with a new set.
+app.post('/api/account/2fa/recovery-codes', requireUser, authRateLimit, async (req, res) => {
+    if (!twoFactorEnabled(req.user)) {
+        return res.status(400).json({ error: 'Two-factor authentication is not on.' });
+    }
+    if (!await useSecondFactor(req.user.email, req.body?.code)) {
+        return res.status(403).json({ error: 'That code is not valid.' });
+    }
+
+    const { codes, hashes } = totp.generateRecoveryCodes();
+    const user = await usersRepo.update(req.user.email, (u) => ({
+        ...u,
+        twoFactor: { ...u.twoFactor, recoveryCodes: hashes },
+    }));
+    return res.json({ message: 'New recovery codes created.', recoveryCodes: codes, user: publicUser(user) });
 });
+
+// ── DELETE /api/account/2fa ───────────────────────────────────────────────────
+// Body: { code }. Turns 2FA off, unless the caller's role requires it.
+app.delete('/api/account/2fa', requireUser, authRateLimit, async (req, res) => {
+    if (!twoFactorEnabled(req.user)) {
+        return res.status(400).json({ error: 'Two-factor authentication is not on.' });
+    }
+    if (twoFactorRoles().includes(roleOf(req.user))) {
+        return res.status(400).json({ error: 'Your role requires two-factor authentication, so it cannot be turned off.' });
+    }
+    if (!await useSecondFactor(req.user.email, req.body?.code)) {
+        return res.status(403).json({ error: 'That code is not valid.' });
+    }
+
+    const user = await usersRepo.update(req.user.email, { twoFactor: null });
+    await audit.recordEvent({ type: 'two-factor-disabled', email: user.email, ip: req.ip });
+    return res.json({ message: 'Two-factor authentication is off.', user: publicUser(user) });
+});
+
+// ── POST /api/verify-email ────────────────────────────────────────────────────
+// Body: { token }. Confirms the address and signs the user in.
+app.post('/api/verify-email', authRateLimit, async (req, res) => {
+    const result = await tokens.consumeToken(req.body?.token, 'verify-email');
+    const found = result && usersRepo.get(result.email);
+    if (!found) {
+        return res.status(400).json({ error: 'This verification link is invalid or has expired.' });
+    }
+    if (found.disabled) {
+        return res.status(403).json({ error: DISABLED_MESSAGE });
+    }
+
+    const user = await usersRepo.update(found.email, {
+        emailVerified: true,
+        emailVerifiedAt: new Date().toISOString(),
+    });
+
+    await startSession(req, res, user.email);
+    return res.json({ message: 'Email verified.', user: publicUser(user) });
+});
+
+// ── POST /api/verify-email/resend ─────────────────────────────────────────────
+// Body: { email }. Same answer whether or not the account exists.
+app.post('/api/verify-email/resend', authRateLimit, async (req, res) => {
+    const { email } = req.body || {};
+    const user = email && usersRepo.get(email);
+    if (user && user.emailVerified === false) {
+        await sendVerificationEmail(user.email);
+    }
+    return res.json({ message: 'If that account is waiting for verification, a new link is on its way.' });
+});
+
+// ── POST /api/password/forgot ─────────────────────────────────────────────────
+// Body: { email }. Same answer whether or not the account exists.
+app.post('/api/password/forgot', authRateLimit, async (req, res) => {
+    const { email } = req.body || {};
+    if (!email) {
+        return res.status(400).json({ error: 'Email is required.' });
+    }
+
+    const user = usersRepo.get(email);
+    if (user && !user.disabled) {
+        const token = await tokens.issueToken(user.email, 'reset-password');
+        try {
+            await mailer.sendMail({ to: user.email, ...mailer.passwordResetEmail(clientLink('/reset-password', token)) });
+        } catch (err) {
+            console.error('Failed to send password reset email:', err.message);
+        }
+    }
+    return res.json({ message: 'If an account exists for that email, we have sent a password reset link.' });
+});
+
+// ── POST /api/password/reset ──────────────────────────────────────────────────
+// Body: { token, password }. Signs out every existing session of the account.
+app.post('/api/password/reset', authRateLimit, async (req, res) => {
+    const { token, password } = req.body || {};
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.` });
+    }
+
+    const result = await tokens.consumeToken(token, 'reset-password');
+    const user = result && usersRepo.get(result.email);
+    if (!user) {
+        return res.status(400).json({ error: 'This reset link is invalid or has expired.' });
+    }
+
+    await usersRepo.update(user.email, {
+        password: await bcrypt.hash(password, SALT_ROUNDS),
+        passwordChangedAt: new Date().toISOString(),
+        // Receiving the link proves the user owns the mailbox
+        emailVerified: true,
+    });
+
+    await sessions.revokeUserSessions(user.email);
+    await ratelimit.accountLockout.reset(accountKey(user.email));
+    return res.json({ message: 'Your password has been changed. You can now log in.' });
+});
+
+// ── GET /api/me ───────────────────────────────────────────────────────────────
+app.get('/api/me', requireUser, (req, res) => {
+    return res.json({ user: publicUser(req.user) });
+});
+
+// ── POST /api/auth/refresh ────────────────────────────────────────────────────
+// Exchanges the refresh cookie for a new access + refresh pair
+app.post('/api/auth/refresh', async (req, res) => {
+    const result = await sessions.refreshSession(req.cookies[sessions.REFRESH_COOKIE]);
+    const user = result && usersRepo.get(result.session.email);
+    if (!user || user.disabled) {
+        sessions.clearSessionCookies(res);
+        return res.status(401).json({ error: 'Your session has expired. Please log in again.' });
+    }
+
+    sessions.setSessionCookies(res, result);
+    return res.json({ user: publicUser(user) });
+});
+
+// ── POST /api/logout ──────────────────────────────────────────────────────────
+// Revokes the session server-side, so copies of the tokens stop working too
+app.post('/api/logout', async (req, res) => {
+    if (req.session) {
+        await sessions.revokeSession(req.session.id);
+    }
+    sessions.clearSessionCookies(res);
+    return res.json({ message: 'Logged out.' });
+});
+
+// ── GET /api/admin/users ──────────────────────────────────────────────────────
+// Includes `lockedUntil` for accounts that are currently locked out.
+app.get('/api/admin/users', requirePermission('users:manage'), (req, res) => {
+    const users = usersRepo.all()
+        .map(u => ({ ...publicUser(u), lockedUntil: ratelimit.accountLockout.status(accountKey(u.email)).lockedUntil }))
+        .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+    return res.json({ users, roles: ROLES });
+});
+
+// ── PATCH /api/admin/users/:email ─────────────────────────────────────────────
+// Body: { role?, disabled? }. Disabling an account ends all its sessions.
+app.patch('/api/admin/users/:email', requirePermission('users:manage'), async (req, res) => {
+    const { role, disabled } = req.body || {};
+
+    if (req.params.email === req.user.email) {
+        return res.status(400).json({ error: 'You cannot change your own role or disable your own account.' });
+    }
+    if (role !== undefined && !ROLES.includes(role)) {
+        return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}.` });
+    }
+    if (disabled !== undefined && typeof disabled !== 'boolean') {
+        return res.status(400).json({ error: 'disabled must be true or false.' });
+    }
+
+    const changes = {};
+    if (role !== undefined) changes.role = role;
+    if (disabled !== undefined) {
+        changes.disabled = disabled;
+        changes.disabledAt = disabled ? new Date().toISOString() : null;
+    }
+
+    const user = await usersRepo.update(req.params.email, changes);
+    if (!user) {
+        return res.status(404).json({ error: 'User not found.' });
+    }
+    if (disabled) await sessions.revokeUserSessions(user.email);
+
+    return res.json({ message: 'User updated.', user: publicUser(user) });
+});
+
+// ── POST /api/admin/users/:email/unlock ───────────────────────────────────────
+// Clears the failed-login counter of an account
+app.post('/api/admin/users/:email/unlock', requirePermission('users:manage'), async (req, res) => {
+    const key = accountKey(req.params.email);
+    await ratelimit.accountLockout.reset(key);
+    await audit.recordEvent({ type: 'unlock', scope: 'account', key, by: req.user.email });
+    return res.json({ message: 'Account unlocked.' });
+});
+
+// ── DELETE /api/admin/users/:email/2fa ────────────────────────────────────────
+// For users who lost their phone and their recovery codes. They can sign in
+// with the password alone afterwards (and must enrol again if their role
+// requires it).
+app.delete('/api/admin/users/:email/2fa', requirePermission('users:manage'), async (req, res) => {
+    const user = await usersRepo.update(req.params.email, { twoFactor: null });
+    if (!user) {
+        return res.status(404).json({ error: 'User not found.' });
+    }
+    await audit.recordEvent({ type: 'two-factor-reset', email: user.email, by: req.user.email });
+    return res.json({ message: 'Two-factor authentication reset.', user: publicUser(user) });
+});
+
+// ── GET /api/admin/2fa-policy ─────────────────────────────────────────────────
+app.get('/api/admin/2fa-policy', requirePermission('users:manage'), (req, res) => {
+    const policy = settingsRepo.get(TWO_FACTOR_POLICY);
+    return res.json({ roles: policy?.roles || [], updatedAt: policy?.updatedAt || null, available: ROLES });
+});
+
+// ── PUT /api/admin/2fa-policy ─────────────────────────────────────────────────
+// Body: { roles }. Users with these roles must enrol before they can use
+// anything but their account settings.
+app.put('/api/admin/2fa-policy', requirePermission('users:manage'), async (req, res) => {
+    const { roles } = req.body || {};
+    if (!Array.isArray(roles) || roles.some(r => !ROLES.includes(r))) {
+        return res.status(400).json({ error: `roles must be a list of: ${ROLES.join(', ')}.` });
+    }
+
+    const policy = {
+        name: TWO_FACTOR_POLICY,
+        roles: [...new Set(roles)],
+        updatedAt: new Date().toISOString(),
+        updatedBy: req.user.email,
+    };
+    await settingsRepo.mutate(records => [...records.filter(r => r.name !== TWO_FACTOR_POLICY), policy]);
+    await audit.recordEvent({ type: 'two-factor-policy', roles: policy.roles, by: req.user.email });
+    return res.json({ message: 'Two-factor policy saved.', roles: policy.roles, updatedAt: policy.updatedAt, available: ROLES });
+});
+
+// ── GET /api/admin/security-events ────────────────────────────────────────────
+// Query: type (lockout, unlock, two-factor-*, recovery-code-used), limit.
+// Also returns the lockouts in force.
+app.get('/api/admin/security-events', requirePermission('users:manage'), (req, res) => {
+    const limit = Math.min(Number(req.query.limit) || 100, 500);
+    return res.json({
+        events: audit.listEvents({ type: req.query.type, limit }),
+        lockouts: [
+            ...ratelimit.accountLockout.list().map(l => ({ scope: 'account', ...l })),
+            ...ratelimit.ipLockout.list().map(l => ({ scope: 'ip', ...l })),
+        ],
+    });
+});
+
+// ── GET /api/stations ─────────────────────────────────────────────────────────
+// Query: dataset, state, district, agency, stationType, stationStatus,
+//        wellAquiferType, dataAcquisitionMode, page (1-based), pageSize
+app.get('/api/stations', requirePermission('data:read'), (req, res) => {
+    try {
+        return res.json(listStations(req.query));
+    } catch (err) {
+        if (err instanceof RangeError) {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error('Failed to load station catalog:', err.message);
+        return res.status(500).json({ error: 'Could not load station data.' });
+    }
+});
+
+// ── GET /api/regions ──────────────────────────────────────────────────────────
+// States with their districts, for the Data Explorer pickers
+app.get('/api/regions', requirePermission('data:read'), (req, res) => {
+    try {
+        return res.json({ regions: listRegions() });
+    } catch (err) {
+        console.error('Failed to load regions:', err.message);
+        return res.status(500).json({ error: 'Could not load station data.' });
+    }
+});
+
+// ── GET /api/stations/nearby ──────────────────────────────────────────────────
+// Query: lat + lon, or city (+ state) resolved through the gazetteer, or
+// near=profile for the caller's profile city; k (default 5), radiusKm,
+// dataset. With radiusKm alone every station within the radius is returned.
+app.get('/api/stations/nearby', requirePermission('data:read'), (req, res) => {
+    const { lat, lon, city, state, near, k, radiusKm, dataset } = req.query;
+
+    try {
+        let origin;
+        if (lat !== undefined || lon !== undefined) {
+            origin = { ...parseOrigin(lat, lon), source: 'coordinates', approximate: false };
+        } else {
+            const place = near === 'profile'
+                ? resolvePlace(req.user.profile?.city, req.user.profile?.state)
+                : resolvePlace(city, state);
+            if (!place) {
+                return res.status(404).json({
+                    error: near === 'profile'
+                        ? 'Your profile city could not be located.'
+                        : 'Place not found. Give lat and lon, or a city and state.',
+                });
+            }
+            origin = place;
+        }
+        return res.json({ origin, stations: stationsNear(origin, { k, radiusKm, dataset }) });
+    } catch (err) {
+        if (err instanceof RangeError) {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error('Failed to search nearby stations:', err.message);
+        return res.status(500).json({ error: 'Could not search stations.' });
+    }
+});
+
+// ── POST /api/stations/within ─────────────────────────────────────────────────
+// Body: { polygon: GeoJSON Polygon / MultiPolygon (or Feature), or a list of
+// [lon, lat] points; dataset }
+app.post('/api/stations/within', requirePermission('data:read'), (req, res) => {
+    const { polygon, dataset } = req.body || {};
+
+    try {
+        const stations = stationsInPolygon(polygon, { dataset });
+        return res.json({ stations, total: stations.length });
+    } catch (err) {
+        if (err instanceof RangeError) {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error('Failed to search stations in polygon:', err.message);
+        return res.status(500).json({ error: 'Could not search stations.' });
+    }
+});
+
+// ── GET /api/places ───────────────────────────────────────────────────────────
+// Query: city, state. Offline lookup, see backend/gazetteer.js.
+app.get('/api/places', requirePermission('data:read'), (req, res) => {
+    const place = resolvePlace(req.query.city, req.query.state);
+    if (!place) {
+        return res.status(404).json({ error: 'Place not found.' });
+    }
+    return res.json({ place });
+});
+
+// ── GET /api/stations/:code/readings ──────────────────────────────────────────
+// Query: from, to (YYYY-MM-DD or full datetime, inclusive),
+//        interval (raw|hourly|daily|weekly|monthly), agg (min|max|mean|last|sum),
+//        datatypeCode, excludeFlagged (1, or a list of quality flags)
+app.get('/api/stations/:code/readings', requirePermission('data:read'), (req, res) => {
+    const { from, to, interval, agg, datatypeCode, excludeFlagged } = req.query;
+
+    try {
+        const result = getReadings(req.params.code, { from, to, interval, agg, datatypeCode, excludeFlagged });
+        if (!result) {
+            return res.status(404).json({ error: 'Station not found.' });
+        }
+        return res.json(result);
+    } catch (err) {
+        if (err instanceof RangeError) {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error('Failed to load readings:', err.message);
+        return res.status(500).json({ error: 'Could not load station readings.' });
+    }
+});
+
+// ── GET /api/stations/:code/rainfall ──────────────────────────────────────────
+// Query: from, to, interval (daily|monthly), datatypeCode, excludeFlagged.
+// Totals from the gauge's preferred series, each with a quality flag;
+// see backend/rainfall.js.
+app.get('/api/stations/:code/rainfall', requirePermission('data:read'), (req, res) => {
+    const { from, to, interval, datatypeCode, excludeFlagged } = req.query;
+
+    try {
+        const result = getRainfall(req.params.code, { from, to, interval, datatypeCode, excludeFlagged });
+        if (!result) {
+            return res.status(404).json({ error: 'Station not found.' });
+        }
+        return res.json(result);
+    } catch (err) {
+        if (err instanceof RangeError) {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error('Failed to compute rainfall totals:', err.message);
+        return res.status(500).json({ error: 'Could not compute rainfall totals.' });
+    }
+});
+
+// ── GET /api/groundwater/trends ───────────────────────────────────────────────
+// Query: state, district, wellAquiferType, stationCode, excludeFlagged;
+// monthly=1 adds each well's monthly mean levels. See backend/trends.js
+// for the method.
+app.get('/api/groundwater/trends', requirePermission('data:read'), (req, res) => {
+    const { state, district, wellAquiferType, stationCode, monthly, excludeFlagged } = req.query;
+
+    try {
+        return res.json(groundwaterTrends({
+            state,
+            district,
+            wellAquiferType,
+            stationCode,
+            excludeFlagged,
+            monthly: monthly === '1' || monthly === 'true',
+        }));
+    } catch (err) {
+        if (err instanceof RangeError) {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error('Failed to compute groundwater trends:', err.message);
+        return res.status(500).json({ error: 'Could not compute groundwater trends.' });
+    }
+});
+
+// ── GET /api/groundwater/recharge ─────────────────────────────────────────────
+// Query: state, district, wellAquiferType, stationCode, specificYield,
+// excludeFlagged. Wells paired with nearby rain gauges, their response lag
+// and water-table-fluctuation recharge; see backend/recharge.js.
+app.get('/api/groundwater/recharge', requirePermission('data:read'), (req, res) => {
+    const { state, district, wellAquiferType, stationCode, specificYield, excludeFlagged } = req.query;
+
+    try {
+        return res.json(rechargeAnalysis({ state, district, wellAquiferType, stationCode, specificYield, excludeFlagged }));
+    } catch (err) {
+        if (err instanceof RangeError) {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error('Failed to compute recharge:', err.message);
+        return res.status(500).json({ error: 'Could not compute groundwater recharge.' });
+    }
+});
+
+// ── GET /api/data-quality ─────────────────────────────────────────────────────
+// Query: state, district, dataset, stationCode, gapDays, staleDays.
+// Flag counts per state, district and station; see backend/quality.js.
+app.get('/api/data-quality', requirePermission('data:read'), (req, res) => {
+    const { state, district, dataset, stationCode, gapDays, staleDays } = req.query;
+
+    try {
+        return res.json(qualityReport({ state, district, dataset, stationCode, gapDays, staleDays }));
+    } catch (err) {
+        if (err instanceof RangeError) {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error('Failed to build data quality report:', err.message);
+        return res.status(500).json({ error: 'Could not build the data quality report.' });
+    }
+});
+
+// ── GET /api/exports/stations ─────────────────────────────────────────────────
+// Query: format (geojson|kml), plus the GET /api/stations filters.
+// Each station with the latest value of its series and its provenance
+// (agencyName, fetchedAt + fetchedAtSource, datatypeCode); see backend/exports.js.
+app.get('/api/exports/stations', requirePermission('data:read'), (req, res) => {
+    try {
+        const { filename, contentType, body } = dataExports.exportStations(req.query);
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+        return res.type(contentType).send(body);
+    } catch (err) {
+        if (err instanceof RangeError) {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error('Failed to export stations:', err.message);
+        return res.status(500).json({ error: 'Could not export the stations.' });
+    }
+});
+
+// ── GET /api/exports/readings ─────────────────────────────────────────────────
+// Query: format (csv), stationCode or the GET /api/stations filters,
+//        datatypeCode, from, to (YYYY-MM-DD or full datetime, inclusive).
+// Streamed in batches, so any range can be exported.
+app.get('/api/exports/readings', requirePermission('data:read'), async (req, res) => {
+    let result;
+    try {
+        result = dataExports.exportReadings(req.query);
+    } catch (err) {
+        if (err instanceof RangeError) {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error('Failed to export readings:', err.message);
+        return res.status(500).json({ error: 'Could not export the readings.' });
+    }
+    if (!result) {
+        return res.status(404).json({ error: 'Station not found.' });
+    }
+
+    res.set('Content-Disposition', `attachment; filename="${result.filename}"`);
+    res.type(result.contentType);
+    try {
+        await dataExports.streamChunks(res, result.chunks);
+    } catch (err) {
+        // Headers are gone by now; all that's left is to cut the download short
+        console.error('Failed while streaming readings export:', err.message);
+        res.destroy(err);
+    }
+});
+
+// ── GET /api/exports/samples ──────────────────────────────────────────────────
+// Query: format (csv|geojson|kml), stationCode, sourceType, from, to.
+// The caller's own samples; the CSV has one row per parameter result.
+app.get('/api/exports/samples', requireEnrolled, async (req, res) => {
+    let result;
+    try {
+        result = dataExports.exportSamples(samplesRepo.filter(s => s.userEmail === req.user.email), req.query);
+    } catch (err) {
+        if (err instanceof RangeError) {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error('Failed to export samples:', err.message);
+        return res.status(500).json({ error: 'Could not export your samples.' });
+    }
+
+    res.set('Content-Disposition', `attachment; filename="${result.filename}"`);
+    res.type(result.contentType);
+    if (result.body !== undefined) return res.send(result.body);
+    try {
+        await dataExports.streamChunks(res, result.chunks);
+    } catch (err) {
+        // Headers are gone by now; all that's left is to cut the download short
+        console.error('Failed while streaming samples export:', err.message);
+        res.destroy(err);
+    }
+});
+
+// ── POST /api/samples ─────────────────────────────────────────────────────────
+app.post('/api/samples', requirePermission('samples:write'), async (req, res) => {
+    const { errors, sample } = validateSample(req.body, { stationExists });
+    if (!sample) {
+        return res.status(400).json({ error: 'Invalid sample.', details: errors });
+    }
+
+    const newSample = await samplesRepo.insert(createSample(fillLocation(sample), req.user.email));
+    await checkSampleAlerts([newSample]);
+
+    return res.status(201).json({ message: 'Sample saved.', sample: withCompliance(newSample) });
+});
+
+// ── GET /api/samples ──────────────────────────────────────────────────────────
+// Query: stationCode, sourceType, from, to, standard (compliance profile id)
+app.get('/api/samples', requireEnrolled, (req, res) => {
+    const own = samplesRepo.filter(s => s.userEmail === req.user.email);
+
+    try {
+        const samples = filterSamples(own, req.query).map(s => withCompliance(s, req.query.standard));
+        return res.json({ samples });
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+});
+
+// ── GET /api/samples/:id ──────────────────────────────────────────────────────
+// Query: standard (compliance profile id)
+app.get('/api/samples/:id', requireEnrolled, (req, res) => {
+    const sample = samplesRepo.find(s => s.id === req.params.id && s.userEmail === req.user.email);
+    if (!sample) {
+        return res.status(404).json({ error: 'Sample not found.' });
+    }
+
+    try {
+        return res.json({ sample: withCompliance(sample, req.query.standard) });
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+});
+
+// ── PUT /api/samples/:id ──────────────────────────────────────────────────────
+app.put('/api/samples/:id', requirePermission('samples:write'), async (req, res) => {
+    const existing = samplesRepo.find(s => s.id === req.params.id && s.userEmail === req.user.email);
+    if (!existing) {
+        return res.status(404).json({ error: 'Sample not found.' });
+    }
+
+    const { errors, sample } = validateSample(req.body, { stationExists });
+    if (!sample) {
+        return res.status(400).json({ error: 'Invalid sample.', details: errors });
+    }
+
+    const updated = await samplesRepo.update(existing.id, { ...fillLocation(sample), updatedAt: new Date().toISOString() });
+    await checkSampleAlerts([updated]);
+
+    return res.json({ message: 'Sample updated.', sample: withCompliance(updated) });
+});
+
+// ── DELETE /api/samples/:id ───────────────────────────────────────────────────
+app.delete('/api/samples/:id', requirePermission('samples:write'), async (req, res) => {
+    const sample = samplesRepo.find(s => s.id === req.params.id && s.userEmail === req.user.email);
+    if (!sample) {
+        return res.status(404).json({ error: 'Sample not found.' });
+    }
+
+    await samplesRepo.remove(sample.id);
+
+    return res.json({ message: 'Sample deleted.' });
+});
+
+// ── GET /api/samples/:id/wqi ──────────────────────────────────────────────────
+// Query: method (weighted-arithmetic|ccme|nsf, default all), standard
+app.get('/api/samples/:id/wqi', requireEnrolled, (req, res) => {
+    const sample = samplesRepo.find(s => s.id === req.params.id && s.userEmail === req.user.email);
+    if (!sample) {
+        return res.status(404).json({ error: 'Sample not found.' });
+    }
+
+    try {
+        const { method, standard } = req.query;
+        return res.json({ sampleId: sample.id, wqi: computeWqi(sample, { method, standard }) });
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+});
+
+// ── GET /api/wqi/districts ────────────────────────────────────────────────────
+// Aggregates every user's samples (indices only, no personal data).
+// Query: state, district, from, to, method, standard
+app.get('/api/wqi/districts', requirePermission('wqi:districts'), (req, res) => {
+    const { state, district, from, to, method, standard } = req.query;
+    const same = (a, b) => String(a || '').toLowerCase() === String(b).trim().toLowerCase();
+
+    try {
+        const samples = filterSamples(samplesRepo.all(), { from, to })
+            .filter(s => (!state || same(s.state, state)) && (!district || same(s.district, district)));
+        return res.json({ districts: aggregateByDistrict(samples, { method, standard }) });
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+});
+
+// ── GET /api/parameters ───────────────────────────────────────────────────────
+app.get('/api/parameters', requirePermission('data:read'), (req, res) => {
+    const parameters = Object.entries(PARAMETERS).map(([key, def]) => ({
+        key,
+        label: def.label,
+        unit: def.unit,
+        units: Object.keys(def.units),
+    }));
+    return res.json({ parameters, sourceTypes: SOURCE_TYPES, fields: imports.FIELDS });
+});
+
+// ── GET /api/alerts/rules ─────────────────────────────────────────────────────
+// The caller's alert rules, plus the delivery channels they can pick from
+app.get('/api/alerts/rules', requirePermission('data:read'), (req, res) => {
+    const rules = alertsRepo.filter(r => r.userEmail === req.user.email);
+    return res.json({ rules, channels: alerts.listChannels() });
+});
+
+// ── POST /api/alerts/rules ────────────────────────────────────────────────────
+// Body: { type, name?, stationCode | state + district, threshold, condition,
+//         parameter, standard, flags, channels, enabled } (see backend/alerts.js).
+// Station rules are checked against the current data straight away.
+app.post('/api/alerts/rules', requirePermission('data:read'), async (req, res) => {
+    const { errors, rule } = alerts.validateRule(req.body);
+    if (!rule) {
+        return res.status(400).json({ error: 'Invalid alert rule.', details: errors });
+    }
+    if (alertsRepo.filter(r => r.userEmail === req.user.email).length >= alerts.MAX_RULES_PER_USER) {
+        return res.status(400).json({ error: `You can have at most ${alerts.MAX_RULES_PER_USER} alert rules.` });
+    }
+
+    const newRule = await alertsRepo.insert(alerts.createRule(rule, req.user.email));
+    const raised = newRule.type === 'sample' ? [] : await checkStationAlerts([newRule]);
+
+    return res.status(201).json({ message: 'Alert rule saved.', rule: alertsRepo.get(newRule.id), notifications: raised.length });
+});
+
+// ── PUT /api/alerts/rules/:id ─────────────────────────────────────────────────
+app.put('/api/alerts/rules/:id', requirePermission('data:read'), async (req, res) => {
+    const existing = alertsRepo.find(r => r.id === req.params.id && r.userEmail === req.user.email);
+    if (!existing) {
+        return res.status(404).json({ error: 'Alert rule not found.' });
+    }
+
+    const { errors, rule } = alerts.validateRule(req.body);
+    if (!rule) {
+        return res.status(400).json({ error: 'Invalid alert rule.', details: errors });
+    }
+
+    const updated = await alertsRepo.update(existing.id, r => ({
+        ...rule,
+        id: r.id,
+        userEmail: r.userEmail,
+        createdAt: r.createdAt,
+        updatedAt: new Date().toISOString(),
+        lastTriggeredAt: r.lastTriggeredAt,
+    }));
+    const raised = updated.type === 'sample' ? [] : await checkStationAlerts([updated]);
+
+    return res.json({ message: 'Alert rule updated.', rule: alertsRepo.get(updated.id), notifications: raised.length });
+});
+
+// ── DELETE /api/alerts/rules/:id ──────────────────────────────────────────────
+// Notifications the rule already raised stay in the inbox
+app.delete('/api/alerts/rules/:id', requirePermission('data:read'), async (req, res) => {
+    const rule = alertsRepo.find(r => r.id === req.params.id && r.userEmail === req.user.email);
+    if (!rule) {
+        return res.status(404).json({ error: 'Alert rule not found.' });
+    }
+
+    await alertsRepo.remove(rule.id);
+
+    return res.json({ message: 'Alert rule deleted.' });
+});
+
+// ── GET /api/notifications ────────────────────────────────────────────────────
+// Query: unread (1 = unread only), limit. Newest first, with the unread count.
+app.get('/api/notifications', requireEnrolled, (req, res) => {
+    const own = notificationsRepo.filter(n => n.userEmail === req.user.email).reverse();
+    const unread = own.filter(n => !n.readAt);
+    const limit = Math.max(1, parseInt(req.query.limit, 10) || own.length || 1);
+
+    const notifications = (req.query.unread === '1' ? unread : own).slice(0, limit);
+    return res.json({ notifications, unread: unread.length });
+});
+
+// ── PATCH /api/notifications/:id ──────────────────────────────────────────────
+// Body: { read: boolean }
+app.patch('/api/notifications/:id', requireEnrolled, async (req, res) => {
+    const notification = notificationsRepo.find(n => n.id === req.params.id && n.userEmail === req.user.email);
+    if (!notification) {
+        return res.status(404).json({ error: 'Notification not found.' });
+    }
+    if (typeof req.body?.read !== 'boolean') {
+        return res.status(400).json({ error: 'read must be true or false.' });
+    }
+
+    const updated = await notificationsRepo.update(notification.id, {
+        readAt: req.body.read ? notification.readAt || new Date().toISOString() : null,
+    });
+
+    return res.json({ notification: updated });
+});
+
+// ── POST /api/notifications/read-all ──────────────────────────────────────────
+app.post('/api/notifications/read-all', requireEnrolled, async (req, res) => {
+    const now = new Date().toISOString();
+    let marked = 0;
+    await notificationsRepo.mutate(notifications =>
+        notifications.map((n) => {
+            if (n.userEmail !== req.user.email || n.readAt) return n;
+            marked += 1;
+            return { ...n, readAt: now };
+        })
+    );
+
+    return res.json({ message: 'All notifications marked as read.', marked });
+});
+
+// ── DELETE /api/notifications/:id ─────────────────────────────────────────────
+app.delete('/api/notifications/:id', requireEnrolled, async (req, res) => {
+    const notification = notificationsRepo.find(n => n.id === req.params.id && n.userEmail === req.user.email);
+    if (!notification) {
+        return res.status(404).json({ error: 'Notification not found.' });
+    }
+
+    await notificationsRepo.remove(notification.id);
+
+    return res.json({ message: 'Notification deleted.' });
+});
+
+// ── GET /api/watchlist ────────────────────────────────────────────────────────
+// Query: summary (0 = the stored items only). By default each item comes with
+// its latest value, 30-day change, sparkline and freshness (backend/watchlist.js).
+app.get('/api/watchlist', requirePermission('data:read'), (req, res) => {
+    const items = req.user.watchlist || [];
+    if (req.query.summary === '0') {
+        return res.json({ items });
+    }
+    return res.json({ items: watchlist.summarise(items) });
+});
+
+// ── POST /api/watchlist ───────────────────────────────────────────────────────
+// Body: { type: 'station', stationCode } or { type: 'district', state, district }
+app.post('/api/watchlist', requirePermission('data:read'), async (req, res) => {
+    const { errors, item } = watchlist.validateItem(req.body);
+    if (!item) {
+        return res.status(400).json({ error: 'Invalid watchlist item.', details: errors });
+    }
+    const items = req.user.watchlist || [];
+    if (items.some(i => i.id === item.id)) {
+        return res.status(409).json({ error: 'Already on your watchlist.' });
+    }
+    if (items.length >= watchlist.MAX_ITEMS) {
+        return res.status(400).json({ error: `You can watch at most ${watchlist.MAX_ITEMS} stations and districts.` });
+    }
+
+    const user = await usersRepo.update(req.user.email, (u) => ({
+        ...u,
+        watchlist: [...(u.watchlist || []).filter(i => i.id !== item.id), watchlist.createItem(item)],
+    }));
+
+    return res.status(201).json({ message: 'Added to your watchlist.', items: user.watchlist });
+});
+
+// ── DELETE /api/watchlist/:id ─────────────────────────────────────────────────
+// :id is the item id, URL-encoded ("station%3ACGWHYD0459")
+app.delete('/api/watchlist/:id', requirePermission('data:read'), async (req, res) => {
+    if (!(req.user.watchlist || []).some(i => i.id === req.params.id)) {
+        return res.status(404).json({ error: 'Not on your watchlist.' });
+    }
+
+    const user = await usersRepo.update(req.user.email, (u) => ({
+        ...u,
+        watchlist: (u.watchlist || []).filter(i => i.id !== req.params.id),
+    }));
+
+    return res.json({ message: 'Removed from your watchlist.', items: user.watchlist });
+});
+
+// ── POST /api/imports ─────────────────────────────────────────────────────────
+// multipart/form-data with a single "file" (.csv or .xlsx)
+app.post('/api/imports', requirePermission('samples:import'), uploadFile, async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'Please choose a .csv or .xlsx file.' });
+    }
+
+    try {
+        const parsed = await imports.parseFile(req.file.buffer, req.file.originalname);
+        const importId = imports.storeUpload(req.user.email, req.file.originalname, parsed);
+
+        return res.status(201).json({
+            importId,
+            filename: req.file.originalname,
+            columns: parsed.columns,
+            rowCount: parsed.rows.length,
+            preview: parsed.rows.slice(0, 5),
+            mapping: imports.suggestMapping(parsed.columns),
+        });
+    } catch (err) {
+        if (err instanceof RangeError) {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error('Failed to parse upload:', err.message);
+        return res.status(400).json({ error: 'The file could not be read. Is it a valid CSV or XLSX file?' });
+    }
+});
+
+// ── POST /api/imports/:id/validate ────────────────────────────────────────────
+// Body: { mapping } — returns the validation result for every row
+app.post('/api/imports/:id/validate', requirePermission('samples:import'), (req, res) => {
+    const pending = imports.getUpload(req.params.id, req.user.email);
+    if (!pending) {
+        return res.status(404).json({ error: 'Import not found or expired. Please upload the file again.' });
+    }
+
+    const { results, valid, invalid } = imports.validateRows(pending.rows, req.body.mapping || {}, { stationExists });
+    return res.json({
+        valid,
+        invalid,
+        rows: results.map(({ row, errors, sample }) => ({ row, valid: !!sample, errors })),
+    });
+});
+
+// ── POST /api/imports/:id/commit ──────────────────────────────────────────────
+// Body: { mapping } — saves every valid row in a single write
+app.post('/api/imports/:id/commit', requirePermission('samples:import'), async (req, res) => {
+    const pending = imports.getUpload(req.params.id, req.user.email);
+    if (!pending) {
+        return res.status(404).json({ error: 'Import not found or expired. Please upload the file again.' });
+    }
+
+    const { results, invalid } = imports.validateRows(pending.rows, req.body.mapping || {}, { stationExists });
+    const newSamples = results
+        .filter(r => r.sample)
+        .map(r => createSample(fillLocation(r.sample), req.user.email));
+
+    if (!newSamples.length) {
+        return res.status(400).json({ error: 'No valid rows to import.' });
+    }
+
+    await samplesRepo.insertMany(newSamples);
+    imports.discardUpload(pending.id);
+    await checkSampleAlerts(newSamples);
+
+    return res.status(201).json({
+        message: `Imported ${newSamples.length} sample(s).`,
+        imported: newSamples.length,
+        skipped: invalid,
+    });
+});
+
+// ── GET /api/import-presets ───────────────────────────────────────────────────
+app.get('/api/import-presets', requirePermission('samples:import'), (req, res) => {
+    return res.json({ presets: req.user.importPresets || [] });
+});
+
+// ── POST /api/import-presets ──────────────────────────────────────────────────
+// Body: { name, mapping } — creates or replaces the preset with that name
+app.post('/api/import-presets', requirePermission('samples:import'), async (req, res) => {
+    const name = String(req.body.name || '').trim().slice(0, 60);
+    const { mapping } = req.body;
+    if (!name || !mapping || typeof mapping !== 'object') {
+        return res.status(400).json({ error: 'A preset needs a name and a mapping.' });
+    }
+
+    const user = await usersRepo.update(req.user.email, (u) => ({
+        ...u,
+        importPresets: [
+            ...(u.importPresets || []).filter(p => p.name !== name),
+            { name, mapping, savedAt: new Date().toISOString() },
+        ],
+    }));
+
+    return res.status(201).json({ message: 'Preset saved.', presets: user.importPresets });
+});
+
+// ── DELETE /api/import-presets/:name ──────────────────────────────────────────
+app.delete('/api/import-presets/:name', requirePermission('samples:import'), async (req, res) => {
+    const user = await usersRepo.update(req.user.email, (u) => ({
+        ...u,
+        importPresets: (u.importPresets || []).filter(p => p.name !== req.params.name),
+    }));
+
+    return res.json({ message: 'Preset deleted.', presets: user.importPresets });
+});
+
+// ── GET /api/standards ────────────────────────────────────────────────────────
+app.get('/api/standards', requirePermission('data:read'), (req, res) => {
+    return res.json({ standards: listStandards() });
+});
+
+// ── Start ─────────────────────────────────────────────────────────────────────
+// Pending migrations run (and lock their files) before the first request
+Promise.all(repositories.map(r => r.ready()))
+    .then(() => {
+        app.listen(PORT, () => {
+            console.log(`✅  Auth server running at http://localhost:${PORT}`);
+            console.log(`📄  User data stored in: ${usersRepo.location()}`);
+        });
+
+        // Pick up ingest runs (and so check alert rules) even while nobody is browsing
+        setInterval(openStore, STORE_CHECK_MS).unref();
+    })
+    .catch((err) => {
+        console.error('❌  Could not open the data files:', err.message);
+        process.exit(1);
+    });
@@ -7,12 +7,22 @@
  *  1. Wrap the entire app with <AuthProvider> (provides auth state everywhere)
  *  2. Set up React Router with all routes
  *  3. Apply the Navbar on every page
- *  4. Protect the /dashboard route using <ProtectedRoute>
+ *  4. Protect the /dashboard, /explore, /alerts, /settings, /import and /admin routes using <ProtectedRoute>
  *
  * Route Map:
  *  /login      → AuthPage (Login + Signup tabs)
+ *  /forgot-password → ForgotPasswordPage – request a reset link
+ *  /reset-password  → ResetPasswordPage – choose a new password (?token=)
+ *  /verify-email    → VerifyEmailPage – confirm the email address (?token=)
+ *  /confirm-email   → VerifyEmailPage (mode="change") – confirm a new email address (?token=)
  *  /setup      → ProfileSetupPage (requires login)
  *  /dashboard  → DashboardPage (requires login + profile)
+ *  /explore    → ExplorePage – station data explorer (requires login + profile)
+ *  /alerts     → AlertsPage – alert rules and the notification inbox (requires login + profile)
+ *  /settings   → SettingsPage – profile, email, sign-in methods, two-factor authentication,
+ *                data export, account deletion
+ *  /import     → ImportPage – bulk CSV/XLSX lab result import (requires "samples:import")
+ *  /admin      → AdminPage – user and role management (requires "users:manage")
  *  /           → Redirects to /login
  *  *           → Redirects to /login (404 fallback)
  */
@@ -31,8 +41,16 @@ import Navbar from './components/Navbar';
 
 // Pages
 import AuthPage from './pages/AuthPage';
+import ForgotPasswordPage from './pages/ForgotPasswordPage';
+import ResetPasswordPage from './pages/ResetPasswordPage';
+import VerifyEmailPage from './pages/VerifyEmailPage';
 import ProfileSetupPage from './pages/ProfileSetupPage';
 import DashboardPage from './pages/DashboardPage';
+import ExplorePage from './pages/ExplorePage';
+import AlertsPage from './pages/AlertsPage';
+import ImportPage from './pages/ImportPage';
+import AdminPage from './pages/AdminPage';
+import SettingsPage from './pages/SettingsPage';
 
 function App() {
     return (
@@ -49,6 +67,12 @@ function App() {
                         {/* Login / Signup page */}
                         <Route path="/login" element={<AuthPage />} />
 
+                        {/* Emailed links: password reset and email verification */}
+                        <Route path="/forgot-password" element={<ForgotPasswordPage />} />
+                        <Route path="/reset-password" element={<ResetPasswordPage />} />
+                        <Route path="/verify-email" element={<VerifyEmailPage />} />
+                        <Route path="/confirm-email" element={<VerifyEmailPage mode="change" />} />
+
                         {/* ── Semi-protected: must be logged in ── */}
                         {/* Profile setup (login required, but profile not required) */}
                         <Route path="/setup" element={<ProfileSetupPage />} />
@@ -64,6 +88,56 @@ function App() {
                             }
                         />
 
+                        {/* Station data explorer */}
+                        <Route
+                            path="/explore"
+                            element={
+                                <ProtectedRoute>
+                                    <ExplorePage />
+                                </ProtectedRoute>
+                            }
+                        />
+
+                        {/* Alert rules and notification inbox */}
+                        <Route
+                            path="/alerts"
+                            element={
+                                <ProtectedRoute>
+                                    <AlertsPage />
+                                </ProtectedRoute>
+                            }
+                        />
+
+                        {/* Account settings */}
+                        <Route
+                            path="/settings"
+                            element={
+                                <ProtectedRoute allowWithoutTwoFactor>
+                                    <SettingsPage />
+                                </ProtectedRoute>
+                            }
+                        />
+
+                        {/* Bulk import of lab results */}
+                        <Route
+                            path="/import"
+                            element={
+                                <ProtectedRoute permission="samples:import">
+                                    <ImportPage />
+                                </ProtectedRoute>
+                            }
+                        />
+
+                        {/* Admin console */}
+                        <Route
+                            path="/admin"
+                            element={
+                                <ProtectedRoute permission="users:manage">
+                                    <AdminPage />
+                                </ProtectedRoute>
+                            }
+                        />
+
                         {/* ── Default redirect ── */}
                         {/* Root path → go to login */}
                         <Route path="/" element={<Navigate to="/login" replace />} />
@@ -0,0 +1,41 @@
+/**
+ * AuthCard.jsx
+ * -------------
+ * Centered card with the app logo used by the signed-out pages
+ * (login / signup, forgot password, set new password, verify email).
+ */
+
+import React from 'react';
+
+const AuthCard = ({ title, subtitle, children }) => (
+    <div className="min-h-screen bg-gray-50 flex flex-col justify-center py-12 px-4 sm:px-6 lg:px-8">
+
+        {/* ── Page Header ── */}
+        <div className="sm:mx-auto sm:w-full sm:max-w-md text-center mb-6">
+            {/* Water drop icon */}
+            <div className="flex justify-center mb-3">
+                <div className="w-12 h-12 bg-blue-600 rounded-xl flex items-center justify-center">
+                    <svg
+                        xmlns="http://www.w3.org/2000/svg"
+                        viewBox="0 0 24 24"
+                        fill="white"
+                        className="w-7 h-7"
+                    >
+                        <path d="M12 2.25a.75.75 0 01.612.317l6.75 9a.75.75 0 01.138.433v.75a6.75 6.75 0 01-13.5 0V12a.75.75 0 01.138-.433l6.75-9A.75.75 0 0112 2.25z" />
+                    </svg>
+                </div>
+            </div>
+            <h1 className="text-2xl font-bold text-gray-900">{title || 'Water Quality Monitor'}</h1>
+            {subtitle && <p className="text-sm text-gray-500 mt-1">{subtitle}</p>}
+        </div>
+
+        {/* ── Card ── */}
+        <div className="sm:mx-auto sm:w-full sm:max-w-md">
+            <div className="bg-white border border-gray-200 rounded-xl shadow-card px-6 py-8 sm:px-8">
+                {children}
+            </div>
+        </div>
+    </div>
+);
+
+export default AuthCard;
@@ -0,0 +1,248 @@
+/**
+ * Charts.jsx
+ * -----------
+ * Small dependency-free SVG charts for station time series.
+ *
+ *  - <LineChart>  – continuous series such as a groundwater hydrograph
+ *  - <BarChart>   – period totals such as monthly rainfall
+ *  - <Sparkline>  – an axis-free trend line for summary cards
+ *
+ * All take `data` as [{ time, value }] (the shape returned by
+ * GET /api/stations/:code/readings) and scale to the width of their parent.
+ */
+
+import React, { useState } from 'react';
+
+const WIDTH = 640;
+const HEIGHT = 240;
+const PAD = { top: 16, right: 16, bottom: 32, left: 56 };
+const PLOT_W = WIDTH - PAD.left - PAD.right;
+const PLOT_H = HEIGHT - PAD.top - PAD.bottom;
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+// Round tick values to 1, 2 or 5 × 10^n so axes read naturally
+const niceTicks = (min, max, count = 5) => {
+    if (min === max) {
+        min -= 1;
+        max += 1;
+    }
+    const raw = (max - min) / count;
+    const mag = 10 ** Math.floor(Math.log10(raw));
+    const step = [1, 2, 5, 10].map((m) => m * mag).find((s) => s >= raw);
+    const ticks = [];
+    for (let t = Math.floor(min / step) * step; t <= max + step / 2; t += step) {
+        ticks.push(Number(t.toFixed(10)));
+    }
+    return ticks;
+};
+
+const formatTick = (value) =>
+    Math.abs(value) >= 1000 ? `${(value / 1000).toFixed(1)}k` : String(Number(value.toFixed(2)));
+
+const formatValue = (value) => Number(value.toFixed(2));
+
+const formatDay = (time) =>
+    new Date(`${time.slice(0, 10)}T00:00:00`).toLocaleDateString('en-IN', {
+        day: 'numeric',
+        month: 'short',
+        year: 'numeric',
+    });
+
+const formatMonth = (time) =>
+    new Date(`${time.slice(0, 10)}T00:00:00`).toLocaleDateString('en-IN', { month: 'short', year: '2-digit' });
+
+// Pick roughly `count` evenly spaced indices for x-axis labels
+const labelIndices = (length, count = 6) => {
+    if (length <= count) return [...Array(length).keys()];
+    const step = (length - 1) / (count - 1);
+    return [...Array(count).keys()].map((i) => Math.round(i * step));
+};
+
+// ─── Shared frame: y grid, y labels, empty state ──────────────────────────────
+const Frame = ({ ticks, y, unit, children }) => (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img">
+        {ticks.map((t) => (
+            <g key={t}>
+                <line x1={PAD.left} x2={WIDTH - PAD.right} y1={y(t)} y2={y(t)} stroke="#f3f4f6" />
+                <text x={PAD.left - 8} y={y(t)} dy="0.32em" textAnchor="end" className="fill-gray-400" fontSize="11">
+                    {formatTick(t)}
+                </text>
+            </g>
+        ))}
+        {unit && (
+            <text
+                transform={`translate(14 ${PAD.top + PLOT_H / 2}) rotate(-90)`}
+                textAnchor="middle"
+                className="fill-gray-400"
+                fontSize="11"
+            >
+                {unit}
+            </text>
+        )}
+        {children}
+    </svg>
+);
+
+const Empty = ({ message }) => (
+    <div className="h-40 flex items-center justify-center text-sm text-gray-400">{message}</div>
+);
+
+// ─── Line chart ───────────────────────────────────────────────────────────────
+/**
+ * @param {{ time: string, value: number }[]} data - Sorted by time
+ * @param {string} [unit]  - Y-axis label
+ * @param {string} [color] - Stroke colour
+ */
+export const LineChart = ({ data, unit, color = '#2563eb', emptyMessage = 'No readings available.' }) => {
+    const [hover, setHover] = useState(null);
+    if (!data || data.length === 0) return <Empty message={emptyMessage} />;
+
+    const values = data.map((d) => d.value);
+    const ticks = niceTicks(Math.min(...values), Math.max(...values));
+    const lo = ticks[0];
+    const hi = ticks[ticks.length - 1];
+
+    const times = data.map((d) => new Date(`${d.time.slice(0, 19)}`).getTime());
+    const t0 = times[0];
+    const span = times[times.length - 1] - t0 || 1;
+
+    const x = (i) => PAD.left + ((times[i] - t0) / span) * PLOT_W;
+    const y = (v) => PAD.top + PLOT_H - ((v - lo) / (hi - lo)) * PLOT_H;
+
+    const path = data.map((d, i) => `${i ? 'L' : 'M'}${x(i).toFixed(1)},${y(d.value).toFixed(1)}`).join('');
+
+    // Snap the hover marker to the nearest point
+    const handleMove = (e) => {
+        const box = e.currentTarget.getBoundingClientRect();
+        const px = ((e.clientX - box.left) / box.width) * WIDTH;
+        const target = t0 + ((px - PAD.left) / PLOT_W) * span;
+        let best = 0;
+        times.forEach((t, i) => {
+            if (Math.abs(t - target) < Math.abs(times[best] - target)) best = i;
+        });
+        setHover(best);
+    };
+
+    return (
+        <div className="relative">
+            <Frame ticks={ticks} y={y} unit={unit}>
+                {labelIndices(data.length).map((i) => (
+                    <text key={i} x={x(i)} y={HEIGHT - 10} textAnchor="middle" className="fill-gray-400" fontSize="11">
+                        {formatMonth(data[i].time)}
+                    </text>
+                ))}
+                <path d={path} fill="none" stroke={color} strokeWidth="2" strokeLinejoin="round" />
+                {hover !== null && (
+                    <g>
+                        <line x1={x(hover)} x2={x(hover)} y1={PAD.top} y2={PAD.top + PLOT_H} stroke="#d1d5db" />
+                        <circle cx={x(hover)} cy={y(data[hover].value)} r="4" fill={color} />
+                    </g>
+                )}
+                <rect
+                    x={PAD.left}
+                    y={PAD.top}
+                    width={PLOT_W}
+                    height={PLOT_H}
+                    fill="transparent"
+                    onMouseMove={handleMove}
+                    onMouseLeave={() => setHover(null)}
+                />
+            </Frame>
+            {hover !== null && (
+                <p className="absolute top-0 right-0 text-xs text-gray-600 bg-white/90 px-2 py-1 rounded">
+                    {formatDay(data[hover].time)}: <span className="font-medium">{formatValue(data[hover].value)}</span> {unit}
+                </p>
+            )}
+        </div>
+    );
+};
+
+// ─── Bar chart ────────────────────────────────────────────────────────────────
+/**
+ * @param {{ time: string, value: number }[]} data - One bar per entry, in order
+ * @param {string} [unit]  - Y-axis label
+ * @param {string} [color] - Bar fill
+ */
+export const BarChart = ({ data, unit, color = '#0ea5e9', emptyMessage = 'No readings available.' }) => {
+    const [hover, setHover] = useState(null);
+    if (!data || data.length === 0) return <Empty message={emptyMessage} />;
+
+    const ticks = niceTicks(0, Math.max(...data.map((d) => d.value)) || 1);
+    const hi = ticks[ticks.length - 1];
+
+    const slot = PLOT_W / data.length;
+    const barW = Math.max(1, slot * 0.7);
+    const y = (v) => PAD.top + PLOT_H - (v / hi) * PLOT_H;
+
+    return (
+        <div className="relative">
+            <Frame ticks={ticks} y={y} unit={unit}>
+                {data.map((d, i) => (
+                    <rect
+                        key={d.time}
+                        x={PAD.left + i * slot + (slot - barW) / 2}
+                        y={y(Math.max(d.value, 0))}
+                        width={barW}
+                        height={PAD.top + PLOT_H - y(Math.max(d.value, 0))}
+                        fill={color}
+                        opacity={hover === null || hover === i ? 1 : 0.5}
+                        onMouseEnter={() => setHover(i)}
+                        onMouseLeave={() => setHover(null)}
+                    />
+                ))}
+                {labelIndices(data.length, 8).map((i) => (
+                    <text
+                        key={i}
+                        x={PAD.left + i * slot + slot / 2}
+                        y={HEIGHT - 10}
+                        textAnchor="middle"
+                        className="fill-gray-400"
+                        fontSize="11"
+                    >
+                        {formatMonth(data[i].time)}
+                    </text>
+                ))}
+            </Frame>
+            {hover !== null && (
+                <p className="absolute top-0 right-0 text-xs text-gray-600 bg-white/90 px-2 py-1 rounded">
+                    {formatMonth(data[hover].time)}: <span className="font-medium">{formatValue(data[hover].value)}</span> {unit}
+                </p>
+            )}
+        </div>
+    );
+};
+
+// ─── Sparkline ────────────────────────────────────────────────────────────────
+/**
+ * A tiny axis-free trend line for summary cards. Points are spaced by time,
+ * so gaps in the record show as straight segments.
+ * @param {{ time: string, value: number }[]} data - In time order
+ * @param {string} [color] - Line colour
+ */
+export const Sparkline = ({ data, color = '#2563eb', width = 120, height = 32 }) => {
+    if (!data || data.length < 2) {
+        return <div style={{ width, height }} className="flex items-center text-xs text-gray-400">No trend</div>;
+    }
+
+    const times = data.map((d) => Date.parse(d.time));
+    const values = data.map((d) => d.value);
+    const t0 = times[0];
+    const tSpan = times[times.length - 1] - t0 || 1;
+    const lo = Math.min(...values);
+    const vSpan = Math.max(...values) - lo || 1;
+    const x = (t) => 1 + ((t - t0) / tSpan) * (width - 2);
+    const y = (v) => height - 2 - ((v - lo) / vSpan) * (height - 4);
+
+    return (
+        <svg viewBox={`0 0 ${width} ${height}`} width={width} height={height} role="img" aria-label="Trend">
+            <polyline
+                points={data.map((d, i) => `${x(times[i])},${y(d.value)}`).join(' ')}
+                fill="none"
+                stroke={color}
+                strokeWidth="1.5"
+                strokeLinejoin="round"
+            />
+            <circle cx={x(times[times.length - 1])} cy={y(values[values.length - 1])} r="2" fill={color} />
+        </svg>
+    );
+};
@@ -0,0 +1,60 @@
+/**
+ * ExportButtons.jsx
+ * ------------------
+ * A row of small download links for the /api/exports/* endpoints
+ * (GeoJSON, KML and CSV). The file is fetched with the session cookie,
+ * then saved under the name the server suggests.
+ *
+ * Props:
+ *   downloads – [{ label, path }], path including its query string
+ *   title     – optional text before the links ("Download:")
+ */
+
+import React, { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+
+const ExportButtons = ({ downloads, title = 'Download:' }) => {
+    const { authFetch } = useAuth();
+    const [busy, setBusy] = useState(null); // label being downloaded
+    const [error, setError] = useState('');
+
+    const download = async ({ label, path }) => {
+        setBusy(label);
+        setError('');
+        try {
+            const res = await authFetch(path);
+            if (!res.ok) throw new Error((await res.json()).error);
+            const name = /filename="([^"]+)"/.exec(res.headers.get('Content-Disposition') || '')?.[1] || 'export';
+            const url = URL.createObjectURL(await res.blob());
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = name;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (err) {
+            setError(err.message || 'Could not download the file.');
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    return (
+        <div className="flex flex-wrap items-center gap-x-3 gap-y-1 text-xs">
+            {title && <span className="text-gray-500">{title}</span>}
+            {downloads.map((d) => (
+                <button
+                    key={d.label}
+                    type="button"
+                    onClick={() => download(d)}
+                    disabled={!!busy}
+                    className="font-medium text-blue-600 hover:text-blue-700 disabled:opacity-50"
+                >
+                    {busy === d.label ? 'Preparing...' : d.label}
+                </button>
+            ))}
+            {error && <span className="error-text">{error}</span>}
+        </div>
+    );
+};
+
+export default ExportButtons;
@@ -2,16 +2,20 @@
  * Navbar.jsx
  * -----------
  * Top navigation bar shown on all pages.
- * Displays the app logo and a logout button when the user is logged in.
+ * Displays the app logo and a logout button when the user is logged in,
+ * the user's email linking to their account settings, the notification
+ * bell (see NotificationBell.jsx), plus a link to the admin console for
+ * admins.
  */
 
 import React from 'react';
 import { useAuth } from '../context/AuthContext';
-import { useNavigate } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
+import NotificationBell from './NotificationBell';
 
 
 const Navbar = () => {
-    const { currentUser, logout } = useAuth();
+    const { currentUser, logout, can } = useAuth();
     const navigate = useNavigate();
 
     // Handle logout: clear session and go to login
@@ -49,10 +53,35 @@ const Navbar = () => {
                     {/* ── Right side: user info + logout ── */}
                     {currentUser && (
                         <div className="flex items-center gap-3">
-                            {/* Show user email (truncated on small screens) */}
-                            <span className="hidden sm:block text-sm text-gray-500 truncate max-w-[180px]">
+                            {/* Admin console link */}
+                            {can('users:manage') && (
+                                <Link
+                                    to="/admin"
+                                    className="text-sm font-medium text-blue-600 hover:text-blue-700"
+                                >
+                                    Admin
+                                </Link>
+                            )}
+
+                            {/* Alert notifications */}
+                            <NotificationBell />
+
+                            {/* Settings link on small screens, where the email is hidden */}
+                            <Link
+                                to="/settings"
+                                className="sm:hidden text-sm font-medium text-gray-600 hover:text-gray-900"
+                            >
+                                Settings
+                            </Link>
+
+                            {/* User email (truncated on small screens) → account settings */}
+                            <Link
+                                to="/settings"
+                                className="hidden sm:block text-sm text-gray-500 hover:text-gray-900 truncate max-w-[180px]"
+                                title="Account settings"
+                            >
                                 {currentUser}
-                            </span>
+                            </Link>
 
                             {/* Logout button */}
                             <button
@@ -0,0 +1,93 @@
+/**
+ * NearbyStations.jsx
+ * -------------------
+ * "Stations near you" – the groundwater wells and rain gauges closest to
+ * the city on the user's profile (GET /api/stations/nearby?near=profile).
+ *
+ * The city is located with the server's offline gazetteer; when it isn't
+ * listed, the district or state centre is used and the card says so.
+ * Each station links to its detail panel in the Data Explorer.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+
+const COUNT = 5;
+
+const DATASET_LABELS = { groundwater: 'Groundwater well', rainfall: 'Rain gauge' };
+
+const formatDate = (time) =>
+    time
+        ? new Date(time).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' })
+        : '—';
+
+const NearbyStations = () => {
+    const { authFetch, profile } = useAuth();
+    const [result, setResult] = useState(null);
+    const [error, setError] = useState('');
+
+    // The server locates the profile's place itself; reload when it changes
+    useEffect(() => {
+        if (!profile?.city) return;
+        setResult(null);
+        setError('');
+        authFetch(`/api/stations/nearby?near=profile&k=${COUNT}`)
+            .then(async (r) => {
+                const data = await r.json();
+                if (!r.ok) throw new Error(data.error);
+                setResult(data);
+            })
+            .catch((err) => setError(err.message || 'Could not load nearby stations.'));
+    }, [authFetch, profile?.city, profile?.state]);
+
+    if (!profile?.city) return null;
+    const { origin, stations = [] } = result || {};
+
+    return (
+        <div className="bg-white border border-gray-200 rounded-xl shadow-card overflow-hidden">
+            <div className="px-6 py-4 border-b border-gray-100">
+                <h3 className="text-base font-semibold text-gray-900">Stations near you</h3>
+                <p className="text-xs text-gray-500 mt-0.5">
+                    {origin
+                        ? origin.approximate
+                            ? `${profile.city} isn't in our gazetteer – measured from the centre of ${origin.name}`
+                            : `Nearest monitoring stations to ${origin.name}, ${origin.state}`
+                        : `Nearest monitoring stations to ${profile.city}`}
+                </p>
+            </div>
+
+            {error && <p className="px-6 py-4 error-text">{error}</p>}
+            {!error && !result && <p className="px-6 py-4 text-sm text-gray-500">Finding stations...</p>}
+
+            {result && (
+                <ul className="divide-y divide-gray-100">
+                    {stations.map((s) => (
+                        <li key={s.stationCode}>
+                            <Link
+                                to={`/explore?station=${encodeURIComponent(s.stationCode)}`}
+                                className="px-6 py-3 flex items-center justify-between gap-4 hover:bg-gray-50"
+                            >
+                                <div className="min-w-0">
+                                    <p className="text-sm font-medium text-gray-900 truncate">{s.stationName}</p>
+                                    <p className="text-xs text-gray-500 mt-0.5">
+                                        {DATASET_LABELS[s.dataset] || s.dataset} · {s.district}, {s.state}
+                                        {' · '}last reading {formatDate(s.lastReading)}
+                                    </p>
+                                </div>
+                                <span className="flex-shrink-0 text-sm font-medium text-blue-700">
+                                    {s.distanceKm.toFixed(1)} km
+                                </span>
+                            </Link>
+                        </li>
+                    ))}
+                    {stations.length === 0 && (
+                        <li className="px-6 py-8 text-center text-sm text-gray-500">No stations found.</li>
+                    )}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default NearbyStations;
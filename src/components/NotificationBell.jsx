@@ -0,0 +1,162 @@
+/**
+ * NotificationBell.jsx
+ * ---------------------
+ * Bell icon in the navbar with the number of unread notifications raised
+ * by the user's alert rules (GET /api/notifications).
+ *
+ * Clicking it opens the newest notifications: opening one marks it read
+ * and follows its link, and each can be toggled back to unread. The
+ * unread count is refreshed every minute and whenever the panel opens;
+ * rules and the full inbox live on the /alerts page.
+ */
+
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+
+const POLL_MS = 60 * 1000;
+const SHOWN = 8;
+
+const formatDateTime = (iso) =>
+    new Date(iso).toLocaleString('en-IN', {
+        day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit',
+    });
+
+const NotificationBell = () => {
+    const { authFetch } = useAuth();
+    const navigate = useNavigate();
+    const [open, setOpen] = useState(false);
+    const [notifications, setNotifications] = useState([]);
+    const [unread, setUnread] = useState(0);
+    const panelRef = useRef(null);
+
+    const load = useCallback(() =>
+        authFetch(`/api/notifications?limit=${SHOWN}`)
+            .then((r) => (r.ok ? r.json() : null))
+            .then((data) => {
+                if (!data) return;
+                setNotifications(data.notifications);
+                setUnread(data.unread);
+            })
+            .catch(() => { }), [authFetch]);
+
+    useEffect(() => {
+        load();
+        const timer = setInterval(load, POLL_MS);
+        return () => clearInterval(timer);
+    }, [load]);
+
+    // Close when clicking anywhere outside the panel
+    useEffect(() => {
+        if (!open) return undefined;
+        const handleClick = (e) => {
+            if (panelRef.current && !panelRef.current.contains(e.target)) setOpen(false);
+        };
+        document.addEventListener('mousedown', handleClick);
+        return () => document.removeEventListener('mousedown', handleClick);
+    }, [open]);
+
+    const setRead = async (notification, read) => {
+        await authFetch(`/api/notifications/${notification.id}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ read }),
+        });
+        await load();
+    };
+
+    const openNotification = async (notification) => {
+        if (!notification.readAt) await setRead(notification, true);
+        setOpen(false);
+        if (notification.link) navigate(notification.link);
+    };
+
+    const markAllRead = async () => {
+        await authFetch('/api/notifications/read-all', { method: 'POST' });
+        await load();
+    };
+
+    return (
+        <div className="relative" ref={panelRef}>
+            <button
+                type="button"
+                onClick={() => {
+                    if (!open) load();
+                    setOpen(!open);
+                }}
+                className="relative flex items-center justify-center w-9 h-9 rounded-lg text-gray-500 hover:bg-gray-50 hover:text-gray-900"
+                aria-label={unread ? `Notifications (${unread} unread)` : 'Notifications'}
+            >
+                {/* Bell icon */}
+                <svg
+                    xmlns="http://www.w3.org/2000/svg"
+                    fill="none"
+                    viewBox="0 0 24 24"
+                    strokeWidth={1.5}
+                    stroke="currentColor"
+                    className="w-5 h-5"
+                >
+                    <path
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                        d="M14.857 17.082a23.848 23.848 0 005.454-1.31A8.967 8.967 0 0118 9.75V9A6 6 0 006 9v.75a8.967 8.967 0 01-2.312 6.022c1.733.64 3.56 1.085 5.455 1.31m5.714 0a24.255 24.255 0 01-5.714 0m5.714 0a3 3 0 11-5.714 0"
+                    />
+                </svg>
+                {unread > 0 && (
+                    <span className="absolute -top-0.5 -right-0.5 min-w-[18px] h-[18px] px-1 rounded-full bg-red-600 text-white text-[10px] font-semibold leading-[18px] text-center">
+                        {unread > 99 ? '99+' : unread}
+                    </span>
+                )}
+            </button>
+
+            {open && (
+                <div className="absolute right-0 mt-2 w-80 sm:w-96 bg-white border border-gray-200 rounded-xl shadow-card overflow-hidden">
+                    <div className="px-4 py-3 border-b border-gray-100 flex items-center justify-between">
+                        <h3 className="text-sm font-semibold text-gray-900">Notifications</h3>
+                        {unread > 0 && (
+                            <button type="button" onClick={markAllRead} className="text-xs font-medium text-blue-600 hover:text-blue-700">
+                                Mark all read
+                            </button>
+                        )}
+                    </div>
+
+                    <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+                        {notifications.map((n) => (
+                            <li key={n.id} className={`px-4 py-3 flex gap-3 ${n.readAt ? '' : 'bg-blue-50'}`}>
+                                <button type="button" onClick={() => openNotification(n)} className="min-w-0 flex-1 text-left">
+                                    <p className={`text-sm truncate ${n.readAt ? 'text-gray-700' : 'font-medium text-gray-900'}`}>{n.title}</p>
+                                    <p className="text-xs text-gray-500 mt-0.5 line-clamp-2">{n.message}</p>
+                                    <p className="text-xs text-gray-400 mt-0.5">{formatDateTime(n.createdAt)}</p>
+                                </button>
+                                <button
+                                    type="button"
+                                    onClick={() => setRead(n, !n.readAt)}
+                                    className="flex-shrink-0 self-start text-xs text-gray-400 hover:text-gray-600"
+                                    title={n.readAt ? 'Mark as unread' : 'Mark as read'}
+                                >
+                                    {n.readAt ? 'Unread' : 'Read'}
+                                </button>
+                            </li>
+                        ))}
+                        {notifications.length === 0 && (
+                            <li className="px-4 py-8 text-center text-sm text-gray-500">No notifications yet.</li>
+                        )}
+                    </ul>
+
+                    <button
+                        type="button"
+                        onClick={() => {
+                            setOpen(false);
+                            navigate('/alerts');
+                        }}
+                        className="w-full px-4 py-2.5 border-t border-gray-100 text-sm font-medium text-blue-600 hover:bg-gray-50"
+                    >
+                        Manage alerts and see all notifications
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default NotificationBell;
@@ -6,20 +6,30 @@
  * Logic:
  *  - Not logged in → redirect to /login
  *  - Logged in but no profile → redirect to /setup
- *  - Logged in + profile complete → show the page
+ *  - Role requires two-factor authentication and the user hasn't enrolled
+ *    → redirect to /settings (unless `allowWithoutTwoFactor`)
+ *  - `permission` given and the user's role lacks it → redirect to /dashboard
+ *  - Otherwise → show the page
+ *
+ * The backend enforces the same permissions on every API route; this only
+ * keeps users away from pages they couldn't use anyway.
  *
  * Usage:
  *   <ProtectedRoute>
  *     <Dashboard />
  *   </ProtectedRoute>
+ *
+ *   <ProtectedRoute permission="users:manage">
+ *     <AdminPage />
+ *   </ProtectedRoute>
  */
 
 import React from 'react';
 import { Navigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 
-const ProtectedRoute = ({ children }) => {
-    const { currentUser, isProfileComplete } = useAuth();
+const ProtectedRoute = ({ children, permission, allowWithoutTwoFactor }) => {
+    const { currentUser, isProfileComplete, can, twoFactorSetupRequired } = useAuth();
 
     // Not logged in → go to login page
     if (!currentUser) {
@@ -31,6 +41,16 @@ const ProtectedRoute = ({ children }) => {
         return <Navigate to="/setup" replace />;
     }
 
+    // Must enrol in two-factor authentication first → account settings
+    if (twoFactorSetupRequired && !allowWithoutTwoFactor) {
+        return <Navigate to="/settings" replace />;
+    }
+
+    // Role doesn't allow this page → back to the dashboard
+    if (permission && !can(permission)) {
+        return <Navigate to="/dashboard" replace />;
+    }
+
     // All good → show the protected page
     return children;
 };
@@ -0,0 +1,314 @@
+/**
+ * StationMap.jsx
+ * ---------------
+ * Offline station map drawn entirely in SVG – no tile server needed, so it
+ * keeps working in field offices with poor connectivity.
+ *
+ * Features:
+ *  - State boundaries from the bundled src/data/india-states.geo.json
+ *    (from the MIT-licensed "geojson-india" package, coordinates rounded)
+ *  - Zoom (mouse wheel / buttons) and pan (drag)
+ *  - Grid clustering of nearby markers; clicking a cluster zooms into it
+ *  - Marker colour by the station's latest value: depth to water for
+ *    groundwater wells (circles), rainfall for rain gauges (squares)
+ *  - Clicking a marker calls onSelect(station)
+ */
+
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import indiaStates from '../data/india-states.geo.json';
+
+const WIDTH = 600;
+const CELL = 26;       // cluster grid size, in screen (viewBox) units
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 40;
+
+// ─── Projection ───────────────────────────────────────────────────────────────
+// Equirectangular with the longitude squashed by cos(22°), which keeps
+// India's shape close enough at this scale.
+const LON_SCALE = Math.cos((22 * Math.PI) / 180);
+
+const eachPoint = (coords, fn) =>
+    typeof coords[0] === 'number' ? fn(coords) : coords.forEach((c) => eachPoint(c, fn));
+
+const boundsOf = (geometries) => {
+    const b = { minLon: Infinity, maxLon: -Infinity, minLat: Infinity, maxLat: -Infinity };
+    geometries.forEach((g) =>
+        eachPoint(g.coordinates, ([lon, lat]) => {
+            b.minLon = Math.min(b.minLon, lon);
+            b.maxLon = Math.max(b.maxLon, lon);
+            b.minLat = Math.min(b.minLat, lat);
+            b.maxLat = Math.max(b.maxLat, lat);
+        })
+    );
+    return b;
+};
+
+const INDIA = boundsOf(indiaStates.features.map((f) => f.geometry));
+const SCALE = WIDTH / ((INDIA.maxLon - INDIA.minLon) * LON_SCALE);
+const HEIGHT = Math.round((INDIA.maxLat - INDIA.minLat) * SCALE);
+
+const project = (lon, lat) => [
+    (lon - INDIA.minLon) * LON_SCALE * SCALE,
+    (INDIA.maxLat - lat) * SCALE,
+];
+
+const ringToPath = (ring) =>
+    ring.map(([lon, lat], i) => {
+        const [x, y] = project(lon, lat);
+        return `${i ? 'L' : 'M'}${x.toFixed(1)},${y.toFixed(1)}`;
+    }).join('') + 'Z';
+
+const geometryToPath = (geometry) => {
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    return polygons.map((rings) => rings.map(ringToPath).join('')).join('');
+};
+
+// Pre-computed once: the state outlines never change
+const STATE_SHAPES = indiaStates.features.map((f) => ({
+    name: f.properties.name,
+    path: geometryToPath(f.geometry),
+    bounds: boundsOf([f.geometry]),
+}));
+
+// ─── View transforms ──────────────────────────────────────────────────────────
+// A view is { k: zoom, x, y: translation } in viewBox units
+
+// Convert a mouse event over the svg to viewBox coordinates
+const toViewBox = (svg, e) => {
+    const box = svg.getBoundingClientRect();
+    return [((e.clientX - box.left) / box.width) * WIDTH, ((e.clientY - box.top) / box.height) * HEIGHT];
+};
+
+// Zoom by `factor` keeping the viewBox point (px, py) fixed
+const zoomView = (v, factor, px = WIDTH / 2, py = HEIGHT / 2) => {
+    const k = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, v.k * factor));
+    const f = k / v.k;
+    return { k, x: px - (px - v.x) * f, y: py - (py - v.y) * f };
+};
+
+// The view that fits a lon/lat bounding box
+const boundsView = (b) => {
+    const [x0, y0] = project(b.minLon, b.maxLat);
+    const [x1, y1] = project(b.maxLon, b.minLat);
+    const k = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, 0.85 * Math.min(WIDTH / (x1 - x0 || 1), HEIGHT / (y1 - y0 || 1))));
+    return { k, x: WIDTH / 2 - k * (x0 + x1) / 2, y: HEIGHT / 2 - k * (y0 + y1) / 2 };
+};
+
+// ─── Marker colours ───────────────────────────────────────────────────────────
+// Groundwater: depth to water level in metres (HGZ is positive depth,
+// GGZ negative level below ground – both are shown as depth).
+const DEPTH_SCALE = [
+    { max: 5, color: '#1d4ed8', label: '< 5 m' },
+    { max: 10, color: '#0ea5e9', label: '5 – 10 m' },
+    { max: 20, color: '#eab308', label: '10 – 20 m' },
+    { max: 40, color: '#f97316', label: '20 – 40 m' },
+    { max: Infinity, color: '#dc2626', label: '> 40 m' },
+];
+
+// Rainfall in mm, loosely following IMD intensity classes
+const RAIN_SCALE = [
+    { max: 0, color: '#d1d5db', label: 'Dry' },
+    { max: 2.5, color: '#a5f3fc', label: '< 2.5 mm' },
+    { max: 15.5, color: '#22d3ee', label: '2.5 – 15.5 mm' },
+    { max: 64.4, color: '#0284c7', label: '15.5 – 64.4 mm' },
+    { max: Infinity, color: '#312e81', label: '> 64.4 mm' },
+];
+
+const NO_DATA = '#9ca3af';
+
+const markerColor = (station) => {
+    if (station.latestValue == null) return NO_DATA;
+    const scale = station.dataset === 'rainfall' ? RAIN_SCALE : DEPTH_SCALE;
+    const value = station.dataset === 'rainfall' ? station.latestValue : Math.abs(station.latestValue);
+    return scale.find((s) => value <= s.max).color;
+};
+
+// ─── Legend ───────────────────────────────────────────────────────────────────
+const LegendRow = ({ title, scale, square }) => (
+    <div className="flex flex-wrap items-center gap-x-3 gap-y-1">
+        <span className="text-xs font-medium text-gray-500 w-full sm:w-auto">{title}</span>
+        {scale.map((s) => (
+            <span key={s.label} className="inline-flex items-center gap-1 text-xs text-gray-600">
+                <span className={`w-2.5 h-2.5 ${square ? '' : 'rounded-full'}`} style={{ background: s.color }} />
+                {s.label}
+            </span>
+        ))}
+    </div>
+);
+
+// ─── Main StationMap ──────────────────────────────────────────────────────────
+/**
+ * @param {object[]} stations     - Stations with latitude, longitude, dataset, latestValue
+ * @param {string}   [selectedCode]
+ * @param {function} onSelect     - Called with the clicked station
+ * @param {string}   [focusState] - Zoom to this state's outline when it changes
+ */
+const StationMap = ({ stations, selectedCode, onSelect, focusState }) => {
+    const svgRef = useRef(null);
+    const drag = useRef(null);
+    const [view, setView] = useState({ k: 1, x: 0, y: 0 });
+
+    const zoomAt = (factor, px, py) => setView((v) => zoomView(v, factor, px, py));
+    const fitBounds = (b) => setView(boundsView(b));
+
+    useEffect(() => {
+        const shape = STATE_SHAPES.find((s) => s.name.toLowerCase() === focusState?.toLowerCase());
+        setView(shape ? boundsView(shape.bounds) : { k: 1, x: 0, y: 0 });
+    }, [focusState]);
+
+    // Wheel zoom needs a non-passive listener so the page doesn't scroll
+    useEffect(() => {
+        const svg = svgRef.current;
+        const onWheel = (e) => {
+            e.preventDefault();
+            const [px, py] = toViewBox(svg, e);
+            setView((v) => zoomView(v, e.deltaY < 0 ? 1.25 : 0.8, px, py));
+        };
+        svg.addEventListener('wheel', onWheel, { passive: false });
+        return () => svg.removeEventListener('wheel', onWheel);
+    }, []);
+
+    // ── Drag to pan ──
+    const handlePointerDown = (e) => {
+        const [px, py] = toViewBox(svgRef.current, e);
+        drag.current = { px, py, view, moved: false };
+    };
+    const handlePointerMove = (e) => {
+        if (!drag.current) return;
+        const [px, py] = toViewBox(svgRef.current, e);
+        const dx = px - drag.current.px;
+        const dy = py - drag.current.py;
+        if (Math.abs(dx) + Math.abs(dy) > 3) drag.current.moved = true;
+        if (drag.current.moved) {
+            setView({ ...drag.current.view, x: drag.current.view.x + dx, y: drag.current.view.y + dy });
+        }
+    };
+    const handlePointerUp = () => {
+        // Keep `moved` readable by the click handler that fires next
+        setTimeout(() => { drag.current = null; }, 0);
+    };
+    const wasDrag = () => drag.current?.moved;
+
+    // ── Project + cluster in screen space for the current zoom ──
+    const points = useMemo(
+        () =>
+            stations
+                .filter((s) => s.latitude != null && s.longitude != null)
+                .map((s) => ({ station: s, xy: project(s.longitude, s.latitude) })),
+        [stations]
+    );
+
+    const clusters = useMemo(() => {
+        const cells = new Map();
+        for (const p of points) {
+            const sx = view.k * p.xy[0] + view.x;
+            const sy = view.k * p.xy[1] + view.y;
+            if (sx < -CELL || sy < -CELL || sx > WIDTH + CELL || sy > HEIGHT + CELL) continue;
+            const key = `${Math.floor(sx / CELL)}:${Math.floor(sy / CELL)}`;
+            if (!cells.has(key)) cells.set(key, { members: [], sx: 0, sy: 0 });
+            const c = cells.get(key);
+            c.members.push(p);
+            c.sx += sx;
+            c.sy += sy;
+        }
+        return [...cells.values()].map((c) => ({ ...c, sx: c.sx / c.members.length, sy: c.sy / c.members.length }));
+    }, [points, view]);
+
+    const zoomToCluster = (cluster) => {
+        const b = boundsOf([{
+            coordinates: cluster.members.map((m) => [m.station.longitude, m.station.latitude]),
+        }]);
+        const pad = 0.05;
+        fitBounds({ minLon: b.minLon - pad, maxLon: b.maxLon + pad, minLat: b.minLat - pad, maxLat: b.maxLat + pad });
+    };
+
+    return (
+        <div className="space-y-3">
+            <div className="relative border border-gray-200 rounded-lg overflow-hidden bg-sky-50">
+                <svg
+                    ref={svgRef}
+                    viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+                    className="w-full h-auto touch-none cursor-grab active:cursor-grabbing select-none"
+                    onPointerDown={handlePointerDown}
+                    onPointerMove={handlePointerMove}
+                    onPointerUp={handlePointerUp}
+                    onPointerLeave={handlePointerUp}
+                >
+                    {/* State outlines */}
+                    <g transform={`translate(${view.x} ${view.y}) scale(${view.k})`}>
+                        {STATE_SHAPES.map((s) => (
+                            <path
+                                key={s.name}
+                                d={s.path}
+                                fill={s.name.toLowerCase() === focusState?.toLowerCase() ? '#eff6ff' : '#ffffff'}
+                                stroke="#cbd5e1"
+                                strokeWidth="0.8"
+                                vectorEffect="non-scaling-stroke"
+                            >
+                                <title>{s.name}</title>
+                            </path>
+                        ))}
+                    </g>
+
+                    {/* Markers and clusters, drawn at constant screen size */}
+                    {clusters.map((c) => {
+                        if (c.members.length > 1) {
+                            const r = Math.min(18, 8 + Math.sqrt(c.members.length) * 2);
+                            return (
+                                <g
+                                    key={`c-${c.members[0].station.stationCode}`}
+                                    className="cursor-pointer"
+                                    onClick={() => !wasDrag() && zoomToCluster(c)}
+                                >
+                                    <circle cx={c.sx} cy={c.sy} r={r} fill="#1e3a8a" fillOpacity="0.8" stroke="#fff" strokeWidth="1.5" />
+                                    <text x={c.sx} y={c.sy} dy="0.35em" textAnchor="middle" fontSize="10" fill="#fff" fontWeight="600">
+                                        {c.members.length}
+                                    </text>
+                                    <title>{c.members.length} stations – click to zoom in</title>
+                                </g>
+                            );
+                        }
+
+                        const { station } = c.members[0];
+                        const selected = station.stationCode === selectedCode;
+                        const size = selected ? 7 : 5;
+                        const common = {
+                            fill: markerColor(station),
+                            stroke: selected ? '#111827' : '#ffffff',
+                            strokeWidth: selected ? 2 : 1.2,
+                            className: 'cursor-pointer',
+                            onClick: () => !wasDrag() && onSelect(station),
+                        };
+                        return station.dataset === 'rainfall' ? (
+                            <rect key={station.stationCode} x={c.sx - size} y={c.sy - size} width={size * 2} height={size * 2} {...common}>
+                                <title>{station.stationName} ({station.stationCode})</title>
+                            </rect>
+                        ) : (
+                            <circle key={station.stationCode} cx={c.sx} cy={c.sy} r={size} {...common}>
+                                <title>{station.stationName} ({station.stationCode})</title>
+                            </circle>
+                        );
+                    })}
+                </svg>
+
+                {/* Zoom controls */}
+                <div className="absolute top-2 right-2 flex flex-col bg-white border border-gray-200 rounded-lg shadow-sm overflow-hidden">
+                    <button type="button" onClick={() => zoomAt(1.5)} className="w-8 h-8 text-gray-700 hover:bg-gray-50" aria-label="Zoom in">+</button>
+                    <button type="button" onClick={() => zoomAt(1 / 1.5)} className="w-8 h-8 text-gray-700 hover:bg-gray-50 border-t border-gray-200" aria-label="Zoom out">−</button>
+                    <button type="button" onClick={() => setView({ k: 1, x: 0, y: 0 })} className="w-8 h-8 text-xs text-gray-700 hover:bg-gray-50 border-t border-gray-200" aria-label="Show all of India">⤢</button>
+                </div>
+            </div>
+
+            <div className="space-y-1.5">
+                <LegendRow title="Wells – depth to water:" scale={DEPTH_SCALE} />
+                <LegendRow title="Rain gauges – latest reading:" scale={RAIN_SCALE} square />
+                <span className="inline-flex items-center gap-1 text-xs text-gray-600">
+                    <span className="w-2.5 h-2.5 rounded-full" style={{ background: NO_DATA }} />
+                    No recent value
+                </span>
+            </div>
+        </div>
+    );
+};
+
+export default StationMap;
@@ -0,0 +1,174 @@
+/**
+ * WatchlistCards.jsx
+ * -------------------
+ * "Your watchlist" on the dashboard – one card per station or district the
+ * user starred in the Data Explorer (GET /api/watchlist).
+ *
+ * Each card shows the latest value (water level below ground for wells and
+ * districts with wells, daily rainfall for gauges), the 30-day change, a
+ * 90-day sparkline and a freshness badge, and links back to the Explorer.
+ * Items can be removed from here.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { Sparkline } from './Charts';
+
+const FRESHNESS = {
+    fresh: { label: 'Up to date', className: 'bg-green-50 text-green-700' },
+    lagging: { label: 'Lagging', className: 'bg-amber-50 text-amber-700' },
+    stale: { label: 'Stale', className: 'bg-red-50 text-red-700' },
+    none: { label: 'No data', className: 'bg-gray-100 text-gray-500' },
+};
+
+const formatDate = (time) =>
+    new Date(time).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' });
+
+const signed = (value, digits) => `${value > 0 ? '+' : ''}${value.toFixed(digits)}`;
+
+// Levels are relative to ground (negative = below), shown as a depth
+const latestText = (item) => {
+    if (!item.latest) return '—';
+    if (item.metric === 'rainfall') return `${item.latest.value.toFixed(1)} mm`;
+    return item.latest.value <= 0
+        ? `${Math.abs(item.latest.value).toFixed(2)} m bgl`
+        : `${item.latest.value.toFixed(2)} ${item.unit}`;
+};
+
+const changeText = (item) => {
+    if (item.change?.value == null) return 'No 30-day change';
+    if (item.metric === 'rainfall') {
+        return `${item.change.total.toFixed(1)} mm in 30 days (${signed(item.change.value, 1)} mm)`;
+    }
+    if (item.change.value === 0) return 'Unchanged over 30 days';
+    return `${item.change.value > 0 ? 'Rose' : 'Fell'} ${Math.abs(item.change.value).toFixed(2)} m in 30 days`;
+};
+
+const explorerLink = (item) =>
+    item.type === 'station'
+        ? `/explore?station=${encodeURIComponent(item.stationCode)}`
+        : `/explore?state=${encodeURIComponent(item.state)}&district=${encodeURIComponent(item.district)}`;
+
+// ─── One watched item ─────────────────────────────────────────────────────────
+const WatchCard = ({ item, onRemove }) => {
+    const badge = FRESHNESS[item.freshness?.status] || FRESHNESS.none;
+    const rising = item.change?.value > 0;
+
+    if (item.missing) {
+        return (
+            <li className="border border-gray-200 rounded-lg p-4 flex items-center justify-between gap-3">
+                <p className="text-sm text-gray-500">
+                    {item.stationCode || `${item.district}, ${item.state}`} is no longer in the station catalog.
+                </p>
+                <button type="button" onClick={() => onRemove(item)} className="text-xs text-gray-400 hover:text-gray-600">
+                    Remove
+                </button>
+            </li>
+        );
+    }
+
+    return (
+        <li className="border border-gray-200 rounded-lg p-4">
+            <div className="flex items-start justify-between gap-3">
+                <div className="min-w-0">
+                    <Link to={explorerLink(item)} className="text-sm font-medium text-gray-900 hover:text-blue-700 truncate block">
+                        {item.label}
+                    </Link>
+                    <p className="text-xs text-gray-500 mt-0.5 truncate">
+                        {item.type === 'district'
+                            ? `District · ${item.place} · ${item.stations.groundwater} well(s), ${item.stations.rainfall} gauge(s)`
+                            : `${item.dataset === 'groundwater' ? 'Groundwater well' : 'Rain gauge'} · ${item.place}`}
+                    </p>
+                </div>
+                <span
+                    className={`flex-shrink-0 px-2 py-0.5 rounded-full text-xs font-medium ${badge.className}`}
+                    title={item.freshness?.lastReading
+                        ? `Last reading ${formatDate(item.freshness.lastReading)} (${item.freshness.ageDays} days ago)`
+                        : 'No readings'}
+                >
+                    {badge.label}
+                </span>
+            </div>
+
+            <div className="mt-3 flex items-end justify-between gap-3">
+                <div className="min-w-0">
+                    <p className="text-lg font-semibold text-gray-900">{latestText(item)}</p>
+                    <p className={`text-xs mt-0.5 ${item.metric === 'level' && item.change?.value ? (rising ? 'text-green-700' : 'text-red-700') : 'text-gray-500'}`}>
+                        {changeText(item)}
+                    </p>
+                    {item.latest && (
+                        <p className="text-xs text-gray-400 mt-0.5">
+                            {item.type === 'district' && item.metric === 'level' ? 'Mean of the wells · ' : ''}
+                            as of {formatDate(item.latest.time)}
+                        </p>
+                    )}
+                </div>
+                <Sparkline data={item.sparkline} color={item.metric === 'rainfall' ? '#0ea5e9' : '#2563eb'} />
+            </div>
+
+            <div className="mt-3 flex justify-end">
+                <button type="button" onClick={() => onRemove(item)} className="text-xs text-gray-400 hover:text-gray-600">
+                    Remove
+                </button>
+            </div>
+        </li>
+    );
+};
+
+// ─── Watchlist card grid ──────────────────────────────────────────────────────
+const WatchlistCards = () => {
+    const { authFetch } = useAuth();
+    const [items, setItems] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        authFetch('/api/watchlist')
+            .then(async (r) => {
+                const data = await r.json();
+                if (!r.ok) throw new Error(data.error);
+                setItems(data.items);
+            })
+            .catch((err) => setError(err.message || 'Could not load your watchlist.'));
+    }, [authFetch]);
+
+    const remove = async (item) => {
+        const res = await authFetch(`/api/watchlist/${encodeURIComponent(item.id)}`, { method: 'DELETE' });
+        if (!res.ok) {
+            setError((await res.json()).error || 'Could not update your watchlist.');
+            return;
+        }
+        setItems((current) => current.filter((i) => i.id !== item.id));
+    };
+
+    return (
+        <div className="bg-white border border-gray-200 rounded-xl shadow-card overflow-hidden">
+            <div className="px-6 py-4 border-b border-gray-100">
+                <h3 className="text-base font-semibold text-gray-900">Your watchlist</h3>
+                <p className="text-xs text-gray-500 mt-0.5">
+                    Stations and districts you follow · star more in the{' '}
+                    <Link to="/explore" className="text-blue-600 hover:text-blue-700">Data Explorer</Link>
+                </p>
+            </div>
+
+            {error && <p className="px-6 py-4 error-text">{error}</p>}
+            {!error && !items && <p className="px-6 py-4 text-sm text-gray-500">Loading your watchlist...</p>}
+
+            {items && items.length === 0 && (
+                <p className="px-6 py-8 text-center text-sm text-gray-500">
+                    You aren't watching anything yet. Open a station or pick a district in the Data Explorer and click "Watch".
+                </p>
+            )}
+
+            {items && items.length > 0 && (
+                <ul className="p-4 grid grid-cols-1 sm:grid-cols-2 gap-3">
+                    {items.map((item) => (
+                        <WatchCard key={item.id} item={item} onRemove={remove} />
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default WatchlistCards;
@@ -0,0 +1,237 @@
+/**
+ * WaterDataPanel.jsx
+ * -------------------
+ * Lists the logged-in user's water-quality samples together with their
+ * compliance evaluation (GET /api/samples?standard=...).
+ *
+ * Users can switch the standards profile (BIS IS 10500:2012, WHO, ...)
+ * and expand a sample to see the verdict for every parameter. Lab results
+ * kept in spreadsheets can be brought in through the /import wizard, and
+ * the samples downloaded as CSV, GeoJSON or KML (GET /api/exports/samples).
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import ExportButtons from './ExportButtons';
+
+// ─── Verdict styling ──────────────────────────────────────────────────────────
+const OVERALL_STYLES = {
+    potable: { label: 'Potable', className: 'bg-green-50 text-green-700 border-green-200' },
+    'conditionally-potable': { label: 'Conditionally potable', className: 'bg-amber-50 text-amber-700 border-amber-200' },
+    unsafe: { label: 'Unsafe', className: 'bg-red-50 text-red-700 border-red-200' },
+    'not-evaluated': { label: 'Not evaluated', className: 'bg-gray-50 text-gray-600 border-gray-200' },
+};
+
+const VERDICT_STYLES = {
+    acceptable: { label: 'Acceptable', className: 'text-green-700' },
+    permissible: { label: 'Permissible', className: 'text-amber-700' },
+    exceeds: { label: 'Exceeds limit', className: 'text-red-700' },
+    'not-covered': { label: 'No limit', className: 'text-gray-400' },
+};
+
+const SOURCE_LABELS = { borewell: 'Borewell', tap: 'Tap', river: 'River', tank: 'Tank' };
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+// Render a { min, max } limit as "6.5 – 8.5", "≤ 500" or "≥ 2"
+const formatRange = (range) => {
+    if (!range) return '—';
+    if (range.min !== undefined && range.max !== undefined) return `${range.min} – ${range.max}`;
+    if (range.max !== undefined) return `≤ ${range.max}`;
+    return `≥ ${range.min}`;
+};
+
+const formatDate = (iso) =>
+    new Date(iso).toLocaleString('en-IN', {
+        day: 'numeric',
+        month: 'short',
+        year: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+    });
+
+// ─── Overall badge ────────────────────────────────────────────────────────────
+const OverallBadge = ({ overall }) => {
+    const style = OVERALL_STYLES[overall] || OVERALL_STYLES['not-evaluated'];
+    return (
+        <span className={`inline-flex items-center px-2.5 py-0.5 text-xs font-medium border rounded-full ${style.className}`}>
+            {style.label}
+        </span>
+    );
+};
+
+// ─── Parameter table for one sample ───────────────────────────────────────────
+const ParameterTable = ({ parameters }) => (
+    <table className="w-full text-sm mt-3">
+        <thead>
+            <tr className="text-left text-xs text-gray-400 uppercase tracking-wide">
+                <th className="py-2 font-medium">Parameter</th>
+                <th className="py-2 font-medium">Result</th>
+                <th className="py-2 font-medium hidden sm:table-cell">Acceptable</th>
+                <th className="py-2 font-medium hidden sm:table-cell">Permissible</th>
+                <th className="py-2 font-medium">Verdict</th>
+            </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-100">
+            {Object.entries(parameters).map(([key, p]) => {
+                const verdict = VERDICT_STYLES[p.verdict] || VERDICT_STYLES['not-covered'];
+                return (
+                    <tr key={key}>
+                        <td className="py-2 text-gray-700">{p.label}</td>
+                        <td className="py-2 text-gray-900 font-medium">
+                            {p.value} <span className="text-xs text-gray-400">{p.unit}</span>
+                        </td>
+                        <td className="py-2 text-gray-500 hidden sm:table-cell">{formatRange(p.acceptable)}</td>
+                        <td className="py-2 text-gray-500 hidden sm:table-cell">{formatRange(p.permissible)}</td>
+                        <td className={`py-2 font-medium ${verdict.className}`}>{verdict.label}</td>
+                    </tr>
+                );
+            })}
+        </tbody>
+    </table>
+);
+
+// ─── Main WaterDataPanel ──────────────────────────────────────────────────────
+const WaterDataPanel = () => {
+    const { authFetch, can } = useAuth();
+
+    const [standards, setStandards] = useState([]);
+    const [standard, setStandard] = useState('');
+    const [samples, setSamples] = useState([]);
+    const [expanded, setExpanded] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    // Load the available standards profiles once. Without any, no samples
+    // can be evaluated, so there is nothing to load.
+    useEffect(() => {
+        authFetch('/api/standards')
+            .then(async r => {
+                const data = await r.json();
+                const list = (r.ok && data.standards) || [];
+                setStandards(list);
+                if (!list.length) {
+                    setError(data.error || 'No standards profiles are available, so samples cannot be evaluated.');
+                    setLoading(false);
+                    return;
+                }
+                setStandard((list.find(s => s.default) || list[0]).id);
+            })
+            .catch(() => {
+                setError('Cannot connect to the server. Make sure the backend is running.');
+                setLoading(false);
+            });
+    }, [authFetch]);
+
+    // (Re)load samples whenever the selected standard changes
+    useEffect(() => {
+        if (!standard) return;
+        setLoading(true);
+        authFetch(`/api/samples?standard=${encodeURIComponent(standard)}`)
+            .then(async r => {
+                const data = await r.json();
+                if (!r.ok) throw new Error(data.error);
+                setSamples(data.samples || []);
+                setError('');
+            })
+            .catch(err => setError(err.message || 'Could not load samples.'))
+            .finally(() => setLoading(false));
+    }, [authFetch, standard]);
+
+    const selected = standards.find(s => s.id === standard);
+
+    return (
+        <div className="bg-white border border-gray-200 rounded-xl shadow-card overflow-hidden">
+
+            {/* ── Header + standard picker ── */}
+            <div className="px-6 py-4 border-b border-gray-100 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+                <div>
+                    <h3 className="text-base font-semibold text-gray-900">Your Water Samples</h3>
+                    <p className="text-xs text-gray-500 mt-0.5">Compliance with drinking-water standards</p>
+                </div>
+                <div className="flex items-center gap-3">
+                    {can('samples:import') && (
+                        <Link to="/import" className="text-sm font-medium text-blue-600 hover:text-blue-700 whitespace-nowrap">
+                            Import results
+                        </Link>
+                    )}
+                    <select
+                        value={standard}
+                        onChange={(e) => setStandard(e.target.value)}
+                        className="input-field sm:w-64"
+                        aria-label="Standards profile"
+                    >
+                        {standards.map(s => (
+                            <option key={s.id} value={s.id}>{s.name}</option>
+                        ))}
+                    </select>
+                </div>
+            </div>
+
+            {samples.length > 0 && (
+                <div className="px-6 pt-3">
+                    <ExportButtons
+                        downloads={['csv', 'geojson', 'kml'].map(format => ({
+                            label: format === 'geojson' ? 'GeoJSON' : format.toUpperCase(),
+                            path: `/api/exports/samples?format=${format}`,
+                        }))}
+                    />
+                </div>
+            )}
+
+            {selected?.notes && (
+                <p className="px-6 pt-3 text-xs text-gray-400">{selected.notes}</p>
+            )}
+
+            {/* ── Body ── */}
+            <div className="px-6 py-4">
+                {error && (
+                    <div className="bg-red-50 border border-red-200 rounded-lg px-4 py-3 text-sm text-red-700">
+                        {error}
+                    </div>
+                )}
+
+                {!error && loading && (
+                    <p className="text-sm text-gray-500">Loading samples...</p>
+                )}
+
+                {!error && !loading && samples.length === 0 && (
+                    <p className="text-sm text-gray-500">You have not recorded any samples yet.</p>
+                )}
+
+                {!error && !loading && samples.length > 0 && (
+                    <ul className="divide-y divide-gray-100">
+                        {samples.map(sample => (
+                            <li key={sample.id} className="py-3">
+                                <button
+                                    type="button"
+                                    onClick={() => setExpanded(expanded === sample.id ? null : sample.id)}
+                                    className="w-full flex items-center justify-between gap-3 text-left"
+                                >
+                                    <div className="min-w-0">
+                                        <p className="text-sm font-medium text-gray-900">
+                                            {SOURCE_LABELS[sample.sourceType] || sample.sourceType}
+                                            {sample.stationCode && (
+                                                <span className="text-gray-400 font-normal"> · {sample.stationCode}</span>
+                                            )}
+                                        </p>
+                                        <p className="text-xs text-gray-500 mt-0.5">
+                                            {formatDate(sample.collectedAt)} · {sample.latitude.toFixed(4)}, {sample.longitude.toFixed(4)}
+                                        </p>
+                                    </div>
+                                    <OverallBadge overall={sample.compliance?.overall} />
+                                </button>
+
+                                {expanded === sample.id && sample.compliance && (
+                                    <ParameterTable parameters={sample.compliance.parameters} />
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default WaterDataPanel;
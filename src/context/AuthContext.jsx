@@ -5,11 +5,17 @@
  * All sign-up / sign-in data is now persisted to data/users.json
  * via the Express backend running on http://localhost:5000.
  *
- * The current session (logged-in email) is still kept in
- * localStorage so the user stays logged in on page refresh.
+ * The session lives in httpOnly cookies set by the backend (signed access
+ * and refresh tokens), so every request is sent with credentials. On page
+ * load the session is restored with GET /api/me; an expired access token
+ * is renewed transparently via POST /api/auth/refresh.
+ *
+ * Accounts with two-factor authentication sign in in two steps: login()
+ * or googleLogin() leaves a pending `twoFactorChallenge`, and
+ * verifyTwoFactor() completes the sign-in with the authenticator code.
  */
 
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
 
 // ─── 1. Create the Context ────────────────────────────────────────────────────
 const AuthContext = createContext(null);
@@ -18,56 +24,82 @@ const AuthContext = createContext(null);
 // The React dev server proxies /api/* to localhost:5000 (see package.json proxy).
 const API = 'http://localhost:5000';
 
-// ─── 3. Session key (localStorage) ───────────────────────────────────────────
-const SESSION_KEY = 'wqm_current'; // stores the logged-in user's email
+// ─── 3. Legacy session key ───────────────────────────────────────────────────
+// Older builds kept the logged-in email here; it is cleared on load.
+const LEGACY_SESSION_KEY = 'wqm_current';
+
+// JSON POST with the session cookies attached
+const postJson = (path, body) =>
+    fetch(`${API}${path}`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+    });
+
+// Refresh in progress, shared by every caller. Refresh tokens are single-use
+// (backend/sessions.js): two parallel refreshes would look like token reuse
+// and revoke the session.
+let refreshing = null;
+
+// Ask the backend for a fresh token pair; resolves to the user or null
+const refreshSession = () => {
+    if (!refreshing) {
+        refreshing = fetch(`${API}/api/auth/refresh`, { method: 'POST', credentials: 'include' })
+            .then(r => (r.ok ? r.json() : null))
+            .then(data => data?.user || null)
+            .catch(() => null)
+            .finally(() => { refreshing = null; });
+    }
+    return refreshing;
+};
 
 // ─── 4. AuthProvider Component ────────────────────────────────────────────────
 export const AuthProvider = ({ children }) => {
     const [currentUser, setCurrentUser] = useState(null); // email string or null
     const [profile, setProfile] = useState(null); // profile object or null
+    const [role, setRole] = useState(null); // 'student' | 'researcher' | 'lab-technician' | 'admin'
+    const [permissions, setPermissions] = useState([]); // granted by the role (backend/roles.js)
     const [loading, setLoading] = useState(true); // true while restoring session
+    const [unverifiedEmail, setUnverifiedEmail] = useState(null); // last login blocked by verification
+    const [twoFactorChallenge, setTwoFactorChallenge] = useState(null); // sign-in waiting for the 2FA code
+    const [twoFactorSetupRequired, setTwoFactorSetupRequired] = useState(false); // role requires 2FA, not enrolled yet
 
-    // ── On app load: restore session from localStorage ──────────────────────────
-    useEffect(() => {
-        const savedEmail = localStorage.getItem(SESSION_KEY);
-        if (savedEmail) {
-            setCurrentUser(savedEmail);
-            // Fetch the profile from the backend
-            fetch(`${API}/api/users`)
-                .then(r => r.json())
-                .then(data => {
-                    const user = (data.users || []).find(u => u.email === savedEmail);
-                    setProfile(user?.profile || null);
-                })
-                .catch(() => { }) // ignore network errors on restore
-                .finally(() => setLoading(false));
-        } else {
-            setLoading(false);
-        }
+    // Apply a user object returned by the backend (or null to sign out locally)
+    const applyUser = useCallback((user) => {
+        setCurrentUser(user?.email || null);
+        setProfile(user?.profile || null);
+        setRole(user?.role || null);
+        setPermissions(user?.permissions || []);
+        setTwoFactorSetupRequired(!!user?.twoFactorSetupRequired);
     }, []);
 
+    // ── On app load: restore the session from the cookies ───────────────────────
+    useEffect(() => {
+        localStorage.removeItem(LEGACY_SESSION_KEY);
+        fetch(`${API}/api/me`, { credentials: 'include' })
+            .then(r => (r.ok ? r.json().then(data => data.user) : refreshSession()))
+            .then(applyUser)
+            .catch(() => { }) // ignore network errors on restore
+            .finally(() => setLoading(false));
+    }, [applyUser]);
+
     // ── SIGNUP ──────────────────────────────────────────────────────────────────
     /**
      * Register a new user via POST /api/signup.
+     * The account must be verified from the emailed link before logging in.
      * @returns {Promise<string|null>} Error message, or null on success.
      */
     const signup = async (email, password) => {
         try {
-            const res = await fetch(`${API}/api/signup`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ email, password }),
-            });
+            const res = await postJson('/api/signup', { email, password });
             const data = await res.json();
 
             if (!res.ok) {
                 return data.error || 'Signup failed. Please try again.';
             }
 
-            // Auto-login after signup
-            localStorage.setItem(SESSION_KEY, email);
-            setCurrentUser(email);
-            setProfile(null); // Profile not set yet
+            setUnverifiedEmail(email);
 
             return null; // null = no error
         } catch {
@@ -78,25 +110,25 @@ export const AuthProvider = ({ children }) => {
     // ── LOGIN ───────────────────────────────────────────────────────────────────
     /**
      * Log in an existing user via POST /api/login.
+     * With two-factor authentication on, success only sets twoFactorChallenge;
+     * finish with verifyTwoFactor().
      * @returns {Promise<string|null>} Error message, or null on success.
      */
     const login = async (email, password) => {
         try {
-            const res = await fetch(`${API}/api/login`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ email, password }),
-            });
+            const res = await postJson('/api/login', { email, password });
             const data = await res.json();
 
+            setUnverifiedEmail(data.code === 'EMAIL_NOT_VERIFIED' ? email : null);
             if (!res.ok) {
                 return data.error || 'Login failed. Please try again.';
             }
+            if (data.twoFactorRequired) {
+                setTwoFactorChallenge(data.challenge);
+                return null;
+            }
 
-            // Save session
-            localStorage.setItem(SESSION_KEY, email);
-            setCurrentUser(email);
-            setProfile(data.profile || null);
+            applyUser(data.user);
 
             return null; // null = no error
         } catch {
@@ -104,35 +136,240 @@ export const AuthProvider = ({ children }) => {
         }
     };
 
+    // ── TWO-FACTOR SIGN-IN ──────────────────────────────────────────────────────
+    /**
+     * Second sign-in step via POST /api/login/2fa.
+     * @param {string} code - From the authenticator app, or a recovery code
+     * @returns {Promise<string|null>} Error message, or null on success.
+     */
+    const verifyTwoFactor = async (code) => {
+        try {
+            const res = await postJson('/api/login/2fa', { challenge: twoFactorChallenge, code });
+            const data = await res.json();
+            if (!res.ok) {
+                if (data.code === 'CHALLENGE_EXPIRED') setTwoFactorChallenge(null);
+                return data.error || 'Verification failed. Please try again.';
+            }
+            setTwoFactorChallenge(null);
+            applyUser(data.user);
+            return null;
+        } catch {
+            return 'Cannot connect to the server. Make sure the backend is running.';
+        }
+    };
+
+    // Abandon a sign-in that is waiting for the code
+    const cancelTwoFactor = () => setTwoFactorChallenge(null);
+
+    // ── EMAIL VERIFICATION & PASSWORD RESET ─────────────────────────────────────
+    // All return an error message, or null on success.
+
+    /**
+     * Confirm an email address with the token from the emailed link.
+     * Signs the user in on success.
+     */
+    const verifyEmail = async (token) => {
+        try {
+            const res = await postJson('/api/verify-email', { token });
+            const data = await res.json();
+            if (!res.ok) return data.error || 'Verification failed.';
+            setUnverifiedEmail(null);
+            applyUser(data.user);
+            return null;
+        } catch {
+            return 'Cannot connect to the server. Make sure the backend is running.';
+        }
+    };
+
+    // Send the verification link again
+    const resendVerification = async (email) => {
+        try {
+            const res = await postJson('/api/verify-email/resend', { email });
+            return res.ok ? null : (await res.json()).error || 'Could not resend the email.';
+        } catch {
+            return 'Cannot connect to the server. Make sure the backend is running.';
+        }
+    };
+
+    // Email a password reset link
+    const requestPasswordReset = async (email) => {
+        try {
+            const res = await postJson('/api/password/forgot', { email });
+            return res.ok ? null : (await res.json()).error || 'Could not send the reset email.';
+        } catch {
+            return 'Cannot connect to the server. Make sure the backend is running.';
+        }
+    };
+
+    // Set a new password with the token from the reset link
+    const resetPassword = async (token, password) => {
+        try {
+            const res = await postJson('/api/password/reset', { token, password });
+            return res.ok ? null : (await res.json()).error || 'Could not reset the password.';
+        } catch {
+            return 'Cannot connect to the server. Make sure the backend is running.';
+        }
+    };
+
     // ── LOGOUT ──────────────────────────────────────────────────────────────────
+    // Revokes the session server-side; local state is cleared immediately.
     const logout = () => {
-        localStorage.removeItem(SESSION_KEY);
-        setCurrentUser(null);
-        setProfile(null);
+        applyUser(null);
+        return fetch(`${API}/api/logout`, { method: 'POST', credentials: 'include' }).catch(() => { });
     };
 
     // ── SAVE PROFILE ────────────────────────────────────────────────────────────
     /**
      * Save the user's profile data via POST /api/profile.
      * @param {object} profileData - The profile fields to save.
+     * @returns {Promise<string|null>} Error message, or null on success
      */
     const saveProfile = async (profileData) => {
         try {
-            const res = await fetch(`${API}/api/profile`, {
+            const res = await authFetch('/api/profile', {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ email: currentUser, profile: profileData }),
+                body: JSON.stringify({ profile: profileData }),
             });
             const data = await res.json();
 
-            if (res.ok) {
-                setProfile(data.profile);
+            if (!res.ok) {
+                return Object.values(data.details || {})[0] || data.error || 'Could not save the profile.';
             }
+            setProfile(data.profile);
+            return null;
         } catch {
             console.error('Failed to save profile to server.');
+            return 'Cannot connect to the server. Make sure the backend is running.';
         }
     };
 
+    // ── ACCOUNT ─────────────────────────────────────────────────────────────────
+    // All return an error message, or null on success.
+
+    // Email a confirmation link to a new address (needs the current password)
+    const requestEmailChange = async (email, password) => {
+        try {
+            const res = await authFetch('/api/account/email', {
+                method: 'POST',
+                body: JSON.stringify({ email, password }),
+            });
+            return res.ok ? null : (await res.json()).error || 'Could not change the email address.';
+        } catch {
+            return 'Cannot connect to the server. Make sure the backend is running.';
+        }
+    };
+
+    // Switch to the new address with the token from the confirmation link
+    const confirmEmailChange = async (token) => {
+        try {
+            const res = await postJson('/api/account/email/confirm', { token });
+            const data = await res.json();
+            if (!res.ok) return data.error || 'Could not confirm the new email address.';
+            applyUser(data.user);
+            return null;
+        } catch {
+            return 'Cannot connect to the server. Make sure the backend is running.';
+        }
+    };
+
+    // Link the Google account behind a credential from <GoogleLogin>
+    const linkGoogle = async (credential) => {
+        try {
+            const res = await authFetch('/api/account/google', {
+                method: 'POST',
+                body: JSON.stringify({ credential }),
+            });
+            return res.ok ? null : (await res.json()).error || 'Could not link the Google account.';
+        } catch {
+            return 'Cannot connect to the server. Make sure the backend is running.';
+        }
+    };
+
+    const unlinkGoogle = async () => {
+        try {
+            const res = await authFetch('/api/account/google', { method: 'DELETE' });
+            return res.ok ? null : (await res.json()).error || 'Could not unlink the Google account.';
+        } catch {
+            return 'Cannot connect to the server. Make sure the backend is running.';
+        }
+    };
+
+    // Change the password (or set a first one on a Google-only account)
+    const changePassword = async (currentPassword, password) => {
+        try {
+            const res = await authFetch('/api/account/password', {
+                method: 'POST',
+                body: JSON.stringify({ currentPassword, password }),
+            });
+            return res.ok ? null : (await res.json()).error || 'Could not change the password.';
+        } catch {
+            return 'Cannot connect to the server. Make sure the backend is running.';
+        }
+    };
+
+    /**
+     * Permanently delete the account. Signs out locally on success.
+     * @param {string} confirm  - The user's email, typed as confirmation
+     * @param {string} password - Not needed for Google-only accounts
+     */
+    const deleteAccount = async (confirm, password) => {
+        try {
+            const res = await authFetch('/api/account', {
+                method: 'DELETE',
+                body: JSON.stringify({ confirm, password }),
+            });
+            if (!res.ok) return (await res.json()).error || 'Could not delete the account.';
+            applyUser(null);
+            return null;
+        } catch {
+            return 'Cannot connect to the server. Make sure the backend is running.';
+        }
+    };
+
+    // ── AUTHENTICATED FETCH ─────────────────────────────────────────────────────
+    /**
+     * fetch() wrapper for endpoints that need the session
+     * (e.g. /api/samples). Prefixes the backend URL and sends the cookies.
+     * String bodies are sent as JSON; FormData bodies keep the browser's
+     * multipart Content-Type. A 401 triggers a token refresh and one retry;
+     * requests failing at the same time wait for the same refresh. If it
+     * fails the user is signed out locally. The function is stable across
+     * renders, so components can list it as an effect dependency.
+     * @param {string} path    - e.g. '/api/samples'
+     * @param {object} options - Regular fetch() options
+     * @returns {Promise<Response>}
+     */
+    const authFetch = useCallback(async (path, options = {}) => {
+        const send = () =>
+            fetch(`${API}${path}`, {
+                ...options,
+                credentials: 'include',
+                headers: {
+                    ...(typeof options.body === 'string' ? { 'Content-Type': 'application/json' } : {}),
+                    ...options.headers,
+                },
+            });
+
+        const res = await send();
+        if (res.status !== 401) return res;
+
+        const user = await refreshSession();
+        if (!user) {
+            applyUser(null);
+            return res;
+        }
+        return send();
+    }, [applyUser]);
+
+    // Reload the signed-in user (e.g. after enrolling in two-factor authentication)
+    const refreshUser = useCallback(async () => {
+        const res = await authFetch('/api/me');
+        if (!res.ok) return null;
+        const { user } = await res.json();
+        applyUser(user);
+        return user;
+    }, [authFetch, applyUser]);
+
     // ── GOOGLE LOGIN ─────────────────────────────────────────────────────────────
     /**
      * Sign in / sign up via Google OAuth credential token.
@@ -142,20 +379,18 @@ export const AuthProvider = ({ children }) => {
      */
     const googleLogin = async (credential) => {
         try {
-            const res = await fetch(`${API}/api/google-auth`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ credential }),
-            });
+            const res = await postJson('/api/google-auth', { credential });
             const data = await res.json();
 
             if (!res.ok) {
                 return data.error || 'Google sign-in failed.';
             }
+            if (data.twoFactorRequired) {
+                setTwoFactorChallenge(data.challenge);
+                return null;
+            }
 
-            localStorage.setItem(SESSION_KEY, data.email);
-            setCurrentUser(data.email);
-            setProfile(data.profile || null);
+            applyUser(data.user);
             return null;
         } catch {
             return 'Cannot connect to the server. Make sure the backend is running.';
@@ -166,12 +401,31 @@ export const AuthProvider = ({ children }) => {
     const value = {
         currentUser,                    // email string or null
         profile,                        // profile object or null
+        role,                           // role name or null
+        can: (permission) => permissions.includes(permission), // permission check for UI
         loading,                        // boolean
         signup,                         // async function
         login,                          // async function
         googleLogin,                    // async function
         logout,                         // function
+        unverifiedEmail,                // email awaiting verification, or null
+        twoFactorChallenge,             // pending two-factor sign-in, or null
+        verifyTwoFactor,                // async function
+        cancelTwoFactor,                // function
+        twoFactorSetupRequired,         // role requires 2FA and the user hasn't enrolled
+        refreshUser,                    // async function
+        verifyEmail,                    // async function
+        resendVerification,             // async function
+        requestPasswordReset,           // async function
+        resetPassword,                  // async function
         saveProfile,                    // async function
+        requestEmailChange,             // async function
+        confirmEmailChange,             // async function
+        deleteAccount,                  // async function
+        linkGoogle,                     // async function
+        unlinkGoogle,                   // async function
+        changePassword,                 // async function
+        authFetch,                      // fetch wrapper for user-scoped API calls
         isProfileComplete: !!profile,   // boolean shorthand
     };
 
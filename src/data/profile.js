@@ -0,0 +1,56 @@
+/**
+ * profile.js
+ * -----------
+ * Profile form options and validation, shared by the first-time setup page
+ * and the settings page. The backend applies the same rules
+ * (backend/account.js).
+ */
+
+// ─── List of Indian States ────────────────────────────────────────────────────
+export const INDIAN_STATES = [
+    'Andhra Pradesh', 'Arunachal Pradesh', 'Assam', 'Bihar', 'Chhattisgarh',
+    'Goa', 'Gujarat', 'Haryana', 'Himachal Pradesh', 'Jharkhand', 'Karnataka',
+    'Kerala', 'Madhya Pradesh', 'Maharashtra', 'Manipur', 'Meghalaya', 'Mizoram',
+    'Nagaland', 'Odisha', 'Punjab', 'Rajasthan', 'Sikkim', 'Tamil Nadu',
+    'Telangana', 'Tripura', 'Uttar Pradesh', 'Uttarakhand', 'West Bengal',
+    'Delhi', 'Jammu & Kashmir', 'Ladakh', 'Puducherry', 'Chandigarh',
+];
+
+export const PROFILE_LABELS = {
+    fullName: 'Full Name',
+    phone: 'Phone Number',
+    city: 'City',
+    state: 'State',
+    email: 'Email',
+};
+
+/**
+ * Validate the profile form.
+ * @param {{ fullName: string, phone: string, city: string, state: string }} form
+ * @returns {object} Error message per field (empty when valid)
+ */
+export const validateProfile = (form) => {
+    const errors = {};
+
+    if (!form.fullName.trim()) {
+        errors.fullName = 'Full name is required.';
+    } else if (form.fullName.trim().length < 2) {
+        errors.fullName = 'Name must be at least 2 characters.';
+    }
+
+    if (!form.phone.trim()) {
+        errors.phone = 'Phone number is required.';
+    } else if (!/^[6-9]\d{9}$/.test(form.phone.trim())) {
+        errors.phone = 'Enter a valid 10-digit Indian mobile number.';
+    }
+
+    if (!form.city.trim()) {
+        errors.city = 'City is required.';
+    }
+
+    if (!form.state) {
+        errors.state = 'Please select your state.';
+    }
+
+    return errors;
+};
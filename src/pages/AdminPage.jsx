@@ -0,0 +1,401 @@
+/**
+ * AdminPage.jsx
+ * --------------
+ * Admin console (requires the "users:manage" permission).
+ *
+ * Lists every account with its sign-up source (password or Google),
+ * role, status and whether the email address is verified. Admins can change roles and disable / re-enable
+ * accounts via PATCH /api/admin/users/:email. Their own row is read-only
+ * so an admin can't lock themselves out.
+ *
+ * Accounts locked after repeated failed logins show a "Locked" badge with
+ * an unlock button, and recent security events (lockouts, unlocks) are
+ * listed below the table.
+ *
+ * The two-factor policy card picks the roles that must use two-factor
+ * authentication; users who lost their authenticator can have it reset.
+ */
+
+import React, { useCallback, useEffect, useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+
+const ROLE_LABELS = {
+    student: 'Student',
+    researcher: 'Researcher',
+    'lab-technician': 'Lab technician',
+    admin: 'Admin',
+};
+
+const formatDate = (iso) =>
+    iso
+        ? new Date(iso).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' })
+        : '—';
+
+const formatDateTime = (iso) =>
+    new Date(iso).toLocaleString('en-IN', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+
+// One line describing a security event
+const describeEvent = (e) => {
+    const target = e.scope === 'ip' ? `IP ${e.key}` : e.key;
+    if (e.type === 'lockout') {
+        return `${target} locked until ${formatDateTime(e.lockedUntil)} after repeated failed logins` +
+            (e.lockouts > 1 ? ` (lockout #${e.lockouts})` : '');
+    }
+    if (e.type === 'unlock') return `${target} unlocked by ${e.by}`;
+    if (e.type === 'two-factor-enabled') return `${e.email} turned on two-factor authentication`;
+    if (e.type === 'two-factor-disabled') return `${e.email} turned off two-factor authentication`;
+    if (e.type === 'two-factor-reset') return `Two-factor authentication of ${e.email} reset by ${e.by}`;
+    if (e.type === 'recovery-code-used') return `${e.email} signed in with a recovery code (${e.remaining} left)`;
+    if (e.type === 'two-factor-policy') {
+        const roles = e.roles.map((r) => ROLE_LABELS[r] || r).join(', ');
+        return `Two-factor authentication ${roles ? `required for ${roles}` : 'made optional for all roles'} by ${e.by}`;
+    }
+    return `${e.type}: ${target}`;
+};
+
+// ─── Sign-up source badge ─────────────────────────────────────────────────────
+const SourceBadge = ({ source }) => (
+    <span
+        className={`inline-flex items-center px-2 py-0.5 text-xs font-medium border rounded-full ${source === 'google'
+            ? 'bg-amber-50 text-amber-700 border-amber-200'
+            : 'bg-gray-50 text-gray-600 border-gray-200'
+            }`}
+    >
+        {source === 'google' ? 'Google' : 'Password'}
+    </span>
+);
+
+// ─── Two-factor policy ────────────────────────────────────────────────────────
+const TwoFactorPolicy = ({ onSaved }) => {
+    const { authFetch } = useAuth();
+    const [policy, setPolicy] = useState(null); // { roles, available, updatedAt }
+    const [selected, setSelected] = useState([]);
+    const [status, setStatus] = useState(null);
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        authFetch('/api/admin/2fa-policy')
+            .then((r) => (r.ok ? r.json() : null))
+            .then((data) => {
+                if (!data) return;
+                setPolicy(data);
+                setSelected(data.roles);
+            })
+            .catch(() => { });
+    }, [authFetch]);
+
+    if (!policy) return null;
+
+    const toggle = (role) => {
+        setSelected((list) => (list.includes(role) ? list.filter((r) => r !== role) : [...list, role]));
+        setStatus(null);
+    };
+
+    const save = async () => {
+        setSaving(true);
+        setStatus(null);
+        try {
+            const res = await authFetch('/api/admin/2fa-policy', {
+                method: 'PUT',
+                body: JSON.stringify({ roles: selected }),
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error);
+            setPolicy(data);
+            setStatus({ type: 'success', text: 'Policy saved.' });
+            onSaved();
+        } catch (err) {
+            setStatus({ type: 'error', text: err.message || 'Could not save the policy.' });
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const changed = [...selected].sort().join() !== [...policy.roles].sort().join();
+
+    return (
+        <div className="bg-white border border-gray-200 rounded-xl shadow-card">
+            <div className="px-4 py-3 border-b border-gray-100">
+                <h2 className="text-sm font-semibold text-gray-900">Two-factor authentication policy</h2>
+                <p className="text-xs text-gray-500">
+                    Users with these roles must set up an authenticator app before they can use the app
+                    {policy.updatedAt && ` · last changed ${formatDateTime(policy.updatedAt)}`}
+                </p>
+            </div>
+            <div className="px-4 py-4 space-y-4">
+                {status && (
+                    <div
+                        className={`border rounded-lg px-4 py-3 text-sm ${status.type === 'error'
+                            ? 'bg-red-50 border-red-200 text-red-700'
+                            : 'bg-green-50 border-green-200 text-green-700'
+                            }`}
+                    >
+                        {status.text}
+                    </div>
+                )}
+                <div className="flex flex-wrap gap-x-6 gap-y-2">
+                    {policy.available.map((role) => (
+                        <label key={role} className="flex items-center gap-2 text-sm text-gray-700">
+                            <input
+                                type="checkbox"
+                                checked={selected.includes(role)}
+                                onChange={() => toggle(role)}
+                                className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                            />
+                            {ROLE_LABELS[role] || role}
+                        </label>
+                    ))}
+                </div>
+                <button type="button" onClick={save} disabled={saving || !changed} className="btn-primary sm:w-auto disabled:opacity-50">
+                    {saving ? 'Saving...' : 'Save policy'}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+// ─── Main AdminPage ───────────────────────────────────────────────────────────
+const AdminPage = () => {
+    const { authFetch, currentUser, refreshUser } = useAuth();
+
+    const [users, setUsers] = useState([]);
+    const [roles, setRoles] = useState([]);
+    const [search, setSearch] = useState('');
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [saving, setSaving] = useState(null); // email being updated
+    const [events, setEvents] = useState([]);
+
+    const loadEvents = useCallback(() =>
+        authFetch('/api/admin/security-events?limit=20')
+            .then((r) => (r.ok ? r.json() : { events: [] }))
+            .then((data) => setEvents(data.events))
+            .catch(() => { }), [authFetch]);
+
+    const loadUsers = useCallback(() =>
+        authFetch('/api/admin/users')
+            .then(async (r) => {
+                const data = await r.json();
+                if (!r.ok) throw new Error(data.error);
+                setUsers(data.users);
+                setRoles(data.roles);
+            })
+            .catch((err) => setError(err.message || 'Could not load users.'))
+            .finally(() => setLoading(false)), [authFetch]);
+
+    useEffect(() => {
+        loadUsers();
+        loadEvents();
+    }, [loadUsers, loadEvents]);
+
+    // PATCH one user and swap the returned record into the list
+    const updateUser = async (email, changes) => {
+        setSaving(email);
+        setError('');
+        try {
+            const res = await authFetch(`/api/admin/users/${encodeURIComponent(email)}`, {
+                method: 'PATCH',
+                body: JSON.stringify(changes),
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error);
+            setUsers((list) => list.map((u) => (u.email === email ? data.user : u)));
+        } catch (err) {
+            setError(err.message || 'Could not update the user.');
+        } finally {
+            setSaving(null);
+        }
+    };
+
+    // Lift a failed-login lockout
+    const unlockUser = async (email) => {
+        setSaving(email);
+        setError('');
+        try {
+            const res = await authFetch(`/api/admin/users/${encodeURIComponent(email)}/unlock`, { method: 'POST' });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error);
+            setUsers((list) => list.map((u) => (u.email === email ? { ...u, lockedUntil: null } : u)));
+            loadEvents();
+        } catch (err) {
+            setError(err.message || 'Could not unlock the account.');
+        } finally {
+            setSaving(null);
+        }
+    };
+
+    // For users who lost their authenticator and their recovery codes
+    const resetTwoFactor = async (email) => {
+        if (!window.confirm(`Reset two-factor authentication for ${email}? They will be able to sign in with their password alone.`)) return;
+        setSaving(email);
+        setError('');
+        try {
+            const res = await authFetch(`/api/admin/users/${encodeURIComponent(email)}/2fa`, { method: 'DELETE' });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error);
+            setUsers((list) => list.map((u) => (u.email === email ? { ...data.user, lockedUntil: u.lockedUntil } : u)));
+            loadEvents();
+        } catch (err) {
+            setError(err.message || 'Could not reset two-factor authentication.');
+        } finally {
+            setSaving(null);
+        }
+    };
+
+    const term = search.trim().toLowerCase();
+    const visible = users.filter(
+        (u) =>
+            !term ||
+            u.email.toLowerCase().includes(term) ||
+            u.profile?.fullName?.toLowerCase().includes(term)
+    );
+
+    return (
+        <div className="min-h-screen bg-gray-50 py-10 px-4">
+            <div className="max-w-5xl mx-auto space-y-6">
+
+                {/* ── Header ── */}
+                <div className="flex flex-col sm:flex-row sm:items-end sm:justify-between gap-3">
+                    <div>
+                        <h1 className="text-2xl font-bold text-gray-900">Admin Console</h1>
+                        <p className="text-sm text-gray-500 mt-1">
+                            {users.length} account(s) · manage roles and access
+                        </p>
+                    </div>
+                    <input
+                        type="search"
+                        value={search}
+                        onChange={(e) => setSearch(e.target.value)}
+                        placeholder="Search by name or email"
+                        className="input-field sm:w-72"
+                    />
+                </div>
+
+                {error && (
+                    <div className="bg-red-50 border border-red-200 rounded-lg px-4 py-3 text-sm text-red-700">
+                        {error}
+                    </div>
+                )}
+
+                {/* ── Users table ── */}
+                <div className="bg-white border border-gray-200 rounded-xl shadow-card overflow-x-auto">
+                    <table className="w-full text-sm">
+                        <thead className="bg-gray-50">
+                            <tr className="text-left text-xs text-gray-500 uppercase tracking-wide">
+                                <th className="px-4 py-3 font-medium">User</th>
+                                <th className="px-4 py-3 font-medium">Sign-up</th>
+                                <th className="px-4 py-3 font-medium">Role</th>
+                                <th className="px-4 py-3 font-medium hidden md:table-cell">Joined</th>
+                                <th className="px-4 py-3 font-medium">Status</th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-100">
+                            {visible.map((u) => {
+                                const self = u.email === currentUser;
+                                const busy = saving === u.email;
+                                return (
+                                    <tr key={u.email} className={u.disabled ? 'bg-gray-50' : ''}>
+                                        <td className="px-4 py-3">
+                                            <p className="font-medium text-gray-900">{u.profile?.fullName || '—'}</p>
+                                            <p className="text-xs text-gray-500">
+                                                {u.email}
+                                                {self && <span className="text-blue-600"> (you)</span>}
+                                                {!u.emailVerified && <span className="text-amber-600"> · unverified</span>}
+                                                {u.twoFactorEnabled && <span className="text-green-700"> · 2FA</span>}
+                                                {u.twoFactorSetupRequired && <span className="text-amber-600"> · 2FA pending</span>}
+                                            </p>
+                                        </td>
+                                        <td className="px-4 py-3"><SourceBadge source={u.signupSource} /></td>
+                                        <td className="px-4 py-3">
+                                            <select
+                                                value={u.role}
+                                                disabled={self || busy}
+                                                onChange={(e) => updateUser(u.email, { role: e.target.value })}
+                                                className="input-field py-1.5 w-40 disabled:bg-gray-50 disabled:text-gray-500"
+                                                aria-label={`Role for ${u.email}`}
+                                            >
+                                                {roles.map((r) => (
+                                                    <option key={r} value={r}>{ROLE_LABELS[r] || r}</option>
+                                                ))}
+                                            </select>
+                                        </td>
+                                        <td className="px-4 py-3 text-gray-600 hidden md:table-cell">{formatDate(u.createdAt)}</td>
+                                        <td className="px-4 py-3">
+                                            <button
+                                                type="button"
+                                                disabled={self || busy}
+                                                onClick={() => updateUser(u.email, { disabled: !u.disabled })}
+                                                className={`px-3 py-1 text-xs font-medium border rounded-lg transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed ${u.disabled
+                                                    ? 'border-red-200 text-red-700 bg-red-50 hover:bg-red-100'
+                                                    : 'border-green-200 text-green-700 bg-green-50 hover:bg-green-100'
+                                                    }`}
+                                                title={u.disabled ? 'Click to re-enable' : 'Click to disable'}
+                                            >
+                                                {u.disabled ? 'Disabled' : 'Active'}
+                                            </button>
+                                            {u.lockedUntil && (
+                                                <button
+                                                    type="button"
+                                                    disabled={busy}
+                                                    onClick={() => unlockUser(u.email)}
+                                                    className="ml-2 px-3 py-1 text-xs font-medium border rounded-lg border-amber-200 text-amber-700 bg-amber-50 hover:bg-amber-100 transition-colors duration-200 disabled:opacity-50"
+                                                    title={`Locked until ${formatDateTime(u.lockedUntil)} – click to unlock`}
+                                                >
+                                                    Locked · Unlock
+                                                </button>
+                                            )}
+                                            {u.twoFactorEnabled && !self && (
+                                                <button
+                                                    type="button"
+                                                    disabled={busy}
+                                                    onClick={() => resetTwoFactor(u.email)}
+                                                    className="ml-2 px-3 py-1 text-xs font-medium border rounded-lg border-gray-200 text-gray-600 bg-white hover:bg-gray-50 transition-colors duration-200 disabled:opacity-50"
+                                                >
+                                                    Reset 2FA
+                                                </button>
+                                            )}
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                    {!loading && visible.length === 0 && (
+                        <p className="px-6 py-8 text-center text-sm text-gray-500">No users found.</p>
+                    )}
+                    {loading && <p className="px-6 py-8 text-center text-sm text-gray-500">Loading users...</p>}
+                </div>
+
+                {/* ── Two-factor policy ── */}
+                {/* The policy may now apply to the admin too (then they're sent to enrol) */}
+                <TwoFactorPolicy onSaved={() => { refreshUser(); loadUsers(); loadEvents(); }} />
+
+                {/* ── Security events ── */}
+                <div className="bg-white border border-gray-200 rounded-xl shadow-card">
+                    <div className="px-4 py-3 border-b border-gray-100">
+                        <h2 className="text-sm font-semibold text-gray-900">Security events</h2>
+                        <p className="text-xs text-gray-500">Login lockouts, unlocks and two-factor changes, newest first</p>
+                    </div>
+                    {events.length === 0 ? (
+                        <p className="px-6 py-6 text-center text-sm text-gray-500">No security events recorded.</p>
+                    ) : (
+                        <ul className="divide-y divide-gray-100">
+                            {events.map((e) => (
+                                <li key={e.id} className="px-4 py-2.5 flex items-start gap-3 text-sm">
+                                    <span className="text-xs text-gray-400 whitespace-nowrap w-28 shrink-0">
+                                        {formatDateTime(e.at)}
+                                    </span>
+                                    <span className={e.type === 'lockout' ? 'text-amber-700' : 'text-gray-700'}>
+                                        {describeEvent(e)}
+                                    </span>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default AdminPage;
@@ -0,0 +1,426 @@
+/**
+ * AlertsPage.jsx
+ * ---------------
+ * Alert rules and the full notification inbox.
+ *
+ *  - New rule    – one of four kinds (see backend/alerts.js): a well's water
+ *                  level past a depth, daily rainfall in a district above a
+ *                  total, samples in a district exceeding a parameter's
+ *                  limit, or readings failing the data quality checks.
+ *                  Delivery by email is optional. /alerts?station=CODE
+ *                  (&type=anomaly) starts a rule for that station.
+ *  - Your rules  – switch rules on / off, delete them
+ *  - Inbox       – every notification, with read / unread and delete
+ *
+ * Station rules are checked against the current data as soon as they are
+ * saved, then whenever new readings are ingested; sample rules whenever a
+ * sample is saved.
+ */
+
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+
+const RULE_TYPES = [
+    { id: 'level', label: 'Groundwater level at a well' },
+    { id: 'rainfall', label: 'Daily rainfall in a district' },
+    { id: 'sample', label: 'Sample results in a district' },
+    { id: 'anomaly', label: 'Suspicious readings (data quality)' },
+];
+
+const ANOMALY_FLAGS = [
+    { id: 'out-of-range', label: 'Out of range' },
+    { id: 'spike', label: 'Spike' },
+    { id: 'flatline', label: 'Flatline' },
+    { id: 'gap', label: 'Gap' },
+];
+
+const EMPTY_FORM = {
+    type: 'level',
+    name: '',
+    stationCode: '',
+    condition: 'deeper-than',
+    threshold: '',
+    state: '',
+    district: '',
+    parameter: 'fluoride',
+    standard: '',
+    flags: ['out-of-range', 'spike'],
+    channels: [],
+};
+
+const formatDateTime = (iso) =>
+    iso
+        ? new Date(iso).toLocaleString('en-IN', {
+            day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit',
+        })
+        : 'never';
+
+// ─── Section card ─────────────────────────────────────────────────────────────
+const Section = ({ title, description, action, children }) => (
+    <div className="bg-white border border-gray-200 rounded-xl shadow-card p-6">
+        <div className="flex items-start justify-between gap-3">
+            <div>
+                <h2 className="text-base font-semibold text-gray-900">{title}</h2>
+                {description && <p className="text-sm text-gray-500 mt-0.5">{description}</p>}
+            </div>
+            {action}
+        </div>
+        <div className="mt-4">{children}</div>
+    </div>
+);
+
+const Notice = ({ type, children }) => (
+    <div
+        className={`border rounded-lg px-4 py-3 text-sm ${type === 'error'
+            ? 'bg-red-50 border-red-200 text-red-700'
+            : 'bg-green-50 border-green-200 text-green-700'
+            }`}
+    >
+        {children}
+    </div>
+);
+
+// ─── New rule form ────────────────────────────────────────────────────────────
+const RuleForm = ({ channels, onSaved }) => {
+    const { authFetch, profile } = useAuth();
+    const [searchParams] = useSearchParams();
+    const [form, setForm] = useState(() => ({
+        ...EMPTY_FORM,
+        type: RULE_TYPES.some((t) => t.id === searchParams.get('type')) ? searchParams.get('type') : EMPTY_FORM.type,
+        stationCode: searchParams.get('station') || '',
+        state: profile?.state || '',
+    }));
+    const [regions, setRegions] = useState([]);
+    const [parameters, setParameters] = useState([]);
+    const [standards, setStandards] = useState([]);
+    const [errors, setErrors] = useState({});
+    const [status, setStatus] = useState(null); // { type, text }
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        authFetch('/api/regions').then((r) => r.json()).then((d) => setRegions(d.regions || [])).catch(() => { });
+        authFetch('/api/parameters').then((r) => r.json()).then((d) => setParameters(d.parameters || [])).catch(() => { });
+        authFetch('/api/standards')
+            .then((r) => r.json())
+            .then((d) => {
+                const list = d.standards || [];
+                setStandards(list);
+                setForm((f) => ({ ...f, standard: f.standard || (list.find((s) => s.default) || list[0])?.id || '' }));
+            })
+            .catch(() => { });
+    }, [authFetch]);
+
+    const districts = regions.find((r) => r.state.toLowerCase() === form.state.toLowerCase())?.districts || [];
+    const byStation = form.type === 'level' || (form.type === 'anomaly' && form.stationCode.trim());
+
+    const set = (field, value) => {
+        setForm((f) => ({ ...f, [field]: value }));
+        setErrors((e) => ({ ...e, [field]: '' }));
+        setStatus(null);
+    };
+
+    const toggle = (field, id) =>
+        set(field, form[field].includes(id) ? form[field].filter((x) => x !== id) : [...form[field], id]);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setStatus(null);
+        try {
+            const res = await authFetch('/api/alerts/rules', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(form),
+            });
+            const data = await res.json();
+            if (!res.ok) {
+                setErrors(data.details || {});
+                setStatus({ type: 'error', text: data.error });
+                return;
+            }
+            setErrors({});
+            setForm((f) => ({ ...EMPTY_FORM, state: f.state, standard: f.standard }));
+            setStatus({
+                type: 'success',
+                text: data.notifications
+                    ? `Rule saved. It already matches the current data: ${data.notifications} notification(s) added to your inbox.`
+                    : 'Rule saved. You will be notified when new data matches it.',
+            });
+            onSaved();
+        } catch {
+            setStatus({ type: 'error', text: 'Cannot connect to the server.' });
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const field = (name, label, input) => (
+        <div>
+            <label htmlFor={name} className="input-label">{label}</label>
+            {input}
+            {errors[name] && <p className="error-text">{errors[name]}</p>}
+        </div>
+    );
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-4" noValidate>
+            {status && <Notice type={status.type}>{status.text}</Notice>}
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                {field('type', 'Alert when', (
+                    <select id="type" value={form.type} onChange={(e) => set('type', e.target.value)} className="input-field">
+                        {RULE_TYPES.map((t) => <option key={t.id} value={t.id}>{t.label}</option>)}
+                    </select>
+                ))}
+                {field('name', 'Name (optional)', (
+                    <input id="name" value={form.name} onChange={(e) => set('name', e.target.value)} className="input-field" placeholder="Described automatically" />
+                ))}
+
+                {(form.type === 'level' || form.type === 'anomaly') && field('stationCode', form.type === 'level' ? 'Well (station code)' : 'Station code (optional)', (
+                    <input id="stationCode" value={form.stationCode} onChange={(e) => set('stationCode', e.target.value)} className="input-field" placeholder="e.g. CGWHYD0509" />
+                ))}
+
+                {!byStation && (
+                    <>
+                        {field('state', 'State', (
+                            <select id="state" value={form.state} onChange={(e) => { set('state', e.target.value); set('district', ''); }} className="input-field">
+                                <option value="">Choose a state</option>
+                                {regions.map((r) => <option key={r.state} value={r.state}>{r.state}</option>)}
+                            </select>
+                        ))}
+                        {field('district', 'District (blank for the whole state)', (
+                            <>
+                                <input id="district" list="alert-districts" value={form.district} onChange={(e) => set('district', e.target.value)} className="input-field" />
+                                <datalist id="alert-districts">
+                                    {districts.map((d) => <option key={d} value={d} />)}
+                                </datalist>
+                            </>
+                        ))}
+                    </>
+                )}
+
+                {form.type === 'level' && field('condition', 'Condition', (
+                    <select id="condition" value={form.condition} onChange={(e) => set('condition', e.target.value)} className="input-field">
+                        <option value="deeper-than">Deeper than</option>
+                        <option value="shallower-than">Shallower than</option>
+                    </select>
+                ))}
+                {(form.type === 'level' || form.type === 'rainfall') && field('threshold', form.type === 'level' ? 'Depth (m below ground)' : 'Rainfall (mm in a day)', (
+                    <input id="threshold" type="number" min="0" step="any" value={form.threshold} onChange={(e) => set('threshold', e.target.value)} className="input-field" />
+                ))}
+
+                {form.type === 'sample' && (
+                    <>
+                        {field('parameter', 'Parameter', (
+                            <select id="parameter" value={form.parameter} onChange={(e) => set('parameter', e.target.value)} className="input-field">
+                                {parameters.map((p) => <option key={p.key} value={p.key}>{p.label}</option>)}
+                            </select>
+                        ))}
+                        {field('standard', 'Limit from', (
+                            <select id="standard" value={form.standard} onChange={(e) => set('standard', e.target.value)} className="input-field">
+                                {standards.map((s) => <option key={s.id} value={s.id}>{s.name}</option>)}
+                            </select>
+                        ))}
+                    </>
+                )}
+            </div>
+
+            {form.type === 'anomaly' && (
+                <div>
+                    <p className="input-label">Flags</p>
+                    <div className="flex flex-wrap gap-4">
+                        {ANOMALY_FLAGS.map((f) => (
+                            <label key={f.id} className="flex items-center gap-2 text-sm text-gray-700">
+                                <input type="checkbox" checked={form.flags.includes(f.id)} onChange={() => toggle('flags', f.id)} className="rounded border-gray-300 text-blue-600 focus:ring-blue-500" />
+                                {f.label}
+                            </label>
+                        ))}
+                    </div>
+                    {errors.flags && <p className="error-text">{errors.flags}</p>}
+                </div>
+            )}
+
+            {channels.length > 0 && (
+                <div>
+                    <p className="input-label">Also send to</p>
+                    <div className="flex flex-wrap gap-4">
+                        {channels.map((c) => (
+                            <label key={c.id} className="flex items-center gap-2 text-sm text-gray-700">
+                                <input type="checkbox" checked={form.channels.includes(c.id)} onChange={() => toggle('channels', c.id)} className="rounded border-gray-300 text-blue-600 focus:ring-blue-500" />
+                                {c.label}
+                            </label>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            <button type="submit" disabled={saving} className="btn-primary w-auto px-6 disabled:opacity-50">
+                {saving ? 'Saving...' : 'Save rule'}
+            </button>
+        </form>
+    );
+};
+
+// ─── Page ─────────────────────────────────────────────────────────────────────
+const AlertsPage = () => {
+    const { authFetch } = useAuth();
+    const [rules, setRules] = useState([]);
+    const [channels, setChannels] = useState([]);
+    const [notifications, setNotifications] = useState([]);
+    const [unread, setUnread] = useState(0);
+    const [error, setError] = useState('');
+
+    const loadRules = useCallback(() =>
+        authFetch('/api/alerts/rules')
+            .then(async (r) => {
+                const data = await r.json();
+                if (!r.ok) throw new Error(data.error);
+                setRules(data.rules);
+                setChannels(data.channels);
+            })
+            .catch((err) => setError(err.message || 'Could not load your alert rules.')), [authFetch]);
+
+    const loadInbox = useCallback(() =>
+        authFetch('/api/notifications')
+            .then((r) => r.json())
+            .then((data) => {
+                setNotifications(data.notifications || []);
+                setUnread(data.unread || 0);
+            })
+            .catch(() => setError('Could not load your notifications.')), [authFetch]);
+
+    useEffect(() => {
+        loadRules();
+        loadInbox();
+    }, [loadRules, loadInbox]);
+
+    const request = async (path, method, body) => {
+        setError('');
+        const res = await authFetch(path, {
+            method,
+            headers: body ? { 'Content-Type': 'application/json' } : undefined,
+            body: body ? JSON.stringify(body) : undefined,
+        });
+        if (!res.ok) setError((await res.json()).error);
+    };
+
+    const toggleRule = async (rule) => {
+        await request(`/api/alerts/rules/${rule.id}`, 'PUT', { ...rule, enabled: !rule.enabled });
+        await Promise.all([loadRules(), loadInbox()]);
+    };
+
+    const deleteRule = async (rule) => {
+        if (!window.confirm(`Delete the rule "${rule.name}"?`)) return;
+        await request(`/api/alerts/rules/${rule.id}`, 'DELETE');
+        await loadRules();
+    };
+
+    const setRead = async (notification, read) => {
+        await request(`/api/notifications/${notification.id}`, 'PATCH', { read });
+        await loadInbox();
+    };
+
+    const deleteNotification = async (notification) => {
+        await request(`/api/notifications/${notification.id}`, 'DELETE');
+        await loadInbox();
+    };
+
+    const markAllRead = async () => {
+        await request('/api/notifications/read-all', 'POST');
+        await loadInbox();
+    };
+
+    return (
+        <div className="min-h-screen bg-gray-50 py-10 px-4">
+            <div className="max-w-4xl mx-auto space-y-6">
+                <div>
+                    <h1 className="text-2xl font-bold text-gray-900">Alerts</h1>
+                    <p className="text-sm text-gray-500 mt-1">
+                        Get notified when water levels, rainfall or sample results cross a threshold.
+                    </p>
+                </div>
+
+                {error && <Notice type="error">{error}</Notice>}
+
+                <Section title="New alert rule" description="Checked against the current data when saved, then whenever new data arrives.">
+                    <RuleForm
+                        channels={channels}
+                        onSaved={() => {
+                            loadRules();
+                            loadInbox();
+                        }}
+                    />
+                </Section>
+
+                <Section title="Your rules" description={`${rules.length} rule(s)`}>
+                    <ul className="divide-y divide-gray-100">
+                        {rules.map((rule) => (
+                            <li key={rule.id} className="py-3 flex items-center justify-between gap-4">
+                                <div className="min-w-0">
+                                    <p className={`text-sm font-medium truncate ${rule.enabled ? 'text-gray-900' : 'text-gray-400'}`}>{rule.name}</p>
+                                    <p className="text-xs text-gray-500 mt-0.5">
+                                        {RULE_TYPES.find((t) => t.id === rule.type)?.label}
+                                        {rule.channels.length > 0 && ` · also by ${rule.channels.join(', ')}`}
+                                        {' · '}last triggered {formatDateTime(rule.lastTriggeredAt)}
+                                    </p>
+                                </div>
+                                <div className="flex-shrink-0 flex items-center gap-3 text-sm">
+                                    <button type="button" onClick={() => toggleRule(rule)} className="font-medium text-blue-600 hover:text-blue-700">
+                                        {rule.enabled ? 'Pause' : 'Resume'}
+                                    </button>
+                                    <button type="button" onClick={() => deleteRule(rule)} className="font-medium text-red-600 hover:text-red-700">
+                                        Delete
+                                    </button>
+                                </div>
+                            </li>
+                        ))}
+                        {rules.length === 0 && (
+                            <li className="py-6 text-center text-sm text-gray-500">No alert rules yet.</li>
+                        )}
+                    </ul>
+                </Section>
+
+                <Section
+                    title="Inbox"
+                    description={`${unread} unread of ${notifications.length}`}
+                    action={unread > 0 && (
+                        <button type="button" onClick={markAllRead} className="text-sm font-medium text-blue-600 hover:text-blue-700">
+                            Mark all read
+                        </button>
+                    )}
+                >
+                    <ul className="divide-y divide-gray-100">
+                        {notifications.map((n) => (
+                            <li key={n.id} className={`py-3 px-3 -mx-3 rounded-lg flex items-start justify-between gap-4 ${n.readAt ? '' : 'bg-blue-50'}`}>
+                                <div className="min-w-0">
+                                    <p className={`text-sm ${n.readAt ? 'text-gray-700' : 'font-medium text-gray-900'}`}>
+                                        {n.link ? <Link to={n.link} onClick={() => !n.readAt && setRead(n, true)} className="hover:underline">{n.title}</Link> : n.title}
+                                    </p>
+                                    <p className="text-xs text-gray-500 mt-0.5">{n.message}</p>
+                                    <p className="text-xs text-gray-400 mt-0.5">
+                                        {formatDateTime(n.createdAt)} · {n.ruleName}
+                                        {Object.entries(n.delivery || {}).map(([channel, state]) => ` · ${channel} ${state}`)}
+                                    </p>
+                                </div>
+                                <div className="flex-shrink-0 flex items-center gap-3 text-xs">
+                                    <button type="button" onClick={() => setRead(n, !n.readAt)} className="text-gray-500 hover:text-gray-700">
+                                        {n.readAt ? 'Mark unread' : 'Mark read'}
+                                    </button>
+                                    <button type="button" onClick={() => deleteNotification(n)} className="text-gray-400 hover:text-red-600">
+                                        Delete
+                                    </button>
+                                </div>
+                            </li>
+                        ))}
+                        {notifications.length === 0 && (
+                            <li className="py-6 text-center text-sm text-gray-500">No notifications yet.</li>
+                        )}
+                    </ul>
+                </Section>
+            </div>
+        </div>
+    );
+};
+
+export default AlertsPage;
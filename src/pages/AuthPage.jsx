@@ -9,13 +9,18 @@
  *  - Email / Password / Confirm Password signup
  *  - Google Sign-in button (UI only — no real OAuth)
  *  - Form validation with inline error messages
+ *  - Email verification notice after signup, with a "resend" link
+ *  - "Forgot password?" link to /forgot-password
+ *  - Second step for accounts with two-factor authentication: the code
+ *    from the authenticator app, or a recovery code
  *  - Redirects to /setup or /dashboard after auth
  */
 
 import React, { useState } from 'react';
-import { useNavigate, Navigate } from 'react-router-dom';
+import { Link, Navigate } from 'react-router-dom';
 import { GoogleLogin } from '@react-oauth/google';
 import { useAuth } from '../context/AuthContext';
+import AuthCard from '../components/AuthCard';
 
 // ─── Google Icon SVG ──────────────────────────────────────────────────────────
 const GoogleIcon = () => (
@@ -68,10 +73,96 @@ const FormInput = ({ label, id, type = 'text', value, onChange, placeholder, err
     </div>
 );
 
+// ─── Two-factor step ──────────────────────────────────────────────────────────
+// Shown after a correct password (or Google sign-in) on accounts with 2FA
+const TwoFactorStep = () => {
+    const { verifyTwoFactor, cancelTwoFactor } = useAuth();
+    const [code, setCode] = useState('');
+    const [useRecovery, setUseRecovery] = useState(false);
+    const [error, setError] = useState('');
+    const [verifying, setVerifying] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!code.trim()) {
+            setError(useRecovery ? 'Enter one of your recovery codes.' : 'Enter the 6-digit code.');
+            return;
+        }
+        setVerifying(true);
+        const err = await verifyTwoFactor(code.trim());
+        setVerifying(false);
+        if (err) setError(err);
+    };
+
+    const toggleRecovery = () => {
+        setUseRecovery(!useRecovery);
+        setCode('');
+        setError('');
+    };
+
+    return (
+        <form onSubmit={handleSubmit} noValidate className="space-y-4">
+            <div>
+                <h2 className="text-base font-semibold text-gray-900">Two-step verification</h2>
+                <p className="text-sm text-gray-500 mt-0.5">
+                    {useRecovery
+                        ? 'Enter one of the recovery codes you saved. Each code works once.'
+                        : 'Enter the 6-digit code from your authenticator app.'}
+                </p>
+            </div>
+
+            {error && (
+                <div className="bg-red-50 border border-red-200 rounded-lg px-4 py-3 text-sm text-red-700">
+                    {error}
+                </div>
+            )}
+
+            <div>
+                <label htmlFor="two-factor-code" className="input-label">
+                    {useRecovery ? 'Recovery code' : 'Authentication code'}
+                </label>
+                <input
+                    id="two-factor-code"
+                    type="text"
+                    value={code}
+                    onChange={(e) => { setCode(e.target.value); setError(''); }}
+                    placeholder={useRecovery ? 'xxxxx-xxxxx' : '123456'}
+                    className="input-field tracking-widest"
+                    inputMode={useRecovery ? 'text' : 'numeric'}
+                    autoComplete="one-time-code"
+                    maxLength={useRecovery ? 11 : 6}
+                    autoFocus
+                />
+            </div>
+
+            <button type="submit" disabled={verifying} className="btn-primary mt-2">
+                {verifying ? 'Verifying...' : 'Verify'}
+            </button>
+
+            <div className="flex justify-between text-xs">
+                <button type="button" onClick={toggleRecovery} className="text-blue-600 hover:underline">
+                    {useRecovery ? 'Use the authenticator app' : 'Lost your phone? Use a recovery code'}
+                </button>
+                <button type="button" onClick={cancelTwoFactor} className="text-gray-500 hover:underline">
+                    Back to sign in
+                </button>
+            </div>
+        </form>
+    );
+};
+
 // ─── Main AuthPage Component ──────────────────────────────────────────────────
 const AuthPage = () => {
-    const { currentUser, isProfileComplete, login, signup, googleLogin } = useAuth();
-    const navigate = useNavigate();
+    const {
+        currentUser,
+        isProfileComplete,
+        login,
+        signup,
+        googleLogin,
+        unverifiedEmail,
+        resendVerification,
+        twoFactorChallenge,
+    } = useAuth();
 
     // Which tab is active: 'login' or 'signup'
     const [activeTab, setActiveTab] = useState('login');
@@ -80,6 +171,7 @@ const AuthPage = () => {
     const [loginForm, setLoginForm] = useState({ email: '', password: '' });
     const [loginErrors, setLoginErrors] = useState({});
     const [loginApiError, setLoginApiError] = useState('');
+    const [loginNotice, setLoginNotice] = useState(''); // e.g. "check your inbox"
 
     // ── Signup form state ──
     const [signupForm, setSignupForm] = useState({
@@ -95,6 +187,15 @@ const AuthPage = () => {
         return <Navigate to={isProfileComplete ? '/dashboard' : '/setup'} replace />;
     }
 
+    // ── Password accepted, waiting for the second factor ──
+    if (twoFactorChallenge) {
+        return (
+            <AuthCard>
+                <TwoFactorStep />
+            </AuthCard>
+        );
+    }
+
     // ─── Login Validation ──────────────────────────────────────────────────────
     const validateLogin = () => {
         const errors = {};
@@ -134,17 +235,17 @@ const AuthPage = () => {
     const handleLogin = async (e) => {
         e.preventDefault();
         setLoginApiError('');
+        setLoginNotice('');
 
         const errors = validateLogin();
         setLoginErrors(errors);
         if (Object.keys(errors).length > 0) return;
 
+        // On success the redirect at the top takes over (or the two-factor
+        // step, when the account has it on)
         const error = await login(loginForm.email.trim(), loginForm.password);
         if (error) {
             setLoginApiError(error);
-        } else {
-            // Navigate based on profile status (context updates after await)
-            navigate('/setup'); // AuthContext will redirect to dashboard if profile exists
         }
     };
 
@@ -157,22 +258,32 @@ const AuthPage = () => {
         setSignupErrors(errors);
         if (Object.keys(errors).length > 0) return;
 
-        const error = await signup(signupForm.email.trim(), signupForm.password);
+        const email = signupForm.email.trim();
+        const error = await signup(email, signupForm.password);
         if (error) {
             setSignupApiError(error);
         } else {
-            navigate('/setup'); // New users always go to profile setup
+            // The account has to be verified before the first login
+            switchTab('login');
+            setLoginForm({ email, password: '' });
+            // Same answer for registered addresses (their owner gets a notice instead)
+            setLoginNotice(`Check ${email} for our email. If this is a new account, open the link in it to activate it.`);
         }
     };
 
+    // ─── Resend the verification email ────────────────────────────────────────
+    const handleResend = async () => {
+        const error = await resendVerification(unverifiedEmail);
+        setLoginApiError(error || '');
+        setLoginNotice(error ? '' : `A new verification link is on its way to ${unverifiedEmail}.`);
+    };
+
     // ─── Google Sign-in Handler ────────────────────────────────────────────────
     const handleGoogleSuccess = async (credentialResponse) => {
         const error = await googleLogin(credentialResponse.credential);
         if (error) {
             if (activeTab === 'login') setLoginApiError(error);
             else setSignupApiError(error);
-        } else {
-            navigate('/setup');
         }
     };
 
@@ -189,206 +300,191 @@ const AuthPage = () => {
         setSignupErrors({});
         setLoginApiError('');
         setSignupApiError('');
+        setLoginNotice('');
     };
 
     return (
-        <div className="min-h-screen bg-gray-50 flex flex-col justify-center py-12 px-4 sm:px-6 lg:px-8">
-
-            {/* ── Page Header ── */}
-            <div className="sm:mx-auto sm:w-full sm:max-w-md text-center mb-6">
-                {/* Water drop icon */}
-                <div className="flex justify-center mb-3">
-                    <div className="w-12 h-12 bg-blue-600 rounded-xl flex items-center justify-center">
-                        <svg
-                            xmlns="http://www.w3.org/2000/svg"
-                            viewBox="0 0 24 24"
-                            fill="white"
-                            className="w-7 h-7"
-                        >
-                            <path d="M12 2.25a.75.75 0 01.612.317l6.75 9a.75.75 0 01.138.433v.75a6.75 6.75 0 01-13.5 0V12a.75.75 0 01.138-.433l6.75-9A.75.75 0 0112 2.25z" />
-                        </svg>
-                    </div>
-                </div>
-                <h1 className="text-2xl font-bold text-gray-900">Water Quality Monitor</h1>
-
+        <AuthCard>
+            {/* ── Tabs ── */}
+            <div className="flex border border-gray-200 rounded-lg p-1 mb-6 bg-gray-50">
+                <button
+                    onClick={() => switchTab('login')}
+                    className={`flex-1 py-2 text-sm font-medium rounded-md transition-all duration-200 ${activeTab === 'login'
+                        ? 'bg-white text-blue-600 shadow-sm border border-gray-200'
+                        : 'text-gray-500 hover:text-gray-700'
+                        }`}
+                >
+                    Login
+                </button>
+                <button
+                    onClick={() => switchTab('signup')}
+                    className={`flex-1 py-2 text-sm font-medium rounded-md transition-all duration-200 ${activeTab === 'signup'
+                        ? 'bg-white text-blue-600 shadow-sm border border-gray-200'
+                        : 'text-gray-500 hover:text-gray-700'
+                        }`}
+                >
+                    Sign Up
+                </button>
             </div>
 
-            {/* ── Auth Card ── */}
-            <div className="sm:mx-auto sm:w-full sm:max-w-md">
-                <div className="bg-white border border-gray-200 rounded-xl shadow-card px-6 py-8 sm:px-8">
-
-                    {/* ── Tabs ── */}
-                    <div className="flex border border-gray-200 rounded-lg p-1 mb-6 bg-gray-50">
-                        <button
-                            onClick={() => switchTab('login')}
-                            className={`flex-1 py-2 text-sm font-medium rounded-md transition-all duration-200 ${activeTab === 'login'
-                                ? 'bg-white text-blue-600 shadow-sm border border-gray-200'
-                                : 'text-gray-500 hover:text-gray-700'
-                                }`}
-                        >
-                            Login
-                        </button>
-                        <button
-                            onClick={() => switchTab('signup')}
-                            className={`flex-1 py-2 text-sm font-medium rounded-md transition-all duration-200 ${activeTab === 'signup'
-                                ? 'bg-white text-blue-600 shadow-sm border border-gray-200'
-                                : 'text-gray-500 hover:text-gray-700'
-                                }`}
-                        >
-                            Sign Up
-                        </button>
-                    </div>
-
-                    {/* ══════════════════ LOGIN FORM ══════════════════ */}
-                    {activeTab === 'login' && (
-                        <form onSubmit={handleLogin} noValidate className="space-y-4">
+            {/* ══════════════════ LOGIN FORM ══════════════════ */}
+            {activeTab === 'login' && (
+                <form onSubmit={handleLogin} noValidate className="space-y-4">
 
-                            {/* API-level error (e.g., wrong password) */}
-                            {loginApiError && (
-                                <div className="bg-red-50 border border-red-200 rounded-lg px-4 py-3 text-sm text-red-700">
-                                    {loginApiError}
-                                </div>
-                            )}
+                    {/* Info (e.g., verification email sent) */}
+                    {loginNotice && (
+                        <div className="bg-green-50 border border-green-200 rounded-lg px-4 py-3 text-sm text-green-700">
+                            {loginNotice}
+                        </div>
+                    )}
 
-                            <FormInput
-                                label="Email Address"
-                                id="login-email"
-                                type="email"
-                                value={loginForm.email}
-                                onChange={(e) => setLoginForm({ ...loginForm, email: e.target.value })}
-                                placeholder="you@example.com"
-                                error={loginErrors.email}
-                            />
-
-                            <FormInput
-                                label="Password"
-                                id="login-password"
-                                type="password"
-                                value={loginForm.password}
-                                onChange={(e) => setLoginForm({ ...loginForm, password: e.target.value })}
-                                placeholder="Enter your password"
-                                error={loginErrors.password}
-                            />
-
-                            {/* Forgot password (UI only) */}
-                            <div className="text-right">
+                    {/* API-level error (e.g., wrong password) */}
+                    {loginApiError && (
+                        <div className="bg-red-50 border border-red-200 rounded-lg px-4 py-3 text-sm text-red-700">
+                            {loginApiError}
+                            {unverifiedEmail && (
                                 <button
                                     type="button"
-                                    className="text-xs text-blue-600 hover:underline"
-                                    onClick={() => alert('Password reset is not available.')}
+                                    onClick={handleResend}
+                                    className="block mt-1 font-medium underline"
                                 >
-                                    Forgot password?
+                                    Resend verification email
                                 </button>
-                            </div>
-
-                            <button type="submit" className="btn-primary mt-2">
-                                Login
-                            </button>
-
-                            <Divider text="or continue with" />
-
-                            {/* Google Sign-in */}
-                            <div className="flex justify-center">
-                                <GoogleLogin
-                                    onSuccess={handleGoogleSuccess}
-                                    onError={handleGoogleError}
-                                    useOneTap
-                                    shape="rectangular"
-                                    theme="outline"
-                                    text="signin_with"
-                                    width="100%"
-                                />
-                            </div>
-
-                            <p className="text-center text-xs text-gray-500 mt-4">
-                                Don't have an account?{' '}
-                                <button
-                                    type="button"
-                                    onClick={() => switchTab('signup')}
-                                    className="text-blue-600 font-medium hover:underline"
-                                >
-                                    Sign up
-                                </button>
-                            </p>
-                        </form>
+                            )}
+                        </div>
                     )}
 
-                    {/* ══════════════════ SIGNUP FORM ══════════════════ */}
-                    {activeTab === 'signup' && (
-                        <form onSubmit={handleSignup} noValidate className="space-y-4">
+                    <FormInput
+                        label="Email Address"
+                        id="login-email"
+                        type="email"
+                        value={loginForm.email}
+                        onChange={(e) => setLoginForm({ ...loginForm, email: e.target.value })}
+                        placeholder="you@example.com"
+                        error={loginErrors.email}
+                    />
+
+                    <FormInput
+                        label="Password"
+                        id="login-password"
+                        type="password"
+                        value={loginForm.password}
+                        onChange={(e) => setLoginForm({ ...loginForm, password: e.target.value })}
+                        placeholder="Enter your password"
+                        error={loginErrors.password}
+                    />
+
+                    {/* Forgot password */}
+                    <div className="text-right">
+                        <Link to="/forgot-password" className="text-xs text-blue-600 hover:underline">
+                            Forgot password?
+                        </Link>
+                    </div>
 
-                            {/* API-level error (e.g., email already exists) */}
-                            {signupApiError && (
-                                <div className="bg-red-50 border border-red-200 rounded-lg px-4 py-3 text-sm text-red-700">
-                                    {signupApiError}
-                                </div>
-                            )}
+                    <button type="submit" className="btn-primary mt-2">
+                        Login
+                    </button>
+
+                    <Divider text="or continue with" />
+
+                    {/* Google Sign-in */}
+                    <div className="flex justify-center">
+                        <GoogleLogin
+                            onSuccess={handleGoogleSuccess}
+                            onError={handleGoogleError}
+                            useOneTap
+                            shape="rectangular"
+                            theme="outline"
+                            text="signin_with"
+                            width="100%"
+                        />
+                    </div>
 
-                            <FormInput
-                                label="Email Address"
-                                id="signup-email"
-                                type="email"
-                                value={signupForm.email}
-                                onChange={(e) => setSignupForm({ ...signupForm, email: e.target.value })}
-                                placeholder="you@example.com"
-                                error={signupErrors.email}
-                            />
-
-                            <FormInput
-                                label="Password"
-                                id="signup-password"
-                                type="password"
-                                value={signupForm.password}
-                                onChange={(e) => setSignupForm({ ...signupForm, password: e.target.value })}
-                                placeholder="Minimum 6 characters"
-                                error={signupErrors.password}
-                            />
-
-                            <FormInput
-                                label="Confirm Password"
-                                id="signup-confirm"
-                                type="password"
-                                value={signupForm.confirmPassword}
-                                onChange={(e) => setSignupForm({ ...signupForm, confirmPassword: e.target.value })}
-                                placeholder="Re-enter your password"
-                                error={signupErrors.confirmPassword}
-                            />
-
-                            <button type="submit" className="btn-primary mt-2">
-                                Create Account
-                            </button>
-
-                            <Divider text="or continue with" />
-
-                            {/* Google Sign-up */}
-                            <div className="flex justify-center">
-                                <GoogleLogin
-                                    onSuccess={handleGoogleSuccess}
-                                    onError={handleGoogleError}
-                                    shape="rectangular"
-                                    theme="outline"
-                                    text="signup_with"
-                                    width="100%"
-                                />
-                            </div>
-
-                            <p className="text-center text-xs text-gray-500 mt-4">
-                                Already have an account?{' '}
-                                <button
-                                    type="button"
-                                    onClick={() => switchTab('login')}
-                                    className="text-blue-600 font-medium hover:underline"
-                                >
-                                    Login
-                                </button>
-                            </p>
-                        </form>
+                    <p className="text-center text-xs text-gray-500 mt-4">
+                        Don't have an account?{' '}
+                        <button
+                            type="button"
+                            onClick={() => switchTab('signup')}
+                            className="text-blue-600 font-medium hover:underline"
+                        >
+                            Sign up
+                        </button>
+                    </p>
+                </form>
+            )}
+
+            {/* ══════════════════ SIGNUP FORM ══════════════════ */}
+            {activeTab === 'signup' && (
+                <form onSubmit={handleSignup} noValidate className="space-y-4">
+
+                    {/* API-level error (e.g., too many attempts) */}
+                    {signupApiError && (
+                        <div className="bg-red-50 border border-red-200 rounded-lg px-4 py-3 text-sm text-red-700">
+                            {signupApiError}
+                        </div>
                     )}
-                </div>
 
+                    <FormInput
+                        label="Email Address"
+                        id="signup-email"
+                        type="email"
+                        value={signupForm.email}
+                        onChange={(e) => setSignupForm({ ...signupForm, email: e.target.value })}
+                        placeholder="you@example.com"
+                        error={signupErrors.email}
+                    />
+
+                    <FormInput
+                        label="Password"
+                        id="signup-password"
+                        type="password"
+                        value={signupForm.password}
+                        onChange={(e) => setSignupForm({ ...signupForm, password: e.target.value })}
+                        placeholder="Minimum 6 characters"
+                        error={signupErrors.password}
+                    />
+
+                    <FormInput
+                        label="Confirm Password"
+                        id="signup-confirm"
+                        type="password"
+                        value={signupForm.confirmPassword}
+                        onChange={(e) => setSignupForm({ ...signupForm, confirmPassword: e.target.value })}
+                        placeholder="Re-enter your password"
+                        error={signupErrors.confirmPassword}
+                    />
+
+                    <button type="submit" className="btn-primary mt-2">
+                        Create Account
+                    </button>
+
+                    <Divider text="or continue with" />
+
+                    {/* Google Sign-up */}
+                    <div className="flex justify-center">
+                        <GoogleLogin
+                            onSuccess={handleGoogleSuccess}
+                            onError={handleGoogleError}
+                            shape="rectangular"
+                            theme="outline"
+                            text="signup_with"
+                            width="100%"
+                        />
+                    </div>
 
-            </div>
-        </div>
+                    <p className="text-center text-xs text-gray-500 mt-4">
+                        Already have an account?{' '}
+                        <button
+                            type="button"
+                            onClick={() => switchTab('login')}
+                            className="text-blue-600 font-medium hover:underline"
+                        >
+                            Login
+                        </button>
+                    </p>
+                </form>
+            )}
+        </AuthCard>
     );
 };
 
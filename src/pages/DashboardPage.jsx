@@ -7,12 +7,28 @@
  * It displays:
  *  - A success banner
  *  - The user's full profile details in a clean card layout
+ *  - The stations and districts on the user's watchlist, each with its
+ *    latest value, 30-day change, sparkline and data freshness
+ *  - The monitoring stations nearest to the profile city
  *  - A logout button
+ *  - A "View Water Data" toggle showing the user's samples and their
+ *    compliance with drinking-water standards
+ *  - A link to the station Data Explorer (/explore)
  */
 
-import React from 'react';
+import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import WaterDataPanel from '../components/WaterDataPanel';
+import NearbyStations from '../components/NearbyStations';
+import WatchlistCards from '../components/WatchlistCards';
+
+const ROLE_LABELS = {
+    student: 'Student',
+    researcher: 'Researcher',
+    'lab-technician': 'Lab technician',
+    admin: 'Administrator',
+};
 
 // ─── Profile Detail Row ───────────────────────────────────────────────────────
 // Renders a single label + value pair
@@ -56,9 +72,12 @@ const icons = {
 
 // ─── Main DashboardPage ───────────────────────────────────────────────────────
 const DashboardPage = () => {
-    const { currentUser, profile, logout } = useAuth();
+    const { currentUser, profile, role, logout } = useAuth();
     const navigate = useNavigate();
 
+    // Whether the samples / compliance panel is open
+    const [showWaterData, setShowWaterData] = useState(false);
+
     // Format the date profile was completed
     const completedDate = profile?.completedAt
         ? new Date(profile.completedAt).toLocaleDateString('en-IN', {
@@ -109,7 +128,7 @@ const DashboardPage = () => {
                     <div className="px-6 py-4 border-b border-gray-100 flex items-center justify-between">
                         <div>
                             <h3 className="text-base font-semibold text-gray-900">Your Profile</h3>
-                            <p className="text-xs text-gray-500 mt-0.5">Registered researcher / student</p>
+                            <p className="text-xs text-gray-500 mt-0.5">Registered {(ROLE_LABELS[role] || 'user').toLowerCase()}</p>
                         </div>
                         {/* Avatar circle with initials */}
                         <div className="w-10 h-10 bg-blue-600 rounded-full flex items-center justify-center text-white font-semibold text-sm">
@@ -128,6 +147,11 @@ const DashboardPage = () => {
                     </div>
                 </div>
 
+                {/* ── Watched stations and districts ── */}
+                <WatchlistCards />
+
+                {/* ── Stations near the profile city ── */}
+                <NearbyStations />
 
                 {/* ── Actions ── */}
                 <div className="flex flex-col sm:flex-row gap-3">
@@ -144,9 +168,9 @@ const DashboardPage = () => {
                         Logout
                     </button>
 
-                    {/* Placeholder for future features */}
+                    {/* Toggle the samples / compliance panel */}
                     <button
-                        onClick={() => alert('Water quality monitoring features coming soon!')}
+                        onClick={() => setShowWaterData((open) => !open)}
                         className="flex-1 flex items-center justify-center gap-2 px-4 py-2.5 
                        border border-transparent rounded-lg text-sm font-medium text-white 
                        bg-blue-600 hover:bg-blue-700 transition-colors duration-200"
@@ -154,10 +178,26 @@ const DashboardPage = () => {
                         <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-4 h-4">
                             <path strokeLinecap="round" strokeLinejoin="round" d="M3 13.125C3 12.504 3.504 12 4.125 12h2.25c.621 0 1.125.504 1.125 1.125v6.75C7.5 20.496 6.996 21 6.375 21h-2.25A1.125 1.125 0 013 19.875v-6.75zM9.75 8.625c0-.621.504-1.125 1.125-1.125h2.25c.621 0 1.125.504 1.125 1.125v11.25c0 .621-.504 1.125-1.125 1.125h-2.25a1.125 1.125 0 01-1.125-1.125V8.625zM16.5 4.125c0-.621.504-1.125 1.125-1.125h2.25C20.496 3 21 3.504 21 4.125v15.75c0 .621-.504 1.125-1.125 1.125h-2.25a1.125 1.125 0 01-1.125-1.125V4.125z" />
                         </svg>
-                        View Water Data
+                        {showWaterData ? 'Hide Water Data' : 'View Water Data'}
+                    </button>
+
+                    {/* Open the station Data Explorer */}
+                    <button
+                        onClick={() => navigate('/explore')}
+                        className="flex-1 flex items-center justify-center gap-2 px-4 py-2.5 
+                       border border-blue-200 rounded-lg text-sm font-medium text-blue-700 
+                       bg-blue-50 hover:bg-blue-100 transition-colors duration-200"
+                    >
+                        <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-4 h-4">
+                            <path strokeLinecap="round" strokeLinejoin="round" d="M9 6.75V15m6-6v8.25m.503 3.498l4.875-2.437c.381-.19.622-.58.622-1.006V4.82c0-.836-.88-1.38-1.628-1.006l-3.869 1.934c-.317.159-.69.159-1.006 0L9.503 3.252a1.125 1.125 0 00-1.006 0L3.622 5.689C3.24 5.88 3 6.27 3 6.695V19.18c0 .836.88 1.38 1.628 1.006l3.869-1.934c.317-.159.69-.159 1.006 0l4.994 2.497c.317.158.69.158 1.006 0z" />
+                        </svg>
+                        Explore Station Data
                     </button>
                 </div>
 
+                {/* ── Samples & compliance ── */}
+                {showWaterData && <WaterDataPanel />}
+
             </div>
         </div>
     );
@@ -0,0 +1,913 @@
+/**
+ * ExplorePage.jsx
+ * ----------------
+ * Data Explorer for the bundled India-WRIS station datasets.
+ *
+ * It provides:
+ *  - State and district pickers (defaulting to the user's profile state);
+ *    /explore?station=CODE opens that station's detail panel directly and
+ *    /explore?state=STATE&district=DISTRICT picks that district
+ *  - Catalog filters: station type, agency, aquifer type, acquisition mode
+ *  - A sortable table of groundwater wells and rain gauges, or an offline
+ *    map of every station matching the catalog filters (<StationMap>)
+ *  - A detail panel for the selected station with a groundwater-level
+ *    hydrograph and a monthly rainfall bar chart (normalised totals from
+ *    GET /api/stations/:code/rainfall). When the station only
+ *    measures one of the two, the nearest station of the other kind in
+ *    the same state is used for the second chart.
+ *  - Groundwater trends (GET /api/groundwater/trends): a trend column for
+ *    wells – declining ones are highlighted – a per-district / per-aquifer
+ *    summary for the chosen state, and the well's statistics in the
+ *    detail panel
+ *  - Recharge response (GET /api/groundwater/recharge) for the well in the
+ *    detail panel: the paired rain gauge, the rainfall-to-rise lag
+ *    correlogram and water-table-fluctuation recharge per year
+ *  - A "hide flagged readings" switch that drops readings failing the data
+ *    quality checks (duplicates, spikes, flatlines...) from the charts and
+ *    trends
+ *  - Downloads (GET /api/exports/*): the filtered stations as GeoJSON or
+ *    KML, and their readings – or the selected station's – as CSV
+ *  - A "create alert" link from the detail panel to /alerts
+ *  - Watch buttons for the selected station and district, which add them
+ *    to the user's watchlist (/api/watchlist) shown on the dashboard
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { LineChart, BarChart } from '../components/Charts';
+import StationMap from '../components/StationMap';
+import ExportButtons from '../components/ExportButtons';
+
+const DATASET_LABELS = { groundwater: 'Groundwater well', rainfall: 'Rain gauge' };
+
+// Catalog filters offered as dropdowns, populated from the loaded stations
+const CATALOG_FILTERS = [
+    { key: 'agencyName', label: 'Agency' },
+    { key: 'wellAquiferType', label: 'Aquifer type' },
+    { key: 'dataAcquisitionMode', label: 'Acquisition mode' },
+];
+
+const COLUMNS = [
+    { key: 'stationName', label: 'Station' },
+    { key: 'dataset', label: 'Type' },
+    { key: 'district', label: 'District' },
+    { key: 'wellAquiferType', label: 'Aquifer', hideOnMobile: true },
+    { key: 'readingCount', label: 'Readings', hideOnMobile: true },
+    { key: 'senSlope', label: 'Trend' },
+    { key: 'lastReading', label: 'Last reading' },
+];
+
+const TREND_STYLES = {
+    declining: { label: 'Declining', className: 'bg-red-50 text-red-700 border-red-200' },
+    rising: { label: 'Rising', className: 'bg-green-50 text-green-700 border-green-200' },
+    'no-trend': { label: 'No trend', className: 'bg-gray-50 text-gray-600 border-gray-200' },
+    'insufficient-data': { label: 'Too little data', className: 'bg-white text-gray-400 border-gray-200' },
+};
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+const formatDate = (time) =>
+    time
+        ? new Date(`${time.slice(0, 10)}T00:00:00`).toLocaleDateString('en-IN', {
+            day: 'numeric',
+            month: 'short',
+            year: 'numeric',
+        })
+        : '—';
+
+// Approximate distance in km – plenty for picking the closest station
+const distanceKm = (a, b) => {
+    const rad = Math.PI / 180;
+    const dx = (b.longitude - a.longitude) * rad * Math.cos(((a.latitude + b.latitude) / 2) * rad);
+    const dy = (b.latitude - a.latitude) * rad;
+    return Math.sqrt(dx * dx + dy * dy) * 6371;
+};
+
+const nearest = (origin, candidates) => {
+    if (origin.latitude == null || origin.longitude == null) return candidates[0] || null;
+    let best = null;
+    for (const c of candidates) {
+        if (c.latitude == null || c.longitude == null) continue;
+        const d = distanceKm(origin, c);
+        if (!best || d < best.distance) best = { ...c, distance: d };
+    }
+    return best;
+};
+
+// Signed metres with an explicit "+" for rises
+const formatMetres = (value, suffix = ' m') =>
+    value == null ? '—' : `${value > 0 ? '+' : ''}${value.toFixed(2)}${suffix}`;
+
+const compare = (a, b, key) => {
+    const x = a[key];
+    const y = b[key];
+    if (x == null && y == null) return 0;
+    if (x == null) return 1;
+    if (y == null) return -1;
+    return typeof x === 'number' ? x - y : String(x).localeCompare(String(y));
+};
+
+// ─── Sortable header cell ─────────────────────────────────────────────────────
+const SortHeader = ({ column, sort, onSort }) => {
+    const active = sort.key === column.key;
+    return (
+        <th className={`px-4 py-3 font-medium ${column.hideOnMobile ? 'hidden md:table-cell' : ''}`}>
+            <button
+                type="button"
+                onClick={() => onSort(column.key)}
+                className={`inline-flex items-center gap-1 uppercase tracking-wide ${active ? 'text-gray-900' : ''}`}
+            >
+                {column.label}
+                <span className="text-[10px]">{active ? (sort.dir === 'asc' ? '▲' : '▼') : ''}</span>
+            </button>
+        </th>
+    );
+};
+
+// ─── Trend badge ──────────────────────────────────────────────────────────────
+const TrendBadge = ({ trend }) => {
+    const style = TREND_STYLES[trend];
+    if (!style) return <span className="text-gray-400">—</span>;
+    return (
+        <span className={`inline-flex items-center px-2 py-0.5 text-xs font-medium border rounded-full whitespace-nowrap ${style.className}`}>
+            {style.label}
+        </span>
+    );
+};
+
+// ─── Metadata row in the detail panel ─────────────────────────────────────────
+const Meta = ({ label, value }) => (
+    <div>
+        <dt className="text-xs font-medium text-gray-400 uppercase tracking-wide">{label}</dt>
+        <dd className="text-sm text-gray-900 mt-0.5">{value ?? '—'}</dd>
+    </div>
+);
+
+// ─── Rainfall → water-level response of one well ──────────────────────────────
+const RechargeCard = ({ well, hideFlagged }) => {
+    const { authFetch } = useAuth();
+    const [result, setResult] = useState(null);
+    const [error, setError] = useState('');
+
+    const stationCode = well?.stationCode;
+    useEffect(() => {
+        if (!stationCode) return;
+        setResult(null);
+        setError('');
+        const params = new URLSearchParams({ stationCode });
+        if (hideFlagged) params.set('excludeFlagged', '1');
+        authFetch(`/api/groundwater/recharge?${params}`)
+            .then(async (r) => {
+                const data = await r.json();
+                if (!r.ok) throw new Error(data.error);
+                setResult(data.wells[0] || null);
+            })
+            .catch((err) => setError(err.message || 'Could not load recharge analysis.'));
+    }, [authFetch, stationCode, hideFlagged]);
+
+    if (!well) return null;
+    const correlations = (result?.correlations || []).filter((c) => c.r !== null);
+
+    return (
+        <div className="bg-white border border-gray-200 rounded-xl shadow-card p-5">
+            <div className="mb-4">
+                <h4 className="text-sm font-semibold text-gray-900">Recharge response</h4>
+                <p className="text-xs text-gray-500 mt-0.5">
+                    {well.stationName} ({well.stationCode})
+                    {result?.gauge && ` · rain gauge ${result.gauge.stationName} (${result.gauge.datatypeCode}), ${result.gauge.distanceKm} km away`}
+                </p>
+            </div>
+
+            {error && <p className="error-text">{error}</p>}
+            {!error && !result && <p className="text-sm text-gray-500">Loading analysis...</p>}
+            {result && !result.gauge && (
+                <p className="text-sm text-gray-400">No rain gauge with data in this district or within 50 km.</p>
+            )}
+
+            {result && (
+                <dl className="grid grid-cols-2 sm:grid-cols-4 gap-4">
+                    <Meta
+                        label="Response lag"
+                        value={result.lag ? `${result.lag.lagDays} days${result.lag.significant ? '' : ' (not significant)'}` : null}
+                    />
+                    <Meta label="Correlation r" value={result.lag ? `${result.lag.r} (${result.lag.n} weeks)` : null} />
+                    <Meta
+                        label="Specific yield"
+                        value={result.specificYield != null
+                            ? `${result.specificYield}${result.specificYieldSource === 'default' ? ' (assumed)' : ''}`
+                            : 'n/a (confined)'}
+                    />
+                    <Meta label="Mean recharge" value={result.meanRechargeMm != null ? `${result.meanRechargeMm} mm/yr` : null} />
+                </dl>
+            )}
+
+            {correlations.length > 0 && (
+                <div className="mt-5">
+                    <p className="text-xs font-medium text-gray-400 uppercase tracking-wide mb-2">
+                        Weekly rainfall vs water-level rise, by lag
+                    </p>
+                    <div className="space-y-1">
+                        {correlations.map((c) => (
+                            <div key={c.lagWeeks} className="flex items-center gap-2 text-xs">
+                                <span className="w-12 text-right text-gray-500">{c.lagDays} d</span>
+                                <div className="flex-1 h-3 bg-gray-50 rounded">
+                                    <div
+                                        className={`h-3 rounded ${c.lagWeeks === result.lag?.lagWeeks
+                                            ? 'bg-blue-600'
+                                            : c.r > 0 ? 'bg-blue-200' : 'bg-gray-300'}`}
+                                        style={{ width: `${Math.abs(c.r) * 100}%` }}
+                                    />
+                                </div>
+                                <span className="w-12 text-gray-600">{c.r.toFixed(2)}</span>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            {result?.recharge.length > 0 && (
+                <table className="w-full text-sm mt-5">
+                    <thead className="text-left text-xs text-gray-400 uppercase tracking-wide">
+                        <tr>
+                            <th className="py-2 font-medium">Year</th>
+                            <th className="py-2 font-medium">Pre-monsoon low → peak</th>
+                            <th className="py-2 font-medium">Rise</th>
+                            <th className="py-2 font-medium">Recharge</th>
+                            <th className="py-2 font-medium hidden sm:table-cell">Monsoon rain</th>
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                        {result.recharge.map((y) => (
+                            <tr key={y.year}>
+                                <td className="py-2 text-gray-900">{y.year}</td>
+                                <td className="py-2 text-gray-600">
+                                    {y.preMonsoonLow.level.toFixed(2)} → {y.postMonsoonPeak.level.toFixed(2)} m
+                                </td>
+                                <td className="py-2 text-gray-600">{formatMetres(y.rise)}</td>
+                                <td className="py-2 text-gray-900">{y.rechargeMm != null ? `${y.rechargeMm} mm` : '—'}</td>
+                                <td className="py-2 text-gray-600 hidden sm:table-cell">
+                                    {y.rainfallMm != null ? `${y.rainfallMm} mm over ${y.rainfallDays} day(s)` : '—'}
+                                    {y.rechargeFraction != null && ` · ${Math.round(y.rechargeFraction * 100)}% recharged`}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+};
+
+// ─── Chart card that loads its own series ─────────────────────────────────────
+const SeriesCard = ({ title, station, path = 'readings', query, kind }) => {
+    const { authFetch } = useAuth();
+    const [series, setSeries] = useState(null);
+    const [error, setError] = useState('');
+
+    const stationCode = station?.stationCode;
+    useEffect(() => {
+        if (!stationCode) return;
+        setSeries(null);
+        setError('');
+        authFetch(`/api/stations/${encodeURIComponent(stationCode)}/${path}?${query}`)
+            .then(async (r) => {
+                const data = await r.json();
+                if (!r.ok) throw new Error(data.error);
+                setSeries(data);
+            })
+            .catch((err) => setError(err.message || 'Could not load readings.'));
+    }, [authFetch, stationCode, path, query]);
+
+    // Rainfall totals carry a quality flag per bucket
+    const doubtful = (series?.readings || []).filter((r) => r.quality && r.quality !== 'good').length;
+
+    return (
+        <div className="bg-white border border-gray-200 rounded-xl shadow-card p-5">
+            <div className="mb-3">
+                <h4 className="text-sm font-semibold text-gray-900">{title}</h4>
+                {station && (
+                    <p className="text-xs text-gray-500 mt-0.5">
+                        {station.stationName} ({station.stationCode})
+                        {station.distance !== undefined && ` · ${station.distance.toFixed(1)} km away`}
+                        {series && ` · ${series.description}`}
+                        {series?.excluded > 0 && ` · ${series.excluded} flagged reading(s) hidden`}
+                    </p>
+                )}
+                {series && doubtful > 0 && (
+                    <p className="text-xs text-amber-700 mt-0.5">
+                        {doubtful} of {series.readings.length} total(s) are incomplete or estimated
+                        {series.series?.length > 1 && ` · ${series.datatypeCode} chosen of ${series.series.map((s) => s.datatypeCode).join(', ')}`}
+                    </p>
+                )}
+            </div>
+
+            {!station && <p className="text-sm text-gray-400">No station of this kind in the selected state.</p>}
+            {station && error && <p className="error-text">{error}</p>}
+            {station && !error && !series && <p className="text-sm text-gray-500">Loading readings...</p>}
+            {station && series && kind === 'line' && <LineChart data={series.readings} unit={series.unit} />}
+            {station && series && kind === 'bar' && <BarChart data={series.readings} unit={series.unit} />}
+        </div>
+    );
+};
+
+// ─── Trend summary per district / aquifer type ────────────────────────────────
+const TrendSummaryCard = ({ trends, place }) => {
+    const [groupBy, setGroupBy] = useState('district');
+    const rows = groupBy === 'district' ? trends.byDistrict : trends.byAquiferType;
+
+    return (
+        <div className="bg-white border border-gray-200 rounded-xl shadow-card overflow-hidden">
+            <div className="px-6 py-4 border-b border-gray-100 flex items-center justify-between gap-3">
+                <div>
+                    <h3 className="text-base font-semibold text-gray-900">Groundwater trends</h3>
+                    <p className="text-xs text-gray-500 mt-0.5">
+                        {trends.summary.wells} well(s) in {place} · Mann-Kendall on monthly mean levels,
+                        p &lt; {trends.method.significance} · positive values mean the water table rose
+                    </p>
+                </div>
+                <div className="inline-flex border border-gray-300 rounded-lg overflow-hidden text-sm shrink-0">
+                    {[['district', 'District'], ['aquifer', 'Aquifer type']].map(([key, label]) => (
+                        <button
+                            key={key}
+                            type="button"
+                            onClick={() => setGroupBy(key)}
+                            className={`px-3 py-1.5 ${groupBy === key ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+            <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                    <thead className="bg-gray-50">
+                        <tr className="text-left text-xs text-gray-500 uppercase tracking-wide">
+                            <th className="px-4 py-3 font-medium">{groupBy === 'district' ? 'District' : 'Aquifer type'}</th>
+                            <th className="px-4 py-3 font-medium">Wells</th>
+                            <th className="px-4 py-3 font-medium">Declining</th>
+                            <th className="px-4 py-3 font-medium">Rising</th>
+                            <th className="px-4 py-3 font-medium hidden md:table-cell">No trend</th>
+                            <th className="px-4 py-3 font-medium">Sen's slope</th>
+                            <th className="px-4 py-3 font-medium hidden md:table-cell">May → Nov</th>
+                            <th className="px-4 py-3 font-medium hidden md:table-cell">Year on year</th>
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                        {rows.map((row) => (
+                            <tr key={groupBy === 'district' ? row.district : row.wellAquiferType} className={row.declining ? 'bg-red-50' : ''}>
+                                <td className="px-4 py-2.5 font-medium text-gray-900">{groupBy === 'district' ? row.district : row.wellAquiferType}</td>
+                                <td className="px-4 py-2.5 text-gray-600">
+                                    {row.wells}
+                                    {row.insufficientData > 0 && (
+                                        <span className="text-xs text-gray-400"> ({row.insufficientData} too little data)</span>
+                                    )}
+                                </td>
+                                <td className={`px-4 py-2.5 ${row.declining ? 'font-semibold text-red-700' : 'text-gray-600'}`}>{row.declining}</td>
+                                <td className="px-4 py-2.5 text-gray-600">{row.rising}</td>
+                                <td className="px-4 py-2.5 text-gray-600 hidden md:table-cell">{row.noTrend}</td>
+                                <td className="px-4 py-2.5 text-gray-600 whitespace-nowrap">{formatMetres(row.medianSenSlope, ' m/yr')}</td>
+                                <td className="px-4 py-2.5 text-gray-600 hidden md:table-cell">{formatMetres(row.meanFluctuation)}</td>
+                                <td className="px-4 py-2.5 text-gray-600 hidden md:table-cell">{formatMetres(row.meanYearOverYear)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                {rows.length === 0 && (
+                    <p className="px-6 py-8 text-center text-sm text-gray-500">No groundwater wells here.</p>
+                )}
+            </div>
+        </div>
+    );
+};
+
+// ─── One well's trend statistics ──────────────────────────────────────────────
+const WellTrendCard = ({ trend }) => (
+    <div className={`bg-white border rounded-xl shadow-card p-5 ${trend.trend === 'declining' ? 'border-red-200' : 'border-gray-200'}`}>
+        <div className="flex items-start justify-between gap-3 mb-4">
+            <div>
+                <h4 className="text-sm font-semibold text-gray-900">Water-level trend</h4>
+                <p className="text-xs text-gray-500 mt-0.5">
+                    {trend.datatypeCode || 'No level series'} · {trend.months} month(s) of data
+                    {trend.firstMonth && ` (${trend.firstMonth} – ${trend.lastMonth})`}
+                </p>
+            </div>
+            <TrendBadge trend={trend.trend} />
+        </div>
+        <dl className="grid grid-cols-2 sm:grid-cols-4 gap-4">
+            <Meta label="Sen's slope" value={formatMetres(trend.senSlope, ' m/yr')} />
+            <Meta label="Mann-Kendall p" value={trend.mannKendall?.pValue} />
+            <Meta label="Kendall's tau" value={trend.mannKendall?.tau} />
+            <Meta label="Latest level" value={trend.latestLevel != null ? `${trend.latestLevel.toFixed(2)} m` : null} />
+            {trend.fluctuation.map((f) => (
+                <Meta
+                    key={`f${f.year}`}
+                    label={`May → Nov ${f.year}`}
+                    value={`${formatMetres(f.fluctuation)} (${f.preMonsoon.toFixed(2)} → ${f.postMonsoon.toFixed(2)})`}
+                />
+            ))}
+            {trend.yearOverYear.map((y) => (
+                <Meta
+                    key={`y${y.year}`}
+                    label={`${y.previousYear} → ${y.year}`}
+                    value={`${formatMetres(y.change)} over ${y.months} month(s)`}
+                />
+            ))}
+        </dl>
+    </div>
+);
+
+// ─── Watch toggle ─────────────────────────────────────────────────────────────
+// Star button adding a station / district to the dashboard watchlist
+const WatchButton = ({ watched, onToggle, label }) => (
+    <button
+        type="button"
+        onClick={onToggle}
+        className={`inline-flex items-center gap-1 text-xs font-medium ${watched ? 'text-amber-600 hover:text-amber-700' : 'text-blue-600 hover:text-blue-700'}`}
+        aria-pressed={watched}
+    >
+        <svg
+            xmlns="http://www.w3.org/2000/svg"
+            viewBox="0 0 24 24"
+            strokeWidth={1.5}
+            stroke="currentColor"
+            fill={watched ? 'currentColor' : 'none'}
+            className="w-3.5 h-3.5"
+        >
+            <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                d="M11.48 3.499a.562.562 0 011.04 0l2.125 5.111a.563.563 0 00.475.345l5.518.442c.499.04.701.663.321.988l-4.204 3.602a.563.563 0 00-.182.557l1.285 5.385a.562.562 0 01-.84.61l-4.725-2.885a.563.563 0 00-.586 0L6.982 20.54a.562.562 0 01-.84-.61l1.285-5.386a.562.562 0 00-.182-.557l-4.204-3.602a.563.563 0 01.321-.988l5.518-.442a.563.563 0 00.475-.345L11.48 3.5z"
+            />
+        </svg>
+        {watched ? `Watching ${label}` : `Watch ${label}`}
+    </button>
+);
+
+// ─── Main ExplorePage ─────────────────────────────────────────────────────────
+const ExplorePage = () => {
+    const { authFetch, profile } = useAuth();
+
+    const [regions, setRegions] = useState([]);
+    const [state, setState] = useState('');
+    const [district, setDistrict] = useState('');
+    const [dataset, setDataset] = useState('');
+    const [filters, setFilters] = useState({});
+    const [view, setView] = useState('table');
+
+    const [stations, setStations] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    const [sort, setSort] = useState({ key: 'stationName', dir: 'asc' });
+    const [selectedCode, setSelectedCode] = useState(null);
+    const [trends, setTrends] = useState(null); // groundwater trends for the chosen state
+    const [hideFlagged, setHideFlagged] = useState(false);
+    const [watched, setWatched] = useState([]); // ids on the user's watchlist
+    const [searchParams] = useSearchParams();
+
+    // ── Load states/districts; default to the profile state when it has stations ──
+    useEffect(() => {
+        authFetch('/api/regions')
+            .then((r) => r.json())
+            .then((data) => {
+                const list = data.regions || [];
+                setRegions(list);
+                const home = list.find((r) => r.state.toLowerCase() === profile?.state?.toLowerCase());
+                const linked = list.find((r) => r.state === searchParams.get('state'));
+                // A linked station may already have picked the state
+                setState((current) => current || (linked || home || list[0])?.state || '');
+                if (linked) {
+                    const linkedDistrict = searchParams.get('district') || '';
+                    setDistrict(linked.districts.find((d) => d.toLowerCase() === linkedDistrict.toLowerCase()) || '');
+                }
+            })
+            .catch(() => setError('Cannot connect to the server. Make sure the backend is running.'));
+    }, [authFetch, profile?.state, searchParams]);
+
+    // ── Load the whole catalog once; everything else is filtered client-side ──
+    useEffect(() => {
+        authFetch('/api/stations?pageSize=500')
+            .then(async (r) => {
+                const data = await r.json();
+                if (!r.ok) throw new Error(data.error);
+                setStations(data.stations || []);
+            })
+            .catch((err) => setError(err.message || 'Could not load stations.'))
+            .finally(() => setLoading(false));
+    }, [authFetch]);
+
+    // ── Which stations / districts are already watched ──
+    useEffect(() => {
+        authFetch('/api/watchlist?summary=0')
+            .then((r) => (r.ok ? r.json() : { items: [] }))
+            .then((data) => setWatched(data.items.map((i) => i.id)))
+            .catch(() => { });
+    }, [authFetch]);
+
+    // Add to / remove from the watchlist; item is the POST body
+    const toggleWatch = async (id, item) => {
+        const res = watched.includes(id)
+            ? await authFetch(`/api/watchlist/${encodeURIComponent(id)}`, { method: 'DELETE' })
+            : await authFetch('/api/watchlist', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(item),
+            });
+        const data = await res.json();
+        if (!res.ok) {
+            setError(data.error || 'Could not update your watchlist.');
+            return;
+        }
+        setWatched(data.items.map((i) => i.id));
+    };
+
+    // ── Open the station linked as ?station=CODE once the catalog is in ──
+    useEffect(() => {
+        const linked = stations.find((s) => s.stationCode === searchParams.get('station'));
+        if (linked) {
+            setState(linked.state);
+            setDistrict('');
+            setSelectedCode(linked.stationCode);
+        }
+    }, [stations, searchParams]);
+
+    // ── Groundwater trends for the chosen state / district ──
+    useEffect(() => {
+        if (!state) return;
+        setTrends(null);
+        const params = new URLSearchParams({ state });
+        if (district) params.set('district', district);
+        if (hideFlagged) params.set('excludeFlagged', '1');
+        authFetch(`/api/groundwater/trends?${params}`)
+            .then((r) => (r.ok ? r.json() : null))
+            .then(setTrends)
+            .catch(() => { });
+    }, [authFetch, state, district, hideFlagged]);
+
+    const trendByCode = useMemo(
+        () => new Map((trends?.wells || []).map((w) => [w.stationCode, w])),
+        [trends]
+    );
+
+    const districts = regions.find((r) => r.state === state)?.districts || [];
+
+    // The table's filters, as /api/exports query parameters
+    const exportQuery = useMemo(() => {
+        const params = new URLSearchParams();
+        for (const [key, value] of Object.entries({ state, district, dataset, ...filters })) {
+            if (value) params.set(key, value);
+        }
+        return params.toString();
+    }, [state, district, dataset, filters]);
+
+    const filterOptions = useMemo(
+        () =>
+            Object.fromEntries(
+                CATALOG_FILTERS.map(({ key }) => [
+                    key,
+                    [...new Set(stations.map((s) => s[key]).filter(Boolean))].sort(),
+                ])
+            ),
+        [stations]
+    );
+
+    // Stations matching the type + catalog filters, anywhere in India (map)
+    const matching = useMemo(
+        () =>
+            stations.filter(
+                (s) =>
+                    (!dataset || s.dataset === dataset) &&
+                    CATALOG_FILTERS.every(({ key }) => !filters[key] || s[key] === filters[key])
+            ),
+        [stations, dataset, filters]
+    );
+
+    // ...narrowed to the chosen state / district and sorted (table)
+    const visible = useMemo(() => {
+        const rows = matching
+            .filter(
+                (s) =>
+                    s.state === state &&
+                    (!district || s.district?.toLowerCase() === district.toLowerCase())
+            )
+            .map((s) => {
+                const t = trendByCode.get(s.stationCode);
+                return t ? { ...s, trend: t.trend, senSlope: t.senSlope } : s;
+            });
+        rows.sort((a, b) => compare(a, b, sort.key) * (sort.dir === 'asc' ? 1 : -1));
+        return rows;
+    }, [matching, state, district, sort, trendByCode]);
+
+    const selected = stations.find((s) => s.stationCode === selectedCode) || null;
+
+    // Chart partners are looked up among stations in the same state
+    const sameState = selected ? stations.filter((s) => s.state === selected.state) : [];
+
+    // The well and gauge behind the two charts
+    const well = selected
+        ? selected.dataset === 'groundwater'
+            ? selected
+            : nearest(selected, sameState.filter((s) => s.dataset === 'groundwater'))
+        : null;
+    const gauge = selected
+        ? selected.dataset === 'rainfall'
+            ? selected
+            : nearest(selected, sameState.filter((s) => s.dataset === 'rainfall'))
+        : null;
+
+    // A map click may land in another state – switch the pickers to it
+    const handleMapSelect = (station) => {
+        if (station.state !== state) {
+            setState(station.state);
+            setDistrict('');
+        }
+        setSelectedCode(station.stationCode);
+    };
+
+    const handleSort = (key) =>
+        setSort((s) => ({ key, dir: s.key === key && s.dir === 'asc' ? 'desc' : 'asc' }));
+
+    return (
+        <div className="min-h-screen bg-gray-50 py-10 px-4">
+            <div className="max-w-6xl mx-auto space-y-6">
+
+                {/* ── Header ── */}
+                <div>
+                    <h1 className="text-2xl font-bold text-gray-900">Data Explorer</h1>
+                    <p className="text-sm text-gray-500 mt-1">
+                        Groundwater levels (CGWB) and rainfall (CWC) from the India-WRIS stations.
+                    </p>
+                </div>
+
+                {/* ── Filters ── */}
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                    <div>
+                        <label htmlFor="state" className="input-label">State</label>
+                        <select
+                            id="state"
+                            value={state}
+                            onChange={(e) => {
+                                setState(e.target.value);
+                                setDistrict('');
+                                setSelectedCode(null);
+                            }}
+                            className="input-field"
+                        >
+                            {regions.map((r) => (
+                                <option key={r.state} value={r.state}>{r.state}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div>
+                        <label htmlFor="district" className="input-label">District</label>
+                        <select
+                            id="district"
+                            value={district}
+                            onChange={(e) => setDistrict(e.target.value)}
+                            className="input-field"
+                        >
+                            <option value="">All districts</option>
+                            {districts.map((d) => (
+                                <option key={d} value={d}>{d}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div>
+                        <label htmlFor="dataset" className="input-label">Station type</label>
+                        <select
+                            id="dataset"
+                            value={dataset}
+                            onChange={(e) => setDataset(e.target.value)}
+                            className="input-field"
+                        >
+                            <option value="">All stations</option>
+                            <option value="groundwater">Groundwater wells</option>
+                            <option value="rainfall">Rain gauges</option>
+                        </select>
+                    </div>
+                    {CATALOG_FILTERS.map(({ key, label }) => (
+                        <div key={key}>
+                            <label htmlFor={key} className="input-label">{label}</label>
+                            <select
+                                id={key}
+                                value={filters[key] || ''}
+                                onChange={(e) => setFilters((f) => ({ ...f, [key]: e.target.value }))}
+                                className="input-field"
+                            >
+                                <option value="">Any</option>
+                                {filterOptions[key].map((v) => (
+                                    <option key={v} value={v}>{v}</option>
+                                ))}
+                            </select>
+                        </div>
+                    ))}
+                    <div className="flex items-end pb-2">
+                        <label className="flex items-center gap-2 text-sm text-gray-700">
+                            <input
+                                type="checkbox"
+                                checked={hideFlagged}
+                                onChange={(e) => setHideFlagged(e.target.checked)}
+                                className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                            />
+                            Hide flagged readings
+                        </label>
+                    </div>
+                </div>
+
+                {error && (
+                    <div className="bg-red-50 border border-red-200 rounded-lg px-4 py-3 text-sm text-red-700">
+                        {error}
+                    </div>
+                )}
+
+                {/* ── Stations: table or map ── */}
+                <div className="bg-white border border-gray-200 rounded-xl shadow-card overflow-hidden">
+                    <div className="px-6 py-4 border-b border-gray-100 flex items-center justify-between gap-3">
+                        <div>
+                            <h3 className="text-base font-semibold text-gray-900">Stations</h3>
+                            <p className="text-xs text-gray-500 mt-0.5">
+                                {loading
+                                    ? 'Loading...'
+                                    : view === 'table'
+                                        ? `${visible.length} station(s) in ${district || state} · click a row for details`
+                                        : `${matching.length} station(s) across India · click a marker for details`}
+                            </p>
+                            {state && (
+                                <div className="mt-1.5 flex flex-wrap items-center gap-x-3 gap-y-1">
+                                    <ExportButtons
+                                        downloads={[
+                                            { label: 'GeoJSON', path: `/api/exports/stations?format=geojson&${exportQuery}` },
+                                            { label: 'KML', path: `/api/exports/stations?format=kml&${exportQuery}` },
+                                            { label: 'Readings CSV', path: `/api/exports/readings?${exportQuery}` },
+                                        ]}
+                                    />
+                                    {district && (
+                                        <WatchButton
+                                            watched={watched.includes(`district:${state}:${district}`)}
+                                            onToggle={() => toggleWatch(`district:${state}:${district}`, { type: 'district', state, district })}
+                                            label={district}
+                                        />
+                                    )}
+                                </div>
+                            )}
+                        </div>
+                        <div className="inline-flex border border-gray-300 rounded-lg overflow-hidden text-sm">
+                            {['table', 'map'].map((v) => (
+                                <button
+                                    key={v}
+                                    type="button"
+                                    onClick={() => setView(v)}
+                                    className={`px-3 py-1.5 capitalize ${view === v ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+                                >
+                                    {v}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+
+                    {view === 'map' && (
+                        <div className="p-4">
+                            <StationMap
+                                stations={matching}
+                                selectedCode={selectedCode}
+                                onSelect={handleMapSelect}
+                                focusState={state}
+                            />
+                        </div>
+                    )}
+
+                    {view === 'table' && <div className="max-h-96 overflow-y-auto">
+                        <table className="w-full text-sm">
+                            <thead className="bg-gray-50 sticky top-0">
+                                <tr className="text-left text-xs text-gray-500">
+                                    {COLUMNS.map((c) => (
+                                        <SortHeader key={c.key} column={c} sort={sort} onSort={handleSort} />
+                                    ))}
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-100">
+                                {!loading && visible.map((s) => (
+                                    <tr
+                                        key={s.stationCode}
+                                        onClick={() => setSelectedCode(s.stationCode)}
+                                        className={`cursor-pointer hover:bg-blue-50 ${s.stationCode === selectedCode
+                                            ? 'bg-blue-50'
+                                            : s.trend === 'declining' ? 'bg-red-50' : ''
+                                            }`}
+                                    >
+                                        <td className="px-4 py-2.5">
+                                            <p className="font-medium text-gray-900">{s.stationName}</p>
+                                            <p className="text-xs text-gray-400">{s.stationCode}</p>
+                                        </td>
+                                        <td className="px-4 py-2.5 text-gray-600">{DATASET_LABELS[s.dataset]}</td>
+                                        <td className="px-4 py-2.5 text-gray-600">{s.district}</td>
+                                        <td className="px-4 py-2.5 text-gray-600 hidden md:table-cell">{s.wellAquiferType || '—'}</td>
+                                        <td className="px-4 py-2.5 text-gray-600 hidden md:table-cell">{s.readingCount}</td>
+                                        <td className="px-4 py-2.5 text-gray-600">
+                                            {s.dataset === 'groundwater' ? (
+                                                <>
+                                                    <TrendBadge trend={s.trend} />
+                                                    {s.senSlope != null && (
+                                                        <span className="block text-xs text-gray-400 mt-0.5">{formatMetres(s.senSlope, ' m/yr')}</span>
+                                                    )}
+                                                </>
+                                            ) : '—'}
+                                        </td>
+                                        <td className="px-4 py-2.5 text-gray-600">{formatDate(s.lastReading)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                        {!loading && visible.length === 0 && (
+                            <p className="px-6 py-8 text-center text-sm text-gray-500">No stations match these filters.</p>
+                        )}
+                    </div>}
+                </div>
+
+                {/* ── Groundwater trends ── */}
+                {trends && <TrendSummaryCard trends={trends} place={district || state} />}
+
+                {/* ── Station detail ── */}
+                {selected && (
+                    <div className="space-y-4">
+                        <div className="bg-white border border-gray-200 rounded-xl shadow-card p-6">
+                            <div className="flex items-start justify-between gap-3 mb-4">
+                                <div>
+                                    <h3 className="text-base font-semibold text-gray-900">{selected.stationName}</h3>
+                                    <p className="text-xs text-gray-500 mt-0.5">
+                                        {DATASET_LABELS[selected.dataset]} · {selected.stationCode}
+                                    </p>
+                                    <div className="mt-1.5 flex flex-wrap items-center gap-x-3 gap-y-1">
+                                        <ExportButtons
+                                            downloads={[{
+                                                label: 'Readings CSV',
+                                                path: `/api/exports/readings?stationCode=${encodeURIComponent(selected.stationCode)}`,
+                                            }]}
+                                        />
+                                        <Link
+                                            to={`/alerts?station=${encodeURIComponent(selected.stationCode)}${selected.dataset === 'groundwater' ? '' : '&type=anomaly'}`}
+                                            className="text-xs font-medium text-blue-600 hover:text-blue-700"
+                                        >
+                                            Create alert
+                                        </Link>
+                                        <WatchButton
+                                            watched={watched.includes(`station:${selected.stationCode}`)}
+                                            onToggle={() => toggleWatch(`station:${selected.stationCode}`, { type: 'station', stationCode: selected.stationCode })}
+                                            label="station"
+                                        />
+                                    </div>
+                                </div>
+                                <button
+                                    type="button"
+                                    onClick={() => setSelectedCode(null)}
+                                    className="text-sm text-gray-400 hover:text-gray-600"
+                                >
+                                    Close
+                                </button>
+                            </div>
+                            <dl className="grid grid-cols-2 sm:grid-cols-4 gap-4">
+                                <Meta label="Agency" value={selected.agencyName} />
+                                <Meta label="District" value={selected.district} />
+                                <Meta label="Tehsil / Block" value={selected.tehsil || selected.block} />
+                                <Meta
+                                    label="Coordinates"
+                                    value={selected.latitude != null
+                                        ? `${selected.latitude.toFixed(4)}, ${selected.longitude.toFixed(4)}`
+                                        : null}
+                                />
+                                <Meta label="Basin" value={selected.majorBasin} />
+                                <Meta label="Aquifer" value={selected.wellAquiferType} />
+                                <Meta label="Well depth" value={selected.wellDepth != null ? `${selected.wellDepth} m` : null} />
+                                <Meta label="Acquisition" value={selected.dataAcquisitionMode} />
+                                <Meta label="Status" value={selected.stationStatus} />
+                                <Meta label="Readings" value={selected.readingCount} />
+                                <Meta label="Last reading" value={formatDate(selected.lastReading)} />
+                            </dl>
+                        </div>
+
+                        {trendByCode.has(selected.stationCode) && (
+                            <WellTrendCard trend={trendByCode.get(selected.stationCode)} />
+                        )}
+
+                        <SeriesCard
+                            title="Groundwater level (daily mean)"
+                            station={well}
+                            query={`interval=daily&agg=mean${hideFlagged ? '&excludeFlagged=1' : ''}`}
+                            kind="line"
+                        />
+                        <RechargeCard well={well} hideFlagged={hideFlagged} />
+                        <SeriesCard
+                            title="Rainfall (monthly total)"
+                            station={gauge}
+                            path="rainfall"
+                            query={`interval=monthly${hideFlagged ? '&excludeFlagged=1' : ''}`}
+                            kind="bar"
+                        />
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default ExplorePage;
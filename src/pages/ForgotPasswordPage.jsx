@@ -0,0 +1,78 @@
+/**
+ * ForgotPasswordPage.jsx
+ * -----------------------
+ * Asks for an email address and requests a password reset link
+ * (POST /api/password/forgot).
+ *
+ * The server answers the same way whether or not the account exists,
+ * so the page always shows the same confirmation.
+ */
+
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import AuthCard from '../components/AuthCard';
+
+const ForgotPasswordPage = () => {
+    const { requestPasswordReset } = useAuth();
+
+    const [email, setEmail] = useState('');
+    const [error, setError] = useState('');
+    const [sent, setSent] = useState(false);
+    const [loading, setLoading] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!email.trim() || !/\S+@\S+\.\S+/.test(email)) {
+            setError('Please enter a valid email address.');
+            return;
+        }
+        setLoading(true);
+        const apiError = await requestPasswordReset(email.trim());
+        setLoading(false);
+        setError(apiError || '');
+        setSent(!apiError);
+    };
+
+    return (
+        <AuthCard title="Reset your password" subtitle="We'll email you a link to choose a new one">
+            {sent ? (
+                <div className="space-y-5">
+                    <div className="bg-green-50 border border-green-200 rounded-lg px-4 py-3 text-sm text-green-700">
+                        If an account exists for {email.trim()}, a reset link is on its way.
+                        The link expires in 1 hour.
+                    </div>
+                    <Link to="/login" className="block text-center text-sm text-blue-600 hover:underline">
+                        Back to sign in
+                    </Link>
+                </div>
+            ) : (
+                <form onSubmit={handleSubmit} noValidate className="space-y-5">
+                    <div>
+                        <label htmlFor="forgot-email" className="input-label">Email address</label>
+                        <input
+                            id="forgot-email"
+                            type="email"
+                            value={email}
+                            onChange={(e) => { setEmail(e.target.value); setError(''); }}
+                            className={`input-field ${error ? 'border-red-400 focus:ring-red-400' : ''}`}
+                            placeholder="you@example.com"
+                            autoComplete="email"
+                        />
+                        {error && <p className="error-text">{error}</p>}
+                    </div>
+
+                    <button type="submit" className="btn-primary" disabled={loading}>
+                        {loading ? 'Sending...' : 'Send reset link'}
+                    </button>
+
+                    <Link to="/login" className="block text-center text-sm text-blue-600 hover:underline">
+                        Back to sign in
+                    </Link>
+                </form>
+            )}
+        </AuthCard>
+    );
+};
+
+export default ForgotPasswordPage;
@@ -0,0 +1,487 @@
+/**
+ * ImportPage.jsx
+ * ---------------
+ * Wizard for importing lab results in bulk from a CSV or XLSX spreadsheet.
+ *
+ * Steps:
+ *  1. Upload   – send the file to POST /api/imports
+ *  2. Map      – pick which column holds each sample field / parameter and
+ *                its unit (e.g. ppm vs mg/L, µS/cm conductivity for TDS);
+ *                mappings can be saved as presets for repeat imports
+ *  3. Preview  – row-by-row validation errors from /api/imports/:id/validate
+ *  4. Done     – valid rows committed in one go via /api/imports/:id/commit
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+
+const STEPS = ['Upload', 'Map columns', 'Preview', 'Done'];
+
+const FIELD_LABELS = {
+    collectedAt: 'Collection date / time',
+    latitude: 'Latitude',
+    longitude: 'Longitude',
+    sourceType: 'Source type',
+    stationCode: 'Station code',
+    state: 'State',
+    district: 'District',
+    notes: 'Notes',
+};
+
+const REQUIRED_FIELDS = ['collectedAt', 'latitude', 'longitude', 'sourceType'];
+
+// ─── Step Indicator ───────────────────────────────────────────────────────────
+const StepHeader = ({ step }) => (
+    <ol className="flex items-center gap-2 text-xs font-medium mb-6">
+        {STEPS.map((label, i) => (
+            <li key={label} className="flex items-center gap-2">
+                <span
+                    className={`w-6 h-6 rounded-full flex items-center justify-center ${i <= step ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-500'
+                        }`}
+                >
+                    {i + 1}
+                </span>
+                <span className={i === step ? 'text-gray-900' : 'text-gray-400'}>{label}</span>
+                {i < STEPS.length - 1 && <span className="w-6 h-px bg-gray-300" />}
+            </li>
+        ))}
+    </ol>
+);
+
+// ─── Column picker ────────────────────────────────────────────────────────────
+const ColumnSelect = ({ id, columns, value, onChange }) => (
+    <select id={id} value={value || ''} onChange={(e) => onChange(e.target.value)} className="input-field">
+        <option value="">— not mapped —</option>
+        {columns.map((c) => (
+            <option key={c} value={c}>{c}</option>
+        ))}
+    </select>
+);
+
+// ─── API error banner ─────────────────────────────────────────────────────────
+const ErrorBanner = ({ message }) =>
+    message ? (
+        <div className="bg-red-50 border border-red-200 rounded-lg px-4 py-3 text-sm text-red-700 mb-4">
+            {message}
+        </div>
+    ) : null;
+
+// ─── Main ImportPage ──────────────────────────────────────────────────────────
+const ImportPage = () => {
+    const { authFetch } = useAuth();
+
+    const [step, setStep] = useState(0);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState('');
+
+    // Reference data: parameters with their accepted units, source types
+    const [parameters, setParameters] = useState([]);
+    const [sourceTypes, setSourceTypes] = useState([]);
+
+    // Upload + mapping state
+    const [file, setFile] = useState(null);
+    const [upload, setUpload] = useState(null); // { importId, columns, rowCount, preview }
+    const [mapping, setMapping] = useState(null);
+
+    // Presets
+    const [presets, setPresets] = useState([]);
+    const [presetName, setPresetName] = useState('');
+
+    // Validation + commit results
+    const [validation, setValidation] = useState(null);
+    const [committed, setCommitted] = useState(null);
+
+    // ── Load parameter definitions and the user's presets ──
+    useEffect(() => {
+        authFetch('/api/parameters')
+            .then((r) => r.json())
+            .then((data) => {
+                setParameters(data.parameters || []);
+                setSourceTypes(data.sourceTypes || []);
+            })
+            .catch(() => setError('Cannot connect to the server. Make sure the backend is running.'));
+        authFetch('/api/import-presets')
+            .then((r) => r.json())
+            .then((data) => setPresets(data.presets || []))
+            .catch(() => { });
+    }, [authFetch]);
+
+    // ── JSON POST helper; returns parsed body or throws with the API error ──
+    const postJson = async (path, body) => {
+        const res = await authFetch(path, { method: 'POST', body: JSON.stringify(body) });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Request failed.');
+        return data;
+    };
+
+    // ─── Step 1: upload ────────────────────────────────────────────────────────
+    const handleUpload = async (e) => {
+        e.preventDefault();
+        if (!file) {
+            setError('Please choose a .csv or .xlsx file.');
+            return;
+        }
+        setBusy(true);
+        setError('');
+        try {
+            const form = new FormData();
+            form.append('file', file);
+            const res = await authFetch('/api/imports', { method: 'POST', body: form });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Upload failed.');
+
+            setUpload(data);
+            setMapping(data.mapping);
+            setStep(1);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    // ─── Step 2: mapping helpers ───────────────────────────────────────────────
+    const setField = (field, column) =>
+        setMapping((m) => ({ ...m, fields: { ...m.fields, [field]: column || undefined } }));
+
+    const setDefault = (field, value) =>
+        setMapping((m) => ({ ...m, defaults: { ...m.defaults, [field]: value || undefined } }));
+
+    const setParameter = (key, patch) =>
+        setMapping((m) => {
+            const def = parameters.find((p) => p.key === key);
+            const current = m.parameters[key] || { column: '', unit: def?.unit };
+            const next = { ...current, ...patch };
+            const params = { ...m.parameters };
+            if (next.column) params[key] = next;
+            else delete params[key];
+            return { ...m, parameters: params };
+        });
+
+    const applyPreset = (name) => {
+        const preset = presets.find((p) => p.name === name);
+        if (preset) {
+            setMapping({ fields: {}, parameters: {}, defaults: {}, dateFormat: 'DMY', ...preset.mapping });
+            setPresetName(preset.name);
+        }
+    };
+
+    const savePreset = async () => {
+        if (!presetName.trim()) {
+            setError('Give the preset a name first.');
+            return;
+        }
+        try {
+            const data = await postJson('/api/import-presets', { name: presetName.trim(), mapping });
+            setPresets(data.presets);
+            setError('');
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleValidate = async () => {
+        setBusy(true);
+        setError('');
+        try {
+            setValidation(await postJson(`/api/imports/${upload.importId}/validate`, { mapping }));
+            setStep(2);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    // ─── Step 3: commit ────────────────────────────────────────────────────────
+    const handleCommit = async () => {
+        setBusy(true);
+        setError('');
+        try {
+            setCommitted(await postJson(`/api/imports/${upload.importId}/commit`, { mapping }));
+            setStep(3);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const restart = () => {
+        setStep(0);
+        setFile(null);
+        setUpload(null);
+        setMapping(null);
+        setValidation(null);
+        setCommitted(null);
+        setError('');
+    };
+
+    const missingRequired = mapping
+        ? REQUIRED_FIELDS.filter((f) => !mapping.fields[f] && !(f === 'sourceType' && mapping.defaults?.sourceType))
+        : [];
+
+    return (
+        <div className="min-h-screen bg-gray-50 py-10 px-4">
+            <div className="max-w-3xl mx-auto">
+
+                {/* ── Header ── */}
+                <div className="mb-6">
+                    <h1 className="text-2xl font-bold text-gray-900">Import Lab Results</h1>
+                    <p className="text-sm text-gray-500 mt-1">
+                        Upload a CSV or Excel sheet with one sample per row.
+                    </p>
+                </div>
+
+                <StepHeader step={step} />
+
+                <div className="card">
+                    <ErrorBanner message={error} />
+
+                    {/* ══════════════════ STEP 1: UPLOAD ══════════════════ */}
+                    {step === 0 && (
+                        <form onSubmit={handleUpload} className="space-y-4">
+                            <div>
+                                <label htmlFor="import-file" className="input-label">Spreadsheet (.csv or .xlsx, max 5 MB)</label>
+                                <input
+                                    id="import-file"
+                                    type="file"
+                                    accept=".csv,.xlsx"
+                                    onChange={(e) => setFile(e.target.files[0] || null)}
+                                    className="block w-full text-sm text-gray-700"
+                                />
+                            </div>
+                            <button type="submit" disabled={busy} className="btn-primary">
+                                {busy ? 'Uploading...' : 'Upload & Continue'}
+                            </button>
+                        </form>
+                    )}
+
+                    {/* ══════════════════ STEP 2: MAPPING ══════════════════ */}
+                    {step === 1 && mapping && (
+                        <div className="space-y-6">
+                            <p className="text-sm text-gray-600">
+                                <span className="font-medium">{upload.filename}</span> — {upload.rowCount} row(s),{' '}
+                                {upload.columns.length} column(s). We guessed the mapping below; please check it.
+                            </p>
+
+                            {/* Presets */}
+                            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                                <div>
+                                    <label htmlFor="preset" className="input-label">Apply a saved preset</label>
+                                    <select
+                                        id="preset"
+                                        defaultValue=""
+                                        onChange={(e) => applyPreset(e.target.value)}
+                                        className="input-field"
+                                    >
+                                        <option value="">— choose preset —</option>
+                                        {presets.map((p) => (
+                                            <option key={p.name} value={p.name}>{p.name}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                                <div>
+                                    <label htmlFor="preset-name" className="input-label">Save this mapping as</label>
+                                    <div className="flex gap-2">
+                                        <input
+                                            id="preset-name"
+                                            type="text"
+                                            value={presetName}
+                                            onChange={(e) => setPresetName(e.target.value)}
+                                            placeholder="e.g. District lab format"
+                                            className="input-field"
+                                        />
+                                        <button
+                                            type="button"
+                                            onClick={savePreset}
+                                            className="px-4 py-2.5 border border-gray-300 rounded-lg text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 transition-colors duration-200"
+                                        >
+                                            Save
+                                        </button>
+                                    </div>
+                                </div>
+                            </div>
+
+                            {/* Sample fields */}
+                            <div>
+                                <h3 className="text-sm font-semibold text-gray-900 mb-3">Sample fields</h3>
+                                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                                    {Object.entries(FIELD_LABELS).map(([field, label]) => (
+                                        <div key={field}>
+                                            <label htmlFor={`field-${field}`} className="input-label">
+                                                {label}
+                                                {REQUIRED_FIELDS.includes(field) && <span className="text-red-500 ml-0.5">*</span>}
+                                            </label>
+                                            <ColumnSelect
+                                                id={`field-${field}`}
+                                                columns={upload.columns}
+                                                value={mapping.fields[field]}
+                                                onChange={(col) => setField(field, col)}
+                                            />
+                                        </div>
+                                    ))}
+
+                                    <div>
+                                        <label htmlFor="default-source" className="input-label">Source type if not in sheet</label>
+                                        <select
+                                            id="default-source"
+                                            value={mapping.defaults?.sourceType || ''}
+                                            onChange={(e) => setDefault('sourceType', e.target.value)}
+                                            className="input-field"
+                                        >
+                                            <option value="">—</option>
+                                            {sourceTypes.map((t) => (
+                                                <option key={t} value={t}>{t}</option>
+                                            ))}
+                                        </select>
+                                    </div>
+
+                                    <div>
+                                        <label htmlFor="date-format" className="input-label">Dates like 05/06/2024 mean</label>
+                                        <select
+                                            id="date-format"
+                                            value={mapping.dateFormat || 'DMY'}
+                                            onChange={(e) => setMapping((m) => ({ ...m, dateFormat: e.target.value }))}
+                                            className="input-field"
+                                        >
+                                            <option value="DMY">5 June 2024 (day first)</option>
+                                            <option value="MDY">May 6, 2024 (month first)</option>
+                                        </select>
+                                    </div>
+                                </div>
+                            </div>
+
+                            {/* Parameters */}
+                            <div>
+                                <h3 className="text-sm font-semibold text-gray-900 mb-3">Parameters</h3>
+                                <div className="space-y-3">
+                                    {parameters.map((p) => {
+                                        const current = mapping.parameters[p.key];
+                                        return (
+                                            <div key={p.key} className="grid grid-cols-1 sm:grid-cols-3 gap-2 items-center">
+                                                <span className="text-sm text-gray-700">{p.label}</span>
+                                                <ColumnSelect
+                                                    id={`param-${p.key}`}
+                                                    columns={upload.columns}
+                                                    value={current?.column}
+                                                    onChange={(col) => setParameter(p.key, { column: col })}
+                                                />
+                                                <select
+                                                    value={current?.unit || p.unit}
+                                                    disabled={!current}
+                                                    onChange={(e) => setParameter(p.key, { unit: e.target.value })}
+                                                    className="input-field disabled:bg-gray-50 disabled:text-gray-400"
+                                                    aria-label={`${p.label} unit`}
+                                                >
+                                                    {p.units.map((u) => (
+                                                        <option key={u} value={u}>{u}</option>
+                                                    ))}
+                                                </select>
+                                            </div>
+                                        );
+                                    })}
+                                </div>
+                            </div>
+
+                            {missingRequired.length > 0 && (
+                                <p className="error-text">
+                                    Still needed: {missingRequired.map((f) => FIELD_LABELS[f]).join(', ')}.
+                                </p>
+                            )}
+
+                            <div className="flex gap-3">
+                                <button type="button" onClick={restart} className="btn-secondary">
+                                    Choose another file
+                                </button>
+                                <button type="button" onClick={handleValidate} disabled={busy} className="btn-primary">
+                                    {busy ? 'Checking...' : 'Check Rows'}
+                                </button>
+                            </div>
+                        </div>
+                    )}
+
+                    {/* ══════════════════ STEP 3: PREVIEW ══════════════════ */}
+                    {step === 2 && validation && (
+                        <div className="space-y-4">
+                            <div className="flex gap-3">
+                                <div className="flex-1 bg-green-50 border border-green-200 rounded-lg px-4 py-3">
+                                    <p className="text-xs text-green-700 uppercase tracking-wide">Ready to import</p>
+                                    <p className="text-xl font-semibold text-green-800">{validation.valid}</p>
+                                </div>
+                                <div className="flex-1 bg-red-50 border border-red-200 rounded-lg px-4 py-3">
+                                    <p className="text-xs text-red-700 uppercase tracking-wide">Rows with errors</p>
+                                    <p className="text-xl font-semibold text-red-800">{validation.invalid}</p>
+                                </div>
+                            </div>
+
+                            {validation.invalid > 0 && (
+                                <div className="max-h-80 overflow-y-auto border border-gray-200 rounded-lg">
+                                    <table className="w-full text-sm">
+                                        <thead className="bg-gray-50 sticky top-0">
+                                            <tr className="text-left text-xs text-gray-500 uppercase tracking-wide">
+                                                <th className="px-3 py-2 font-medium">Row</th>
+                                                <th className="px-3 py-2 font-medium">Problems</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody className="divide-y divide-gray-100">
+                                            {validation.rows.filter((r) => !r.valid).map((r) => (
+                                                <tr key={r.row}>
+                                                    <td className="px-3 py-2 text-gray-500 align-top">{r.row}</td>
+                                                    <td className="px-3 py-2 text-red-700">
+                                                        {Object.values(r.errors).map((msg) => (
+                                                            <div key={msg}>{msg}</div>
+                                                        ))}
+                                                    </td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            )}
+
+                            <p className="text-xs text-gray-500">
+                                Rows with errors are skipped. Fix them in the sheet and import them again later.
+                            </p>
+
+                            <div className="flex gap-3">
+                                <button type="button" onClick={() => setStep(1)} className="btn-secondary">
+                                    Back to Mapping
+                                </button>
+                                <button
+                                    type="button"
+                                    onClick={handleCommit}
+                                    disabled={busy || validation.valid === 0}
+                                    className="btn-primary"
+                                >
+                                    {busy ? 'Importing...' : `Import ${validation.valid} Sample(s)`}
+                                </button>
+                            </div>
+                        </div>
+                    )}
+
+                    {/* ══════════════════ STEP 4: DONE ══════════════════ */}
+                    {step === 3 && committed && (
+                        <div className="space-y-4 text-center">
+                            <p className="text-base font-semibold text-green-800">{committed.message}</p>
+                            {committed.skipped > 0 && (
+                                <p className="text-sm text-gray-500">{committed.skipped} row(s) were skipped.</p>
+                            )}
+                            <div className="flex gap-3">
+                                <button type="button" onClick={restart} className="btn-secondary">
+                                    Import Another File
+                                </button>
+                                <Link to="/dashboard" className="btn-primary">
+                                    Back to Dashboard
+                                </Link>
+                            </div>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ImportPage;
@@ -10,24 +10,14 @@
  *  - City
  *  - State
  *
- * On submit → saves to localStorage via AuthContext → redirects to /dashboard
+ * On submit → saves via AuthContext (POST /api/profile) → redirects to /dashboard.
+ * Later changes are made on the settings page (/settings).
  */
 
 import React, { useState } from 'react';
 import { useNavigate, Navigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
-
-// ─── List of Indian States ────────────────────────────────────────────────────
-const INDIAN_STATES = [
-    'Andhra Pradesh', 'Arunachal Pradesh', 'Assam', 'Bihar', 'Chhattisgarh',
-    'Goa', 'Gujarat', 'Haryana', 'Himachal Pradesh', 'Jharkhand', 'Karnataka',
-    'Kerala', 'Madhya Pradesh', 'Maharashtra', 'Manipur', 'Meghalaya', 'Mizoram',
-    'Nagaland', 'Odisha', 'Punjab', 'Rajasthan', 'Sikkim', 'Tamil Nadu',
-    'Telangana', 'Tripura', 'Uttar Pradesh', 'Uttarakhand', 'West Bengal',
-    'Delhi', 'Jammu & Kashmir', 'Ladakh', 'Puducherry', 'Chandigarh',
-];
-
-
+import { INDIAN_STATES, validateProfile } from '../data/profile';
 
 // ─── Reusable Input Field ─────────────────────────────────────────────────────
 const FormField = ({ label, id, required, error, children }) => (
@@ -92,39 +82,11 @@ const ProfileSetupPage = () => {
         }
     };
 
-    // ─── Validate all fields ───────────────────────────────────────────────────
-    const validate = () => {
-        const newErrors = {};
-
-        if (!form.fullName.trim()) {
-            newErrors.fullName = 'Full name is required.';
-        } else if (form.fullName.trim().length < 2) {
-            newErrors.fullName = 'Name must be at least 2 characters.';
-        }
-
-        if (!form.phone.trim()) {
-            newErrors.phone = 'Phone number is required.';
-        } else if (!/^[6-9]\d{9}$/.test(form.phone.trim())) {
-            newErrors.phone = 'Enter a valid 10-digit Indian mobile number.';
-        }
-
-        if (!form.city.trim()) {
-            newErrors.city = 'City is required.';
-        }
-
-        if (!form.state) {
-            newErrors.state = 'Please select your state.';
-        }
-
-
-        return newErrors;
-    };
-
     // ─── Handle Form Submit ────────────────────────────────────────────────────
     const handleSubmit = async (e) => {
         e.preventDefault();
 
-        const validationErrors = validate();
+        const validationErrors = validateProfile(form);
         setErrors(validationErrors);
 
         // If there are errors, stop here
@@ -135,8 +97,8 @@ const ProfileSetupPage = () => {
         // Simulate a small delay (like an API call)
         await new Promise((resolve) => setTimeout(resolve, 600));
 
-        // Save profile via context (writes to data/users.json via backend)
-        await saveProfile({
+        // Save profile via context (stored by the backend)
+        const error = await saveProfile({
             fullName: form.fullName.trim(),
             phone: form.phone.trim(),
             city: form.city.trim(),
@@ -145,6 +107,11 @@ const ProfileSetupPage = () => {
 
         setSaving(false);
 
+        if (error) {
+            setErrors({ form: error });
+            return;
+        }
+
         // Go to dashboard
         navigate('/dashboard');
     };
@@ -177,6 +144,12 @@ const ProfileSetupPage = () => {
                 <div className="bg-white border border-gray-200 rounded-xl shadow-card p-6 sm:p-8">
                     <form onSubmit={handleSubmit} noValidate className="space-y-5">
 
+                        {errors.form && (
+                            <div className="bg-red-50 border border-red-200 rounded-lg px-4 py-3 text-sm text-red-700">
+                                {errors.form}
+                            </div>
+                        )}
+
                         {/* ── Full Name ── */}
                         <FormField label="Full Name" id="fullName" required error={errors.fullName}>
                             <input
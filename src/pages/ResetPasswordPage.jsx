@@ -0,0 +1,132 @@
+/**
+ * ResetPasswordPage.jsx
+ * ----------------------
+ * Target of the emailed reset link (/reset-password?token=...).
+ *
+ * Lets the user choose a new password (POST /api/password/reset). A
+ * successful reset signs the account out everywhere, so the user is sent
+ * back to the login page afterwards.
+ */
+
+import React, { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import AuthCard from '../components/AuthCard';
+
+const MIN_PASSWORD_LENGTH = 6;
+
+const ResetPasswordPage = () => {
+    const { resetPassword } = useAuth();
+    const [searchParams] = useSearchParams();
+    const token = searchParams.get('token') || '';
+
+    const [form, setForm] = useState({ password: '', confirm: '' });
+    const [errors, setErrors] = useState({});
+    const [apiError, setApiError] = useState('');
+    const [done, setDone] = useState(false);
+    const [loading, setLoading] = useState(false);
+
+    const handleChange = (e) => {
+        setForm({ ...form, [e.target.name]: e.target.value });
+        setErrors({ ...errors, [e.target.name]: '' });
+        setApiError('');
+    };
+
+    const validate = () => {
+        const errs = {};
+        if (form.password.length < MIN_PASSWORD_LENGTH) {
+            errs.password = `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`;
+        }
+        if (form.confirm !== form.password) errs.confirm = 'Passwords do not match.';
+        return errs;
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const errs = validate();
+        if (Object.keys(errs).length > 0) {
+            setErrors(errs);
+            return;
+        }
+        setLoading(true);
+        const error = await resetPassword(token, form.password);
+        setLoading(false);
+        if (error) setApiError(error);
+        else setDone(true);
+    };
+
+    if (!token) {
+        return (
+            <AuthCard title="Reset your password">
+                <div className="space-y-5">
+                    <div className="bg-red-50 border border-red-200 rounded-lg px-4 py-3 text-sm text-red-700">
+                        This reset link is incomplete. Please request a new one.
+                    </div>
+                    <Link to="/forgot-password" className="block text-center text-sm text-blue-600 hover:underline">
+                        Request a new link
+                    </Link>
+                </div>
+            </AuthCard>
+        );
+    }
+
+    return (
+        <AuthCard title="Choose a new password">
+            {done ? (
+                <div className="space-y-5">
+                    <div className="bg-green-50 border border-green-200 rounded-lg px-4 py-3 text-sm text-green-700">
+                        Your password has been changed and you have been signed out on all devices.
+                    </div>
+                    <Link to="/login" className="btn-primary">
+                        Sign in
+                    </Link>
+                </div>
+            ) : (
+                <form onSubmit={handleSubmit} noValidate className="space-y-5">
+                    {apiError && (
+                        <div className="bg-red-50 border border-red-200 rounded-lg px-4 py-3 text-sm text-red-700">
+                            {apiError}{' '}
+                            <Link to="/forgot-password" className="font-medium underline">Request a new link</Link>
+                        </div>
+                    )}
+
+                    <div>
+                        <label htmlFor="reset-password" className="input-label">New password</label>
+                        <input
+                            id="reset-password"
+                            name="password"
+                            type="password"
+                            value={form.password}
+                            onChange={handleChange}
+                            className={`input-field ${errors.password ? 'border-red-400 focus:ring-red-400' : ''}`}
+                            placeholder={`At least ${MIN_PASSWORD_LENGTH} characters`}
+                            autoComplete="new-password"
+                        />
+                        {errors.password && <p className="error-text">{errors.password}</p>}
+                    </div>
+
+                    <div>
+                        <label htmlFor="reset-confirm" className="input-label">Confirm new password</label>
+                        <input
+                            id="reset-confirm"
+                            name="confirm"
+                            type="password"
+                            value={form.confirm}
+                            onChange={handleChange}
+                            className={`input-field ${errors.confirm ? 'border-red-400 focus:ring-red-400' : ''}`}
+                            placeholder="Re-enter your password"
+                            autoComplete="new-password"
+                        />
+                        {errors.confirm && <p className="error-text">{errors.confirm}</p>}
+                    </div>
+
+                    <button type="submit" className="btn-primary" disabled={loading}>
+                        {loading ? 'Saving...' : 'Set new password'}
+                    </button>
+                </form>
+            )}
+        </AuthCard>
+    );
+};
+
+export default ResetPasswordPage;
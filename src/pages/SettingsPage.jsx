@@ -0,0 +1,697 @@
+/**
+ * SettingsPage.jsx
+ * -----------------
+ * Account settings for the logged-in user:
+ *  - Profile      – edit the details entered at setup (POST /api/profile)
+ *  - Edit history – every change made to the profile and email
+ *  - Email        – change the address; the new one must be confirmed from
+ *                   the emailed link (/confirm-email) before it takes effect
+ *  - Sign-in      – set / change the password, link or unlink Google. The
+ *                   last remaining method can't be removed.
+ *  - Two-factor   – enrol an authenticator app (QR code drawn in the
+ *                   browser), manage recovery codes, turn 2FA off. Users
+ *                   whose role requires 2FA are sent here until enrolled.
+ *  - Your data    – "download my data" as JSON or ZIP
+ *  - Delete       – permanently remove the account; samples are kept
+ *                   anonymously for the district statistics
+ */
+
+import React, { useCallback, useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { GoogleLogin } from '@react-oauth/google';
+import QRCode from 'qrcode';
+import { useAuth } from '../context/AuthContext';
+import { INDIAN_STATES, PROFILE_LABELS, validateProfile } from '../data/profile';
+
+const formatDateTime = (iso) =>
+    new Date(iso).toLocaleString('en-IN', {
+        day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit',
+    });
+
+// ─── Section card ─────────────────────────────────────────────────────────────
+const Section = ({ title, description, danger, children }) => (
+    <div className={`bg-white border rounded-xl shadow-card p-6 ${danger ? 'border-red-200' : 'border-gray-200'}`}>
+        <h2 className={`text-base font-semibold ${danger ? 'text-red-700' : 'text-gray-900'}`}>{title}</h2>
+        {description && <p className="text-sm text-gray-500 mt-0.5 mb-4">{description}</p>}
+        {children}
+    </div>
+);
+
+const Notice = ({ type, children }) => (
+    <div
+        className={`border rounded-lg px-4 py-3 text-sm ${type === 'error'
+            ? 'bg-red-50 border-red-200 text-red-700'
+            : 'bg-green-50 border-green-200 text-green-700'
+            }`}
+    >
+        {children}
+    </div>
+);
+
+// ─── Profile form ─────────────────────────────────────────────────────────────
+const ProfileSection = ({ onSaved }) => {
+    const { profile, saveProfile } = useAuth();
+    const [form, setForm] = useState({
+        fullName: profile?.fullName || '',
+        phone: profile?.phone || '',
+        city: profile?.city || '',
+        state: profile?.state || '',
+    });
+    const [errors, setErrors] = useState({});
+    const [status, setStatus] = useState(null); // { type, text }
+    const [saving, setSaving] = useState(false);
+
+    const handleChange = (field) => (e) => {
+        setForm((prev) => ({ ...prev, [field]: e.target.value }));
+        setErrors((prev) => ({ ...prev, [field]: '' }));
+        setStatus(null);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const validationErrors = validateProfile(form);
+        setErrors(validationErrors);
+        if (Object.keys(validationErrors).length > 0) return;
+
+        setSaving(true);
+        const error = await saveProfile({
+            fullName: form.fullName.trim(),
+            phone: form.phone.trim(),
+            city: form.city.trim(),
+            state: form.state,
+        });
+        setSaving(false);
+        setStatus(error ? { type: 'error', text: error } : { type: 'success', text: 'Profile saved.' });
+        if (!error) onSaved();
+    };
+
+    const field = (id, props = {}) => (
+        <div>
+            <label htmlFor={`settings-${id}`} className="input-label">{PROFILE_LABELS[id]}</label>
+            <input
+                id={`settings-${id}`}
+                type="text"
+                value={form[id]}
+                onChange={handleChange(id)}
+                className={`input-field ${errors[id] ? 'border-red-400' : ''}`}
+                {...props}
+            />
+            {errors[id] && <p className="error-text">{errors[id]}</p>}
+        </div>
+    );
+
+    return (
+        <Section title="Profile" description="Your name, contact number and location.">
+            <form onSubmit={handleSubmit} noValidate className="space-y-4">
+                {status && <Notice type={status.type}>{status.text}</Notice>}
+                {field('fullName')}
+                {field('phone', { type: 'tel', maxLength: 10 })}
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                    {field('city')}
+                    <div>
+                        <label htmlFor="settings-state" className="input-label">{PROFILE_LABELS.state}</label>
+                        <select
+                            id="settings-state"
+                            value={form.state}
+                            onChange={handleChange('state')}
+                            className={`input-field ${errors.state ? 'border-red-400' : ''}`}
+                        >
+                            <option value="">Select state</option>
+                            {INDIAN_STATES.map((s) => (
+                                <option key={s} value={s}>{s}</option>
+                            ))}
+                        </select>
+                        {errors.state && <p className="error-text">{errors.state}</p>}
+                    </div>
+                </div>
+                <button type="submit" disabled={saving} className="btn-primary sm:w-auto">
+                    {saving ? 'Saving...' : 'Save changes'}
+                </button>
+            </form>
+        </Section>
+    );
+};
+
+// ─── Edit history ─────────────────────────────────────────────────────────────
+const HistorySection = ({ history }) => (
+    <Section title="Edit history" description="Changes to your profile and email address, newest first.">
+        {history.length === 0 ? (
+            <p className="text-sm text-gray-500">No changes yet.</p>
+        ) : (
+            <ul className="divide-y divide-gray-100 text-sm">
+                {history.map((entry) => (
+                    <li key={entry.at} className="py-2.5">
+                        <p className="text-xs text-gray-400">{formatDateTime(entry.at)}</p>
+                        {Object.entries(entry.changes).map(([key, { from, to }]) => (
+                            <p key={key} className="text-gray-700">
+                                <span className="font-medium">{PROFILE_LABELS[key] || key}</span>:{' '}
+                                {from ? <span className="line-through text-gray-400">{from}</span> : <span className="text-gray-400">(empty)</span>}
+                                {' → '}
+                                {to || <span className="text-gray-400">(empty)</span>}
+                            </p>
+                        ))}
+                    </li>
+                ))}
+            </ul>
+        )}
+    </Section>
+);
+
+// ─── Email change ─────────────────────────────────────────────────────────────
+const EmailSection = ({ account, onRequested }) => {
+    const { currentUser, requestEmailChange } = useAuth();
+    const [form, setForm] = useState({ email: '', password: '' });
+    const [status, setStatus] = useState(null);
+    const [sending, setSending] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!/\S+@\S+\.\S+/.test(form.email)) {
+            setStatus({ type: 'error', text: 'Please enter a valid email address.' });
+            return;
+        }
+        setSending(true);
+        const error = await requestEmailChange(form.email.trim(), form.password);
+        setSending(false);
+        if (error) {
+            setStatus({ type: 'error', text: error });
+        } else {
+            setStatus({ type: 'success', text: `We sent a confirmation link to ${form.email.trim()}. Your email changes once you open it.` });
+            setForm({ email: '', password: '' });
+            onRequested();
+        }
+    };
+
+    return (
+        <Section title="Email address" description={`You sign in as ${currentUser}.`}>
+            {account && !account.hasPassword ? (
+                <p className="text-sm text-gray-500">
+                    This account signs in with Google only. Set a password below to be able to change its email address.
+                </p>
+            ) : (
+                <form onSubmit={handleSubmit} noValidate className="space-y-4">
+                    {status && <Notice type={status.type}>{status.text}</Notice>}
+                    {!status && account?.pendingEmail && (
+                        <Notice type="success">
+                            Waiting for confirmation of {account.pendingEmail}. Check that inbox for the link.
+                        </Notice>
+                    )}
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                        <div>
+                            <label htmlFor="new-email" className="input-label">New email</label>
+                            <input
+                                id="new-email"
+                                type="email"
+                                value={form.email}
+                                onChange={(e) => { setForm({ ...form, email: e.target.value }); setStatus(null); }}
+                                className="input-field"
+                                autoComplete="email"
+                            />
+                        </div>
+                        <div>
+                            <label htmlFor="email-password" className="input-label">Current password</label>
+                            <input
+                                id="email-password"
+                                type="password"
+                                value={form.password}
+                                onChange={(e) => { setForm({ ...form, password: e.target.value }); setStatus(null); }}
+                                className="input-field"
+                                autoComplete="current-password"
+                            />
+                        </div>
+                    </div>
+                    <button type="submit" disabled={sending} className="btn-primary sm:w-auto">
+                        {sending ? 'Sending...' : 'Send confirmation link'}
+                    </button>
+                </form>
+            )}
+        </Section>
+    );
+};
+
+// ─── Sign-in methods ──────────────────────────────────────────────────────────
+const SignInSection = ({ account, onChanged }) => {
+    const { linkGoogle, unlinkGoogle, changePassword } = useAuth();
+    const [form, setForm] = useState({ currentPassword: '', password: '', confirm: '' });
+    const [status, setStatus] = useState(null);
+    const [busy, setBusy] = useState(false);
+
+    if (!account) return null;
+
+    // Run one of the context actions and show its outcome
+    const run = async (action, successText) => {
+        setBusy(true);
+        setStatus(null);
+        const error = await action();
+        setBusy(false);
+        setStatus(error ? { type: 'error', text: error } : { type: 'success', text: successText });
+        if (!error) onChanged();
+        return !error;
+    };
+
+    const handlePassword = async (e) => {
+        e.preventDefault();
+        if (form.password.length < 6) {
+            setStatus({ type: 'error', text: 'Password must be at least 6 characters.' });
+            return;
+        }
+        if (form.password !== form.confirm) {
+            setStatus({ type: 'error', text: 'Passwords do not match.' });
+            return;
+        }
+        const ok = await run(
+            () => changePassword(form.currentPassword, form.password),
+            account.hasPassword ? 'Password changed. Other devices have been signed out.' : 'Password set. You can now also sign in with your email and password.'
+        );
+        if (ok) setForm({ currentPassword: '', password: '', confirm: '' });
+    };
+
+    const input = (name, label, autoComplete) => (
+        <div>
+            <label htmlFor={`signin-${name}`} className="input-label">{label}</label>
+            <input
+                id={`signin-${name}`}
+                type="password"
+                value={form[name]}
+                onChange={(e) => { setForm({ ...form, [name]: e.target.value }); setStatus(null); }}
+                className="input-field"
+                autoComplete={autoComplete}
+            />
+        </div>
+    );
+
+    return (
+        <Section title="Sign-in methods" description="Sign in with your password, your Google account, or both.">
+            <div className="space-y-6">
+                {status && <Notice type={status.type}>{status.text}</Notice>}
+
+                {/* Google */}
+                <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+                    <div>
+                        <p className="text-sm font-medium text-gray-900">Google</p>
+                        <p className="text-xs text-gray-500">
+                            {account.googleLinked ? `Linked to ${account.googleEmail}` : 'Not linked'}
+                        </p>
+                    </div>
+                    {account.googleLinked ? (
+                        <button
+                            type="button"
+                            disabled={busy || !account.hasPassword}
+                            onClick={() => run(unlinkGoogle, 'Google account unlinked.')}
+                            className="btn-secondary w-auto disabled:opacity-50"
+                            title={account.hasPassword ? '' : 'Set a password first'}
+                        >
+                            Unlink Google
+                        </button>
+                    ) : (
+                        <GoogleLogin
+                            onSuccess={({ credential }) => run(() => linkGoogle(credential), 'Google account linked.')}
+                            onError={() => setStatus({ type: 'error', text: 'Google sign-in was cancelled or failed.' })}
+                            shape="rectangular"
+                            theme="outline"
+                            text="continue_with"
+                        />
+                    )}
+                </div>
+
+                {/* Password */}
+                <form onSubmit={handlePassword} noValidate className="space-y-4 border-t border-gray-100 pt-5">
+                    <div>
+                        <p className="text-sm font-medium text-gray-900">Password</p>
+                        <p className="text-xs text-gray-500">
+                            {account.hasPassword
+                                ? 'Change the password you sign in with.'
+                                : 'This account has no password yet. Set one to sign in without Google.'}
+                        </p>
+                    </div>
+                    {account.hasPassword && input('currentPassword', 'Current password', 'current-password')}
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                        {input('password', 'New password', 'new-password')}
+                        {input('confirm', 'Confirm new password', 'new-password')}
+                    </div>
+                    <button type="submit" disabled={busy} className="btn-primary sm:w-auto">
+                        {account.hasPassword ? 'Change password' : 'Set password'}
+                    </button>
+                </form>
+            </div>
+        </Section>
+    );
+};
+
+// ─── Two-factor authentication ────────────────────────────────────────────────
+// The otpauth:// URI drawn as a QR code – the secret never leaves the browser
+const QrCode = ({ text }) => {
+    const [src, setSrc] = useState('');
+
+    useEffect(() => {
+        QRCode.toDataURL(text, { margin: 1, width: 176 })
+            .then(setSrc)
+            .catch(() => setSrc(''));
+    }, [text]);
+
+    return src
+        ? <img src={src} alt="QR code for your authenticator app" className="w-44 h-44 border border-gray-200 rounded-lg" />
+        : <div className="w-44 h-44 border border-gray-200 rounded-lg bg-gray-50" />;
+};
+
+// Recovery codes are shown once, right after they are created
+const RecoveryCodes = ({ codes, onDone }) => {
+    const download = () => {
+        const url = URL.createObjectURL(new Blob([
+            'Water Quality Monitor – two-factor recovery codes\n',
+            'Each code can be used once instead of an authenticator code.\n\n',
+            codes.join('\n'),
+            '\n',
+        ], { type: 'text/plain' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'water-quality-recovery-codes.txt';
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    return (
+        <div className="space-y-4">
+            <Notice type="success">
+                Save these recovery codes somewhere safe. Each one signs you in once if you lose your phone.
+                They won't be shown again.
+            </Notice>
+            <ul className="grid grid-cols-2 gap-2 font-mono text-sm text-gray-800 bg-gray-50 border border-gray-200 rounded-lg p-4">
+                {codes.map((code) => <li key={code}>{code}</li>)}
+            </ul>
+            <div className="flex flex-wrap gap-3">
+                <button type="button" onClick={download} className="btn-secondary w-auto">Download codes</button>
+                <button type="button" onClick={onDone} className="btn-primary sm:w-auto">I've saved them</button>
+            </div>
+        </div>
+    );
+};
+
+const TwoFactorSection = ({ account, onChanged }) => {
+    const { authFetch } = useAuth();
+    const [setup, setSetup] = useState(null); // { secret, uri } while enrolling
+    const [recoveryCodes, setRecoveryCodes] = useState(null);
+    const [code, setCode] = useState('');
+    const [status, setStatus] = useState(null);
+    const [busy, setBusy] = useState(false);
+
+    if (!account) return null;
+
+    // Call one of the /api/account/2fa endpoints; resolves to its data, or null
+    const call = async (path, method, body) => {
+        setBusy(true);
+        setStatus(null);
+        try {
+            const res = await authFetch(`/api/account/2fa${path}`, { method, body: body && JSON.stringify(body) });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error);
+            return data;
+        } catch (err) {
+            setStatus({ type: 'error', text: err.message || 'Something went wrong. Please try again.' });
+            return null;
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const startSetup = async () => {
+        const data = await call('/setup', 'POST');
+        if (data) setSetup(data);
+    };
+
+    const enable = async (e) => {
+        e.preventDefault();
+        const data = await call('/enable', 'POST', { code: code.trim() });
+        if (!data) return;
+        setSetup(null);
+        setCode('');
+        setRecoveryCodes(data.recoveryCodes);
+        onChanged();
+    };
+
+    const regenerate = async () => {
+        const data = await call('/recovery-codes', 'POST', { code: code.trim() });
+        if (!data) return;
+        setCode('');
+        setRecoveryCodes(data.recoveryCodes);
+        onChanged();
+    };
+
+    const disable = async () => {
+        const data = await call('', 'DELETE', { code: code.trim() });
+        if (!data) return;
+        setCode('');
+        setStatus({ type: 'success', text: 'Two-factor authentication is off.' });
+        onChanged();
+    };
+
+    const codeInput = (label) => (
+        <div className="sm:w-56">
+            <label htmlFor="two-factor-code" className="input-label">{label}</label>
+            <input
+                id="two-factor-code"
+                type="text"
+                value={code}
+                onChange={(e) => { setCode(e.target.value); setStatus(null); }}
+                className="input-field tracking-widest"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                maxLength={11}
+            />
+        </div>
+    );
+
+    let body;
+    if (recoveryCodes) {
+        body = <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />;
+    } else if (account.twoFactorEnabled) {
+        body = (
+            <div className="space-y-4">
+                <p className="text-sm text-gray-700">
+                    <span className="font-medium text-green-700">On.</span>{' '}
+                    You have {account.recoveryCodesLeft} unused recovery code{account.recoveryCodesLeft === 1 ? '' : 's'}.
+                </p>
+                {codeInput('Current authenticator code')}
+                <div className="flex flex-wrap gap-3">
+                    <button type="button" onClick={regenerate} disabled={busy || !code.trim()} className="btn-secondary w-auto disabled:opacity-50">
+                        New recovery codes
+                    </button>
+                    <button
+                        type="button"
+                        onClick={disable}
+                        disabled={busy || !code.trim() || account.twoFactorRequired}
+                        className="btn-secondary w-auto text-red-700 disabled:opacity-50"
+                        title={account.twoFactorRequired ? 'Required for your role' : ''}
+                    >
+                        Turn off
+                    </button>
+                </div>
+                {account.twoFactorRequired && (
+                    <p className="text-xs text-gray-500">Two-factor authentication is required for your role and can't be turned off.</p>
+                )}
+            </div>
+        );
+    } else if (setup) {
+        body = (
+            <form onSubmit={enable} noValidate className="space-y-4">
+                <div className="flex flex-col sm:flex-row gap-5">
+                    <QrCode text={setup.uri} />
+                    <div className="text-sm text-gray-600 space-y-2">
+                        <p>1. Scan the QR code with an authenticator app (Google Authenticator, Microsoft Authenticator, Authy, ...).</p>
+                        <p>
+                            Can't scan it? Enter this key instead:
+                            <span className="block mt-1 font-mono text-xs text-gray-800 break-all">{setup.secret}</span>
+                        </p>
+                        <p>2. Enter the 6-digit code the app shows.</p>
+                    </div>
+                </div>
+                {codeInput('Code from the app')}
+                <div className="flex flex-wrap gap-3">
+                    <button type="submit" disabled={busy} className="btn-primary sm:w-auto">
+                        {busy ? 'Checking...' : 'Turn on'}
+                    </button>
+                    <button type="button" onClick={() => { setSetup(null); setCode(''); }} className="btn-secondary w-auto">
+                        Cancel
+                    </button>
+                </div>
+            </form>
+        );
+    } else {
+        body = (
+            <button type="button" onClick={startSetup} disabled={busy} className="btn-primary sm:w-auto">
+                Set up two-factor authentication
+            </button>
+        );
+    }
+
+    return (
+        <Section
+            title="Two-factor authentication"
+            description="After your password (or Google), also ask for a code from an authenticator app on your phone."
+        >
+            <div className="space-y-4">
+                {status && <Notice type={status.type}>{status.text}</Notice>}
+                {account.twoFactorSetupRequired && !setup && !recoveryCodes && (
+                    <Notice type="error">
+                        Your role requires two-factor authentication. Set it up to continue using the app.
+                    </Notice>
+                )}
+                {body}
+            </div>
+        </Section>
+    );
+};
+
+// ─── Data export ──────────────────────────────────────────────────────────────
+const ExportSection = () => {
+    const { authFetch } = useAuth();
+    const [busy, setBusy] = useState(null); // format being downloaded
+    const [error, setError] = useState('');
+
+    const download = async (format) => {
+        setBusy(format);
+        setError('');
+        try {
+            const res = await authFetch(`/api/account/export?format=${format}`);
+            if (!res.ok) throw new Error((await res.json()).error);
+            const name = /filename="([^"]+)"/.exec(res.headers.get('Content-Disposition') || '')?.[1] ||
+                `water-quality-data.${format}`;
+            const url = URL.createObjectURL(await res.blob());
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = name;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (err) {
+            setError(err.message || 'Could not download your data.');
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    return (
+        <Section
+            title="Download my data"
+            description="Your account details, profile history, samples, watchlist, import presets, alert rules and notifications."
+        >
+            {error && <div className="mb-4"><Notice type="error">{error}</Notice></div>}
+            <div className="flex flex-wrap gap-3">
+                <button type="button" onClick={() => download('json')} disabled={!!busy} className="btn-secondary w-auto disabled:opacity-50">
+                    {busy === 'json' ? 'Preparing...' : 'Download JSON'}
+                </button>
+                <button type="button" onClick={() => download('zip')} disabled={!!busy} className="btn-secondary w-auto disabled:opacity-50">
+                    {busy === 'zip' ? 'Preparing...' : 'Download ZIP (JSON + CSV)'}
+                </button>
+            </div>
+        </Section>
+    );
+};
+
+// ─── Account deletion ─────────────────────────────────────────────────────────
+const DeleteSection = ({ account }) => {
+    const { currentUser, deleteAccount } = useAuth();
+    const navigate = useNavigate();
+    const [form, setForm] = useState({ confirm: '', password: '' });
+    const [error, setError] = useState('');
+    const [deleting, setDeleting] = useState(false);
+
+    const needsPassword = !account || account.hasPassword;
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setDeleting(true);
+        const err = await deleteAccount(form.confirm.trim(), form.password);
+        setDeleting(false);
+        if (err) setError(err);
+        else navigate('/login', { replace: true });
+    };
+
+    return (
+        <Section
+            title="Delete account"
+            description="This permanently removes your account and profile. Your samples stay in the district statistics without your name, notes or exact location."
+            danger
+        >
+            <form onSubmit={handleSubmit} noValidate className="space-y-4">
+                {error && <Notice type="error">{error}</Notice>}
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                    <div>
+                        <label htmlFor="delete-confirm" className="input-label">
+                            Type <span className="font-semibold">{currentUser}</span> to confirm
+                        </label>
+                        <input
+                            id="delete-confirm"
+                            type="text"
+                            value={form.confirm}
+                            onChange={(e) => { setForm({ ...form, confirm: e.target.value }); setError(''); }}
+                            className="input-field"
+                            autoComplete="off"
+                        />
+                    </div>
+                    {needsPassword && (
+                        <div>
+                            <label htmlFor="delete-password" className="input-label">Current password</label>
+                            <input
+                                id="delete-password"
+                                type="password"
+                                value={form.password}
+                                onChange={(e) => { setForm({ ...form, password: e.target.value }); setError(''); }}
+                                className="input-field"
+                                autoComplete="current-password"
+                            />
+                        </div>
+                    )}
+                </div>
+                <button
+                    type="submit"
+                    disabled={deleting || form.confirm.trim() !== currentUser}
+                    className="px-4 py-2.5 text-sm font-medium text-white bg-red-600 rounded-lg hover:bg-red-700 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                    {deleting ? 'Deleting...' : 'Delete my account'}
+                </button>
+            </form>
+        </Section>
+    );
+};
+
+// ─── Main SettingsPage ────────────────────────────────────────────────────────
+const SettingsPage = () => {
+    const { authFetch, refreshUser } = useAuth();
+    const [account, setAccount] = useState(null); // full user record from /api/me
+    const [history, setHistory] = useState([]);
+
+    const loadAccount = useCallback(() => {
+        refreshUser()
+            .then((user) => user && setAccount(user))
+            .catch(() => { });
+        authFetch('/api/profile/history')
+            .then((r) => (r.ok ? r.json() : { history: [] }))
+            .then((data) => setHistory(data.history))
+            .catch(() => { });
+    }, [authFetch, refreshUser]);
+
+    useEffect(() => {
+        loadAccount();
+    }, [loadAccount]);
+
+    return (
+        <div className="min-h-screen bg-gray-50 py-10 px-4">
+            <div className="max-w-2xl mx-auto space-y-6">
+                <div>
+                    <h1 className="text-2xl font-bold text-gray-900">Account Settings</h1>
+                    <p className="text-sm text-gray-500 mt-1">Manage your profile, email address and data.</p>
+                </div>
+
+                <ProfileSection onSaved={loadAccount} />
+                <EmailSection account={account} onRequested={loadAccount} />
+                <SignInSection account={account} onChanged={loadAccount} />
+                <TwoFactorSection account={account} onChanged={loadAccount} />
+                <HistorySection history={history} />
+                <ExportSection />
+                <DeleteSection account={account} />
+            </div>
+        </div>
+    );
+};
+
+export default SettingsPage;
@@ -0,0 +1,69 @@
+/**
+ * VerifyEmailPage.jsx
+ * --------------------
+ * Target of the emailed verification link (/verify-email?token=...).
+ *
+ * Confirms the address on mount (POST /api/verify-email), which also
+ * signs the user in, then continues to profile setup. Failed or expired
+ * links show the error with a way back to the login page, where a new
+ * link can be requested.
+ *
+ * With mode="change" it handles the link sent when a user changes their
+ * email (/confirm-email?token=..., POST /api/account/email/confirm) and
+ * continues to the settings page instead.
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import AuthCard from '../components/AuthCard';
+
+const MODES = {
+    verify: { title: 'Verify your email', next: '/setup', retry: 'Sign in to have a new link sent to you.' },
+    change: { title: 'Confirm your new email', next: '/settings', retry: 'You can request a new link in your account settings.' },
+};
+
+const VerifyEmailPage = ({ mode = 'verify' }) => {
+    const { verifyEmail, confirmEmailChange } = useAuth();
+    const { title, next, retry } = MODES[mode];
+    const navigate = useNavigate();
+    const [searchParams] = useSearchParams();
+    const token = searchParams.get('token') || '';
+
+    const [error, setError] = useState('');
+    const started = useRef(false); // tokens are single use – submit once, however often the effect runs
+
+    useEffect(() => {
+        if (started.current) return;
+        started.current = true;
+
+        if (!token) {
+            setError('This verification link is incomplete.');
+            return;
+        }
+        const confirm = mode === 'change' ? confirmEmailChange : verifyEmail;
+        confirm(token).then((err) => {
+            if (err) setError(err);
+            else navigate(next, { replace: true });
+        });
+    }, [token, mode, next, verifyEmail, confirmEmailChange, navigate]);
+
+    return (
+        <AuthCard title={title}>
+            {error ? (
+                <div className="space-y-5">
+                    <div className="bg-red-50 border border-red-200 rounded-lg px-4 py-3 text-sm text-red-700">
+                        {error} {retry}
+                    </div>
+                    <Link to="/login" className="btn-primary">
+                        Back to sign in
+                    </Link>
+                </div>
+            ) : (
+                <p className="text-center text-sm text-gray-500">Confirming your email address...</p>
+            )}
+        </AuthCard>
+    );
+};
+
+export default VerifyEmailPage;